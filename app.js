@@ -13,6 +13,12 @@ import { connectRedis } from "./libs/redis.js";
 
 // 🚨 IMPORT THE SUBSCRIPTION CRON WORKER
 import { startSubscriptionCron } from "./cron/subscription-worker.js";
+import { startBookingExpiryCron } from "./cron/booking-expiry.js";
+import { startBookingBalanceCron } from "./cron/booking-balance.js";
+import { startPayoutCron } from "./cron/payout-cron.js";
+import { startPaymentReconciliationCron } from "./cron/payment-reconciliation.js";
+import { startInvoiceExpiryCron } from "./cron/invoice-expiry.js";
+import { startTicketReservationCron } from "./cron/ticket-reservations.js";
 
 // 🚨 IMPORT SECURITY & ANALYTICS
 import { globalRateLimiter } from "./middleware/security.js";
@@ -46,6 +52,9 @@ import promoRoutes from "./routes/promo.js";
 import supportRoutes from "./routes/support.js";
 import feedRoutes from "./routes/feed.js";
 import financeRoutes from "./routes/finance.js";
+import agencyRoutes from "./routes/agency.js";
+import sandboxPaymentRoutes from "./routes/sandbox-payment.js";
+import { isSandboxEnabled } from "./services/payment-providers/index.js";
 
 dotenv.config();
 
@@ -122,6 +131,24 @@ async function initializeExpressServer() {
   // 🚨 START THE BACKGROUND SUBSCRIPTION SWEEPER
   startSubscriptionCron();
 
+  // 🚨 START THE STALE BOOKING EXPIRY SWEEPER
+  startBookingExpiryCron();
+
+  // 🚨 START THE DEPOSIT BALANCE REMINDER / AUTO-CANCEL JOB
+  startBookingBalanceCron();
+
+  // 🚨 START THE ESCROW RELEASE (PAYOUT) JOB
+  startPayoutCron();
+
+  // 🚨 START THE PAYMENT RECONCILIATION JOB (lost webhooks + daily report)
+  startPaymentReconciliationCron();
+
+  // 🚨 START THE OVERDUE B2B INVOICE EXPIRY JOB
+  startInvoiceExpiryCron();
+
+  // 🚨 START THE ABANDONED TICKET CHECKOUT SWEEPER
+  startTicketReservationCron();
+
   // --- Mount Standard Routes ---
   app.use("/api/admin", adminRoutes);
   app.use("/api/articles", articleRoutes);
@@ -151,6 +178,14 @@ async function initializeExpressServer() {
   app.use("/api/support", supportRoutes);
   app.use("/api/feeds", feedRoutes);
   app.use("/api/finance", financeRoutes);
+  app.use("/api/agency", agencyRoutes);
+
+  // 🧪 Local checkout simulator (PAYMENT_PROVIDER=sandbox or PAYMENT_SANDBOX_ENABLED=true,
+  // with PAYMENT_SANDBOX_SECRET set and outside production)
+  if (isSandboxEnabled) {
+    app.use("/api/sandbox-payments", sandboxPaymentRoutes);
+    console.log("🧪 Sandbox payment provider enabled");
+  }
 
   // --- Server Start ---
   const PORT = process.env.PORT || 8800;
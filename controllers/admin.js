@@ -1,4 +1,11 @@
 import prisma from "../libs/prisma.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+  partnerAccount,
+} from "../services/ledger.js";
+import { getTicketSales } from "../services/ticket-reservations.js";
 
 export const getAdminDashboardData = async () => {
   const [
@@ -38,6 +45,9 @@ export const getAdminDashboardData = async () => {
     where: { status: "COMPLETED" }, // 🚨 FIX: Only count actual successful revenue
   });
 
+  // Event tickets: bought vs. held by checkouts and invoices still unpaid
+  const ticketSales = [...(await getTicketSales()).values()];
+
   return {
     stats: {
       totalUsers: users,
@@ -46,39 +56,53 @@ export const getAdminDashboardData = async () => {
       totalPartners: partners,
       totalBookings: bookings,
       totalRevenue: totalRevenue._sum.amount || 0,
+      ticketsSold: ticketSales.reduce((sum, e) => sum + e.soldTickets, 0),
+      ticketsHeld: ticketSales.reduce((sum, e) => sum + e.heldTickets, 0),
     },
     payoutRequests,
     moderationQueue,
   };
 };
 
-export const approvePayout = async (payoutId) => {
-  return await prisma.payoutRequest.update({
-    where: { id: payoutId },
-    // 🚨 FIX: Use strict Enum "PAID" (or "APPROVED" depending on your exact workflow)
-    data: { status: "PAID" },
-  });
-};
-
-export const rejectPayout = async (payoutId) => {
-  const payout = await prisma.payoutRequest.findUnique({
-    where: { id: payoutId },
-  });
+// Each decision applies once, to payouts in `fromStatuses` that aren't in a
+// payout registry yet
+const decidePayout = (payoutId, status, fromStatuses, bookFunds) =>
+  prisma.$transaction(async (tx) => {
+    const payout = await tx.payoutRequest.findUnique({
+      where: { id: payoutId },
+    });
+    if (!payout) throw new Error("Payout request not found");
 
-  if (payout) {
-    // 🚨 FIX: partner_id points to PartnerProfile.id now, balance lives there
-    await prisma.partnerProfile.update({
-      where: { id: payout.partner_id },
-      data: { balance: { increment: payout.amount } },
+    const { count } = await tx.payoutRequest.updateMany({
+      where: { id: payoutId, status: { in: fromStatuses }, registryId: null },
+      data: { status },
     });
-  }
+    if (count === 0) throw new Error("Payout request is already processed");
 
-  return await prisma.payoutRequest.update({
-    where: { id: payoutId },
-    // 🚨 FIX: Use strict Enum "REJECTED"
-    data: { status: "REJECTED" },
+    await bookFunds(tx, payout);
+    return tx.payoutRequest.findUnique({ where: { id: payoutId } });
   });
-};
+
+// The money stays in the payouts account until the payout registry it goes
+// out with is marked as paid (services/payout-registry.js)
+export const approvePayout = (payoutId) =>
+  decidePayout(payoutId, "APPROVED", ["PENDING"], async () => {});
+
+export const rejectPayout = (payoutId) =>
+  // 🚨 FIX: Use strict Enum "REJECTED"
+  decidePayout(payoutId, "REJECTED", ["PENDING", "APPROVED"], (tx, payout) =>
+    // The money goes back where it was requested from
+    transferFunds(tx, {
+      from: PLATFORM_ACCOUNTS.payouts,
+      to: payout.partnerId
+        ? partnerAccount(payout.partnerId)
+        : walletAccount(payout.userId),
+      amount: payout.amount,
+      kind: "PAYOUT_REJECTED",
+      description: "Заявка на вывод отклонена, средства возвращены",
+      reference: payout.id,
+    }),
+  );
 
 export const approveProfile = async (userId) => {
   // 🚨 FIX: Update PerformerProfile via the unique userId relation
@@ -1,144 +1,241 @@
 import prisma from "../libs/prisma.js";
-import bcrypt from "bcryptjs";
+import { invalidatePattern } from "../libs/redis.js";
+import { notifyUser } from "../services/notification.js";
+import { createAuditLog } from "../services/booking-audit.js";
+import {
+  checkAvailability,
+  getBusyIntervals,
+  AVAILABILITY_MESSAGES,
+} from "../services/availability.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_RANGE_DAYS = 93;
+
+// A specialist can only be (re)assigned while the gig hasn't happened yet
+const ASSIGNABLE_STATUSES = [
+  "PENDING_PERFORMER_APPROVAL",
+  "NEGOTIATING",
+  "PENDING_CUSTOMER_PAYMENT",
+  "CONFIRMED",
+];
+
+// Helper: The logged-in user's agency profile (null if they don't run an agency)
+const getAgencyProfile = (userId) =>
+  prisma.performerProfile.findFirst({
+    where: { userId, accountType: "agency" },
+  });
+
+// Helper: Specialists are addressed by their base User ID, like every performer
+const findSpecialist = (agencyId, userId) =>
+  prisma.performerProfile.findFirst({
+    where: { userId, agencyId },
+    include: { user: true },
+  });
+
+const parseSharePercent = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const percent = Number(value);
+  if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+    throw new Error("Доля специалиста должна быть от 0 до 100%.");
+  }
+  return percent;
+};
+
+const toSpecialistDto = (profile) => ({
+  id: profile.user.id,
+  profileId: profile.id,
+  name: profile.user.name,
+  email: profile.user.email,
+  profilePicture: profile.user.image,
+  roles: profile.roles,
+  city: profile.city,
+  description: profile.description,
+  priceRange: profile.priceRange,
+  moderationStatus: profile.moderationStatus,
+  payoutSharePercent: profile.payoutSharePercent ?? 0,
+});
 
 // --- 1. Get All Specialists for Logged-in Agency ---
 export const getAgencySpecialists = async (req, res) => {
   try {
-    const agencyId = req.user.id;
-
-    const specialists = await prisma.user.findMany({
-      where: { parentAgencyId: agencyId },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        image: true, // mapped to profilePicture in frontend
-        roles: true,
-        city: true,
-        moderation_status: true,
-        // Add other necessary fields
-      },
-      orderBy: { created_at: "desc" },
-    });
+    const agency = await getAgencyProfile(req.user.id);
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
 
-    // Map database fields to frontend structure if necessary
-    const formatted = specialists.map((s) => ({
-      ...s,
-      profilePicture: s.image,
-      moderationStatus: s.moderation_status,
-    }));
+    const specialists = await prisma.performerProfile.findMany({
+      where: { agencyId: agency.id },
+      include: { user: true },
+      orderBy: { user: { createdAt: "desc" } },
+    });
 
-    res.json(formatted);
+    res.json(specialists.map(toSpecialistDto));
   } catch (error) {
     console.error("Get Specialists Error:", error);
-    res.status(500).json({ message: "Failed to fetch specialists" });
+    res.status(500).json({ message: "Ошибка загрузки специалистов." });
   }
 };
 
 // --- 2. Create or Update Specialist ---
 export const createSpecialist = async (req, res) => {
   try {
-    const agencyId = req.user.id;
     const { id, name, email, roles, city, about, priceRange } = req.body;
 
-    // Check if agency exists
-    const agency = await prisma.user.findUnique({ where: { id: agencyId } });
-    if (!agency) return res.status(404).json({ message: "Agency not found" });
+    const agency = await getAgencyProfile(req.user.id);
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
+
+    let payoutSharePercent;
+    try {
+      payoutSharePercent = parseSharePercent(req.body.payoutSharePercent);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    const profileData = {
+      roles,
+      city,
+      description: about,
+      priceRange,
+      ...(payoutSharePercent !== null && { payoutSharePercent }),
+    };
 
     if (id) {
       // --- UPDATE EXISTING ---
-      const specialist = await prisma.user.findFirst({
-        where: { id, parentAgencyId: agencyId }, // Security check
-      });
-
+      const specialist = await findSpecialist(agency.id, id);
       if (!specialist)
-        return res.status(403).json({ message: "Access denied" });
+        return res.status(404).json({ message: "Специалист не найден." });
 
-      const updated = await prisma.user.update({
-        where: { id },
-        data: {
-          name,
-          roles,
-          city,
-          description: about,
-          price_range: priceRange,
-        },
-      });
-      return res.json(updated);
-    } else {
-      // --- CREATE NEW ---
-      // Check email uniqueness
-      const existingEmail = await prisma.user.findUnique({ where: { email } });
-      if (existingEmail)
-        return res.status(400).json({ message: "Email already in use" });
-
-      // Create a dummy password for the sub-profile (they might not login directly initially)
-      const hashedPassword = await bcrypt.hash("AgencySubProfile123!", 10);
-
-      const newSpecialist = await prisma.user.create({
-        data: {
-          name,
-          email,
-          password: hashedPassword,
-          role: "performer",
-          parentAgencyId: agencyId,
-          roles: roles || [],
-          city: city || agency.city,
-          moderation_status: "approved", // Auto-approve sub-profiles or set to pending
-          account_type: "specialist",
-        },
+      const updated = await prisma.$transaction(async (tx) => {
+        if (name) {
+          await tx.user.update({ where: { id }, data: { name } });
+        }
+        return tx.performerProfile.update({
+          where: { id: specialist.id },
+          data: profileData,
+          include: { user: true },
+        });
       });
-      return res.status(201).json(newSpecialist);
+
+      await invalidatePattern("search:performers:*");
+      return res.json(toSpecialistDto(updated));
+    }
+
+    // --- CREATE NEW ---
+    if (!name || !email) {
+      return res.status(400).json({ message: "Укажите имя и email." });
     }
+
+    const existingEmail = await prisma.user.findUnique({ where: { email } });
+    if (existingEmail)
+      return res.status(400).json({ message: "Email уже используется." });
+
+    // No password: the specialist can claim the account via "forgot password"
+    const created = await prisma.user.create({
+      data: {
+        name,
+        email,
+        role: "performer",
+        moderationStatus: agency.moderationStatus,
+        performerProfile: {
+          create: {
+            ...profileData,
+            roles: roles || [],
+            city: city || agency.city,
+            priceRange: priceRange || [],
+            accountType: "specialist",
+            moderationStatus: agency.moderationStatus, // Vetted together with the agency
+            timezone: agency.timezone,
+            cancellationPolicy: agency.cancellationPolicy,
+            agency: { connect: { id: agency.id } },
+          },
+        },
+      },
+      include: { performerProfile: { include: { user: true } } },
+    });
+
+    await invalidatePattern("search:performers:*");
+    return res.status(201).json(toSpecialistDto(created.performerProfile));
   } catch (error) {
     console.error("Create Specialist Error:", error);
-    res.status(500).json({ message: "Failed to save specialist" });
+    res.status(500).json({ message: "Ошибка сохранения специалиста." });
   }
 };
 
 // --- 3. Delete Specialist ---
 export const deleteSpecialist = async (req, res) => {
   try {
-    const agencyId = req.user.id;
     const { id } = req.params;
 
-    // Ensure the specialist belongs to this agency
-    const specialist = await prisma.user.findFirst({
-      where: { id, parentAgencyId: agencyId },
-    });
+    const agency = await getAgencyProfile(req.user.id);
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
 
+    const specialist = await findSpecialist(agency.id, id);
     if (!specialist) {
-      return res
-        .status(404)
-        .json({ message: "Specialist not found or access denied" });
+      return res.status(404).json({ message: "Специалист не найден." });
+    }
+
+    const activeAssignments = await prisma.bookingRequest.count({
+      where: {
+        specialistId: specialist.id,
+        status: { in: ASSIGNABLE_STATUSES },
+      },
+    });
+    if (activeAssignments) {
+      return res.status(409).json({
+        message: "У специалиста есть активные бронирования. Переназначьте их.",
+      });
+    }
+
+    if (specialist.user.walletBalance > 0) {
+      return res.status(409).json({
+        message: "На балансе специалиста есть средства. Сначала выведите их.",
+      });
+    }
+
+    try {
+      await prisma.$transaction([
+        prisma.performerProfile.delete({ where: { id: specialist.id } }),
+        prisma.user.delete({ where: { id } }),
+      ]);
+    } catch (err) {
+      // Payout history etc. must stay: keep the account, just leave the roster
+      if (err.code !== "P2003") throw err;
+      await prisma.performerProfile.update({
+        where: { id: specialist.id },
+        data: { agencyId: null, moderationStatus: "BLOCKED" },
+      });
     }
 
-    await prisma.user.delete({ where: { id } });
-    res.json({ message: "Specialist deleted successfully" });
+    await invalidatePattern("search:performers:*");
+    res.json({ message: "Специалист удален." });
   } catch (error) {
     console.error("Delete Specialist Error:", error);
-    res.status(500).json({ message: "Failed to delete specialist" });
+    res.status(500).json({ message: "Ошибка удаления специалиста." });
   }
 };
 
-// --- 4. Get Bookings for All Agency Specialists ---
+// --- 4. Get Bookings Addressed to the Agency ---
 export const getAgencyBookings = async (req, res) => {
   try {
-    const agencyId = req.user.id;
+    const { status, specialistId } = req.query;
 
-    // Find all bookings where the performer is a child of this agency
-    const bookings = await prisma.booking.findMany({
+    const agency = await getAgencyProfile(req.user.id);
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
+
+    const bookings = await prisma.bookingRequest.findMany({
       where: {
-        performer: {
-          parentAgencyId: agencyId,
-        },
+        performerId: agency.id,
+        ...(status && { status }),
+        ...(specialistId && { specialist: { userId: specialistId } }),
       },
       include: {
         customer: {
           select: { name: true, email: true, phone: true, image: true },
         },
-        performer: {
-          select: { name: true, id: true }, // To know which specialist got booked
+        specialist: {
+          include: { user: { select: { id: true, name: true } } },
         },
       },
       orderBy: { date: "desc" },
@@ -148,17 +245,159 @@ export const getAgencyBookings = async (req, res) => {
     const formatted = bookings.map((b) => ({
       id: b.id,
       date: b.date,
+      startTime: b.startTime,
+      endTime: b.endTime,
       status: b.status,
       details: b.details,
+      agreedFee: b.agreedFee,
       customerName: b.customer.name,
       customerPhone: b.customer.phone,
-      performerName: b.performer.name, // Helpful for the agency to see who is booked
+      specialist: b.specialist
+        ? {
+            id: b.specialist.user.id,
+            name: b.specialist.user.name,
+            sharePercent: b.specialistSharePercent ?? 0,
+          }
+        : null,
       createdAt: b.createdAt,
     }));
 
     res.json(formatted);
   } catch (error) {
     console.error("Agency Bookings Error:", error);
-    res.status(500).json({ message: "Failed to fetch bookings" });
+    res.status(500).json({ message: "Ошибка загрузки бронирований." });
+  }
+};
+
+// --- 5. Route a Booking to a Specialist (or take it back) ---
+export const assignBookingSpecialist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { specialistId } = req.body;
+    const userId = req.user.id;
+
+    const agency = await getAgencyProfile(userId);
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
+
+    const booking = await prisma.bookingRequest.findUnique({ where: { id } });
+    if (!booking || booking.performerId !== agency.id) {
+      return res.status(404).json({ message: "Бронирование не найдено." });
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(booking.status)) {
+      return res
+        .status(400)
+        .json({ message: "Специалиста нельзя изменить в этом статусе." });
+    }
+
+    let specialist = null;
+    if (specialistId) {
+      specialist = await findSpecialist(agency.id, specialistId);
+      if (!specialist)
+        return res.status(404).json({ message: "Специалист не найден." });
+
+      // The specialist's own calendar must be free for this slot
+      if (booking.startTime) {
+        const availability = await checkAvailability(
+          specialist.id,
+          booking.startTime,
+          booking.endTime,
+          { excludeBookingId: booking.id },
+        );
+
+        if (!availability.available) {
+          return res
+            .status(409)
+            .json({ message: AVAILABILITY_MESSAGES[availability.reason] });
+        }
+      }
+    }
+
+    const previousSpecialistId = booking.specialistId;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.bookingRequest.update({
+        where: { id },
+        data: {
+          specialistId: specialist?.id ?? null,
+          // The cut agreed at assignment time is what the payout will use
+          specialistSharePercent: specialist
+            ? (specialist.payoutSharePercent ?? 0)
+            : null,
+        },
+      });
+
+      await createAuditLog(
+        tx,
+        id,
+        userId,
+        specialist ? "SPECIALIST_ASSIGNED" : "SPECIALIST_UNASSIGNED",
+        {
+          specialistId: specialist?.id ?? null,
+          previousSpecialistId,
+          sharePercent: result.specialistSharePercent,
+        },
+      );
+
+      return result;
+    });
+
+    if (specialist) {
+      notifyUser({
+        userId: specialist.userId,
+        title: "📅 Новое выступление",
+        body: `Агентство назначило вас на бронирование #${id.split("-")[0]}.`,
+        type: "BOOKING_UPDATE",
+        data: { url: "/bookings", bookingId: id },
+      }).catch(console.error);
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error("Assign Specialist Error:", error);
+    res.status(500).json({ message: "Ошибка назначения специалиста." });
+  }
+};
+
+// --- 6. Combined Calendar (Agency + Every Specialist) ---
+export const getAgencyCalendar = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 31 * DAY);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: "Неверный период" });
+    }
+    if (to - from > MAX_CALENDAR_RANGE_DAYS * DAY) {
+      return res.status(400).json({ message: "Слишком большой период" });
+    }
+
+    const agency = await prisma.performerProfile.findFirst({
+      where: { userId: req.user.id, accountType: "agency" },
+      include: {
+        user: true,
+        specialists: { include: { user: true } },
+      },
+    });
+    if (!agency)
+      return res.status(403).json({ message: "Доступно только агентствам." });
+
+    const calendars = await Promise.all(
+      [agency, ...agency.specialists].map(async (profile) => ({
+        id: profile.user.id,
+        name: profile.user.name,
+        isAgency: profile.id === agency.id,
+        timezone: profile.timezone,
+        busy: await getBusyIntervals(profile, from, to),
+      })),
+    );
+
+    res.json({ from, to, calendars });
+  } catch (error) {
+    console.error("Agency Calendar Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки календаря" });
   }
 };
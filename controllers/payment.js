@@ -1,8 +1,19 @@
 import prisma from "../libs/prisma.js";
 import {
-  initTinkoffSubscriptionPayment,
-  initTinkoffTopUpPayment,
-} from "../utils/tinkoff.js";
+  getPaymentProvider,
+  initSubscriptionPayment,
+  initTopUpPayment,
+} from "../services/payment-providers/index.js";
+import {
+  getPlanPrice,
+  RENEWAL_RESET,
+  SUBSCRIPTION_INTERVALS,
+} from "../services/subscription-renewal.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+} from "../services/ledger.js";
 
 import { generateB2BInvoicePDF } from "../mailer/pdf-generator.js";
 import { sendB2BInvoiceEmail } from "../mailer/email-sender.js";
@@ -28,36 +39,175 @@ export const getCurrentSubscription = async (req, res) => {
     const userId = req.user.id;
     const sub = await prisma.userSubscription.findUnique({
       where: { userId: userId },
-      include: { plan: true },
+      include: { plan: true, nextPlan: true },
     });
 
     if (!sub) return res.status(200).json(null);
 
-    const isExpired =
-      sub.status !== "ACTIVE" ||
-      (sub.endDate && new Date(sub.endDate) < new Date());
-
-    res.status(200).json({
-      id: sub.id,
-      planId: sub.planId,
-      planName: sub.plan.name,
-      status: isExpired ? "EXPIRED" : "ACTIVE",
-      startDate: sub.startDate,
-      endDate: sub.endDate,
-      pricePaid: sub.pricePaid || 0,
-    });
+    res.status(200).json(serializeSubscription(sub));
   } catch (error) {
     console.error("Get Subscription Error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
 };
 
+function serializeSubscription(sub) {
+  const isExpired =
+    sub.status !== "ACTIVE" ||
+    (sub.endDate && new Date(sub.endDate) < new Date());
+
+  return {
+    id: sub.id,
+    planId: sub.planId,
+    planName: sub.plan.name,
+    status: isExpired ? "EXPIRED" : "ACTIVE",
+    startDate: sub.startDate,
+    endDate: sub.endDate,
+    pricePaid: sub.pricePaid || 0,
+    interval: sub.interval,
+    autoRenew: sub.autoRenew,
+    card: sub.rebillId ? { pan: sub.cardPan } : null,
+    nextPlan: sub.nextPlan
+      ? {
+          id: sub.nextPlan.id,
+          name: sub.nextPlan.name,
+          interval: sub.nextInterval || sub.interval,
+        }
+      : null,
+    // Declined auto-renewal charges that are still being retried
+    renewal:
+      sub.renewalAttempts > 0
+        ? {
+            attempts: sub.renewalAttempts,
+            nextAttempt: sub.nextRenewalAttempt,
+            lastError: sub.lastRenewalError,
+          }
+        : null,
+  };
+}
+
+const findPaidSubscription = (userId) =>
+  prisma.userSubscription.findFirst({
+    where: {
+      userId,
+      status: "ACTIVE",
+      plan: { tier: { not: "FREE" } },
+    },
+    include: { plan: true, nextPlan: true },
+  });
+
+// --- TURN AUTO-RENEWAL ON / OFF ---
+export const setSubscriptionAutoRenew = async (req, res) => {
+  try {
+    const { autoRenew } = req.body;
+    if (typeof autoRenew !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "Укажите autoRenew: true или false." });
+    }
+
+    const sub = await findPaidSubscription(req.user.id);
+    if (!sub) {
+      return res
+        .status(404)
+        .json({ message: "Активная платная подписка не найдена." });
+    }
+
+    if (autoRenew && !sub.rebillId) {
+      return res.status(400).json({
+        message:
+          "Нет сохраненной карты. Оплатите подписку картой, чтобы включить автопродление.",
+      });
+    }
+
+    // Already lapsed: the card is charged right away, but dunning keeps its
+    // count, so toggling can't restart the retries (or the grace period)
+    const lapsed = sub.endDate && new Date(sub.endDate) < new Date();
+
+    const updated = await prisma.userSubscription.update({
+      where: { id: sub.id },
+      data: autoRenew
+        ? {
+            autoRenew: true,
+            nextRenewalAttempt: null,
+            // A fresh start for dunning: the user may have fixed the card
+            ...(!lapsed && { renewalAttempts: 0, lastRenewalError: null }),
+          }
+        : { autoRenew: false, nextRenewalAttempt: null },
+      include: { plan: true, nextPlan: true },
+    });
+
+    res.status(200).json(serializeSubscription(updated));
+  } catch (error) {
+    console.error("Set Auto-Renew Error:", error);
+    res.status(500).json({ message: "Внутренняя ошибка сервера" });
+  }
+};
+
+// --- CHANGE PLAN FROM THE NEXT RENEWAL ---
+export const scheduleSubscriptionPlanChange = async (req, res) => {
+  try {
+    const { planId, interval } = req.body;
+
+    const sub = await findPaidSubscription(req.user.id);
+    if (!sub) {
+      return res
+        .status(404)
+        .json({ message: "Активная платная подписка не найдена." });
+    }
+
+    const plan = planId
+      ? await prisma.subscriptionPlan.findUnique({ where: { id: planId } })
+      : null;
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({ message: "Тариф не найден." });
+    }
+
+    let data;
+    if (plan.tier === "FREE") {
+      // Going free is just not renewing
+      data = { autoRenew: false, nextPlanId: null, nextInterval: null };
+    } else {
+      const nextInterval = interval || sub.interval || "month";
+      if (!SUBSCRIPTION_INTERVALS.includes(nextInterval)) {
+        return res.status(400).json({ message: "Неверный период оплаты." });
+      }
+      if (getPlanPrice(plan, nextInterval) <= 0) {
+        return res.status(400).json({ message: "Неверная цена тарифа." });
+      }
+      if (!sub.autoRenew) {
+        return res.status(400).json({
+          message:
+            "Смена тарифа применяется при автопродлении. Включите автопродление или оформите новый тариф.",
+        });
+      }
+
+      const isCurrent =
+        plan.id === sub.planId && nextInterval === (sub.interval || "month");
+      data = isCurrent
+        ? { nextPlanId: null, nextInterval: null } // Cancels a scheduled change
+        : { nextPlanId: plan.id, nextInterval };
+    }
+
+    const updated = await prisma.userSubscription.update({
+      where: { id: sub.id },
+      data,
+      include: { plan: true, nextPlan: true },
+    });
+
+    res.status(200).json(serializeSubscription(updated));
+  } catch (error) {
+    console.error("Schedule Plan Change Error:", error);
+    res.status(500).json({ message: "Внутренняя ошибка сервера" });
+  }
+};
+
 // --- UNIFIED SUBSCRIPTION CHECKOUT (B2B, B2C, WALLET) ---
 export const initiateSubscriptionCheckout = async (req, res) => {
   try {
     const userId = req.user.id;
     const { planId } = req.params;
-    const { interval, paymentMethod, promoCode } = req.body;
+    const { interval, paymentMethod, promoCode, autoRenew = true } = req.body;
 
     const userEmail = req.user.email || "no-reply@eventomir.ru";
 
@@ -86,10 +236,7 @@ export const initiateSubscriptionCheckout = async (req, res) => {
     }
 
     // 1. Calculate Base Price
-    let price = plan.priceMonthly;
-    if (interval === "half_year" && plan.priceHalfYearly)
-      price = plan.priceHalfYearly;
-    if (interval === "year" && plan.priceYearly) price = plan.priceYearly;
+    let price = getPlanPrice(plan, interval);
 
     if (price <= 0) {
       return res.status(400).json({ message: "Неверная цена тарифа." });
@@ -194,6 +341,7 @@ export const initiateSubscriptionCheckout = async (req, res) => {
               planId,
               interval,
               dueDate: dueDate.toISOString(),
+              inn, // Matched against the payer of the bank transfer
               promoCodeId: appliedPromo?.id || null,
               discountAmount: discountAmount || null,
             },
@@ -286,11 +434,6 @@ export const initiateSubscriptionCheckout = async (req, res) => {
         newEndDate.setFullYear(newEndDate.getFullYear() + 1);
 
       await prisma.$transaction(async (tx) => {
-        await tx.user.update({
-          where: { id: userId },
-          data: { walletBalance: { decrement: price } },
-        });
-
         await tx.walletTransaction.create({
           data: {
             userId: userId,
@@ -310,10 +453,14 @@ export const initiateSubscriptionCheckout = async (req, res) => {
             pricePaid: price,
             promoCodeId: appliedPromo?.id || null,
             discountAmount: discountAmount || null,
+            interval,
+            autoRenew: false, // Only card payments renew on their own
+            ...RENEWAL_RESET,
           },
           create: {
             userId: userId,
             planId: plan.id,
+            interval,
             status: "ACTIVE",
             startDate: new Date(),
             endDate: newEndDate,
@@ -323,7 +470,7 @@ export const initiateSubscriptionCheckout = async (req, res) => {
           },
         });
 
-        await tx.payment.create({
+        const walletPayment = await tx.payment.create({
           data: {
             userId: userId,
             amount: price,
@@ -333,6 +480,16 @@ export const initiateSubscriptionCheckout = async (req, res) => {
           },
         });
 
+        // The ledger refuses to overdraw a wallet that changed meanwhile
+        await transferFunds(tx, {
+          from: walletAccount(userId),
+          to: PLATFORM_ACCOUNTS.revenue,
+          amount: price,
+          kind: "SUBSCRIPTION",
+          description: `Подписка «${plan.name}»`,
+          reference: walletPayment.id,
+        });
+
         if (appliedPromo) {
           await tx.promoCode.update({
             where: { id: appliedPromo.id },
@@ -350,31 +507,43 @@ export const initiateSubscriptionCheckout = async (req, res) => {
     }
 
     // ==========================================
-    // SCENARIO C: B2C CARD ACQUIRING (TINKOFF)
+    // SCENARIO C: B2C CARD ACQUIRING
     // ==========================================
+    const provider = getPaymentProvider();
     const payment = await prisma.payment.create({
       data: {
         userId: userId,
         amount: price,
-        provider: "tinkoff",
+        provider: provider.name,
         status: "PENDING",
-        metadata: { type: "SUBSCRIPTION", planId: plan.id, interval },
+        metadata: {
+          type: "SUBSCRIPTION",
+          planId: plan.id,
+          interval,
+          autoRenew: Boolean(autoRenew),
+        },
       },
     });
 
     try {
-      const tinkoffData = await initTinkoffSubscriptionPayment(
+      // The card is saved for auto-renewal unless the user opted out
+      const gatewayData = await initSubscriptionPayment(
+        provider,
         payment.id,
         price,
         plan.name,
         interval,
-        userEmail,
+        { email: userEmail, phone: user.phone },
+        autoRenew ? userId : null,
       );
 
       await prisma.$transaction(async (tx) => {
         await tx.payment.update({
           where: { id: payment.id },
-          data: { providerTxId: String(tinkoffData.paymentId) },
+          data: {
+            providerTxId: String(gatewayData.paymentId),
+            receipt: gatewayData.receipt,
+          },
         });
 
         if (appliedPromo) {
@@ -391,12 +560,12 @@ export const initiateSubscriptionCheckout = async (req, res) => {
       return res.status(200).json({
         success: true,
         isB2B: false,
-        checkoutUrl: tinkoffData.paymentUrl,
+        checkoutUrl: gatewayData.paymentUrl,
       });
-    } catch (tinkoffError) {
+    } catch (gatewayError) {
       console.error(
-        "TINKOFF INIT FATAL ERROR:",
-        tinkoffError.message || tinkoffError,
+        "PAYMENT GATEWAY INIT FATAL ERROR:",
+        gatewayError.message || gatewayError,
       );
 
       await prisma.$transaction(async (tx) => {
@@ -407,10 +576,15 @@ export const initiateSubscriptionCheckout = async (req, res) => {
       });
 
       return res.status(502).json({
-        message: `Ошибка банка: ${tinkoffError.message || "Сервис временно недоступен"}`,
+        message: `Ошибка банка: ${gatewayError.message || "Сервис временно недоступен"}`,
       });
     }
   } catch (error) {
+    if (error.message === "INSUFFICIENT_FUNDS") {
+      return res
+        .status(400)
+        .json({ message: "Недостаточно средств на балансе кошелька." });
+    }
     console.error("Subscription Checkout Error:", error);
     res.status(500).json({ message: "Внутренняя ошибка сервера" });
   }
@@ -437,38 +611,43 @@ export const initiateWalletTopUp = async (req, res) => {
     const userEmail = user.email || "no-reply@eventomir.ru";
 
     // 1. Create a PENDING payment record
+    const provider = getPaymentProvider();
     const payment = await prisma.payment.create({
       data: {
         userId,
         amount: parsedAmount,
-        provider: "tinkoff",
+        provider: provider.name,
         status: "PENDING",
         metadata: { type: "WALLET_TOPUP" },
       },
     });
 
     try {
-      // 2. Initialize Tinkoff session
+      // 2. Initialize the payment gateway session
       // Note: "customer" is passed as userType for the success/fail redirect URL logic
-      const tinkoffData = await initTinkoffTopUpPayment(
+      const gatewayData = await initTopUpPayment(
+        provider,
         payment.id,
         parsedAmount,
-        userEmail,
+        { email: userEmail, phone: user.phone },
         "customer",
       );
 
-      // 3. Update payment with Tinkoff's internal ID
+      // 3. Update payment with the gateway's internal ID and the fiscal receipt
       await prisma.payment.update({
         where: { id: payment.id },
-        data: { providerTxId: String(tinkoffData.paymentId) },
+        data: {
+          providerTxId: String(gatewayData.paymentId),
+          receipt: gatewayData.receipt,
+        },
       });
 
       return res.status(200).json({
         success: true,
-        checkoutUrl: tinkoffData.paymentUrl,
+        checkoutUrl: gatewayData.paymentUrl,
       });
-    } catch (tinkoffError) {
-      console.error("Tinkoff TopUp Init Error:", tinkoffError);
+    } catch (gatewayError) {
+      console.error("TopUp Init Error:", gatewayError);
 
       await prisma.payment.update({
         where: { id: payment.id },
@@ -476,7 +655,7 @@ export const initiateWalletTopUp = async (req, res) => {
       });
 
       return res.status(502).json({
-        message: `Ошибка банка: ${tinkoffError.message || "Сервис недоступен"}`,
+        message: `Ошибка банка: ${gatewayError.message || "Сервис недоступен"}`,
       });
     }
   } catch (error) {
@@ -1,5 +1,13 @@
 import prisma from "../libs/prisma.js";
-import { initTinkoffRequestPayment } from "../utils/tinkoff.js";
+import {
+  getPaymentProvider,
+  initRequestPayment,
+} from "../services/payment-providers/index.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+} from "../services/ledger.js";
 import "dotenv/config";
 
 // 🚨 MASTER DISPATCHER
@@ -76,7 +84,9 @@ export const createPaidRequest = async (req, res) => {
     // Fetch the Customer Profile ID securely
     const profile = await prisma.customerProfile.findUnique({
       where: { userId: userId },
-      include: { user: { select: { name: true, walletBalance: true } } },
+      include: {
+        user: { select: { name: true, walletBalance: true, phone: true } },
+      },
     });
 
     if (!profile) {
@@ -102,13 +112,7 @@ export const createPaidRequest = async (req, res) => {
       }
 
       const requestRecord = await prisma.$transaction(async (tx) => {
-        // 1. Deduct Balance safely
-        await tx.user.update({
-          where: { id: userId },
-          data: { walletBalance: { decrement: REQUEST_PRICE } },
-        });
-
-        // 2. Create the Request (Status: OPEN immediately)
+        // 1. Create the Request (Status: OPEN immediately)
         const newReq = await tx.paidRequest.create({
           data: {
             customerId: customerProfileId,
@@ -120,7 +124,7 @@ export const createPaidRequest = async (req, res) => {
           },
         });
 
-        // 3. Create Ledger Entry for UI History
+        // 2. Create Wallet History Entry for UI
         await tx.walletTransaction.create({
           data: {
             userId: userId,
@@ -130,8 +134,8 @@ export const createPaidRequest = async (req, res) => {
           },
         });
 
-        // 4. 🚨 FIX: Missing Payment Record! Must create a completed payment for accounting.
-        await tx.payment.create({
+        // 3. 🚨 FIX: Missing Payment Record! Must create a completed payment for accounting.
+        const walletPayment = await tx.payment.create({
           data: {
             userId: userId,
             amount: REQUEST_PRICE,
@@ -141,6 +145,16 @@ export const createPaidRequest = async (req, res) => {
           },
         });
 
+        // 4. Deduct Balance safely (the ledger refuses to overdraw)
+        await transferFunds(tx, {
+          from: walletAccount(userId),
+          to: PLATFORM_ACCOUNTS.revenue,
+          amount: REQUEST_PRICE,
+          kind: "PAID_REQUEST",
+          description: `Публикация заявки: ${category}`,
+          reference: walletPayment.id,
+        });
+
         return newReq;
       });
 
@@ -170,44 +184,49 @@ export const createPaidRequest = async (req, res) => {
         },
       });
 
+      const provider = getPaymentProvider();
       const paymentRecord = await prisma.payment.create({
         data: {
           userId: userId,
           amount: REQUEST_PRICE,
-          provider: "tinkoff",
+          provider: provider.name,
           status: "PENDING",
           paidRequest: { connect: { id: newRequest.id } },
         },
       });
 
       try {
-        // 2. Initialize Tinkoff Session
-        const tinkoffData = await initTinkoffRequestPayment(
+        // 2. Initialize the Payment Gateway Session
+        const gatewayData = await initRequestPayment(
+          provider,
           paymentRecord.id,
           REQUEST_PRICE,
           category,
-          customerEmail,
+          { email: customerEmail, phone: profile.user.phone },
         );
 
-        // 3. Save Tinkoff's TxID to our DB
+        // 3. Save the gateway's TxID and the fiscal receipt to our DB
         await prisma.payment.update({
           where: { id: paymentRecord.id },
-          data: { providerTxId: String(tinkoffData.paymentId) },
+          data: {
+            providerTxId: String(gatewayData.paymentId),
+            receipt: gatewayData.receipt,
+          },
         });
 
         // 4. Return Checkout URL to Frontend
         return res.status(201).json({
           success: true,
           requiresGateway: true,
-          paymentUrl: tinkoffData.paymentUrl,
+          paymentUrl: gatewayData.paymentUrl,
         });
-      } catch (tinkoffError) {
+      } catch (gatewayError) {
         // Rollback internal payment status if gateway API fails
         await prisma.payment.update({
           where: { id: paymentRecord.id },
           data: { status: "FAILED" },
         });
-        throw new Error("TINKOFF_INIT_FAILED");
+        throw new Error("PAYMENT_INIT_FAILED");
       }
     }
 
@@ -215,12 +234,15 @@ export const createPaidRequest = async (req, res) => {
       .status(400)
       .json({ message: "Выбран недопустимый метод оплаты." });
   } catch (error) {
-    if (error.message === "TINKOFF_INIT_FAILED") {
+    if (error.message === "INSUFFICIENT_FUNDS") {
       return res
-        .status(502)
-        .json({
-          message: "Ошибка шлюза оплаты. Пожалуйста, попробуйте позже.",
-        });
+        .status(400)
+        .json({ message: "Недостаточно средств на внутреннем кошельке." });
+    }
+    if (error.message === "PAYMENT_INIT_FAILED") {
+      return res.status(502).json({
+        message: "Ошибка шлюза оплаты. Пожалуйста, попробуйте позже.",
+      });
     }
     console.error("Create Request Error:", error);
     res.status(500).json({ message: "Внутренняя ошибка сервера" });
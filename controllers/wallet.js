@@ -1,5 +1,8 @@
 import prisma from "../libs/prisma.js";
-import { initTinkoffTopUpPayment } from "../utils/tinkoff.js";
+import {
+  getPaymentProvider,
+  initTopUpPayment,
+} from "../services/payment-providers/index.js";
 
 export const topUpWallet = async (req, res) => {
   try {
@@ -15,7 +18,7 @@ export const topUpWallet = async (req, res) => {
         .json({ message: "Минимальная сумма пополнения — 100 руб." });
     }
 
-    // 2. Fetch fresh user data (Email is required for Tinkoff receipts)
+    // 2. Fetch fresh user data (Email is required for fiscal receipts)
     const user = await prisma.user.findUnique({
       where: { id: userId },
       select: { email: true, role: true },
@@ -28,11 +31,12 @@ export const topUpWallet = async (req, res) => {
     const emailToUse = user.email || req.user.email;
 
     // 3. Create Pending Payment Record
+    const provider = getPaymentProvider();
     const payment = await prisma.payment.create({
       data: {
         userId: userId,
         amount: numericAmount,
-        provider: "tinkoff",
+        provider: provider.name,
         status: "PENDING",
         metadata: {
           type: "WALLET_TOPUP",
@@ -42,27 +46,31 @@ export const topUpWallet = async (req, res) => {
     });
 
     try {
-      // 4. Contact Tinkoff
-      const tinkoffData = await initTinkoffTopUpPayment(
+      // 4. Contact the payment gateway
+      const gatewayData = await initTopUpPayment(
+        provider,
         payment.id,
         numericAmount,
-        emailToUse,
+        { email: emailToUse, phone: user.phone },
         userType || user.role,
       );
 
-      // 5. Save Tinkoff's internal TxID (PaymentId)
+      // 5. Save the gateway's internal TxID (PaymentId) and the fiscal receipt
       await prisma.payment.update({
         where: { id: payment.id },
-        data: { providerTxId: String(tinkoffData.paymentId) },
+        data: {
+          providerTxId: String(gatewayData.paymentId),
+          receipt: gatewayData.receipt,
+        },
       });
 
       // 6. Send URL to frontend
       return res.status(200).json({
         success: true,
-        paymentUrl: tinkoffData.paymentUrl,
+        paymentUrl: gatewayData.paymentUrl,
       });
-    } catch (tinkoffError) {
-      console.error("Tinkoff API Error:", tinkoffError);
+    } catch (gatewayError) {
+      console.error("Payment Gateway Error:", gatewayError);
 
       // Cleanup: Mark as failed if the bank gateway couldn't initialize
       await prisma.payment.update({
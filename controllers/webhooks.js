@@ -1,8 +1,47 @@
 import prisma from "../libs/prisma.js";
-import { generateTinkoffToken } from "../utils/tinkoff.js";
+import {
+  getPaymentProvider,
+  getProviderForPayment,
+} from "../services/payment-providers/index.js";
 import { notifyTargetedPerformers } from "./request.js";
 import { invalidateKeys } from "../libs/redis.js";
+import { notifyUser } from "../services/notification.js";
+import { createAuditLog, SYSTEM_ACTORS } from "../services/booking-audit.js";
+import { issueBookingContract } from "../services/booking-contract.js";
+import {
+  escrowReleaseDate,
+  claimEscrow,
+  HELD_ESCROW_STATUSES,
+} from "../services/escrow.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+  externalAccount,
+} from "../services/ledger.js";
+import {
+  recordRenewalFailure,
+  RENEWAL_RESET,
+} from "../services/subscription-renewal.js";
+import {
+  recordWebhookEvent,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+} from "../services/webhook-events.js";
+import {
+  confirmWalletPart,
+  returnWalletPart,
+  sendWalletReceipt,
+} from "../services/wallet-payments.js";
+import {
+  releaseTickets,
+  reclaimTickets,
+} from "../services/ticket-inventory.js";
 
+import { BUYER_TICKETS } from "../services/tickets.js";
+import { recordIncomingTransfer } from "../services/bank-statements.js";
+import { parseIncomingTransfer } from "../services/bank-statement-parsers.js";
 import {
   generateTicketPDF,
   generateSubscriptionReceiptPDF,
@@ -13,385 +52,918 @@ import {
 } from "../mailer/email-sender.js";
 
 // =====================================================================
-// 1. GENERAL PAYMENTS WEBHOOK (Wallet, Requests, Subscriptions via Card)
+// 0. EVENT STORE: every webhook is recorded first, then processed
+// Processors return nothing when they did their job, or a reason code when
+// there was nothing to do; a thrown error marks the event FAILED for replay.
 // =====================================================================
-export const handleTinkoffWebhook = async (req, res) => {
+
+const runWebhookEvent = async (event, processEvent) => {
   try {
-    const payload = req.body;
-    const expectedToken = generateTinkoffToken(payload);
+    const result = await processEvent();
+    await completeWebhookEvent(event.id, result);
+  } catch (error) {
+    console.error(`❌ Webhook event ${event.id} failed:`, error);
+    await failWebhookEvent(event.id, error);
+  }
+};
 
-    if (expectedToken !== payload.Token) {
-      console.error(
-        "🚨 CRITICAL: Invalid Tinkoff Webhook Signature (General)!",
-      );
-      return res.status(200).send("OK");
+const receiveProviderWebhook = async (providerName, channel, body) => {
+  const notification = getPaymentProvider(providerName).verifyWebhook(body);
+
+  if (!notification) {
+    console.error(
+      `🚨 CRITICAL: Invalid ${providerName} Webhook Signature (${channel})!`,
+    );
+  }
+
+  const event = await recordWebhookEvent({
+    provider: providerName,
+    channel,
+    payload: body,
+    externalId: notification?.paymentId,
+    eventStatus: notification?.status,
+    signatureValid: Boolean(notification),
+  });
+
+  // Forged, or a redelivery of something already handled
+  if (!event || !notification) return;
+
+  await runWebhookEvent(event, () =>
+    channel === "EVENT_TICKET"
+      ? processEventTicketNotification(notification, providerName)
+      : processPaymentNotification(notification, providerName),
+  );
+};
+
+// Acknowledge whatever we managed to store; only a webhook that couldn't even
+// be recorded is refused, so that the bank delivers it again
+const respondToWebhook = (receive) => async (req, res) => {
+  try {
+    await receive(req.body);
+    res.status(200).send("OK");
+  } catch (error) {
+    console.error("Webhook Error:", error);
+    res.status(500).send("ERROR");
+  }
+};
+
+/**
+ * Runs a stored FAILED/IGNORED event through its processor again.
+ * Acquiring payloads are re-verified, so a replay can't do more than the
+ * original delivery could. Returns the updated event, or null when the event
+ * is not (or no longer) replayable.
+ */
+export const replayWebhookEvent = async (eventId) => {
+  const event = await claimWebhookEvent(eventId);
+  if (!event) return null;
+
+  await runWebhookEvent(event, () => {
+    if (event.channel === "B2B_INVOICE") {
+      return processB2BInvoicePayment(event.payload);
     }
 
-    const orderId = payload.OrderId;
-    const status = payload.Status;
-    const actualAmountRubles = payload.Amount / 100;
-
-    // 🚨 FIX: Deep include through Profiles
-    const payment = await prisma.payment.findUnique({
-      where: { id: orderId },
-      include: {
-        user: true,
-        paidRequest: {
-          include: {
-            customer: { include: { user: true } },
-          },
+    const notification = getPaymentProvider(event.provider).verifyWebhook(
+      event.payload,
+    );
+    if (!notification) throw new Error("Stored payload failed verification");
+
+    return event.channel === "EVENT_TICKET"
+      ? processEventTicketNotification(notification, event.provider)
+      : processPaymentNotification(notification, event.provider);
+  });
+
+  return prisma.webhookEvent.findUnique({ where: { id: eventId } });
+};
+
+/**
+ * Applies a payment state fetched from the provider (see
+ * services/payment-reconciliation.js) exactly as a webhook with that status
+ * would have been applied.
+ * @param {{status: string, amount: number}} state - From provider.getState
+ */
+export const applyProviderPaymentState = (payment, state) => {
+  const provider = getProviderForPayment(payment);
+  const notification = {
+    orderId: payment.id,
+    paymentId: payment.providerTxId,
+    status: state.status,
+    amount: state.amount,
+  };
+
+  return payment.metadata?.type === "EVENT_TICKET"
+    ? processEventTicketNotification(
+        { ...notification, orderId: payment.metadata.orderId },
+        provider.name,
+      )
+    : processPaymentNotification(notification, provider.name);
+};
+
+// PENDING → COMPLETED, once: redeliveries and reconciliation race the webhook
+const completePendingPayment = async (tx, payment) => {
+  const { count } = await tx.payment.updateMany({
+    where: { id: payment.id, status: "PENDING" },
+    data: { status: "COMPLETED" },
+  });
+  return count > 0;
+};
+
+// =====================================================================
+// 1. GENERAL PAYMENTS WEBHOOK (Wallet, Requests, Subscriptions via Card)
+// Mounted once per payment provider: /api/webhooks/<provider>
+// =====================================================================
+export const handlePaymentWebhook = (providerName) =>
+  respondToWebhook((body) =>
+    receiveProviderWebhook(providerName, "PAYMENT", body),
+  );
+
+async function processPaymentNotification(notification, providerName) {
+  const provider = getPaymentProvider(providerName);
+  const { orderId, status } = notification;
+  const actualAmountRubles = notification.amount;
+
+  // 🚨 FIX: Deep include through Profiles
+  const payment = await prisma.payment.findUnique({
+    where: { id: orderId },
+    include: {
+      user: true,
+      paidRequest: {
+        include: {
+          customer: { include: { user: true } },
         },
       },
+    },
+  });
+
+  if (!payment) return "PAYMENT_NOT_FOUND";
+  if (payment.status === "COMPLETED") return "ALREADY_COMPLETED";
+
+  // A signed notification from one provider never settles another's payment
+  if (getProviderForPayment(payment) !== provider) {
+    console.error(
+      `🚨 ${providerName} webhook for a ${payment.provider} payment ignored.`,
+    );
+    return "PROVIDER_MISMATCH";
+  }
+
+  // ==============================================================
+  // SCENARIO : BOOKING ESCROW (TWO-STEP PAYMENT)
+  // Goes through AUTHORIZED before CONFIRMED, so it can't share the branches below
+  // ==============================================================
+  if (payment.metadata?.type === "BOOKING_ESCROW") {
+    return handleBookingEscrowStatus(payment, notification, provider);
+  }
+
+  if (["REJECTED", "CANCELED", "DEADLINE_EXPIRED"].includes(status)) {
+    const { count } = await prisma.payment.updateMany({
+      where: { id: payment.id, status: "PENDING" },
+      data: { status: "FAILED" },
     });
+    if (count === 0) return "ALREADY_FAILED";
 
-    if (!payment || payment.status === "COMPLETED")
-      return res.status(200).send("OK");
+    if (payment.metadata?.renewal) {
+      await recordRenewalFailure(
+        payment.metadata.subscriptionId,
+        `Банк отклонил списание (${status})`,
+      );
+    }
+    return;
+  }
 
-    if (["REJECTED", "CANCELED", "DEADLINE_EXPIRED"].includes(status)) {
-      await prisma.payment.update({
-        where: { id: payment.id },
-        data: { status: "FAILED" },
+  if (status === "CONFIRMED") {
+    const metadata = payment.metadata || {};
+
+    // ==============================================================
+    // SCENARIO : WALLET TOP-UP
+    // ==============================================================
+    if (metadata.type === "WALLET_TOPUP") {
+      const applied = await prisma.$transaction(async (tx) => {
+        if (!(await completePendingPayment(tx, payment))) return false;
+
+        await transferFunds(tx, {
+          from: externalAccount(provider.name),
+          to: walletAccount(payment.userId),
+          amount: actualAmountRubles,
+          kind: "WALLET_TOPUP",
+          description: "Пополнение кошелька картой",
+          reference: payment.id,
+        });
+        await tx.walletTransaction.create({
+          data: {
+            userId: payment.userId,
+            amount: actualAmountRubles,
+            type: "TOPUP",
+            description: `Пополнение кошелька картой`,
+          },
+        });
+        return true;
       });
-      return res.status(200).send("OK");
+      if (!applied) return "ALREADY_COMPLETED";
     }
 
-    if (status === "CONFIRMED") {
-      const metadata = payment.metadata || {};
-
-      // ==============================================================
-      // SCENARIO : BOOKING ESCROW (TWO-STEP PAYMENT)
-      // ==============================================================
-      if (metadata.type === "BOOKING_ESCROW") {
-        const bookingId = metadata.bookingId;
-
-        // STATUS 1: AUTHORIZED (Funds are frozen on client's card. Safe to confirm booking)
-        if (status === "AUTHORIZED") {
-          await prisma.$transaction(async (tx) => {
-            // Idempotency check
-            const paymentCheck = await tx.payment.findUnique({
-              where: { id: payment.id },
-            });
-            if (paymentCheck.escrowStatus === "HELD") return;
-
-            const booking = await tx.bookingRequest.findUnique({
-              where: { id: bookingId },
-            });
-
-            // Calculate automatic release window (e.g., 24h after event starts)
-            const releaseDate = new Date(booking.date);
-            releaseDate.setHours(releaseDate.getHours() + 24);
-
-            // 1. Mark Payment as HELD and store Tinkoff's PaymentId
-            await tx.payment.update({
-              where: { id: payment.id },
-              data: {
-                providerTxId: String(payload.PaymentId),
-                escrowStatus: "HELD",
-                releaseEligible: releaseDate,
-              },
-            });
-
-            // 2. Mark Booking as CONFIRMED
-            await tx.bookingRequest.update({
-              where: { id: bookingId },
-              data: { status: "CONFIRMED" },
-            });
-
-            // 3. Block Performer's Calendar Automatically
-            await tx.performerProfile.update({
-              where: { id: booking.performerId },
-              data: { bookedDates: { push: booking.date } },
-            });
-
-            // 4. Record Audit Log
-            await tx.bookingAuditLog.create({
-              data: {
-                bookingId,
-                actorId: "SYSTEM_WEBHOOK",
-                action: "PAYMENT_AUTHORIZED_FUNDS_HELD",
-                metadata: { providerTxId: String(payload.PaymentId) },
-              },
-            });
-          });
-        }
-
-        // STATUS 2: CONFIRMED (Cron Job successfully captured the funds from T-Bank)
-        else if (status === "CONFIRMED") {
-          await prisma.payment.update({
-            where: { id: payment.id },
-            data: { status: "COMPLETED" }, // Real money is now in platform's bank
-          });
-        }
-
-        // STATUS 3: REFUNDED/REVERSED (Client got their money back)
-        else if (
-          ["REVERSED", "REJECTED", "CANCELED", "REFUNDED"].includes(status)
-        ) {
-          await prisma.payment.update({
-            where: { id: payment.id },
-            data: { status: "FAILED", escrowStatus: "REFUNDED" },
-          });
-          await prisma.bookingRequest.update({
-            where: { id: bookingId },
-            data: { status: "CANCELLED_BY_CUSTOMER" },
-          });
-        }
-
-        return res.status(200).send("OK");
-      }
+    // ==============================================================
+    // SCENARIO : DIRECT PAID REQUEST
+    // ==============================================================
+    else if (payment.paidRequest) {
+      const applied = await prisma.$transaction(async (tx) => {
+        if (!(await completePendingPayment(tx, payment))) return false;
 
-      // ==============================================================
-      // SCENARIO : WALLET TOP-UP
-      // ==============================================================
-      else if (metadata.type === "WALLET_TOPUP") {
-        await prisma.$transaction([
-          prisma.payment.update({
-            where: { id: payment.id },
-            data: { status: "COMPLETED" },
-          }),
-          prisma.user.update({
-            where: { id: payment.userId },
-            data: { walletBalance: { increment: actualAmountRubles } },
-          }),
-          prisma.walletTransaction.create({
-            data: {
-              userId: payment.userId,
-              amount: actualAmountRubles,
-              type: "TOPUP",
-              description: `Пополнение кошелька картой`,
-            },
-          }),
-        ]);
-      }
+        await tx.paidRequest.update({
+          where: { id: payment.paidRequest.id },
+          data: { status: "OPEN" },
+        });
+        await transferFunds(tx, {
+          from: externalAccount(provider.name),
+          to: PLATFORM_ACCOUNTS.revenue,
+          amount: actualAmountRubles,
+          kind: "PAID_REQUEST",
+          description: `Публикация заявки: ${payment.paidRequest.category}`,
+          reference: payment.id,
+        });
+        return true;
+      });
+      if (!applied) return "ALREADY_COMPLETED";
+
+      // 🚨 FIX: Extract name from the deep profile relation
+      const customerName = payment.paidRequest.customer.user.name || "Заказчик";
+      notifyTargetedPerformers(payment.paidRequest, customerName).catch(
+        console.error,
+      );
+    }
+    // ==============================================================
+    // SCENARIO : SUBSCRIPTION PLAN
+    // ==============================================================
+    else if (metadata.type === "SUBSCRIPTION") {
+      const { planId, interval, promoCodeId, discountAmount, renewal } =
+        metadata;
+      let monthsToAdd =
+        interval === "year" ? 12 : interval === "half_year" ? 6 : 1;
+
+      const current = renewal
+        ? await prisma.userSubscription.findUnique({
+            where: { id: metadata.subscriptionId },
+          })
+        : null;
+
+      // A renewal continues the paid period (or restarts it if dunning
+      // outlived it, so the days without access aren't charged for)
+      const startDate =
+        current?.endDate && current.endDate > new Date()
+          ? new Date(current.endDate)
+          : new Date();
+      const endDate = new Date(startDate);
+      endDate.setMonth(startDate.getMonth() + monthsToAdd);
+
+      // Card saved at checkout; renewals keep the one they were charged from
+      const billing = renewal
+        ? {}
+        : {
+            autoRenew: Boolean(metadata.autoRenew && notification.rebillId),
+            rebillId: notification.rebillId || null,
+            cardPan: notification.cardPan || null,
+            billingProvider: notification.rebillId ? provider.name : null,
+          };
+
+      const plan = await prisma.subscriptionPlan.findUnique({
+        where: { id: planId },
+      });
 
-      // ==============================================================
-      // SCENARIO : DIRECT PAID REQUEST
-      // ==============================================================
-      else if (payment.paidRequestId) {
-        await prisma.$transaction([
-          prisma.payment.update({
-            where: { id: payment.id },
-            data: { status: "COMPLETED" },
-          }),
-          prisma.paidRequest.update({
-            where: { id: payment.paidRequestId },
-            data: { status: "OPEN" },
-          }),
-        ]);
-
-        if (payment.paidRequest) {
-          // 🚨 FIX: Extract name from the deep profile relation
-          const customerName =
-            payment.paidRequest.customer.user.name || "Заказчик";
-          notifyTargetedPerformers(payment.paidRequest, customerName).catch(
-            console.error,
-          );
-        }
+      const applied = await prisma.$transaction(async (tx) => {
+        // The job that charged a renewal applies the result too: only one wins
+        if (!(await completePendingPayment(tx, payment))) return false;
+
+        await transferFunds(tx, {
+          from: externalAccount(provider.name),
+          to: PLATFORM_ACCOUNTS.revenue,
+          amount: actualAmountRubles,
+          kind: "SUBSCRIPTION",
+          description: `Подписка «${plan?.name || planId}»`,
+          reference: payment.id,
+        });
+
+        // Clear active subs
+        await tx.userSubscription.updateMany({
+          where: { userId: payment.userId, status: "ACTIVE" },
+          data: { status: "EXPIRED" },
+        });
+
+        await tx.userSubscription.upsert({
+          where: { userId: payment.userId },
+          update: {
+            planId,
+            status: "ACTIVE",
+            startDate,
+            endDate,
+            interval,
+            pricePaid: actualAmountRubles,
+            promoCodeId: promoCodeId || null,
+            discountAmount: discountAmount || null,
+            ...RENEWAL_RESET,
+            ...billing,
+          },
+          create: {
+            userId: payment.userId,
+            planId,
+            status: "ACTIVE",
+            startDate,
+            endDate,
+            interval,
+            pricePaid: actualAmountRubles,
+            promoCodeId: promoCodeId || null,
+            discountAmount: discountAmount || null,
+            ...billing,
+          },
+        });
+        return true;
+      });
+      if (!applied) return "ALREADY_COMPLETED";
+
+      processSubscriptionDelivery(
+        payment,
+        payment.user,
+        plan,
+        actualAmountRubles,
+        interval,
+      ).catch(console.error);
+    }
+  }
+}
+
+// Escrow lifecycle for booking payments (full, deposit or balance)
+async function handleBookingEscrowStatus(payment, notification, provider) {
+  const { status } = notification;
+  const { bookingId } = payment.metadata;
+  const isBalance = payment.bookingPart === "BALANCE";
+
+  // STATUS 1: AUTHORIZED (Funds are frozen on client's card. Safe to confirm booking)
+  if (status === "AUTHORIZED") {
+    const outcome = await prisma.$transaction(async (tx) => {
+      // Idempotency check
+      const paymentCheck = await tx.payment.findUnique({
+        where: { id: payment.id },
+      });
+      // Replaced by a newer checkout of the same booking (see POST /:id/pay)
+      if (
+        paymentCheck.status === "FAILED" &&
+        paymentCheck.escrowStatus === "NONE"
+      ) {
+        return "SUPERSEDED";
       }
-      // ==============================================================
-      // SCENARIO : SUBSCRIPTION PLAN
-      // ==============================================================
-      else if (metadata.type === "SUBSCRIPTION") {
-        const { planId, interval, promoCodeId, discountAmount } = metadata;
-        let monthsToAdd =
-          interval === "year" ? 12 : interval === "half_year" ? 6 : 1;
-
-        const startDate = new Date();
-        const endDate = new Date();
-        endDate.setMonth(startDate.getMonth() + monthsToAdd);
-
-        const plan = await prisma.subscriptionPlan.findUnique({
-          where: { id: planId },
+      if (paymentCheck.escrowStatus !== "AWAITING_PAYMENT") return "DUPLICATE";
+
+      const booking = await tx.bookingRequest.findUnique({
+        where: { id: bookingId },
+      });
+
+      // The booking moved on (expired, cancelled) while the customer was at checkout
+      const expectedStatus = isBalance
+        ? "CONFIRMED"
+        : "PENDING_CUSTOMER_PAYMENT";
+      if (booking.status !== expectedStatus) return "BOOKING_CLOSED";
+
+      // Calculate automatic release window (e.g., 24h after the gig ends)
+      const releaseDate = escrowReleaseDate(booking);
+
+      // 1. Mark Payment as HELD and store the bank's PaymentId
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          providerTxId: notification.paymentId,
+          escrowStatus: "HELD",
+          releaseEligible: releaseDate,
+        },
+      });
+      // ...together with the wallet half of a mixed payment
+      await confirmWalletPart(tx, payment, { releaseEligible: releaseDate });
+
+      await transferFunds(tx, {
+        from: externalAccount(provider.name),
+        to: PLATFORM_ACCOUNTS.escrow,
+        amount: payment.amount,
+        kind: "ESCROW_HOLD",
+        description: `Холдирование по брони #${bookingId.substring(0, 8)}`,
+        reference: payment.id,
+      });
+
+      // 2. Mark Booking as CONFIRMED (this alone blocks the performer's time slot)
+      if (!isBalance) {
+        await tx.bookingRequest.update({
+          where: { id: bookingId },
+          data: { status: "CONFIRMED" },
         });
+      }
 
-        await prisma.$transaction(async (tx) => {
-          await tx.payment.update({
-            where: { id: payment.id },
-            data: { status: "COMPLETED" },
-          });
-
-          // Clear active subs
-          await tx.userSubscription.updateMany({
-            where: { userId: payment.userId, status: "ACTIVE" },
-            data: { status: "EXPIRED" },
-          });
-
-          await tx.userSubscription.upsert({
-            where: { userId: payment.userId },
-            update: {
-              planId,
-              status: "ACTIVE",
-              startDate,
-              endDate,
-              pricePaid: actualAmountRubles,
-              promoCodeId: promoCodeId || null,
-              discountAmount: discountAmount || null,
-            },
-            create: {
-              userId: payment.userId,
-              planId,
-              status: "ACTIVE",
-              startDate,
-              endDate,
-              pricePaid: actualAmountRubles,
-              promoCodeId: promoCodeId || null,
-              discountAmount: discountAmount || null,
-            },
-          });
+      // 3. Record Audit Log
+      await createAuditLog(
+        tx,
+        bookingId,
+        SYSTEM_ACTORS.WEBHOOK,
+        isBalance
+          ? "BALANCE_AUTHORIZED_FUNDS_HELD"
+          : "PAYMENT_AUTHORIZED_FUNDS_HELD",
+        { paymentId: payment.id, providerTxId: notification.paymentId },
+      );
+
+      return "HELD";
+    });
+
+    if (outcome === "DUPLICATE") return "ALREADY_HELD";
+    if (outcome === "HELD") {
+      sendWalletReceipt(payment.metadata?.walletPaymentId).catch(console.error);
+    }
+    if (outcome === "SUPERSEDED") {
+      // The customer paid an abandoned checkout page after all: release it
+      await provider.cancel(notification.paymentId);
+      return "SUPERSEDED_HOLD_RELEASED";
+    }
+
+    if (outcome === "BOOKING_CLOSED") {
+      // Nobody will ever capture this hold: give the money back right away
+      await provider.cancel(notification.paymentId);
+      await prisma.$transaction(async (tx) => {
+        await tx.payment.update({
+          where: { id: payment.id },
+          data: {
+            providerTxId: notification.paymentId,
+            status: "REFUNDED",
+            escrowStatus: "REFUNDED",
+          },
         });
+        await returnWalletPart(
+          tx,
+          payment,
+          `Возврат: бронь #${bookingId.substring(0, 8)} уже закрыта`,
+        );
+        await createAuditLog(
+          tx,
+          bookingId,
+          SYSTEM_ACTORS.WEBHOOK,
+          "PAYMENT_HOLD_RELEASED_BOOKING_CLOSED",
+          { paymentId: payment.id },
+        );
+      });
+    }
 
-        processSubscriptionDelivery(
+    // The booking just got CONFIRMED: issue the service agreement
+    if (outcome === "HELD" && !isBalance) {
+      issueBookingContract(bookingId).catch((err) =>
+        console.error(`❌ Contract for booking ${bookingId} failed:`, err),
+      );
+    }
+  }
+
+  // STATUS 2: CONFIRMED (Funds captured at the bank after settlement)
+  else if (status === "CONFIRMED") {
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: "COMPLETED" }, // Real money is now in platform's bank
+    });
+  }
+
+  // STATUS 3: Authorization failed - the customer can simply try again
+  else if (["REJECTED", "DEADLINE_EXPIRED"].includes(status)) {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.payment.updateMany({
+        where: { id: payment.id, escrowStatus: "AWAITING_PAYMENT" },
+        data: { status: "FAILED", escrowStatus: "NONE" },
+      });
+      if (count > 0) {
+        await returnWalletPart(
+          tx,
           payment,
-          payment.user,
-          plan,
-          actualAmountRubles,
-          interval,
-        ).catch(console.error);
+          `Возврат: оплата брони #${bookingId.substring(0, 8)} картой не прошла`,
+        );
       }
+    });
+  }
+
+  // STATUS 4: REFUNDED/REVERSED (Client got their money back)
+  else if (
+    ["REVERSED", "CANCELED", "REFUNDED", "PARTIAL_REFUNDED"].includes(status)
+  ) {
+    // Our own settlement (release, refund, cancellation) already booked this
+    if (["RELEASED", "REFUNDED"].includes(payment.escrowStatus)) {
+      return "ALREADY_SETTLED";
     }
-    res.status(200).send("OK");
-  } catch (error) {
-    console.error("Webhook Error:", error);
-    res.status(200).send("OK");
+
+    const reversed = { status: "FAILED", escrowStatus: "REFUNDED" };
+
+    const applied = await prisma.$transaction(async (tx) => {
+      // Held in any way (disputed, being released, parked after failed
+      // releases): the escrow gives the money back. The claim is shared with
+      // settleEscrow, so an in-flight settlement can't book it as well.
+      const wasHeld = await claimEscrow(
+        tx,
+        payment.id,
+        HELD_ESCROW_STATUSES,
+        reversed,
+      );
+      if (
+        !wasHeld &&
+        !(await claimEscrow(
+          tx,
+          payment.id,
+          ["NONE", "AWAITING_PAYMENT"],
+          reversed,
+        ))
+      ) {
+        return false; // Settled by us meanwhile
+      }
+
+      await returnWalletPart(
+        tx,
+        payment,
+        `Возврат: банк отменил оплату брони #${bookingId.substring(0, 8)}`,
+      );
+
+      // The bank dropped a live hold: the gig is no longer paid for
+      if (wasHeld) {
+        await transferFunds(tx, {
+          from: PLATFORM_ACCOUNTS.escrow,
+          to: externalAccount(provider.name),
+          amount: payment.amount,
+          kind: "ESCROW_REVERSED",
+          description: `Банк снял холдирование (${status})`,
+          reference: payment.id,
+        });
+        await tx.bookingRequest.update({
+          where: { id: bookingId },
+          data: { status: "CANCELLED_BY_CUSTOMER" },
+        });
+        await createAuditLog(
+          tx,
+          bookingId,
+          SYSTEM_ACTORS.WEBHOOK,
+          "PAYMENT_REVERSED_BY_BANK",
+          { paymentId: payment.id, bankStatus: status },
+        );
+      }
+      return true;
+    });
+    if (!applied) return "ALREADY_SETTLED";
   }
-};
+}
 
 // =====================================================================
-// 2. EVENT TICKETS WEBHOOK
+// 2. EVENT TICKETS WEBHOOK (/api/webhooks/<provider>-event-ticket)
 // =====================================================================
-export const handleTinkoffEventTicketWebhook = async (req, res) => {
-  try {
-    const notification = req.body;
-    const expectedToken = generateTinkoffToken(notification);
+export const handleEventTicketWebhook = (providerName) =>
+  respondToWebhook((body) =>
+    receiveProviderWebhook(providerName, "EVENT_TICKET", body),
+  );
+
+async function processEventTicketNotification(notification, providerName) {
+  const { orderId, status } = notification;
 
-    if (expectedToken !== notification.Token) return res.status(200).send("OK");
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { event: true, user: true, items: true },
+  });
 
-    const orderId = notification.OrderId;
-    const status = notification.Status;
+  if (!order) return "ORDER_NOT_FOUND";
+  if (order.status === "ACTIVE") return "ALREADY_COMPLETED";
 
-    const order = await prisma.order.findUnique({
-      where: { id: orderId },
-      include: { event: true, user: true },
+  // Must be the transaction this order was checked out with
+  if (order.paymentId !== notification.paymentId) {
+    return "TRANSACTION_MISMATCH";
+  }
+
+  if (status === "CONFIRMED") {
+    let applied;
+    try {
+      applied = await confirmTicketOrder(order, notification, providerName);
+    } catch (error) {
+      if (error.message !== "RESERVATION_LOST") throw error;
+      return refundLateTicketPayment(order, notification, providerName);
+    }
+    if (!applied) return "ALREADY_COMPLETED";
+
+    await invalidateKeys([
+      "events:all",
+      `events:${order.eventId}`,
+      "orders:my",
+    ]);
+    processTicketDelivery(order).catch(console.error);
+
+    // The wallet half of a mixed payment counts as paid now as well
+    const cardPayment = await prisma.payment.findFirst({
+      where: { providerTxId: notification.paymentId, provider: providerName },
     });
+    sendWalletReceipt(cardPayment?.metadata?.walletPaymentId).catch(
+      console.error,
+    );
+  } else if (["REJECTED", "CANCELED", "DEADLINE_EXPIRED"].includes(status)) {
+    // The seats were already given back
+    if (["CANCELLED", "EXPIRED"].includes(order.status)) {
+      return "ALREADY_CANCELLED";
+    }
 
-    if (!order || order.status === "ACTIVE") return res.status(200).send("OK");
-
-    if (status === "CONFIRMED") {
-      await prisma.$transaction([
-        prisma.order.update({
-          where: { id: orderId },
-          data: { status: "ACTIVE" },
-        }),
-        prisma.payment.updateMany({
-          where: { providerTxId: String(notification.PaymentId) },
-          data: { status: "COMPLETED" },
-        }),
-      ]);
-
-      await invalidateKeys([
-        "events:all",
-        `events:${order.eventId}`,
-        "orders:my",
-      ]);
-      processTicketDelivery(order).catch(console.error);
-    } else if (["REJECTED", "CANCELED", "DEADLINE_EXPIRED"].includes(status)) {
-      await prisma.$transaction([
-        prisma.order.update({
-          where: { id: orderId },
-          data: { status: "CANCELLED" },
-        }),
-        prisma.event.update({
-          where: { id: order.eventId },
-          data: { availableTickets: { increment: order.ticketCount } },
-        }),
-      ]);
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: orderId, status: order.status },
+        data: { status: "CANCELLED" },
+      });
+      if (count === 0) return false;
+
+      await releaseTickets(tx, order);
+      await tx.payment.updateMany({
+        where: {
+          providerTxId: notification.paymentId,
+          provider: providerName,
+          status: "PENDING",
+        },
+        data: { status: "FAILED" },
+      });
+
+      const cardPayment = await tx.payment.findFirst({
+        where: { providerTxId: notification.paymentId, provider: providerName },
+      });
+      if (cardPayment) {
+        await returnWalletPart(
+          tx,
+          cardPayment,
+          `Возврат: оплата билетов на «${order.event.title}» не прошла`,
+        );
+      }
+      return true;
+    });
+    if (!cancelled) return "ALREADY_CANCELLED";
+  }
+}
+
+// Books a paid ticket order. An order whose reservation expired while the
+// buyer was still paying takes its tickets back; RESERVATION_LOST when it
+// can't (the tickets are gone, or the wallet part was already returned).
+async function confirmTicketOrder(order, notification, providerName) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: { status: "ACTIVE", reservedUntil: null },
+    });
+    if (count === 0) return false;
+
+    const cardPayment = await tx.payment.findFirst({
+      where: { providerTxId: notification.paymentId, provider: providerName },
+    });
+
+    if (order.status === "EXPIRED") {
+      if (cardPayment?.metadata?.walletPaymentId) {
+        throw new Error("RESERVATION_LOST");
+      }
+      await reclaimTickets(tx, order).catch((error) => {
+        throw error.message === "SOLD_OUT"
+          ? new Error("RESERVATION_LOST")
+          : error;
+      });
     }
-    res.status(200).send("OK");
+
+    await tx.payment.updateMany({
+      where: {
+        providerTxId: notification.paymentId,
+        provider: providerName,
+      },
+      data: { status: "COMPLETED" },
+    });
+    if (cardPayment) await confirmWalletPart(tx, cardPayment);
+
+    await transferFunds(tx, {
+      from: externalAccount(providerName),
+      to: PLATFORM_ACCOUNTS.ticketSales,
+      amount: notification.amount,
+      kind: "TICKET_SALE",
+      description: `Билеты (${order.ticketCount} шт.): ${order.event.title}`,
+      reference: order.id,
+    });
+    return true;
+  });
+}
+
+// The payment came through after the reservation expired and the order
+// couldn't be restored: the money goes back where it came from
+async function refundLateTicketPayment(order, notification, providerName) {
+  const { count } = await prisma.payment.updateMany({
+    where: {
+      providerTxId: notification.paymentId,
+      provider: providerName,
+      status: { in: ["PENDING", "FAILED"] },
+    },
+    data: { status: "REFUNDED" },
+  });
+  if (count === 0) return "ALREADY_REFUNDED";
+
+  try {
+    await getPaymentProvider(providerName).refund(notification.paymentId);
   } catch (error) {
-    console.error("Event Webhook Error:", error);
-    res.status(200).send("OK");
+    await prisma.payment.updateMany({
+      where: { providerTxId: notification.paymentId, provider: providerName },
+      data: { status: "FAILED" },
+    });
+    throw error;
   }
-};
+
+  await prisma.$transaction(async (tx) => {
+    const cardPayment = await tx.payment.findFirst({
+      where: { providerTxId: notification.paymentId, provider: providerName },
+    });
+    await returnWalletPart(
+      tx,
+      cardPayment,
+      `Возврат: бронь билетов на «${order.event.title}» истекла до оплаты`,
+    );
+  });
+
+  notifyUser({
+    userId: order.userId,
+    title: "Оплата билетов возвращена",
+    body: `Бронь билетов на «${order.event.title}» истекла до того, как прошла оплата, и восстановить заказ не удалось. Деньги вернутся на карту в течение нескольких дней.`,
+    type: "SYSTEM",
+    data: { url: `/events/${order.eventId}` },
+  }).catch(console.error);
+  return "RESERVATION_LOST_REFUNDED";
+}
 
 // =====================================================================
-// 3. B2B INVOICE SUBSCRIPTION WEBHOOK (Bank Transfer)
+// 3. B2B INVOICES (Bank Transfer)
+// The bank's incoming-transfer webhook and uploaded bank statements
+// (services/bank-statements.js) both settle invoices through settleInvoice
 // =====================================================================
-export const handleTinkoffB2BSubscriptionPurchase = async (req, res) => {
-  try {
-    const payload = req.body;
-    const paymentPurpose = payload.paymentPurpose || "";
-    const amountReceived = parseFloat(payload.amount);
-    const invoiceMatch = paymentPurpose.match(/INV-\d+-\d+/i);
+export const findInvoiceNumber = (text) =>
+  (text || "").match(/INV-\d+-\d+/i)?.[0].toUpperCase();
+
+// Not signed by the bank: stored with signatureValid = null, and anyone can
+// post here, so a transfer only settles the invoice whose amount and payer it
+// matches (see recordIncomingTransfer). Deduplicated per transfer, not per
+// invoice: a second transfer for the same invoice still gets recorded.
+export const handleTinkoffB2BSubscriptionPurchase = respondToWebhook(
+  async (body) => {
+    const { fingerprint } = parseIncomingTransfer(body);
+
+    const event = await recordWebhookEvent({
+      provider: "b2b_invoice",
+      channel: "B2B_INVOICE",
+      payload: body,
+      externalId: fingerprint,
+      eventStatus: "INCOMING",
+      signatureValid: null,
+    });
+    if (!event) return;
 
-    if (!invoiceMatch) return res.status(200).send("OK");
-    const invoiceNumber = invoiceMatch[0];
+    await runWebhookEvent(event, () => processB2BInvoicePayment(body));
+  },
+);
 
-    const paymentRecord = await prisma.payment.findFirst({
-      where: { providerTxId: invoiceNumber, provider: "b2b_invoice" },
-      include: { user: true },
-    });
+async function processB2BInvoicePayment(payload) {
+  return recordIncomingTransfer(payload);
+}
+
+/**
+ * Activates what invoice `invoiceNumber` was issued for (a subscription or a
+ * ticket order) and sends the receipt or the tickets. Returns nothing when it
+ * did, or a reason code. An expired invoice is only settled with `reopen`,
+ * when an admin decides a late transfer still counts.
+ *
+ * @param {string} invoiceNumber
+ * @param {number} amountReceived - Rubles, as booked in the ledger
+ * @param {{reopen?: boolean}} [options]
+ */
+export const settleInvoice = async (
+  invoiceNumber,
+  amountReceived,
+  { reopen = false } = {},
+) => {
+  const paymentRecord = await prisma.payment.findFirst({
+    where: { providerTxId: invoiceNumber, provider: "b2b_invoice" },
+    include: { user: true },
+  });
+  if (paymentRecord) {
+    return settleSubscriptionInvoice(paymentRecord, amountReceived, reopen);
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { invoiceNumber },
+    include: { event: true, user: true, items: true },
+  });
+  if (order) return settleTicketInvoice(order, amountReceived, reopen);
 
-    if (!paymentRecord || paymentRecord.status === "COMPLETED")
-      return res.status(200).send("OK");
+  return "PAYMENT_NOT_FOUND";
+};
 
-    const { planId, interval, promoCodeId, discountAmount } =
-      paymentRecord.metadata || {};
-    const plan = await prisma.subscriptionPlan.findUnique({
-      where: { id: planId },
+async function settleSubscriptionInvoice(
+  paymentRecord,
+  amountReceived,
+  reopen,
+) {
+  if (paymentRecord.status === "COMPLETED") return "ALREADY_COMPLETED";
+  if (paymentRecord.status === "FAILED" && !reopen) return "INVOICE_EXPIRED";
+  if (paymentRecord.status === "REFUNDED") return "INVOICE_REFUNDED";
+
+  const invoiceNumber = paymentRecord.providerTxId;
+  const { planId, interval, promoCodeId, discountAmount } =
+    paymentRecord.metadata || {};
+  const plan = await prisma.subscriptionPlan.findUnique({
+    where: { id: planId },
+  });
+
+  let monthsToAdd = interval === "year" ? 12 : interval === "half_year" ? 6 : 1;
+  const startDate = new Date();
+  const endDate = new Date();
+  endDate.setMonth(startDate.getMonth() + monthsToAdd);
+
+  const applied = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: paymentRecord.id, status: paymentRecord.status },
+      data: { status: "COMPLETED" },
+    });
+    if (count === 0) return false;
+
+    await transferFunds(tx, {
+      from: externalAccount("bank"),
+      to: PLATFORM_ACCOUNTS.revenue,
+      amount: amountReceived,
+      kind: "SUBSCRIPTION",
+      description: `Подписка «${plan?.name || planId}» по счету ${invoiceNumber}`,
+      reference: paymentRecord.id,
+    });
+    await tx.userSubscription.updateMany({
+      where: { userId: paymentRecord.userId, status: "ACTIVE" },
+      data: { status: "EXPIRED" },
+    });
+    await tx.userSubscription.upsert({
+      where: { userId: paymentRecord.userId },
+      update: {
+        planId,
+        status: "ACTIVE",
+        startDate,
+        endDate,
+        pricePaid: amountReceived,
+        promoCodeId: promoCodeId || null,
+        discountAmount: discountAmount || null,
+        interval,
+        autoRenew: false, // Invoices are paid by hand every period
+        ...RENEWAL_RESET,
+      },
+      create: {
+        userId: paymentRecord.userId,
+        interval,
+        planId,
+        status: "ACTIVE",
+        startDate,
+        endDate,
+        pricePaid: amountReceived,
+        promoCodeId: promoCodeId || null,
+        discountAmount: discountAmount || null,
+      },
     });
+    return true;
+  });
+  if (!applied) return "ALREADY_COMPLETED";
+
+  processSubscriptionDelivery(
+    paymentRecord,
+    paymentRecord.user,
+    plan,
+    amountReceived,
+    interval,
+  ).catch(console.error);
+}
 
-    let monthsToAdd =
-      interval === "year" ? 12 : interval === "half_year" ? 6 : 1;
-    const startDate = new Date();
-    const endDate = new Date();
-    endDate.setMonth(startDate.getMonth() + monthsToAdd);
+async function settleTicketInvoice(order, amountReceived, reopen) {
+  if (order.status === "ACTIVE") return "ALREADY_COMPLETED";
+  if (order.status === "EXPIRED" && !reopen) return "INVOICE_EXPIRED";
+  if (!["AWAITING_BANK_TRANSFER", "EXPIRED"].includes(order.status)) {
+    return "ORDER_NOT_PAYABLE";
+  }
 
-    await prisma.$transaction(async (tx) => {
-      await tx.payment.update({
-        where: { id: paymentRecord.id },
-        data: { status: "COMPLETED" },
+  let applied;
+  try {
+    applied = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: { status: "ACTIVE" },
       });
-      await tx.userSubscription.updateMany({
-        where: { userId: paymentRecord.userId, status: "ACTIVE" },
-        data: { status: "EXPIRED" },
-      });
-      await tx.userSubscription.upsert({
-        where: { userId: paymentRecord.userId },
-        update: {
-          planId,
-          status: "ACTIVE",
-          startDate,
-          endDate,
-          pricePaid: amountReceived,
-          promoCodeId: promoCodeId || null,
-          discountAmount: discountAmount || null,
-        },
-        create: {
-          userId: paymentRecord.userId,
-          planId,
-          status: "ACTIVE",
-          startDate,
-          endDate,
-          pricePaid: amountReceived,
-          promoCodeId: promoCodeId || null,
-          discountAmount: discountAmount || null,
-        },
+      if (count === 0) return false;
+
+      // The seats went back on sale when the invoice expired
+      if (order.status === "EXPIRED") await reclaimTickets(tx, order);
+
+      await transferFunds(tx, {
+        from: externalAccount("bank"),
+        to: PLATFORM_ACCOUNTS.ticketSales,
+        amount: amountReceived,
+        kind: "TICKET_SALE",
+        description: `Билеты (${order.ticketCount} шт.): ${order.event.title}, счет ${order.invoiceNumber}`,
+        reference: order.id,
       });
+      return true;
     });
-
-    processSubscriptionDelivery(
-      paymentRecord,
-      paymentRecord.user,
-      plan,
-      amountReceived,
-      interval,
-    ).catch(console.error);
-    res.status(200).send("OK");
   } catch (error) {
-    console.error("B2B Webhook Error:", error);
-    res.status(200).send("OK");
+    if (error.message === "SOLD_OUT") return "SOLD_OUT";
+    throw error;
   }
-};
+  if (!applied) return "ALREADY_COMPLETED";
+
+  await invalidateKeys(["events:all", `events:${order.eventId}`, "orders:my"]);
+  processTicketDelivery(order).catch(console.error);
+}
 
 // =====================================================================
 // 4. ASYNC MAILER HELPERS
@@ -424,9 +996,20 @@ async function processSubscriptionDelivery(
   }
 }
 
-async function processTicketDelivery(order) {
+export async function processTicketDelivery(order) {
   try {
-    const pdfBuffer = await generateTicketPDF(order, order.event, order.user);
+    // One page per ticket the buyer holds
+    const tickets =
+      order.tickets ??
+      (await prisma.ticket.findMany({
+        where: { orderId: order.id, ...BUYER_TICKETS.where },
+        orderBy: BUYER_TICKETS.orderBy,
+      }));
+    const pdfBuffer = await generateTicketPDF(
+      { ...order, tickets },
+      order.event,
+      order.user,
+    );
     await sendTicketEmail(
       order.user.email,
       order.user.name,
@@ -0,0 +1,164 @@
+import cron from "node-cron";
+import prisma from "../libs/prisma.js";
+import { notifyUser } from "../services/notification.js";
+import { SYSTEM_ACTORS } from "../services/booking-audit.js";
+import { settleBookingEscrow } from "../services/escrow.js";
+import { returnWalletPart } from "../services/wallet-payments.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const REMINDER_HOURS = Number(process.env.BOOKING_BALANCE_REMINDER_HOURS) || 72;
+const GRACE_HOURS = Number(process.env.BOOKING_BALANCE_GRACE_HOURS) || 24;
+
+const shortId = (booking) => booking.id.split("-")[0];
+
+/**
+ * Rule for an unpaid balance: once `balanceDueAt` + grace has passed, the booking
+ * is cancelled as if by the customer and the deposit goes to the performer in full
+ * (the date was kept free for them). The unpaid balance record is closed as FAILED.
+ */
+const cancelForUnpaidBalance = async (booking, balance) => {
+  const heldDeposits = booking.payments.filter(
+    (p) => p.escrowStatus === "HELD" && p.bookingPart === "DEPOSIT",
+  );
+
+  const result = await settleBookingEscrow(heldDeposits, {
+    captureAmount: Infinity,
+    actorId: SYSTEM_ACTORS.CRON,
+    action: "BALANCE_OVERDUE_CANCELLED",
+    bookingStatus: "CANCELLED_BY_CUSTOMER",
+    metadata: {
+      balancePaymentId: balance.id,
+      balanceDueAt: booking.balanceDueAt.toISOString(),
+    },
+    withinTransaction: async (tx) => {
+      await tx.payment.update({
+        where: { id: balance.id },
+        data: { status: "FAILED", escrowStatus: "NONE" },
+      });
+      // The wallet part of an unfinished mixed attempt goes back
+      await returnWalletPart(
+        tx,
+        balance,
+        `Возврат: бронь #${shortId(booking)} отменена`,
+      );
+      await tx.bookingRequest.update({
+        where: { id: booking.id },
+        data: {
+          cancelledById: SYSTEM_ACTORS.CRON,
+          cancellationReason: "Остаток не оплачен в срок",
+        },
+      });
+    },
+  });
+
+  notifyUser({
+    userId: booking.customerId,
+    title: "🚫 Бронирование отменено",
+    body: `Остаток по брони #${shortId(booking)} не был оплачен в срок. Бронирование отменено, предоплата не возвращается.`,
+    type: "BOOKING_UPDATE",
+    data: { url: "/bookings", bookingId: booking.id },
+  }).catch(console.error);
+
+  notifyUser({
+    userId: booking.performer.userId,
+    title: "🚫 Бронирование отменено",
+    body: `Заказчик не оплатил остаток по брони #${shortId(booking)}. Предоплата ${result.performerShare} ₽ зачислена на ваш баланс.`,
+    type: "BOOKING_UPDATE",
+    data: { url: "/bookings", bookingId: booking.id },
+  }).catch(console.error);
+};
+
+export const startBookingBalanceCron = () => {
+  // Run every hour at minute 30 (offset from the other hourly jobs)
+  cron.schedule("30 * * * *", async () => {
+    console.log("⏳ [CRON] Checking booking balance payments...");
+
+    try {
+      const now = new Date();
+
+      // Confirmed on a deposit, balance still not held
+      const bookings = await prisma.bookingRequest.findMany({
+        where: {
+          status: "CONFIRMED",
+          balanceDueAt: { not: null },
+          payments: {
+            some: { bookingPart: "BALANCE", escrowStatus: { not: "HELD" } },
+          },
+        },
+        include: {
+          performer: true,
+          payments: { where: { escrowStatus: { not: "NONE" } } },
+        },
+      });
+
+      let remindedCount = 0;
+      let cancelledCount = 0;
+
+      for (const booking of bookings) {
+        try {
+          const balance = await prisma.payment.findFirst({
+            where: {
+              bookingId: booking.id,
+              bookingPart: "BALANCE",
+              depositPayment: { escrowStatus: "HELD" },
+            },
+          });
+          if (!balance || balance.escrowStatus === "HELD") continue;
+
+          const dueAt = booking.balanceDueAt;
+
+          // 1. Overdue: apply the cancellation rule
+          if (dueAt.getTime() + GRACE_HOURS * HOUR <= now.getTime()) {
+            // Customer is at the bank's checkout right now: give it one more run
+            if (
+              balance.escrowStatus === "AWAITING_PAYMENT" &&
+              balance.updatedAt.getTime() > now.getTime() - HOUR
+            ) {
+              continue;
+            }
+
+            await cancelForUnpaidBalance(booking, balance);
+            cancelledCount++;
+            continue;
+          }
+
+          // 2. Due soon: remind the customer once
+          if (
+            !booking.balanceReminderSentAt &&
+            dueAt.getTime() - REMINDER_HOURS * HOUR <= now.getTime()
+          ) {
+            // Conditional, so an overlapping run (or another instance)
+            // doesn't remind twice
+            const { count } = await prisma.bookingRequest.updateMany({
+              where: { id: booking.id, balanceReminderSentAt: null },
+              data: { balanceReminderSentAt: now },
+            });
+            if (count === 0) continue;
+
+            notifyUser({
+              userId: booking.customerId,
+              title: "💳 Напоминание об оплате остатка",
+              body: `Оплатите остаток ${balance.metadata?.balanceTotal ?? balance.amount} ₽ по брони #${shortId(booking)} до ${dueAt.toLocaleString("ru-RU", { timeZone: "Europe/Moscow" })}, иначе бронирование будет отменено.`,
+              type: "BOOKING_UPDATE",
+              data: { url: "/bookings", bookingId: booking.id },
+            }).catch(console.error);
+
+            remindedCount++;
+          }
+        } catch (err) {
+          console.error(
+            `❌ [CRON] Failed to process balance for booking ${booking.id}:`,
+            err,
+          );
+        }
+      }
+
+      console.log(
+        `✅ [CRON] Balance reminders sent: ${remindedCount}, bookings cancelled: ${cancelledCount}.`,
+      );
+    } catch (error) {
+      console.error("❌ [CRON] Error during balance sweep:", error);
+    }
+  });
+};
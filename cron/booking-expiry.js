@@ -0,0 +1,181 @@
+import cron from "node-cron";
+import prisma from "../libs/prisma.js";
+import { notifyUser } from "../services/notification.js";
+import { createAuditLog, SYSTEM_ACTORS } from "../services/booking-audit.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Deadlines are counted from the last move in the deal (hours, overridable via env)
+const APPROVAL_TTL_HOURS = Number(process.env.BOOKING_APPROVAL_TTL_HOURS) || 72;
+const NEGOTIATION_TTL_HOURS =
+  Number(process.env.BOOKING_NEGOTIATION_TTL_HOURS) || 72;
+const PAYMENT_TTL_HOURS = Number(process.env.BOOKING_PAYMENT_TTL_HOURS) || 48;
+const WARNING_HOURS = Number(process.env.BOOKING_EXPIRY_WARNING_HOURS) || 12;
+
+// Don't pull the rug from under a customer who is on the bank's checkout page
+const CHECKOUT_GRACE_HOURS = 1;
+
+const TTL_BY_STATUS = {
+  PENDING_PERFORMER_APPROVAL: APPROVAL_TTL_HOURS,
+  NEGOTIATING: NEGOTIATION_TTL_HOURS,
+  PENDING_CUSTOMER_PAYMENT: PAYMENT_TTL_HOURS,
+};
+
+const EXPIRABLE_STATUSES = Object.keys(TTL_BY_STATUS);
+
+// The request is only created by the customer, later moves are offers
+const lastActivityAt = (booking) => {
+  if (booking.status === "PENDING_PERFORMER_APPROVAL") return booking.createdAt;
+
+  const latestOffer = booking.offers[0];
+  return latestOffer
+    ? latestOffer.respondedAt || latestOffer.createdAt
+    : booking.updatedAt;
+};
+
+const deadlineOf = (booking) =>
+  new Date(
+    lastActivityAt(booking).getTime() + TTL_BY_STATUS[booking.status] * HOUR,
+  );
+
+const shortId = (booking) => booking.id.split("-")[0];
+
+const expireBooking = async (booking, reason) => {
+  const expired = await prisma.$transaction(async (tx) => {
+    // Conditional update: skip if someone answered while the sweep was running
+    const { count } = await tx.bookingRequest.updateMany({
+      where: { id: booking.id, status: booking.status },
+      data: { status: "EXPIRED" },
+    });
+    if (count === 0) return false;
+
+    await tx.bookingOffer.updateMany({
+      where: { bookingId: booking.id, status: "PENDING" },
+      data: { status: "EXPIRED" },
+    });
+
+    await createAuditLog(
+      tx,
+      booking.id,
+      SYSTEM_ACTORS.CRON,
+      "BOOKING_EXPIRED",
+      {
+        reason,
+        previousStatus: booking.status,
+      },
+    );
+
+    return true;
+  });
+
+  if (!expired) return false;
+
+  const body =
+    reason === "EVENT_DATE_PASSED"
+      ? `Заявка #${shortId(booking)} закрыта: дата мероприятия уже прошла.`
+      : `Заявка #${shortId(booking)} закрыта: никто не ответил в установленный срок.`;
+
+  for (const userId of [booking.customerId, booking.performer.userId]) {
+    notifyUser({
+      userId,
+      title: "⌛ Срок заявки истек",
+      body,
+      type: "BOOKING_UPDATE",
+      data: { url: "/bookings", bookingId: booking.id },
+    }).catch(console.error);
+  }
+
+  return true;
+};
+
+export const startBookingExpiryCron = () => {
+  // Run every 15 minutes
+  cron.schedule("*/15 * * * *", async () => {
+    console.log("⏳ [CRON] Running Booking Expiry Sweeper...");
+
+    try {
+      const now = new Date();
+
+      const pendingBookings = await prisma.bookingRequest.findMany({
+        where: {
+          status: { in: EXPIRABLE_STATUSES },
+          payments: {
+            none: {
+              escrowStatus: "AWAITING_PAYMENT",
+              createdAt: { gt: new Date(now - CHECKOUT_GRACE_HOURS * HOUR) },
+            },
+          },
+        },
+        include: {
+          performer: true,
+          offers: { orderBy: { createdAt: "desc" }, take: 1 },
+        },
+      });
+
+      let expiredCount = 0;
+      let warnedCount = 0;
+
+      for (const booking of pendingBookings) {
+        try {
+          const eventStart = booking.startTime || booking.date;
+          const deadline = deadlineOf(booking);
+
+          // 1. Event already happened (or started) - nothing left to agree on
+          if (eventStart <= now) {
+            if (await expireBooking(booking, "EVENT_DATE_PASSED"))
+              expiredCount++;
+            continue;
+          }
+
+          // 2. Somebody stopped answering
+          if (deadline <= now) {
+            if (await expireBooking(booking, "NO_RESPONSE")) expiredCount++;
+            continue;
+          }
+
+          // 3. Remind the performer once before their request is closed
+          const closesAt = new Date(Math.min(deadline, eventStart));
+          const warnAt = new Date(closesAt - WARNING_HOURS * HOUR);
+          if (
+            booking.status === "PENDING_PERFORMER_APPROVAL" &&
+            !booking.expiryWarnedAt &&
+            warnAt <= now
+          ) {
+            // Conditional, so an overlapping run (or another instance)
+            // doesn't warn twice
+            const { count } = await prisma.bookingRequest.updateMany({
+              where: {
+                id: booking.id,
+                status: "PENDING_PERFORMER_APPROVAL",
+                expiryWarnedAt: null,
+              },
+              data: { expiryWarnedAt: now },
+            });
+            if (count === 0) continue;
+
+            notifyUser({
+              userId: booking.performer.userId,
+              title: "⏰ Заявка скоро истечет",
+              body: `Ответьте на заявку #${shortId(booking)} до ${closesAt.toLocaleString("ru-RU", { timeZone: booking.performer.timezone })}, иначе она будет закрыта автоматически.`,
+              type: "BOOKING_REQUEST",
+              data: { url: "/bookings", bookingId: booking.id },
+            }).catch(console.error);
+
+            warnedCount++;
+          }
+        } catch (err) {
+          console.error(
+            `❌ [CRON] Failed to process booking ${booking.id}:`,
+            err,
+          );
+        }
+      }
+
+      console.log(
+        `✅ [CRON] Expired ${expiredCount} bookings, warned ${warnedCount} performers.`,
+      );
+    } catch (error) {
+      console.error("❌ [CRON] Error during booking expiry sweep:", error);
+    }
+  });
+};
@@ -0,0 +1,28 @@
+import cron from "node-cron";
+import { withLock } from "../libs/redis.js";
+import { expireOverdueInvoices } from "../services/bank-statements.js";
+
+const LOCK_TTL_SECONDS = 15 * 60;
+
+export const startInvoiceExpiryCron = () => {
+  // Every day at 06:00, after the night's bank statements are usually in
+  cron.schedule("0 6 * * *", async () => {
+    try {
+      const stats = await withLock(
+        "cron:invoice-expiry",
+        LOCK_TTL_SECONDS,
+        expireOverdueInvoices,
+      );
+      if (!stats) {
+        console.log("⏭️ [CRON] Invoice expiry running elsewhere.");
+        return;
+      }
+
+      console.log(
+        `✅ [CRON] Overdue invoices: ${stats.SUBSCRIPTIONS} subscriptions, ${stats.ORDERS} ticket orders expired, ${stats.ERROR} errors.`,
+      );
+    } catch (error) {
+      console.error("❌ Invoice Expiry Cron Error:", error);
+    }
+  });
+};
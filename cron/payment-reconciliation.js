@@ -0,0 +1,71 @@
+import cron from "node-cron";
+import { withLock } from "../libs/redis.js";
+import {
+  reconcilePendingPayments,
+  buildReconciliationReport,
+} from "../services/payment-reconciliation.js";
+import { notifyAdmins } from "../services/notification.js";
+
+// One provider call per payment: a batch finishes well within this
+const LOCK_TTL_SECONDS = 15 * 60;
+const REPORT_LOCK_TTL_SECONDS = 60 * 60;
+
+const runDailyReport = async () => {
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const report = await buildReconciliationReport(yesterday);
+  const day = report.reportDate.toISOString().slice(0, 10);
+
+  console.log(
+    `✅ [CRON] Reconciliation report ${day}: ${report.checked} payments, ${report.mismatchCount} mismatches.`,
+  );
+
+  if (report.mismatchCount > 0) {
+    notifyAdmins({
+      title: "⚠️ Расхождения в платежах",
+      body: `Сверка за ${day}: ${report.mismatchCount} расхождений с банком. Скачайте отчет в админ-панели.`,
+      data: { url: "/admin/reconciliation", reportId: report.id },
+    }).catch(console.error);
+  }
+};
+
+export const startPaymentReconciliationCron = () => {
+  // Every 15 minutes: payments whose webhook never arrived
+  cron.schedule("*/15 * * * *", async () => {
+    try {
+      const stats = await withLock(
+        "cron:payment-reconciliation",
+        LOCK_TTL_SECONDS,
+        reconcilePendingPayments,
+      );
+      if (!stats) {
+        console.log("⏭️ [CRON] Payment reconciliation running elsewhere.");
+        return;
+      }
+
+      console.log(
+        `✅ [CRON] Reconciliation: ${stats.APPLIED} applied, ${stats.UNCHANGED} unchanged, ${stats.WAITING} waiting, ${stats.ABANDONED} abandoned, ${stats.ERROR} errors.`,
+      );
+    } catch (error) {
+      console.error("❌ Payment Reconciliation Cron Error:", error);
+    }
+  });
+
+  // Every day at 04:30: yesterday's mismatch report
+  cron.schedule("30 4 * * *", async () => {
+    console.log("📊 [CRON] Building payment reconciliation report...");
+
+    try {
+      const ran = await withLock(
+        "cron:reconciliation-report",
+        REPORT_LOCK_TTL_SECONDS,
+        () => runDailyReport().then(() => true),
+      );
+      if (!ran)
+        console.log("⏭️ [CRON] Reconciliation report running elsewhere.");
+    } catch (error) {
+      console.error("❌ Reconciliation Report Cron Error:", error);
+    }
+  });
+};
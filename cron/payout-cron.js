@@ -1,58 +1,189 @@
 import cron from "node-cron";
 import prisma from "../libs/prisma.js";
-import { confirmTinkoffPayment } from "../utils/tinkoff.js";
+import { withLock } from "../libs/redis.js";
+import { releaseEscrow, claimEscrow } from "../services/escrow.js";
+import { createAuditLog, SYSTEM_ACTORS } from "../services/booking-audit.js";
+import { notifyUser, notifyAdmins } from "../services/notification.js";
 
-// Run every hour
-cron.schedule("0 * * * *", async () => {
-  console.log("🔒 Checking T-Bank Escrow Releases...");
+const MAX_RELEASE_ATTEMPTS = 5;
+const BASE_BACKOFF_MINUTES = 15; // 15m, 30m, 1h, 2h ...
+const MAX_BACKOFF_MINUTES = 12 * 60;
+
+// A claim older than this means the process died between T-Bank and our DB
+const STUCK_RELEASE_MINUTES = 60;
+
+// Longer than any realistic run, short enough to recover from a crashed instance
+const LOCK_TTL_SECONDS = 30 * 60;
+
+const backoffDate = (attempt) => {
+  const minutes = Math.min(
+    BASE_BACKOFF_MINUTES * 2 ** (attempt - 1),
+    MAX_BACKOFF_MINUTES,
+  );
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+const shortId = (bookingId) => bookingId.split("-")[0];
+
+// Park a payment for manual handling and tell the admins why. Only our own
+// claim: the bank may have reversed the payment in the meantime.
+const markReleaseFailed = async (payment, reason, extra = {}) => {
+  const parked = await prisma.$transaction(async (tx) => {
+    const claimed = await claimEscrow(tx, payment.id, ["RELEASING"], {
+      escrowStatus: "RELEASE_FAILED",
+      nextReleaseAttempt: null,
+      releaseError: reason,
+      ...extra,
+    });
+    if (!claimed) return false;
+
+    await createAuditLog(
+      tx,
+      payment.bookingId,
+      SYSTEM_ACTORS.CRON,
+      "ESCROW_RELEASE_FAILED",
+      { paymentId: payment.id, reason },
+    );
+    return true;
+  });
+  if (!parked) return;
+
+  notifyAdmins({
+    title: "🚨 Не удалось выплатить эскроу",
+    body: `Платеж по брони #${shortId(payment.bookingId)} требует ручной обработки: ${reason}`,
+    data: { url: "/admin/payouts", paymentId: payment.id },
+  }).catch(console.error);
+};
+
+const releasePayment = async (payment) => {
+  // 1. Claim: only one worker may capture a given payment, ever
+  const claimed = await claimEscrow(prisma, payment.id, ["HELD"], {
+    escrowStatus: "RELEASING",
+  });
+  if (!claimed) return "SKIPPED";
 
   try {
-    const eligiblePayments = await prisma.payment.findMany({
-      where: {
+    // 2. Capture at T-Bank, credit the performer's base User, audit + wallet entry
+    const result = await releaseEscrow(payment.id, {
+      actorId: SYSTEM_ACTORS.CRON,
+      action: "ESCROW_RELEASED",
+      fromStatuses: ["RELEASING"],
+      metadata: { attempt: payment.releaseAttempts + 1 },
+    });
+
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { nextReleaseAttempt: null, releaseError: null },
+    });
+
+    notifyUser({
+      userId: payment.booking.performer.userId,
+      title: "💰 Оплата зачислена",
+      body: `За выступление (бронь #${shortId(payment.bookingId)}) на ваш баланс зачислено ${result.performerShare} ₽.`,
+      type: "BOOKING_UPDATE",
+      data: { url: "/wallet", bookingId: payment.bookingId },
+    }).catch(console.error);
+
+    if (result.specialistShare > 0) {
+      notifyUser({
+        userId: payment.booking.specialist.userId,
+        title: "💰 Оплата зачислена",
+        body: `Ваша доля за выступление (бронь #${shortId(payment.bookingId)}): ${result.specialistShare} ₽.`,
+        type: "BOOKING_UPDATE",
+        data: { url: "/wallet", bookingId: payment.bookingId },
+      }).catch(console.error);
+    }
+
+    return "RELEASED";
+  } catch (err) {
+    const attempt = payment.releaseAttempts + 1;
+    const reason = err.message || "Unknown error";
+
+    // Out of attempts, or T-Bank may already have captured (the failure came
+    // after the bank call): never retry blindly, let a human check
+    if (err.stage !== "BANK" || attempt >= MAX_RELEASE_ATTEMPTS) {
+      await markReleaseFailed(payment, reason, { releaseAttempts: attempt });
+      return "FAILED";
+    }
+
+    // 3. Hand it back to the queue with exponential backoff
+    await prisma.$transaction(async (tx) => {
+      const claimed = await claimEscrow(tx, payment.id, ["RELEASING"], {
         escrowStatus: "HELD",
-        releaseEligible: { lte: new Date() }, // 24h passed since event
-      },
-      include: { booking: true },
+        releaseAttempts: attempt,
+        nextReleaseAttempt: backoffDate(attempt),
+        releaseError: reason,
+      });
+      if (!claimed) return;
+
+      await createAuditLog(
+        tx,
+        payment.bookingId,
+        SYSTEM_ACTORS.CRON,
+        "ESCROW_RELEASE_RETRY_SCHEDULED",
+        { paymentId: payment.id, attempt, reason },
+      );
     });
 
-    for (const payment of eligiblePayments) {
-      try {
-        // 1. Tell T-Bank to Capture the Held Funds
-        // This takes real money from customer and credits it to your platform
-        await confirmTinkoffPayment(payment.providerTxId, payment.amount);
-
-        // 2. Update Internal State & Credit Performer
-        await prisma.$transaction(async (tx) => {
-          await tx.payment.update({
-            where: { id: payment.id },
-            data: { escrowStatus: "RELEASED" }, // Marks logic complete
-          });
-
-          await tx.bookingRequest.update({
-            where: { id: payment.booking.id },
-            data: { status: "FULFILLED" },
-          });
-
-          // Credit Performer's Wallet
-          await tx.user.update({
-            where: { id: payment.booking.performerId },
-            data: { walletBalance: { increment: payment.netAmount } },
-          });
-
-          await tx.walletTransaction.create({
-            data: {
-              userId: payment.booking.performerId,
-              amount: payment.netAmount,
-              type: "PAYOUT",
-              description: `Оплата за выступление (Бронь #${payment.booking.id.split("-")[0]})`,
-            },
-          });
-        });
-      } catch (err) {
-        console.error(`❌ Tinkoff Capture Failed for ${payment.id}:`, err);
-      }
+    return "RETRY";
+  }
+};
+
+const runEscrowRelease = async () => {
+  const now = new Date();
+
+  // Claims that never finished: the capture may or may not have happened at T-Bank
+  const stuck = await prisma.payment.findMany({
+    where: {
+      escrowStatus: "RELEASING",
+      updatedAt: { lt: new Date(now - STUCK_RELEASE_MINUTES * 60 * 1000) },
+    },
+  });
+  for (const payment of stuck) {
+    await markReleaseFailed(
+      payment,
+      "Выплата прервана. Проверьте статус платежа в T-Bank.",
+    );
+  }
+
+  const eligiblePayments = await prisma.payment.findMany({
+    where: {
+      escrowStatus: "HELD", // Disputed escrows are DISPUTED and stay frozen
+      releaseEligible: { lte: now }, // 24h passed since event
+      OR: [{ nextReleaseAttempt: null }, { nextReleaseAttempt: { lte: now } }],
+      booking: { status: { not: "DISPUTED" } },
+    },
+    include: { booking: { include: { performer: true, specialist: true } } },
+    orderBy: { releaseEligible: "asc" },
+  });
+
+  const stats = { RELEASED: 0, RETRY: 0, FAILED: 0, SKIPPED: 0 };
+
+  for (const payment of eligiblePayments) {
+    try {
+      stats[await releasePayment(payment)]++;
+    } catch (err) {
+      console.error(`❌ Escrow release crashed for ${payment.id}:`, err);
     }
-  } catch (error) {
-    console.error("❌ Cron System Error:", error);
   }
-});
+
+  console.log(
+    `✅ [CRON] Escrow: ${stats.RELEASED} released, ${stats.RETRY} to retry, ${stats.FAILED} failed, ${stats.SKIPPED} skipped.`,
+  );
+};
+
+export const startPayoutCron = () => {
+  // Run every hour at minute 5
+  cron.schedule("5 * * * *", async () => {
+    console.log("🔒 Checking T-Bank Escrow Releases...");
+
+    try {
+      const ran = await withLock("cron:escrow-release", LOCK_TTL_SECONDS, () =>
+        runEscrowRelease().then(() => true),
+      );
+      if (!ran) console.log("⏭️ [CRON] Escrow release running elsewhere.");
+    } catch (error) {
+      console.error("❌ Cron System Error:", error);
+    }
+  });
+};
@@ -1,13 +1,45 @@
 import cron from "node-cron";
 import prisma from "../libs/prisma.js";
+import { withLock } from "../libs/redis.js";
+import {
+  renewDueSubscriptions,
+  RENEWAL_GRACE_DAYS,
+} from "../services/subscription-renewal.js";
+
+// One card charge per subscription: a batch finishes well within this
+const RENEWAL_LOCK_TTL_SECONDS = 30 * 60;
 
 export const startSubscriptionCron = () => {
+  // Every hour at minute 30: charge saved cards for subscriptions about to run out
+  cron.schedule("30 * * * *", async () => {
+    try {
+      const stats = await withLock(
+        "cron:subscription-renewal",
+        RENEWAL_LOCK_TTL_SECONDS,
+        renewDueSubscriptions,
+      );
+      if (!stats) {
+        console.log("⏭️ [CRON] Subscription renewal running elsewhere.");
+        return;
+      }
+
+      console.log(
+        `✅ [CRON] Renewals: ${stats.RENEWED} renewed, ${stats.DECLINED} declined, ${stats.PENDING} pending, ${stats.ERROR} errors.`,
+      );
+    } catch (error) {
+      console.error("❌ Subscription Renewal Cron Error:", error);
+    }
+  });
+
   // Run every hour at minute 0 (e.g., 1:00, 2:00, 3:00)
   cron.schedule("0 * * * *", async () => {
     console.log("⏳ [CRON] Running Subscription Expiration Sweeper...");
 
     try {
       const now = new Date();
+      const graceStart = new Date(
+        now.getTime() - RENEWAL_GRACE_DAYS * 24 * 60 * 60 * 1000,
+      );
 
       // 1. Find all active subscriptions that have passed their end date
       const expiredSubscriptions = await prisma.userSubscription.findMany({
@@ -15,6 +47,13 @@ export const startSubscriptionCron = () => {
           status: "ACTIVE", // 🚨 FIX 1: Updated from 'isActive: true' to match new schema
           endDate: { lt: now },
           plan: { tier: { not: "FREE" } }, // Don't downgrade people already on FREE
+          // Still being renewed (charge pending or dunning retries left),
+          // but only for as long as dunning can take
+          NOT: {
+            autoRenew: true,
+            rebillId: { not: null },
+            endDate: { gte: graceStart },
+          },
         },
         include: { user: true },
       });
@@ -0,0 +1,27 @@
+import cron from "node-cron";
+import { withLock } from "../libs/redis.js";
+import { expireTicketReservations } from "../services/ticket-reservations.js";
+
+const LOCK_TTL_SECONDS = 5 * 60;
+
+export const startTicketReservationCron = () => {
+  // Every minute: checkouts whose reservation ran out go back on sale
+  cron.schedule("* * * * *", async () => {
+    try {
+      const stats = await withLock(
+        "cron:ticket-reservations",
+        LOCK_TTL_SECONDS,
+        expireTicketReservations,
+      );
+      if (!stats) return; // Running elsewhere (or Redis is down)
+
+      if (stats.EXPIRED + stats.PAID + stats.ERROR > 0) {
+        console.log(
+          `✅ [CRON] Ticket reservations: ${stats.EXPIRED} expired, ${stats.PAID} paid, ${stats.ERROR} errors.`,
+        );
+      }
+    } catch (error) {
+      console.error("❌ Ticket Reservation Cron Error:", error);
+    }
+  });
+};
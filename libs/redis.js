@@ -1,4 +1,5 @@
 import Redis from "ioredis";
+import crypto from "crypto";
 import "dotenv/config";
 
 const DEFAULT_TTL = 3600 * 24 * 2; // 2 days
@@ -236,3 +237,40 @@ export async function generateUniqueCode() {
       .padStart(2, "0");
   }
 }
+
+// ==========================================
+// 6. DISTRIBUTED LOCKS
+// ==========================================
+
+// Delete the lock only if we still own it (it may have expired and been re-taken)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * Runs `fn` only if this instance acquires the lock, so multi-instance deployments
+ * don't run the same job twice. Returns null (and skips `fn`) when the lock is
+ * taken or Redis is offline: for money-moving jobs, skipping beats double-running.
+ */
+export const withLock = async (name, ttlSeconds, fn) => {
+  if (redis.status !== "ready") {
+    console.warn(`⚠️ Redis offline. Skipping locked job "${name}".`);
+    return null;
+  }
+
+  const key = `lock:${name}`;
+  const token = crypto.randomUUID();
+
+  const acquired = await redis.set(key, token, "EX", ttlSeconds, "NX");
+  if (!acquired) return null;
+
+  try {
+    return await fn();
+  } finally {
+    await redis
+      .eval(RELEASE_LOCK_SCRIPT, 1, key, token)
+      .catch((err) => console.error(`Failed to release lock "${name}":`, err));
+  }
+};
@@ -20,6 +20,23 @@ export const initializeSocket = (httpServer, allowedDomains) => {
   // Attach Redis Adapter for multi-server scaling
   io.adapter(createAdapter(pubClient, subClient));
 
+  // ==========================================
+  // 🎭 SEATING: PUBLIC SEAT AVAILABILITY
+  // ==========================================
+  // A separate namespace, so guests can watch a seat map without logging in
+  // (the auth middleware below only guards the main namespace)
+  io.of("/seats").on("connection", (socket) => {
+    socket.on("watch_event", (eventId) => {
+      if (typeof eventId === "string" && eventId) {
+        socket.join(`event_${eventId}`);
+      }
+    });
+
+    socket.on("unwatch_event", (eventId) => {
+      if (typeof eventId === "string") socket.leave(`event_${eventId}`);
+    });
+  });
+
   // ==========================================
   // MIDDLEWARE: AUTHENTICATION
   // ==========================================
@@ -329,6 +346,35 @@ export const sendSystemNotification = (userId, type, message, data = {}) => {
   });
 };
 
+// ==========================================
+// 🎭 HELPER: BROADCAST SEAT CHANGES
+// ==========================================
+/**
+ * Tells everyone watching an event's seat map which seats changed:
+ * [{ id, status: "available" | "held" | "taken", heldUntil? }].
+ */
+export const emitSeatChanges = (eventId, seats) => {
+  if (!io || seats.length === 0) return;
+
+  io.of("/seats").to(`event_${eventId}`).emit("seats_changed", {
+    eventId,
+    seats,
+  });
+};
+
+// ==========================================
+// 🚪 HELPER: LIVE CHECK-IN COUNTER
+// ==========================================
+/**
+ * Live check-in counter for the host's door dashboard, sent to their personal
+ * room: "checkin_count" { eventId, checkedIn, expected }.
+ */
+export const emitCheckInCount = (userId, counts) => {
+  if (!io || !userId) return;
+
+  io.to(`user_${userId}`).emit("checkin_count", counts);
+};
+
 // Expose the io instance getter if needed elsewhere
 export const getIO = () => {
   if (!io) throw new Error("Socket.io has not been initialized!");
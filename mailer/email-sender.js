@@ -393,6 +393,104 @@ const sendB2BInvoiceEmail = async (
   }
 };
 
+/**
+ * Sends the booking service agreement to one of the parties.
+ * @param {string} toEmail - Customer's or performer's email address.
+ * @param {string} userName - The recipient's name.
+ * @param {string} contractNumber - Unique contract number.
+ * @param {string} eventDate - Human-readable event date.
+ * @param {Buffer} pdfBuffer - The generated contract PDF in memory.
+ */
+const sendBookingContractEmail = async (
+  toEmail,
+  userName,
+  contractNumber,
+  eventDate,
+  pdfBuffer,
+) => {
+  try {
+    const htmlEmail = getTemplate("booking-contract-email", {
+      name: userName || "Пользователь",
+      contractNumber,
+      eventDate,
+      bookingsUrl: `${process.env.WEB_APP_URL || "https://app.eventomir.ru"}/bookings`,
+    });
+
+    const info = await transporter.sendMail({
+      from: `"Eventomir" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Договор оказания услуг № ${contractNumber}`,
+      html: htmlEmail,
+      attachments: [
+        {
+          filename: `Договор_${contractNumber}.pdf`,
+          content: pdfBuffer,
+          contentType: "application/pdf",
+        },
+      ],
+    });
+
+    console.log(
+      `Booking contract email sent to ${toEmail}. Message ID: ${info.messageId}`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in sendBookingContractEmail:", error);
+    return false;
+  }
+};
+
+/**
+ * Sends the refund receipt for (part of) a ticket order.
+ * @param {string} toEmail - The buyer's email address.
+ * @param {string} userName - The buyer's name.
+ * @param {string} eventName - The event title.
+ * @param {object} refund - { ticketCount, amount, remainingTickets }.
+ * @param {Buffer} pdfBuffer - The generated PDF refund receipt in memory.
+ */
+const sendTicketRefundEmail = async (
+  toEmail,
+  userName,
+  eventName,
+  refund,
+  pdfBuffer,
+) => {
+  try {
+    const htmlEmail = getTemplate("ticket-refund-email", {
+      name: userName || "Гость",
+      eventName,
+      ticketCount: refund.ticketCount,
+      amount: Number(refund.amount).toLocaleString("ru-RU"),
+      remainingNote: refund.remainingTickets
+        ? `Остальные билеты (${refund.remainingTickets} шт.) действуют — обновленный билет с новым QR-кодом придет отдельным письмом.`
+        : "",
+      ticketsUrl: `${process.env.WEB_APP_URL || "https://app.eventomir.ru"}/tickets`,
+    });
+
+    const info = await transporter.sendMail({
+      from: `"Eventomir Tickets" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Возврат билетов на мероприятие: ${eventName}`,
+      html: htmlEmail,
+      attachments: [
+        {
+          filename: `Refund_${eventName.replace(/\s+/g, "_")}.pdf`,
+          content: pdfBuffer,
+          contentType: "application/pdf",
+        },
+      ],
+    });
+
+    console.log(
+      `Ticket refund email sent to ${toEmail}. Message ID: ${info.messageId}`,
+    );
+    return true;
+  } catch (error) {
+    console.error("Error in sendTicketRefundEmail:", error);
+    return false;
+  }
+};
+
 export {
   sendVerificationEmail,
   sendModerationStatusEmail,
@@ -402,4 +500,6 @@ export {
   sendTicketEmail,
   sendSubscriptionReceiptEmail,
   sendB2BInvoiceEmail,
+  sendBookingContractEmail,
+  sendTicketRefundEmail,
 };
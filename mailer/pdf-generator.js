@@ -17,137 +17,210 @@ export const generateTicketPDF = async (order, event, user) => {
       doc.on("end", () => resolve(Buffer.concat(buffers)));
       doc.on("error", (err) => reject(err));
 
-      // --- DATA PREPARATION ---
-      // Handle both Order (ticketCode) and Invitation (ticketToken)
-      const secretToken = order.ticketCode || order.ticketToken || order.id;
-      const ticketCount = order.ticketCount || 1;
-      const priceText = order.totalPrice
-        ? `${order.totalPrice} RUB`
-        : "FREE (RSVP)";
-
-      // Ensure date is a valid Date object
-      const eventDate = new Date(event.date);
-      const formattedDate = isNaN(eventDate.getTime())
-        ? "Date TBA"
-        : eventDate.toLocaleDateString("ru-RU");
-
-      // --- TICKET DESIGN ---
-
-      // Logo/Header
-      doc
-        .fillColor("#2563EB")
-        .fontSize(28)
-        .font("Helvetica-Bold")
-        .text("Eventomir", { align: "center" });
-
-      doc
-        .fontSize(10)
-        .fillColor("#6B7280")
-        .text("app.eventomir.ru", { align: "center" });
-
-      doc.moveDown(2);
-
-      // Event Title
-      doc
-        .fillColor("#000000")
-        .fontSize(22)
-        .font("Helvetica-Bold")
-        .text(event.title, { align: "center" });
-
-      doc.moveDown(1);
+      // Orders issue one ticket (and one QR code) per admission, each on its
+      // own page. Older orders and invitations have a single code for all.
+      const tickets = order.tickets?.length ? order.tickets : [null];
+      const unitPrice = (ticket) => {
+        const item = order.items?.find((i) => i.tierId === ticket.tierId);
+        return item
+          ? item.unitPrice
+          : Math.round((order.totalPrice / order.ticketCount) * 100) / 100;
+      };
 
-      // Info Section
-      doc.font("Helvetica").fontSize(12).fillColor("#4B5563");
-      doc.text(
-        `Date: ${formattedDate} ${event.time ? `at ${event.time}` : ""}`,
-        { align: "center" },
+      // Attendee names and tier names are usually in Russian, which Helvetica
+      // can't draw
+      const robotoPath = path.join(
+        process.cwd(),
+        "public",
+        "fonts",
+        "Roboto-Regular.ttf",
       );
-      doc.text(
-        `Location: ${event.city}${event.address ? `, ${event.address}` : ""}`,
-        { align: "center" },
-      );
-
-      doc.moveDown(2);
-
-      // --- TICKET BOX ---
-      const boxTop = doc.y;
-      const boxHeight = 130;
-
-      // Draw Box Background
-      doc
-        .roundedRect(50, boxTop, 495, boxHeight, 10)
-        .fillAndStroke("#F9FAFB", "#E5E7EB");
-
-      // Text inside box
-      doc.fillColor("#000000");
-
-      // Left Column
-      const textX = 70;
-      const textY = boxTop + 20;
-
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(10)
-        .text("TICKET HOLDER", textX, textY);
-      doc
-        .font("Helvetica")
-        .fontSize(12)
-        .text(user.name || "Guest", textX, textY + 15);
-
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(10)
-        .text("ORDER ID", textX, textY + 45);
-      doc
-        .font("Helvetica")
-        .fontSize(11)
-        .text(`#${order.id.slice(0, 8).toUpperCase()}`, textX, textY + 60);
-
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(10)
-        .text("QUANTITY", textX + 180, textY + 45);
-      doc
-        .font("Helvetica")
-        .fontSize(11)
-        .text(`${ticketCount} Ticket(s)`, textX + 180, textY + 60);
-
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(10)
-        .text("PRICE", textX, textY + 85);
-      doc
-        .font("Helvetica")
-        .fontSize(11)
-        .text(priceText, textX, textY + 100);
-
-      // --- QR CODE ---
-      // Generate QR
-      const qrBuffer = await QRCode.toBuffer(secretToken, {
-        errorCorrectionLevel: "H",
-        margin: 1,
-        color: {
-          dark: "#000000",
-          light: "#F9FAFB", // Match box background
-        },
-      });
-
-      // Embed QR (Right aligned in box)
-      doc.image(qrBuffer, 430, boxTop + 15, { width: 100 });
+      const textFont = fs.existsSync(robotoPath) ? "Roboto" : "Helvetica";
+      if (textFont === "Roboto") doc.registerFont("Roboto", robotoPath);
+
+      for (const [index, ticket] of tickets.entries()) {
+        if (index > 0) doc.addPage();
+
+        // --- DATA PREPARATION ---
+        // Handle both Order (ticketCode) and Invitation (ticketToken)
+        const secretToken =
+          ticket?.code || order.ticketCode || order.ticketToken || order.id;
+        const holderName = ticket?.attendeeName || user.name || "Guest";
+        const ticketCount = order.ticketCount || 1;
+        const priceText = !order.totalPrice
+          ? "FREE (RSVP)"
+          : ticket
+            ? `${unitPrice(ticket)} RUB`
+            : `${order.totalPrice} RUB`;
+        // Ticket tiers of the order ("VIP × 2, Стандарт × 1"), if the event has them
+        const tiersText = ticket
+          ? ticket.tierName
+          : order.items?.length
+            ? order.items
+                .map((item) => `${item.tierName} × ${item.quantity}`)
+                .join(", ")
+            : null;
+        // Reserved seats take the tier's place: the zone is implied by the seat
+        const seatsText = ticket
+          ? ticket.seatLabel
+          : order.reservedSeats?.length
+            ? order.reservedSeats
+                .map(
+                  (seat) =>
+                    `${seat.section}, ряд ${seat.row}, место ${seat.number}`,
+                )
+                .join("; ")
+            : null;
+
+        // Ensure date is a valid Date object
+        const eventDate = new Date(event.date);
+        const formattedDate = isNaN(eventDate.getTime())
+          ? "Date TBA"
+          : eventDate.toLocaleDateString("ru-RU");
+
+        // --- TICKET DESIGN ---
+
+        // Logo/Header
+        doc
+          .fillColor("#2563EB")
+          .fontSize(28)
+          .font("Helvetica-Bold")
+          .text("Eventomir", { align: "center" });
+
+        doc
+          .fontSize(10)
+          .fillColor("#6B7280")
+          .text("app.eventomir.ru", { align: "center" });
+
+        doc.moveDown(2);
+
+        // Event Title
+        doc
+          .fillColor("#000000")
+          .fontSize(22)
+          .font("Helvetica-Bold")
+          .text(event.title, { align: "center" });
+
+        doc.moveDown(1);
+
+        // Info Section
+        doc.font("Helvetica").fontSize(12).fillColor("#4B5563");
+        doc.text(
+          `Date: ${formattedDate} ${event.time ? `at ${event.time}` : ""}`,
+          { align: "center" },
+        );
+        doc.text(
+          `Location: ${event.city}${event.address ? `, ${event.address}` : ""}`,
+          { align: "center" },
+        );
 
-      // Footer
-      doc.moveDown(8);
-      doc
-        .fontSize(10)
-        .fillColor("#9CA3AF")
-        .font("Helvetica-Oblique")
-        .text(
-          "This ticket is unique. Please show the QR code at the entrance.",
-          {
-            align: "center",
-            width: 400,
+        doc.moveDown(2);
+
+        // --- TICKET BOX ---
+        const boxTop = doc.y;
+        const boxHeight = 130;
+
+        // Draw Box Background
+        doc
+          .roundedRect(50, boxTop, 495, boxHeight, 10)
+          .fillAndStroke("#F9FAFB", "#E5E7EB");
+
+        // Text inside box
+        doc.fillColor("#000000");
+
+        // Left Column
+        const textX = 70;
+        const textY = boxTop + 20;
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(10)
+          .text("TICKET HOLDER", textX, textY);
+        doc
+          .font(textFont)
+          .fontSize(12)
+          .text(holderName, textX, textY + 15, {
+            width: 170,
+            height: 15,
+            ellipsis: true,
+          });
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(10)
+          .text("ORDER ID", textX, textY + 45);
+        doc
+          .font("Helvetica")
+          .fontSize(11)
+          .text(`#${order.id.slice(0, 8).toUpperCase()}`, textX, textY + 60);
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(10)
+          .text(ticket ? "TICKET" : "QUANTITY", textX + 180, textY + 45);
+        doc
+          .font("Helvetica")
+          .fontSize(11)
+          .text(
+            ticket
+              ? `${index + 1} of ${tickets.length}`
+              : `${ticketCount} Ticket(s)`,
+            textX + 180,
+            textY + 60,
+          );
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(10)
+          .text("PRICE", textX, textY + 85);
+        doc
+          .font("Helvetica")
+          .fontSize(11)
+          .text(priceText, textX, textY + 100);
+
+        if (seatsText || tiersText) {
+          doc
+            .font("Helvetica-Bold")
+            .fontSize(10)
+            .text(seatsText ? "SEATS" : "TICKET TYPE", textX + 180, textY + 85);
+          doc
+            .font(textFont)
+            .fontSize(11)
+            .text(seatsText || tiersText, textX + 180, textY + 100, {
+              width: 170,
+              height: seatsText ? 28 : 14,
+              ellipsis: true,
+            });
+        }
+
+        // --- QR CODE ---
+        // Generate QR
+        const qrBuffer = await QRCode.toBuffer(secretToken, {
+          errorCorrectionLevel: "H",
+          margin: 1,
+          color: {
+            dark: "#000000",
+            light: "#F9FAFB", // Match box background
           },
-        );
+        });
+
+        // Embed QR (Right aligned in box)
+        doc.image(qrBuffer, 430, boxTop + 15, { width: 100 });
+
+        // Footer
+        doc.moveDown(8);
+        doc
+          .fontSize(10)
+          .fillColor("#9CA3AF")
+          .font("Helvetica-Oblique")
+          .text(
+            "This ticket is unique. Please show the QR code at the entrance.",
+            {
+              align: "center",
+              width: 400,
+            },
+          );
+      }
 
       // Finalize
       doc.end();
@@ -816,3 +889,451 @@ export const generateB2BInvoicePDF = (paymentRecord, user, plan, interval) => {
 //     }
 //   });
 // };
+
+// ----------------------------------------------------------------
+// BOOKING SERVICE AGREEMENT (generated when a booking is CONFIRMED)
+// ----------------------------------------------------------------
+const formatRub = (value) =>
+  `${Number(value || 0).toLocaleString("ru-RU", { minimumFractionDigits: 2, maximumFractionDigits: 2 })} руб.`;
+
+const formatDateTimeRu = (date) =>
+  new Date(date).toLocaleString("ru-RU", {
+    timeZone: "Europe/Moscow",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Generates the customer ⇄ performer service agreement for a confirmed booking.
+ * `contract` is a plain snapshot (see services/booking-contract.js), so the same
+ * input always describes the same deal.
+ */
+export const generateBookingContractPDF = (contract) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        margin: 50,
+        size: "A4",
+        info: {
+          Title: `Договор оказания услуг № ${contract.number}`,
+          Author: "Eventomir",
+          CreationDate: new Date(contract.issuedAt),
+        },
+      });
+      const buffers = [];
+
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", (err) => reject(err));
+
+      // 1. FONT CONFIGURATION (Cyrillic)
+      const fontsDir = path.join(process.cwd(), "public", "fonts");
+      const regularFontPath = path.join(fontsDir, "Roboto-Regular.ttf");
+      const boldFontPath = path.join(fontsDir, "Roboto-Bold.ttf");
+
+      if (!fs.existsSync(regularFontPath) || !fs.existsSync(boldFontPath)) {
+        throw new Error("Не удалось загрузить шрифты Roboto из public/fonts/");
+      }
+
+      doc.registerFont("Roboto", regularFontPath);
+      doc.registerFont("Roboto-Bold", boldFontPath);
+
+      const heading = (text) => {
+        doc.moveDown(1);
+        doc.font("Roboto-Bold").fontSize(11).fillColor("#111827").text(text);
+        doc.moveDown(0.3);
+        doc.font("Roboto").fontSize(10).fillColor("#374151");
+      };
+
+      const party = (title, p) => {
+        doc.font("Roboto-Bold").text(title);
+        doc.font("Roboto");
+        doc.text(`Наименование / ФИО: ${p.companyName || p.name || "—"}`);
+        doc.text(`Тип аккаунта: ${p.accountType || "—"}`);
+        doc.text(`ИНН: ${p.inn || "не указан"}`);
+        doc.text(`Email: ${p.email || "—"}`);
+        doc.moveDown(0.5);
+      };
+
+      // 2. TITLE
+      doc
+        .font("Roboto-Bold")
+        .fontSize(16)
+        .fillColor("#111827")
+        .text(`ДОГОВОР ОКАЗАНИЯ УСЛУГ № ${contract.number}`, {
+          align: "center",
+        });
+      doc
+        .font("Roboto")
+        .fontSize(10)
+        .fillColor("#6B7280")
+        .text(`от ${formatDateTimeRu(contract.issuedAt)} (МСК)`, {
+          align: "center",
+        });
+      doc.text("заключен через платформу Eventomir (app.eventomir.ru)", {
+        align: "center",
+      });
+
+      // 3. PARTIES
+      heading("1. Стороны");
+      party("Заказчик:", contract.customer);
+      party("Исполнитель:", contract.performer);
+
+      // 4. SUBJECT
+      heading("2. Предмет договора");
+      doc.text(
+        `Исполнитель обязуется оказать услуги по проведению мероприятия, а Заказчик — оплатить их на условиях настоящего договора.`,
+      );
+      doc.text(`Начало: ${formatDateTimeRu(contract.event.start)} (МСК)`);
+      if (contract.event.end) {
+        doc.text(`Окончание: ${formatDateTimeRu(contract.event.end)} (МСК)`);
+      }
+      doc.text(`Описание: ${contract.event.details || "—"}`);
+
+      // 5. PRICE
+      heading("3. Стоимость и порядок оплаты");
+      doc.text(`Стоимость услуг: ${formatRub(contract.fee)}`);
+      doc.text(
+        `в том числе сервисный сбор платформы: ${formatRub(contract.platformFee)}`,
+      );
+      doc.text(
+        `к выплате Исполнителю: ${formatRub(contract.fee - contract.platformFee)}`,
+      );
+      if (contract.deposit) {
+        doc.text(
+          `Предоплата ${contract.deposit.percent}% (${formatRub(contract.deposit.amount)}) вносится при подтверждении бронирования, остаток (${formatRub(contract.fee - contract.deposit.amount)}) — не позднее ${formatDateTimeRu(contract.deposit.balanceDueAt)} (МСК). При неоплате остатка в срок бронирование отменяется, предоплата не возвращается.`,
+        );
+      }
+      doc.text(
+        "Денежные средства резервируются (холдируются) на карте Заказчика и перечисляются Исполнителю не ранее чем через 24 часа после окончания мероприятия.",
+      );
+
+      // 6. CANCELLATION
+      heading("4. Условия отмены");
+      doc.text(`Политика отмены Исполнителя: ${contract.cancellation.label}.`);
+      contract.cancellation.tiers.forEach((tier) => {
+        doc.text(
+          tier.minDays > 0
+            ? `• отмена Заказчиком не позднее чем за ${tier.minDays} дн. до начала — возврат ${tier.refundPercent}%`
+            : `• отмена Заказчиком в более поздний срок — возврат ${tier.refundPercent}%`,
+        );
+      });
+      doc.text("• отмена Исполнителем — возврат Заказчику 100% в любой срок.");
+      doc.text(
+        "Споры о качестве услуг рассматриваются администрацией платформы до перечисления средств Исполнителю.",
+      );
+
+      // 7. SIGNATURES
+      heading("5. Заключение договора");
+      doc.text(
+        "Договор заключен в электронной форме: Заказчик акцептовал его оплатой, Исполнитель — принятием заявки на платформе. Подлинность документа подтверждается его номером и контрольной суммой, хранящимися на платформе.",
+      );
+
+      doc
+        .moveDown(2)
+        .fontSize(8)
+        .fillColor("#9CA3AF")
+        .text(
+          `Бронирование: ${contract.bookingId} • Документ сформирован автоматически`,
+          { align: "center" },
+        );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// ----------------------------------------------------------------
+// TICKET REFUND RECEIPT
+// ----------------------------------------------------------------
+const REFUND_METHOD_LABELS = {
+  CARD: "на банковскую карту, с которой был оплачен заказ",
+  WALLET: "на баланс кошелька Eventomir",
+  MIXED: (refund) =>
+    `${formatRub(refund.walletAmount)} на баланс кошелька Eventomir, ${formatRub(refund.amount - refund.walletAmount)} на банковскую карту, с которой был оплачен заказ`,
+};
+
+const refundMethodLabel = (refund) => {
+  const label = REFUND_METHOD_LABELS[refund.method];
+  return typeof label === "function" ? label(refund) : label || "—";
+};
+
+/**
+ * Generates the receipt for a (full or partial) refund of a ticket order.
+ */
+export const generateTicketRefundReceiptPDF = (refund, order, event, user) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const buffers = [];
+
+      doc.on("data", (chunk) => buffers.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", (err) => reject(err));
+
+      const fontsDir = path.join(process.cwd(), "public", "fonts");
+      const regularFontPath = path.join(fontsDir, "Roboto-Regular.ttf");
+      const boldFontPath = path.join(fontsDir, "Roboto-Bold.ttf");
+
+      if (!fs.existsSync(regularFontPath) || !fs.existsSync(boldFontPath)) {
+        throw new Error("Не удалось загрузить шрифты Roboto из public/fonts/");
+      }
+
+      doc.registerFont("Roboto", regularFontPath);
+      doc.registerFont("Roboto-Bold", boldFontPath);
+
+      // --- HEADER ---
+      doc
+        .fillColor("#2563EB")
+        .fontSize(28)
+        .font("Roboto-Bold")
+        .text("Eventomir");
+      doc
+        .fillColor("#6B7280")
+        .fontSize(10)
+        .font("Roboto")
+        .text("app.eventomir.ru");
+
+      doc.moveDown(2);
+
+      doc
+        .fillColor("#111827")
+        .fontSize(18)
+        .font("Roboto-Bold")
+        .text("КВИТАНЦИЯ О ВОЗВРАТЕ");
+      doc.fontSize(10).fillColor("#4B5563").font("Roboto");
+      doc.text(`№ ${refund.id.slice(-10).toUpperCase()}`);
+      doc.text(`Дата: ${formatDateTimeRu(refund.createdAt)} (МСК)`);
+      doc.text(`Заказ: ${order.id}`);
+
+      doc.moveDown(2);
+
+      // --- BUYER & EVENT ---
+      doc
+        .font("Roboto-Bold")
+        .fontSize(12)
+        .fillColor("#111827")
+        .text("Покупатель");
+      doc.font("Roboto").fontSize(10).fillColor("#4B5563");
+      doc.text(user.name || "Покупатель");
+      doc.text(user.email);
+
+      doc.moveDown(1);
+
+      doc
+        .font("Roboto-Bold")
+        .fontSize(12)
+        .fillColor("#111827")
+        .text("Мероприятие");
+      doc.font("Roboto").fontSize(10).fillColor("#4B5563");
+      doc.text(event.title);
+      doc.text(
+        `${new Date(event.date).toLocaleDateString("ru-RU")}${event.time ? `, ${event.time}` : ""} · ${event.city}${event.address ? `, ${event.address}` : ""}`,
+      );
+
+      doc.moveDown(2);
+
+      // --- REFUND TABLE ---
+      const tableTop = doc.y;
+      doc.rect(50, tableTop, 495, 25).fill("#F3F4F6");
+
+      doc.fillColor("#6B7280").font("Roboto-Bold").fontSize(10);
+      doc.text("ПОЗИЦИЯ", 60, tableTop + 8);
+      doc.text("КОЛ-ВО", 330, tableTop + 8);
+      doc.text("СУММА", 430, tableTop + 8, { width: 105, align: "right" });
+
+      const itemTop = tableTop + 35;
+      doc.fillColor("#111827").font("Roboto").fontSize(11);
+      doc.text(
+        `Возврат билетов: ${event.title.substring(0, 40)}`,
+        60,
+        itemTop,
+        {
+          width: 260,
+        },
+      );
+      doc.text(String(refund.ticketCount), 330, itemTop);
+      doc.text(formatRub(refund.amount), 430, itemTop, {
+        width: 105,
+        align: "right",
+      });
+
+      doc.moveDown(2);
+      doc.moveTo(330, doc.y).lineTo(545, doc.y).stroke("#E5E7EB");
+      doc.moveDown(1);
+
+      doc.font("Roboto-Bold").fontSize(14).fillColor("#111827");
+      doc.text("ИТОГО К ВОЗВРАТУ:", 250, doc.y, { continued: true });
+      doc.fillColor("#2563EB").text(` ${formatRub(refund.amount)}`);
+
+      doc.moveDown(2);
+      doc.font("Roboto").fontSize(10).fillColor("#4B5563");
+      doc.text(`Способ возврата: ${refundMethodLabel(refund)}.`, 50, doc.y, {
+        width: 495,
+      });
+      if (refund.reason) doc.text(`Причина: ${refund.reason}`, { width: 495 });
+      doc.text(
+        order.status === "REFUNDED"
+          ? "Заказ возвращен полностью, билеты аннулированы."
+          : `Действующих билетов в заказе: ${order.ticketCount}. Прежний QR-код аннулирован, обновленный билет отправлен отдельным письмом.`,
+        { width: 495 },
+      );
+
+      // --- FOOTER ---
+      doc.moveDown(6);
+      doc.fillColor("#9CA3AF").fontSize(9).font("Roboto");
+      doc.text(
+        "Квитанция сформирована автоматически и не является кассовым чеком.",
+        50,
+        doc.y,
+        { align: "center", width: 495 },
+      );
+      doc.text("Eventomir LLC | support@eventomir.ru", {
+        align: "center",
+        width: 495,
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// ----------------------------------------------------------------
+// PAYOUT REGISTRY (covering document for the bank files)
+// ----------------------------------------------------------------
+
+/**
+ * Covering document of a payout registry: who pays, every transfer with the
+ * recipient's details, and the total, for the signatures the bank asks for.
+ */
+export const generatePayoutRegistryPDF = ({ registry, payer }) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "A4", margin: 40 });
+      const buffers = [];
+
+      doc.on("data", (chunk) => buffers.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", (err) => reject(err));
+
+      const fontsDir = path.join(process.cwd(), "public", "fonts");
+      const regularFontPath = path.join(fontsDir, "Roboto-Regular.ttf");
+      const boldFontPath = path.join(fontsDir, "Roboto-Bold.ttf");
+
+      if (!fs.existsSync(regularFontPath) || !fs.existsSync(boldFontPath)) {
+        throw new Error("Не удалось загрузить шрифты Roboto из public/fonts/");
+      }
+
+      doc.registerFont("Roboto", regularFontPath);
+      doc.registerFont("Roboto-Bold", boldFontPath);
+
+      // --- TITLE ---
+      doc.fillColor("#111827").font("Roboto-Bold").fontSize(16);
+      doc.text(
+        `РЕЕСТР ВЫПЛАТ № ${registry.number} от ${new Date(registry.createdAt).toLocaleDateString("ru-RU")}`,
+        { align: "center" },
+      );
+
+      doc.moveDown(1);
+      doc.font("Roboto").fontSize(10);
+      doc.text(
+        `Плательщик: ${payer.name}, ИНН ${payer.inn}, КПП ${payer.kpp}, р/с ${payer.account} в ${payer.bankName}, БИК ${payer.bik}, к/с ${payer.correspondentAccount}`,
+        { width: 515 },
+      );
+
+      doc.moveDown(1.5);
+
+      // --- TRANSFERS TABLE ---
+      const columns = [
+        { title: "№", x: 40, width: 25 },
+        { title: "Получатель", x: 65, width: 150 },
+        { title: "ИНН", x: 215, width: 80 },
+        { title: "Банк, БИК, счет", x: 295, width: 175 },
+        { title: "Сумма, руб.", x: 470, width: 85, align: "right" },
+      ];
+
+      const drawHeader = () => {
+        const top = doc.y;
+        doc.rect(40, top, 515, 20).fill("#F3F4F6");
+        doc.fillColor("#374151").font("Roboto-Bold").fontSize(9);
+        columns.forEach((column) =>
+          doc.text(column.title, column.x + 3, top + 6, {
+            width: column.width - 6,
+            align: column.align || "left",
+          }),
+        );
+        doc.y = top + 26;
+      };
+
+      drawHeader();
+      registry.payouts.forEach((payout, index) => {
+        const cells = [
+          String(index + 1),
+          payout.recipientName,
+          payout.recipientInn,
+          `${payout.bankName ? `${payout.bankName}, ` : ""}БИК ${payout.bankBik}, ${payout.accountNumber}`,
+          Number(payout.amount).toLocaleString("ru-RU", {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+          }),
+        ];
+
+        doc.font("Roboto").fontSize(9);
+        const rowHeight =
+          Math.max(
+            ...cells.map((cell, i) =>
+              doc.heightOfString(cell, { width: columns[i].width - 6 }),
+            ),
+          ) + 8;
+
+        if (doc.y + rowHeight > doc.page.height - 140) {
+          doc.addPage();
+          drawHeader();
+        }
+
+        const top = doc.y;
+        doc.fillColor("#111827").font("Roboto").fontSize(9);
+        cells.forEach((cell, i) =>
+          doc.text(cell, columns[i].x + 3, top + 4, {
+            width: columns[i].width - 6,
+            align: columns[i].align || "left",
+          }),
+        );
+        doc
+          .moveTo(40, top + rowHeight)
+          .lineTo(555, top + rowHeight)
+          .stroke("#E5E7EB");
+        doc.y = top + rowHeight;
+      });
+
+      // --- TOTAL ---
+      doc.moveDown(1);
+      doc.fillColor("#111827").font("Roboto-Bold").fontSize(11);
+      doc.text(
+        `Переводов: ${registry.payoutCount}, на сумму ${formatRub(registry.totalAmount)}`,
+        40,
+        doc.y,
+        { width: 515 },
+      );
+      doc.font("Roboto").fontSize(10);
+      doc.text(numberToWordsRu(registry.totalAmount), { width: 515 });
+
+      // --- SIGNATURES ---
+      doc.moveDown(4);
+      doc.text("Руководитель ____________________ /____________________/", 40);
+      doc.moveDown(2);
+      doc.text("Главный бухгалтер ________________ /____________________/", 40);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
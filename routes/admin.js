@@ -11,8 +11,29 @@ import { verifyAuth } from "../middleware/verify-auth.js";
 import { requireRole } from "../middleware/role-check.js";
 import bcrypt from "bcryptjs";
 import { notifyUser } from "../services/notification.js";
+import { replayWebhookEvent } from "../controllers/webhooks.js";
+import { isReplayable } from "../services/webhook-events.js";
+import {
+  buildReconciliationReport,
+  reconciliationReportToCsv,
+} from "../services/payment-reconciliation.js";
+import { verifyLedger } from "../services/ledger.js";
+import {
+  importBankStatement,
+  listOpenInvoices,
+  assignStatementLine,
+  ignoreStatementLine,
+} from "../services/bank-statements.js";
+import {
+  createPayoutRegistry,
+  exportPayoutRegistry,
+  cancelPayoutRegistry,
+  markPayoutRegistryPaid,
+} from "../services/payout-registry.js";
+import { createUploader, STATEMENT_MIME_TYPES } from "../utils/multer.js";
 
 const router = Router();
+const statementUpload = createUploader(10, STATEMENT_MIME_TYPES);
 
 // Middleware: All routes require authentication
 router.use(verifyAuth);
@@ -417,6 +438,540 @@ router.delete(
   },
 );
 
+// =================================================================
+//                 PAYMENT WEBHOOK EVENTS
+// =================================================================
+
+// Failed events by default; ?status=ALL for everything
+router.get(
+  "/webhooks",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const { status = "FAILED", provider, channel, search } = req.query;
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const where = {};
+      if (status !== "ALL") where.status = status;
+      if (provider) where.provider = provider;
+      if (channel) where.channel = channel;
+      if (search) where.externalId = { contains: search };
+
+      const [events, total] = await prisma.$transaction([
+        prisma.webhookEvent.findMany({
+          where,
+          orderBy: { receivedAt: "desc" },
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.webhookEvent.count({ where }),
+      ]);
+
+      res.json({
+        events: events.map((event) => ({
+          ...event,
+          replayable: isReplayable(event),
+        })),
+        total,
+        page,
+        limit,
+      });
+    } catch (error) {
+      console.error("Fetch webhook events error:", error);
+      res.status(500).json({ message: "Error fetching webhook events" });
+    }
+  },
+);
+
+router.post(
+  "/webhooks/:id/replay",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const event = await prisma.webhookEvent.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!event) {
+        return res.status(404).json({ message: "Webhook event not found" });
+      }
+      if (!isReplayable(event)) {
+        return res.status(409).json({
+          message: `Events in status ${event.status} can't be replayed`,
+        });
+      }
+
+      const replayed = await replayWebhookEvent(event.id);
+      if (!replayed) {
+        return res
+          .status(409)
+          .json({ message: "Event is already being processed" });
+      }
+
+      console.log(
+        `🔁 Webhook event ${event.id} replayed by ${req.user.id}: ${replayed.status}`,
+      );
+      res.json(replayed);
+    } catch (error) {
+      console.error("Replay webhook event error:", error);
+      res.status(500).json({ message: "Error replaying webhook event" });
+    }
+  },
+);
+
+// =================================================================
+//                 PAYMENT RECONCILIATION REPORTS
+// =================================================================
+
+router.get(
+  "/reconciliation/reports",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const reports = await prisma.reconciliationReport.findMany({
+        select: {
+          id: true,
+          reportDate: true,
+          checked: true,
+          mismatchCount: true,
+          generatedAt: true,
+        },
+        orderBy: { reportDate: "desc" },
+        take: Math.min(parseInt(req.query.limit) || 30, 365),
+      });
+      res.json(reports);
+    } catch (error) {
+      console.error("Fetch reconciliation reports error:", error);
+      res
+        .status(500)
+        .json({ message: "Error fetching reconciliation reports" });
+    }
+  },
+);
+
+// ?format=json for the raw rows, CSV download otherwise
+router.get(
+  "/reconciliation/reports/:id",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const report = await prisma.reconciliationReport.findUnique({
+        where: { id: req.params.id },
+      });
+      if (!report) return res.status(404).json({ message: "Report not found" });
+
+      if (req.query.format === "json") return res.json(report);
+
+      const day = report.reportDate.toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="reconciliation_${day}.csv"`,
+      );
+      res.send(reconciliationReportToCsv(report));
+    } catch (error) {
+      console.error("Download reconciliation report error:", error);
+      res.status(500).json({ message: "Error downloading report" });
+    }
+  },
+);
+
+// Rebuild the report of a day ({ date: "YYYY-MM-DD" }, yesterday by default)
+router.post(
+  "/reconciliation/reports",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      let day;
+      if (req.body.date) {
+        day = new Date(`${req.body.date}T00:00:00`);
+        if (isNaN(day.getTime())) {
+          return res.status(400).json({ message: "Invalid date" });
+        }
+      } else {
+        day = new Date();
+        day.setDate(day.getDate() - 1);
+      }
+
+      const report = await buildReconciliationReport(day);
+      res.status(201).json(report);
+    } catch (error) {
+      console.error("Build reconciliation report error:", error);
+      res.status(500).json({ message: "Error building report" });
+    }
+  },
+);
+
+// =================================================================
+//                 LEDGER
+// =================================================================
+
+// Do the books balance? 200 either way; `balanced` and `problems` tell
+router.get(
+  "/ledger/verify",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      res.json(await verifyLedger());
+    } catch (error) {
+      console.error("Ledger verification error:", error);
+      res.status(500).json({ message: "Error verifying the ledger" });
+    }
+  },
+);
+
+// =================================================================
+//                 BANK STATEMENTS (B2B INVOICE TRANSFERS)
+// =================================================================
+
+const STATEMENT_ERRORS = {
+  UNKNOWN_STATEMENT_FORMAT: [
+    400,
+    "Unsupported file: upload a 1C ClientBank exchange file or a CSV",
+  ],
+  CSV_COLUMNS_MISSING: [
+    400,
+    "CSV must have an incoming amount column and a payment purpose column",
+  ],
+  NO_INCOMING_TRANSFERS: [400, "No incoming transfers in this statement"],
+  LINE_NOT_FOUND: [404, "Statement line not found"],
+  LINE_ALREADY_RESOLVED: [409, "Statement line is already resolved"],
+  INVOICE_NOT_FOUND: [404, "Invoice not found"],
+  INVOICE_ALREADY_PAID: [409, "Invoice is already paid"],
+  INVOICE_REFUNDED: [409, "Invoice has been refunded"],
+  ORDER_NOT_PAYABLE: [409, "The order of this invoice was cancelled"],
+  SOLD_OUT: [409, "Tickets of this expired invoice are sold out"],
+};
+
+const STATEMENT_LINE_STATUSES = ["MATCHED", "UNMATCHED", "ASSIGNED", "IGNORED"];
+
+const sendStatementError = (res, error, fallback) => {
+  const [status, message] = STATEMENT_ERRORS[error.message] || [500, fallback];
+  if (status === 500) console.error(`${fallback}:`, error);
+  res.status(status).json({ message });
+};
+
+// multipart/form-data with the statement in "file"
+router.post(
+  "/bank-statements",
+  requireRole(["administrator"]),
+  statementUpload.single("file"),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "No statement file uploaded" });
+    }
+
+    try {
+      const statement = await importBankStatement({
+        buffer: req.file.buffer,
+        fileName: req.file.originalname,
+        uploadedById: req.user.id,
+      });
+      res.status(201).json(statement);
+    } catch (error) {
+      sendStatementError(res, error, "Error importing bank statement");
+    }
+  },
+);
+
+router.get(
+  "/bank-statements",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const statements = await prisma.bankStatement.findMany({
+        include: { uploadedBy: { select: { id: true, name: true } } },
+        orderBy: { createdAt: "desc" },
+        take: Math.min(parseInt(req.query.limit) || 30, 200),
+      });
+      res.json(statements);
+    } catch (error) {
+      console.error("Fetch bank statements error:", error);
+      res.status(500).json({ message: "Error fetching bank statements" });
+    }
+  },
+);
+
+// Unmatched transfers by default; ?status=ALL for everything
+router.get(
+  "/bank-statements/lines",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const { status = "UNMATCHED", statementId } = req.query;
+      if (status !== "ALL" && !STATEMENT_LINE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+
+      const lines = await prisma.bankStatementLine.findMany({
+        where: {
+          ...(status !== "ALL" && { status }),
+          ...(statementId && { statementId }),
+        },
+        include: {
+          statement: { select: { id: true, fileName: true } },
+          assignedBy: { select: { id: true, name: true } },
+        },
+        orderBy: [{ documentDate: "desc" }, { createdAt: "desc" }],
+        take: Math.min(parseInt(req.query.limit) || 100, 500),
+      });
+      res.json(lines);
+    } catch (error) {
+      console.error("Fetch statement lines error:", error);
+      res.status(500).json({ message: "Error fetching statement lines" });
+    }
+  },
+);
+
+// Candidates for manual assignment (?inn=…, ?includeExpired=true)
+router.get(
+  "/bank-statements/invoices",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const invoices = await listOpenInvoices({
+        inn: req.query.inn,
+        includeExpired: req.query.includeExpired === "true",
+      });
+      res.json(invoices);
+    } catch (error) {
+      console.error("Fetch open invoices error:", error);
+      res.status(500).json({ message: "Error fetching invoices" });
+    }
+  },
+);
+
+// { invoiceNumber }: pay that invoice with this transfer (expired ones too)
+router.post(
+  "/bank-statements/lines/:id/assign",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const line = await assignStatementLine(
+        req.params.id,
+        req.body.invoiceNumber,
+        req.user.id,
+      );
+      console.log(
+        `🏦 Statement line ${line.id} assigned to ${line.invoiceNumber} by ${req.user.id}`,
+      );
+      res.json(line);
+    } catch (error) {
+      sendStatementError(res, error, "Error assigning statement line");
+    }
+  },
+);
+
+// { note? }: not an invoice payment
+router.post(
+  "/bank-statements/lines/:id/ignore",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const line = await ignoreStatementLine(
+        req.params.id,
+        req.user.id,
+        req.body.note,
+      );
+      res.json(line);
+    } catch (error) {
+      sendStatementError(res, error, "Error ignoring statement line");
+    }
+  },
+);
+
+// =================================================================
+//                 PAYOUT REGISTRIES (BANK FILES FOR APPROVED PAYOUTS)
+// =================================================================
+
+const PAYOUT_REGISTRY_ERRORS = {
+  NO_PAYOUTS_SELECTED: [400, "Select at least one approved payout"],
+  TOO_MANY_PAYOUTS: [400, "A registry can hold up to 999 payouts"],
+  PAYOUTS_NOT_AVAILABLE: [
+    409,
+    "Some payouts are not approved or are already in another registry",
+  ],
+  PAYOUT_DETAILS_MISSING: [
+    409,
+    "Some payouts have no structured bank details: reject them instead",
+  ],
+  INVALID_FORMAT: [400, "Format must be one of: 1c, csv, pdf"],
+  REGISTRY_NOT_FOUND: [404, "Payout registry not found"],
+  REGISTRY_ALREADY_CLOSED: [
+    409,
+    "Payout registry is already paid or cancelled",
+  ],
+};
+
+const PAYOUT_STATUSES = [
+  "PENDING",
+  "APPROVED",
+  "PAID",
+  "REJECTED",
+  "CANCELLED",
+];
+
+const sendPayoutRegistryError = (res, error, fallback) => {
+  const [status, message] = PAYOUT_REGISTRY_ERRORS[error.message] || [
+    500,
+    fallback,
+  ];
+  if (status === 500) console.error(`${fallback}:`, error);
+  res.status(status).json({ message });
+};
+
+// Approved payouts not in a registry yet by default; ?status= for others
+router.get(
+  "/payouts",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const { status = "APPROVED" } = req.query;
+      if (!PAYOUT_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status" });
+      }
+
+      const payouts = await prisma.payoutRequest.findMany({
+        where: {
+          status,
+          ...(status === "APPROVED" &&
+            req.query.inRegistry !== "true" && { registryId: null }),
+        },
+        include: {
+          user: { select: { id: true, name: true, email: true } },
+          registry: { select: { id: true, number: true, status: true } },
+        },
+        orderBy: { createdAt: "asc" },
+        take: Math.min(parseInt(req.query.limit) || 200, 999),
+      });
+      res.json(payouts);
+    } catch (error) {
+      console.error("Fetch payouts error:", error);
+      res.status(500).json({ message: "Error fetching payouts" });
+    }
+  },
+);
+
+// { payoutIds: [...] }: approved payouts to send in one batch
+router.post(
+  "/payout-registries",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const registry = await createPayoutRegistry(
+        req.body.payoutIds,
+        req.user.id,
+      );
+      res.status(201).json(registry);
+    } catch (error) {
+      sendPayoutRegistryError(res, error, "Error creating payout registry");
+    }
+  },
+);
+
+router.get(
+  "/payout-registries",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const registries = await prisma.payoutRegistry.findMany({
+        include: {
+          createdBy: { select: { id: true, name: true } },
+          paidBy: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: "desc" },
+        take: Math.min(parseInt(req.query.limit) || 30, 200),
+      });
+      res.json(registries);
+    } catch (error) {
+      console.error("Fetch payout registries error:", error);
+      res.status(500).json({ message: "Error fetching payout registries" });
+    }
+  },
+);
+
+router.get(
+  "/payout-registries/:id",
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const registry = await prisma.payoutRegistry.findUnique({
+        where: { id: req.params.id },
+        include: {
+          payouts: {
+            include: {
+              user: { select: { id: true, name: true, email: true } },
+            },
+            orderBy: { createdAt: "asc" },
+          },
+          createdBy: { select: { id: true, name: true } },
+          paidBy: { select: { id: true, name: true } },
+        },
+      });
+      if (!registry) {
+        return res.status(404).json({ message: "Payout registry not found" });
+      }
+      res.json(registry);
+    } catch (error) {
+      console.error("Fetch payout registry error:", error);
+      res.status(500).json({ message: "Error fetching payout registry" });
+    }
+  },
+);
+
+// ?format=1c (payment orders for the bank client, default), csv or pdf
+router.get(
+  "/payout-registries/:id/file",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const { buffer, fileName, contentType } = await exportPayoutRegistry(
+        req.params.id,
+        req.query.format || "1c",
+      );
+      res.setHeader("Content-Type", contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`,
+      );
+      res.send(buffer);
+    } catch (error) {
+      sendPayoutRegistryError(res, error, "Error exporting payout registry");
+    }
+  },
+);
+
+// The bank sent the transfers
+router.post(
+  "/payout-registries/:id/paid",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const registry = await markPayoutRegistryPaid(req.params.id, req.user.id);
+      console.log(
+        `💸 Payout registry ${registry.number} marked as paid by ${req.user.id}`,
+      );
+      res.json(registry);
+    } catch (error) {
+      sendPayoutRegistryError(res, error, "Error marking registry as paid");
+    }
+  },
+);
+
+// The bank refused the files: the payouts go back to the approved list
+router.post(
+  "/payout-registries/:id/cancel",
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const registry = await cancelPayoutRegistry(req.params.id);
+      res.json(registry);
+    } catch (error) {
+      sendPayoutRegistryError(res, error, "Error cancelling payout registry");
+    }
+  },
+);
+
 // =================================================================
 //                 NOTIFICATION PUSH LOGIC
 // =================================================================
@@ -5,6 +5,8 @@ import {
   getAgencySpecialists,
   deleteSpecialist,
   getAgencyBookings,
+  assignBookingSpecialist,
+  getAgencyCalendar,
 } from "../controllers/agency.js";
 
 const router = Router();
@@ -19,5 +21,9 @@ router.delete("/specialists/:id", deleteSpecialist);
 
 // Aggregated Bookings for Dashboard
 router.get("/bookings", getAgencyBookings);
+router.patch("/bookings/:id/specialist", assignBookingSpecialist); // Route to a specialist (null = back to the agency)
+
+// Combined Calendar of the Agency and its Specialists
+router.get("/calendar", getAgencyCalendar);
 
 export default router;
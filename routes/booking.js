@@ -1,22 +1,166 @@
 import { Router } from "express";
 import prisma from "../libs/prisma.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
-import { initTinkoffEscrowPayment } from "../utils/tinkoff.js";
+import { requireRole } from "../middleware/role-check.js";
+import {
+  getPaymentProvider,
+  getProviderForPayment,
+  initEscrowPayment,
+} from "../services/payment-providers/index.js";
+import { createUploader } from "../utils/multer.js";
+import { uploadAttachment } from "../utils/imageProcessor.js";
 import { notifyUser } from "../services/notification.js";
+import {
+  createAuditLog,
+  verifyAuditChain,
+  AUDIT_ACTION_LABELS,
+  SYSTEM_ACTOR_NAMES,
+} from "../services/booking-audit.js";
+import {
+  settleBookingEscrow,
+  settleEscrow,
+  escrowReleaseDate,
+} from "../services/escrow.js";
+import {
+  splitFunding,
+  chargeWallet,
+  returnWalletPart,
+  sendWalletReceipt,
+  WALLET_PROVIDER,
+  FUNDING_ERROR_MESSAGES,
+} from "../services/wallet-payments.js";
+import { buildWalletReceipt } from "../services/payment-providers/receipt.js";
+import { quoteCancellation } from "../services/cancellation-policy.js";
+import {
+  issueBookingContract,
+  readContractFile,
+  hashDocument,
+} from "../services/booking-contract.js";
+import {
+  parseSlot,
+  checkAvailability,
+  AVAILABILITY_MESSAGES,
+} from "../services/availability.js";
 
 const router = Router();
+const evidenceUploader = createUploader(10); // 10MB per evidence file
+const contractUploader = createUploader(10);
 
-// Helper: Securely log every action inside a Prisma transaction
-const createAuditLog = async (
-  tx,
-  bookingId,
-  actorId,
-  action,
-  metadata = {},
-) => {
-  await tx.bookingAuditLog.create({
-    data: { bookingId, actorId, action, metadata },
+// A contract exists (or can be issued) once the booking has been paid for
+const CONTRACT_STATUSES = ["CONFIRMED", "FULFILLED", "DISPUTED"];
+
+const DEFAULT_OFFER_TTL_HOURS = 72;
+
+// Helper: Which side of the deal is this user on? (null = outsider)
+const resolveBookingParty = (booking, userId) => {
+  if (booking.customerId === userId) return "CUSTOMER";
+  if (booking.performer?.userId === userId) return "PERFORMER";
+  return null;
+};
+
+// Helper: Put a new price on the table. Any open or accepted offer is superseded,
+// so the latest offer is always the only one that can be accepted or paid.
+const proposeOffer = async (tx, booking, party, userId, offerInput) => {
+  const fee = Number(offerInput.fee);
+  if (!fee || fee <= 0) throw new Error("Необходимо указать сумму гонорара.");
+
+  const expiresAt = offerInput.expiresAt
+    ? new Date(offerInput.expiresAt)
+    : new Date(Date.now() + DEFAULT_OFFER_TTL_HOURS * 60 * 60 * 1000);
+  if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    throw new Error("Срок действия предложения должен быть в будущем.");
+  }
+
+  const message = offerInput.message?.trim() || null;
+
+  await tx.bookingOffer.updateMany({
+    where: { bookingId: booking.id, status: { in: ["PENDING", "ACCEPTED"] } },
+    data: { status: "SUPERSEDED" },
+  });
+
+  await tx.bookingRequest.update({
+    where: { id: booking.id },
+    data: { status: "NEGOTIATING", agreedFee: null },
+  });
+
+  const auditEntry = await createAuditLog(
+    tx,
+    booking.id,
+    userId,
+    party === "PERFORMER" ? "PERFORMER_PROPOSED_FEE" : "CUSTOMER_PROPOSED_FEE",
+    { fee, message, expiresAt: expiresAt.toISOString() },
+  );
+
+  return await tx.bookingOffer.create({
+    data: {
+      bookingId: booking.id,
+      proposedBy: party,
+      proposedById: userId,
+      fee,
+      message,
+      expiresAt,
+      auditLogId: auditEntry.id,
+    },
+  });
+};
+
+// Helper: Booking with its frozen (HELD) escrow payments (deposit and/or balance)
+const loadCancellableBooking = (id) =>
+  prisma.bookingRequest.findUnique({
+    where: { id },
+    include: {
+      performer: true,
+      payments: { where: { escrowStatus: "HELD" } },
+    },
   });
+
+const sumAmounts = (payments) => payments.reduce((sum, p) => sum + p.amount, 0);
+
+// Helper: Refund preview under the policy the customer paid with
+const quoteBookingCancellation = (booking, payments, party) =>
+  quoteCancellation({
+    policy: booking.cancellationPolicy || booking.performer.cancellationPolicy,
+    eventStart: booking.startTime || booking.date,
+    amount: sumAmounts(payments),
+    cancelledBy: party,
+  });
+
+const PLATFORM_FEE_RATE = 0.1; // 10% Platform fee
+
+const escrowAmounts = (amount) => {
+  const platformFee = amount * PLATFORM_FEE_RATE;
+  return { amount, platformFee, netAmount: amount - platformFee };
+};
+
+const MIN_DEPOSIT_PERCENT = 10;
+const MAX_DEPOSIT_PERCENT = 90;
+
+// Helper: Validate the performer's split-payment terms (both fields or neither)
+const parseDepositTerms = (booking, { depositPercent, balanceDueAt }) => {
+  if (depositPercent === undefined || depositPercent === null) {
+    return { depositPercent: null, balanceDueAt: null };
+  }
+
+  const percent = Number(depositPercent);
+  if (
+    !Number.isInteger(percent) ||
+    percent < MIN_DEPOSIT_PERCENT ||
+    percent > MAX_DEPOSIT_PERCENT
+  ) {
+    throw new Error(
+      `Предоплата должна быть от ${MIN_DEPOSIT_PERCENT}% до ${MAX_DEPOSIT_PERCENT}%.`,
+    );
+  }
+
+  const dueAt = new Date(balanceDueAt);
+  const eventStart = booking.startTime || booking.date;
+  if (isNaN(dueAt.getTime()) || dueAt <= new Date() || dueAt >= eventStart) {
+    throw new Error(
+      "Срок оплаты остатка должен быть в будущем и до начала мероприятия.",
+    );
+  }
+
+  return { depositPercent: percent, balanceDueAt: dueAt };
 };
 
 // ==========================================
@@ -24,7 +168,7 @@ const createAuditLog = async (
 // ==========================================
 router.post("/", verifyAuth, async (req, res) => {
   try {
-    const { performerId, date, details } = req.body;
+    const { performerId, startTime, endTime, details } = req.body;
     const baseUserId = req.user.id;
 
     if (performerId === baseUserId) {
@@ -33,42 +177,68 @@ router.post("/", verifyAuth, async (req, res) => {
         .json({ message: "Отказ: бронирование самого себя." });
     }
 
-    // 🚨 FIX: Fetch the Customer Profile to get the correct 'customerId' for the Booking record
+    // Only customers can book (BookingRequest.customerId references the base User)
     const customerProfile = await prisma.customerProfile.findUnique({
       where: { userId: baseUserId },
     });
 
     if (!customerProfile) {
-      return res
-        .status(403)
-        .json({
-          message: "Профиль заказчика не найден. Завершите регистрацию.",
-        });
+      return res.status(403).json({
+        message: "Профиль заказчика не найден. Завершите регистрацию.",
+      });
     }
 
     const performer = await prisma.performerProfile.findUnique({
       where: { userId: performerId },
+      include: { agency: true },
     });
 
     if (!performer) {
       return res.status(404).json({ message: "Исполнитель не найден." });
     }
 
-    // 🚨 FIX: Safely check dates, ensuring bookedDates is an array to prevent crashes
-    const isBusy = performer.bookedDates?.some((d) => {
-      const bookedDate = new Date(d).toISOString().split("T")[0];
-      const requestDate = new Date(date).toISOString().split("T")[0];
-      return bookedDate === requestDate;
-    });
+    // Specialists are booked through their agency: the agency answers, gets paid
+    // and shares the payout, the specialist's own calendar is what gets blocked
+    const contractor = performer.agency || performer;
+
+    if (contractor.userId === baseUserId) {
+      return res
+        .status(403)
+        .json({ message: "Отказ: бронирование самого себя." });
+    }
 
-    if (isBusy) return res.status(400).json({ message: "Дата уже занята." });
+    let slot;
+    try {
+      slot = parseSlot(startTime, endTime);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    // Overlap check against confirmed gigs (+ buffer), blocked periods and weekly hours
+    const availability = await checkAvailability(
+      performer.id,
+      slot.start,
+      slot.end,
+    );
+
+    if (!availability.available) {
+      return res
+        .status(409)
+        .json({ message: AVAILABILITY_MESSAGES[availability.reason] });
+    }
 
     const booking = await prisma.$transaction(async (tx) => {
       const newBooking = await tx.bookingRequest.create({
         data: {
-          performerId: performer.id,
-          customerId: customerProfile.id, // 🚨 FIX: Used Profile ID, not User ID
-          date: new Date(date),
+          performerId: contractor.id,
+          ...(performer.agency && {
+            specialistId: performer.id,
+            specialistSharePercent: performer.payoutSharePercent ?? 0,
+          }),
+          customerId: baseUserId,
+          date: slot.start,
+          startTime: slot.start,
+          endTime: slot.end,
           details: details,
           status: "PENDING_PERFORMER_APPROVAL",
         },
@@ -76,14 +246,16 @@ router.post("/", verifyAuth, async (req, res) => {
 
       await createAuditLog(tx, newBooking.id, baseUserId, "REQUEST_CREATED", {
         details,
-        date,
+        startTime: slot.start.toISOString(),
+        endTime: slot.end.toISOString(),
+        ...(performer.agency && { specialistId: performer.id }),
       });
       return newBooking;
     });
 
     // Run asynchronously without blocking the HTTP response
     notifyUser({
-      userId: performer.userId, // 🚨 Ensure this hits the base User ID for sockets
+      userId: contractor.userId, // 🚨 Ensure this hits the base User ID for sockets
       title: "📅 Новый запрос на бронирование",
       body: "У вас новый запрос на бронирование. Проверьте детали и укажите вашу цену.",
       type: "NEW_BOOKING",
@@ -116,7 +288,7 @@ router.get("/my", verifyAuth, async (req, res) => {
     let madeRaw = [];
     if (customerProfile) {
       madeRaw = await prisma.bookingRequest.findMany({
-        where: { customerId: customerProfile.id },
+        where: { customerId: userId },
         include: {
           performer: {
             include: { user: { select: { name: true, image: true } } },
@@ -176,9 +348,19 @@ router.get("/my", verifyAuth, async (req, res) => {
         : null,
     }));
 
+    // 4. Specialists also see the agency gigs they were routed to
+    let assigned = [];
+    if (performerProfile?.agencyId) {
+      assigned = await prisma.bookingRequest.findMany({
+        where: { specialistId: performerProfile.id },
+        orderBy: { createdAt: "desc" },
+      });
+    }
+
     res.status(200).json({
       made,
       received,
+      assigned,
       isPerformer: !!performerProfile,
     });
   } catch (error) {
@@ -188,18 +370,25 @@ router.get("/my", verifyAuth, async (req, res) => {
 });
 
 // ==========================================
-// 2. PERFORMER: Respond to Request (Accept/Reject)
+// 2. PERFORMER: Respond to Request (Accept with Opening Offer / Reject)
 // ==========================================
 router.patch("/:id/performer-reply", verifyAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { action, agreedFee, rejectionReason } = req.body;
+    const {
+      action,
+      agreedFee,
+      rejectionReason,
+      message,
+      expiresAt,
+      depositPercent,
+      balanceDueAt,
+    } = req.body;
     const userId = req.user.id;
 
-    // 🚨 FIX: Include both Performer AND Customer to access their base User IDs
     const booking = await prisma.bookingRequest.findUnique({
       where: { id },
-      include: { performer: true, customer: true },
+      include: { performer: true },
     });
 
     if (!booking)
@@ -225,33 +414,37 @@ router.patch("/:id/performer-reply", verifyAuth, async (req, res) => {
           reason: rejectionReason,
         });
       } else if (action === "ACCEPT") {
-        if (!agreedFee || agreedFee <= 0)
-          throw new Error("Необходимо указать сумму гонорара.");
-
-        await tx.bookingRequest.update({
-          where: { id },
-          data: { status: "PENDING_CUSTOMER_PAYMENT", agreedFee },
+        // Big events: performer may ask for a deposit now and the rest later
+        const depositTerms = parseDepositTerms(booking, {
+          depositPercent,
+          balanceDueAt,
         });
-        await createAuditLog(tx, id, userId, "PERFORMER_ACCEPTED_WITH_FEE", {
+        await tx.bookingRequest.update({ where: { id }, data: depositTerms });
+
+        // Accepting the request opens the negotiation with the performer's price
+        await proposeOffer(tx, booking, "PERFORMER", userId, {
           fee: agreedFee,
+          message,
+          expiresAt,
         });
+      } else {
+        throw new Error("Неизвестное действие.");
       }
     });
 
-    // 🚨 FIX: Use 'booking.customer.userId' (Base User ID) to send the notification
     if (action === "REJECT") {
       notifyUser({
-        userId: booking.customer.userId,
+        userId: booking.customerId,
         title: "❌ Бронирование отклонено",
         body: `Исполнитель не смог принять ваш заказ. Причина: ${rejectionReason}`,
         type: "BOOKING_REJECTED",
         data: { url: "/bookings", bookingId: booking.id },
       }).catch(console.error);
-    } else if (action === "ACCEPT") {
+    } else {
       notifyUser({
-        userId: booking.customer.userId,
-        title: "✅ Бронирование подтверждено!",
-        body: `Исполнитель готов выполнить заказ. Ожидается оплата: ${agreedFee} ₽.`,
+        userId: booking.customerId,
+        title: "✅ Исполнитель готов выполнить заказ!",
+        body: `Предложенный гонорар: ${agreedFee} ₽${depositPercent ? ` (предоплата ${depositPercent}%)` : ""}. Примите предложение или предложите свою цену.`,
         type: "BOOKING_ACCEPTED",
         data: { url: "/bookings", bookingId: booking.id },
       }).catch(console.error);
@@ -264,7 +457,193 @@ router.patch("/:id/performer-reply", verifyAuth, async (req, res) => {
 });
 
 // ==========================================
-// 3a. CUSTOMER: Cancel Deal (Reject Performer's Price)
+// 2a. BOTH SIDES: Negotiation History
+// ==========================================
+router.get("/:id/offers", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: { performer: true },
+    });
+
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+    if (
+      !resolveBookingParty(booking, req.user.id) &&
+      req.user.role !== "administrator"
+    ) {
+      return res.status(403).json({ message: "Доступ запрещен." });
+    }
+
+    const offers = await prisma.bookingOffer.findMany({
+      where: { bookingId: id },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.status(200).json(offers);
+  } catch (error) {
+    console.error("Get Offers Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки предложений." });
+  }
+});
+
+// ==========================================
+// 2b. BOTH SIDES: Propose a (Counter-)Offer
+// ==========================================
+router.post("/:id/offers", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fee, message, expiresAt } = req.body;
+    const userId = req.user.id;
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: { performer: true },
+    });
+
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const party = resolveBookingParty(booking, userId);
+    if (!party) return res.status(403).json({ message: "Доступ запрещен." });
+
+    // The first price always comes from the performer (via performer-reply)
+    const canPropose =
+      ["NEGOTIATING", "PENDING_CUSTOMER_PAYMENT"].includes(booking.status) ||
+      (booking.status === "PENDING_PERFORMER_APPROVAL" &&
+        party === "PERFORMER");
+
+    if (!canPropose) {
+      return res
+        .status(400)
+        .json({ message: "Статус бронирования не позволяет торг." });
+    }
+
+    const offer = await prisma.$transaction((tx) =>
+      proposeOffer(tx, booking, party, userId, { fee, message, expiresAt }),
+    );
+
+    notifyUser({
+      userId:
+        party === "CUSTOMER" ? booking.performer.userId : booking.customerId,
+      title: "💬 Новое предложение по цене",
+      body: `${party === "CUSTOMER" ? "Заказчик" : "Исполнитель"} предлагает ${offer.fee} ₽.${message ? ` «${message}»` : ""}`,
+      type: "BOOKING_UPDATE",
+      data: { url: "/bookings", bookingId: id, offerId: offer.id },
+    }).catch(console.error);
+
+    res.status(201).json(offer);
+  } catch (error) {
+    res.status(400).json({ message: error.message || "Ошибка предложения." });
+  }
+});
+
+// ==========================================
+// 2c. BOTH SIDES: Accept / Reject the Other Side's Offer
+// ==========================================
+router.post("/:id/offers/:offerId/:decision", verifyAuth, async (req, res) => {
+  try {
+    const { id, offerId, decision } = req.params;
+    const userId = req.user.id;
+
+    if (!["accept", "reject"].includes(decision)) {
+      return res.status(404).json({ message: "Неизвестное действие." });
+    }
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: { performer: true },
+    });
+
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const party = resolveBookingParty(booking, userId);
+    if (!party) return res.status(403).json({ message: "Доступ запрещен." });
+
+    const latestOffer = await prisma.bookingOffer.findFirst({
+      where: { bookingId: id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    if (!latestOffer || latestOffer.id !== offerId) {
+      return res
+        .status(400)
+        .json({ message: "Можно ответить только на последнее предложение." });
+    }
+    if (latestOffer.proposedBy === party) {
+      return res
+        .status(400)
+        .json({ message: "Нельзя ответить на собственное предложение." });
+    }
+    if (booking.status !== "NEGOTIATING" || latestOffer.status !== "PENDING") {
+      return res.status(400).json({ message: "Предложение уже неактуально." });
+    }
+
+    if (latestOffer.expiresAt && latestOffer.expiresAt <= new Date()) {
+      await prisma.bookingOffer.update({
+        where: { id: offerId },
+        data: { status: "EXPIRED" },
+      });
+      return res
+        .status(400)
+        .json({ message: "Срок действия предложения истек." });
+    }
+
+    const accepted = decision === "accept";
+
+    await prisma.$transaction(async (tx) => {
+      await tx.bookingOffer.update({
+        where: { id: offerId },
+        data: {
+          status: accepted ? "ACCEPTED" : "REJECTED",
+          respondedAt: new Date(),
+        },
+      });
+
+      if (accepted) {
+        await tx.bookingRequest.update({
+          where: { id },
+          data: {
+            status: "PENDING_CUSTOMER_PAYMENT",
+            agreedFee: latestOffer.fee,
+          },
+        });
+      }
+
+      await createAuditLog(
+        tx,
+        id,
+        userId,
+        accepted ? "OFFER_ACCEPTED" : "OFFER_REJECTED",
+        { offerId, fee: latestOffer.fee },
+      );
+    });
+
+    notifyUser({
+      userId:
+        party === "CUSTOMER" ? booking.performer.userId : booking.customerId,
+      title: accepted ? "🤝 Предложение принято" : "↩️ Предложение отклонено",
+      body: accepted
+        ? `Цена согласована: ${latestOffer.fee} ₽.`
+        : `Ваше предложение ${latestOffer.fee} ₽ отклонено. Вы можете предложить другую цену.`,
+      type: "BOOKING_UPDATE",
+      data: { url: "/bookings", bookingId: id, offerId },
+    }).catch(console.error);
+
+    res.status(200).json({
+      message: accepted ? "Предложение принято." : "Предложение отклонено.",
+    });
+  } catch (error) {
+    console.error("Offer Decision Error:", error);
+    res.status(500).json({ message: "Ошибка ответа на предложение." });
+  }
+});
+
+// ==========================================
+// 3a. CUSTOMER: Cancel Deal (Walk Away from Negotiation)
 // ==========================================
 router.patch("/:id/customer-cancel", verifyAuth, async (req, res) => {
   try {
@@ -273,18 +652,17 @@ router.patch("/:id/customer-cancel", verifyAuth, async (req, res) => {
 
     const booking = await prisma.bookingRequest.findUnique({
       where: { id },
-      include: { performer: true, customer: true },
+      include: { performer: true },
     });
 
     if (!booking)
       return res.status(404).json({ message: "Бронирование не найдено." });
 
-    // 🚨 FIX: Verify ownership against the Customer Profile, not the base User ID
-    if (booking.customer.userId !== baseUserId) {
+    if (booking.customerId !== baseUserId) {
       return res.status(403).json({ message: "Доступ запрещен." });
     }
 
-    if (booking.status !== "PENDING_CUSTOMER_PAYMENT") {
+    if (!["NEGOTIATING", "PENDING_CUSTOMER_PAYMENT"].includes(booking.status)) {
       return res.status(400).json({ message: "Неверный статус." });
     }
 
@@ -293,6 +671,10 @@ router.patch("/:id/customer-cancel", verifyAuth, async (req, res) => {
         where: { id },
         data: { status: "CANCELLED_BY_CUSTOMER" },
       });
+      await tx.bookingOffer.updateMany({
+        where: { bookingId: id, status: "PENDING" },
+        data: { status: "REJECTED", respondedAt: new Date() },
+      });
       await createAuditLog(tx, id, baseUserId, "CUSTOMER_DECLINED_FEE");
     });
 
@@ -301,7 +683,7 @@ router.patch("/:id/customer-cancel", verifyAuth, async (req, res) => {
       userId: booking.performer.userId,
       title: "🚫 Бронирование отменено",
       body: `Заказчик отменил бронирование и отказался от оплаты.`,
-      type: "BOOKING_CANCELLED",
+      type: "BOOKING_UPDATE",
       data: { url: "/bookings", bookingId: booking.id },
     }).catch(console.error);
 
@@ -312,18 +694,19 @@ router.patch("/:id/customer-cancel", verifyAuth, async (req, res) => {
 });
 
 // ==========================================
-// 3b. CUSTOMER: Accept & Pay (Initialize Escrow)
+// 3b. CUSTOMER: Pay the Accepted Offer (Initialize Escrow)
 // ==========================================
 router.post("/:id/pay", verifyAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const baseUserId = req.user.id;
 
-    // 🚨 FIX: Include the deeply nested 'user' relation to extract the customer's email
     const booking = await prisma.bookingRequest.findUnique({
       where: { id },
       include: {
-        customer: { include: { user: true } },
+        customer: true,
+        performer: true,
+        offers: { orderBy: { createdAt: "desc" }, take: 1 },
       },
     });
 
@@ -331,7 +714,7 @@ router.post("/:id/pay", verifyAuth, async (req, res) => {
       return res.status(404).json({ message: "Бронирование не найдено." });
 
     // Verify ownership
-    if (booking.customer.userId !== baseUserId) {
+    if (booking.customerId !== baseUserId) {
       return res.status(403).json({ message: "Доступ запрещен." });
     }
 
@@ -339,46 +722,1283 @@ router.post("/:id/pay", verifyAuth, async (req, res) => {
       return res.status(400).json({ message: "Ожидается оплата." });
     }
 
-    const totalAmount = booking.agreedFee;
-    const platformFee = totalAmount * 0.1; // 10% Platform fee
-    const netAmount = totalAmount - platformFee;
+    // 🚨 Only the latest offer, accepted by both sides, can be paid
+    const acceptedOffer = booking.offers[0];
+    if (
+      !acceptedOffer ||
+      acceptedOffer.status !== "ACCEPTED" ||
+      acceptedOffer.fee !== booking.agreedFee
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Нет согласованного предложения для оплаты." });
+    }
 
-    const checkoutUrl = await prisma.$transaction(async (tx) => {
-      // 1. Pre-create pending DB payment
-      const paymentRecord = await tx.payment.create({
-        data: {
-          amount: totalAmount,
-          platformFee,
-          netAmount,
-          escrowStatus: "AWAITING_PAYMENT",
-          provider: "TINKOFF_ESCROW",
-          userId: baseUserId,
-          bookingId: id,
-          metadata: { type: "BOOKING_ESCROW", bookingId: id },
-        },
+    // The slot may have been taken by another paid gig while negotiating
+    if (booking.startTime) {
+      const availability = await checkAvailability(
+        booking.specialistId || booking.performerId,
+        booking.startTime,
+        booking.endTime,
+        { excludeBookingId: booking.id },
+      );
+
+      if (!availability.available) {
+        return res
+          .status(409)
+          .json({ message: AVAILABILITY_MESSAGES[availability.reason] });
+      }
+    }
+
+    const totalAmount = acceptedOffer.fee;
+
+    // Split payment: only the deposit is charged now, the balance waits for its due date
+    const depositAmount = booking.depositPercent
+      ? Math.round((totalAmount * booking.depositPercent) / 100)
+      : null;
+    const chargeNow = depositAmount ?? totalAmount;
+    const funding = splitFunding(
+      chargeNow,
+      req.body,
+      booking.customer.walletBalance,
+    );
+    const paidFromWallet = funding.card === 0;
+    const provider = getPaymentProvider();
+    const bookingPart = depositAmount ? "DEPOSIT" : "FULL";
+    const metadata = {
+      type: "BOOKING_ESCROW",
+      bookingId: id,
+      offerId: acceptedOffer.id,
+    };
+
+    const customer = {
+      email: booking.customer.email,
+      phone: booking.customer.phone,
+    };
+
+    const { paymentRecord, superseded, walletPaymentId } =
+      await prisma.$transaction(async (tx) => {
+        // 0. Claim the booking and lock in the cancellation policy the customer
+        //    is agreeing to. A double-submitted request waits on this row and
+        //    then finds the booking paid (or replaces this attempt in turn).
+        const { count: claimed } = await tx.bookingRequest.updateMany({
+          where: { id, status: "PENDING_CUSTOMER_PAYMENT" },
+          data: {
+            cancellationPolicy: booking.performer.cancellationPolicy,
+            // Nothing to wait for: the money is already in escrow
+            ...(paidFromWallet && { status: "CONFIRMED" }),
+          },
+        });
+        if (claimed === 0) throw new Error("BOOKING_NOT_PAYABLE");
+
+        // An earlier checkout the customer never finished is replaced by this
+        // one: its wallet part goes back and its unpaid balance record is void
+        const superseded = await tx.payment.findMany({
+          where: {
+            bookingId: id,
+            bookingPart: { in: ["FULL", "DEPOSIT"] },
+            provider: { not: WALLET_PROVIDER },
+            escrowStatus: "AWAITING_PAYMENT",
+          },
+        });
+        for (const previous of superseded) {
+          await tx.payment.updateMany({
+            where: { id: previous.id, escrowStatus: "AWAITING_PAYMENT" },
+            data: { status: "FAILED", escrowStatus: "NONE" },
+          });
+          await tx.payment.updateMany({
+            where: { depositPaymentId: previous.id, escrowStatus: "NONE" },
+            data: { status: "FAILED" },
+          });
+          await returnWalletPart(
+            tx,
+            previous,
+            `Возврат: оплата брони #${id.substring(0, 8)} начата заново`,
+          );
+        }
+
+        // 1. The wallet part goes into escrow right away (and is held there
+        //    together with the card part once the bank freezes it)
+        const walletPayment =
+          funding.wallet > 0
+            ? await chargeWallet(tx, {
+                userId: baseUserId,
+                amount: funding.wallet,
+                description: `Оплата брони #${id.substring(0, 8)}`,
+                receipt: buildWalletReceipt(
+                  "BOOKING_ESCROW",
+                  customer,
+                  "Оплата выступления (Резерв)",
+                  funding.wallet,
+                ),
+                data: {
+                  ...escrowAmounts(funding.wallet),
+                  bookingId: id,
+                  bookingPart,
+                  metadata,
+                  ...(paidFromWallet
+                    ? {
+                        escrowStatus: "HELD",
+                        releaseEligible: escrowReleaseDate(booking),
+                      }
+                    : { escrowStatus: "AWAITING_PAYMENT" }),
+                },
+              })
+            : null;
+
+        // 2. Pre-create pending DB payment for the card part
+        const paymentRecord = paidFromWallet
+          ? walletPayment
+          : await tx.payment.create({
+              data: {
+                ...escrowAmounts(funding.card),
+                escrowStatus: "AWAITING_PAYMENT",
+                provider: provider.escrowCode,
+                userId: baseUserId,
+                bookingId: id,
+                bookingPart,
+                metadata: {
+                  ...metadata,
+                  ...(walletPayment && { walletPaymentId: walletPayment.id }),
+                },
+              },
+            });
+
+        // 2b. ...and the linked balance record, charged later via /pay-balance
+        if (depositAmount) {
+          await tx.payment.create({
+            data: {
+              ...escrowAmounts(totalAmount - depositAmount),
+              provider: provider.escrowCode,
+              userId: baseUserId,
+              bookingId: id,
+              bookingPart: "BALANCE",
+              depositPaymentId: paymentRecord.id,
+              metadata: {
+                ...metadata,
+                dueAt: booking.balanceDueAt.toISOString(),
+              },
+            },
+          });
+        }
+
+        // 3. Log the action
+        await createAuditLog(tx, id, baseUserId, "CUSTOMER_INITIATED_PAYMENT", {
+          paymentId: paymentRecord.id,
+          offerId: acceptedOffer.id,
+          cancellationPolicy: booking.performer.cancellationPolicy,
+          ...(walletPayment && {
+            walletPaymentId: walletPayment.id,
+            walletAmount: funding.wallet,
+            cardAmount: funding.card,
+          }),
+          ...(depositAmount && {
+            depositAmount,
+            balanceAmount: totalAmount - depositAmount,
+            balanceDueAt: booking.balanceDueAt.toISOString(),
+          }),
+        });
+
+        if (paidFromWallet) {
+          await createAuditLog(tx, id, baseUserId, "PAYMENT_HELD_FROM_WALLET", {
+            paymentId: walletPayment.id,
+            amount: funding.wallet,
+          });
+        }
+
+        return {
+          paymentRecord,
+          superseded,
+          walletPaymentId: paidFromWallet ? walletPayment.id : null,
+        };
       });
 
-      // 2. Initialize Tinkoff
-      const { paymentUrl } = await initTinkoffEscrowPayment(
+    // Close the replaced checkout pages, so nobody pays twice (a hold that
+    // slips through anyway is released by the webhook)
+    for (const previous of superseded) {
+      if (!previous.providerTxId) continue;
+      getProviderForPayment(previous)
+        .cancel(previous.providerTxId)
+        .catch((err) =>
+          console.error(
+            `Cancelling checkout ${previous.providerTxId} failed:`,
+            err,
+          ),
+        );
+    }
+
+    // The booking just got CONFIRMED: issue the service agreement
+    if (paidFromWallet) {
+      issueBookingContract(id).catch((err) =>
+        console.error(`❌ Contract for booking ${id} failed:`, err),
+      );
+      sendWalletReceipt(walletPaymentId).catch(console.error);
+      return res.status(200).json({ checkoutUrl: null, paidFromWallet });
+    }
+
+    // 4. Initialize the two-step payment at the bank. Only after the commit:
+    //    a slow bank must not roll back the records a live checkout points to
+    let checkout = null;
+    try {
+      checkout = await initEscrowPayment(
+        provider,
         paymentRecord.id,
-        totalAmount,
+        funding.card,
         booking.id,
-        booking.customer.user.email, // 🚨 FIX: Safe access to deeply nested email
+        customer,
       );
 
-      // 3. Log the action
-      await createAuditLog(tx, id, baseUserId, "CUSTOMER_INITIATED_PAYMENT", {
-        paymentId: paymentRecord.id,
+      // Known before any webhook, so reconciliation can ask the bank about it
+      await prisma.payment.update({
+        where: { id: paymentRecord.id },
+        data: { providerTxId: checkout.paymentId, receipt: checkout.receipt },
+      });
+    } catch (apiError) {
+      console.error("Payment Gateway Error, manual rollback...", apiError);
+      const rolledBack = await prisma.$transaction(async (tx) => {
+        // Unless a newer attempt replaced this one (or the bank already
+        // reported the hold)
+        const { count } = await tx.payment.updateMany({
+          where: { id: paymentRecord.id, escrowStatus: "AWAITING_PAYMENT" },
+          data: { status: "FAILED", escrowStatus: "NONE" },
+        });
+        if (count === 0) return false;
+
+        await tx.payment.updateMany({
+          where: { depositPaymentId: paymentRecord.id, escrowStatus: "NONE" },
+          data: { status: "FAILED" },
+        });
+        await returnWalletPart(
+          tx,
+          paymentRecord,
+          `Возврат: оплата брони #${id.substring(0, 8)} не прошла`,
+        );
+        await tx.bookingRequest.updateMany({
+          where: { id, status: "PENDING_CUSTOMER_PAYMENT" },
+          data: { cancellationPolicy: booking.cancellationPolicy },
+        });
+        await createAuditLog(tx, id, baseUserId, "PAYMENT_INIT_FAILED", {
+          paymentId: paymentRecord.id,
+        });
+        return true;
       });
 
-      return paymentUrl;
-    });
+      // The bank opened the checkout but we couldn't store it: close it
+      if (rolledBack && checkout) {
+        provider
+          .cancel(checkout.paymentId)
+          .catch((err) =>
+            console.error(
+              `Cancelling checkout ${checkout.paymentId} failed:`,
+              err,
+            ),
+          );
+      }
+      return res.status(502).json({
+        message: "Сервис оплаты временно недоступен. Попробуйте позже.",
+      });
+    }
 
-    res.status(200).json({ checkoutUrl });
+    res.status(200).json({ checkoutUrl: checkout.paymentUrl, paidFromWallet });
   } catch (error) {
+    if (FUNDING_ERROR_MESSAGES[error.message]) {
+      return res
+        .status(400)
+        .json({ message: FUNDING_ERROR_MESSAGES[error.message] });
+    }
+    if (error.message === "BOOKING_NOT_PAYABLE") {
+      return res
+        .status(409)
+        .json({ message: "Бронирование уже оплачено или изменилось." });
+    }
     console.error("Payment Init Error:", error);
     res.status(500).json({ message: "Ошибка инициализации платежа." });
   }
 });
 
+// ==========================================
+// 3b'. CUSTOMER: Pay the Balance of a Split Payment
+// ==========================================
+router.post("/:id/pay-balance", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const baseUserId = req.user.id;
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: { customer: true },
+    });
+
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    if (booking.customerId !== baseUserId) {
+      return res.status(403).json({ message: "Доступ запрещен." });
+    }
+
+    if (booking.status !== "CONFIRMED" || !booking.depositPercent) {
+      return res
+        .status(400)
+        .json({ message: "Для этого бронирования нет остатка к оплате." });
+    }
+
+    // The balance that belongs to the deposit actually being held
+    const balance = await prisma.payment.findFirst({
+      where: {
+        bookingId: id,
+        bookingPart: "BALANCE",
+        depositPayment: { escrowStatus: "HELD" },
+      },
+    });
+
+    if (!balance) {
+      return res
+        .status(400)
+        .json({ message: "Для этого бронирования нет остатка к оплате." });
+    }
+    if (!["NONE", "AWAITING_PAYMENT"].includes(balance.escrowStatus)) {
+      return res.status(400).json({ message: "Остаток уже оплачен." });
+    }
+
+    // A mixed attempt shrinks the record to its card part: start from the whole
+    const balanceTotal = balance.metadata?.balanceTotal ?? balance.amount;
+    const funding = splitFunding(
+      balanceTotal,
+      req.body,
+      booking.customer.walletBalance,
+    );
+    const paidFromWallet = funding.card === 0;
+    const description = `Оплата остатка по брони #${id.substring(0, 8)}`;
+    const customer = {
+      email: booking.customer.email,
+      phone: booking.customer.phone,
+    };
+
+    const { attempt, previousTxId, walletPaymentId } =
+      await prisma.$transaction(async (tx) => {
+        // Claim the balance record: a concurrent request waits on this row and
+        // then works from what this one did to it
+        const { count: claimed } = await tx.payment.updateMany({
+          where: {
+            id: balance.id,
+            escrowStatus: { in: ["NONE", "AWAITING_PAYMENT"] },
+          },
+          data: { updatedAt: new Date() },
+        });
+        if (claimed === 0) throw new Error("BALANCE_ALREADY_PAID");
+        const current = await tx.payment.findUnique({
+          where: { id: balance.id },
+        });
+        // The checkout page of an unfinished attempt, closed once this one is in
+        const previousTxId =
+          current.escrowStatus === "AWAITING_PAYMENT"
+            ? current.providerTxId
+            : null;
+
+        // A previous unfinished attempt still holds its wallet part
+        await returnWalletPart(tx, current, description);
+
+        // All from the wallet: the balance record itself becomes the wallet payment
+        if (paidFromWallet) {
+          await chargeWallet(tx, {
+            userId: baseUserId,
+            amount: balanceTotal,
+            description,
+            paymentId: balance.id,
+            receipt: buildWalletReceipt(
+              "BOOKING_ESCROW",
+              customer,
+              "Оплата выступления (Остаток)",
+              balanceTotal,
+            ),
+            data: {
+              ...escrowAmounts(balanceTotal),
+              status: "PENDING",
+              escrowStatus: "HELD",
+              releaseEligible: escrowReleaseDate(booking),
+              metadata: { ...current.metadata, balanceTotal },
+            },
+          });
+
+          await createAuditLog(tx, id, baseUserId, "BALANCE_HELD_FROM_WALLET", {
+            paymentId: balance.id,
+            amount: balanceTotal,
+          });
+          return { previousTxId, walletPaymentId: balance.id };
+        }
+
+        const { walletPaymentId: _previous, ...balanceMetadata } =
+          current.metadata || {};
+        const walletPayment =
+          funding.wallet > 0
+            ? await chargeWallet(tx, {
+                userId: baseUserId,
+                amount: funding.wallet,
+                description,
+                receipt: buildWalletReceipt(
+                  "BOOKING_ESCROW",
+                  customer,
+                  "Оплата выступления (Остаток)",
+                  funding.wallet,
+                ),
+                data: {
+                  ...escrowAmounts(funding.wallet),
+                  escrowStatus: "AWAITING_PAYMENT",
+                  bookingId: id,
+                  bookingPart: "BALANCE",
+                  metadata: balanceMetadata,
+                },
+              })
+            : null;
+
+        // The bank's ID of this attempt is stored once the checkout is open
+        const attempt = await tx.payment.update({
+          where: { id: balance.id },
+          data: {
+            ...escrowAmounts(funding.card),
+            status: "PENDING",
+            escrowStatus: "AWAITING_PAYMENT",
+            providerTxId: null,
+            metadata: {
+              ...balanceMetadata,
+              balanceTotal,
+              ...(walletPayment && { walletPaymentId: walletPayment.id }),
+            },
+          },
+        });
+
+        await createAuditLog(
+          tx,
+          id,
+          baseUserId,
+          "CUSTOMER_INITIATED_BALANCE_PAYMENT",
+          {
+            paymentId: balance.id,
+            amount: balanceTotal,
+            ...(walletPayment && {
+              walletPaymentId: walletPayment.id,
+              walletAmount: funding.wallet,
+              cardAmount: funding.card,
+            }),
+          },
+        );
+
+        return { attempt, previousTxId };
+      });
+
+    // Same bank as the deposit: both holds are settled together
+    const provider = getProviderForPayment(balance);
+
+    // The replaced checkout page can't be paid any more
+    if (previousTxId) {
+      provider
+        .cancel(previousTxId)
+        .catch((err) =>
+          console.error(`Cancelling checkout ${previousTxId} failed:`, err),
+        );
+    }
+
+    if (paidFromWallet) {
+      sendWalletReceipt(walletPaymentId).catch(console.error);
+      return res.status(200).json({ checkoutUrl: null, paidFromWallet });
+    }
+
+    // Opened after the commit, like the deposit's checkout in POST /:id/pay
+    let checkout = null;
+    try {
+      checkout = await initEscrowPayment(
+        provider,
+        balance.id,
+        funding.card,
+        booking.id,
+        customer,
+      );
+
+      await prisma.payment.update({
+        where: { id: balance.id },
+        data: { providerTxId: checkout.paymentId, receipt: checkout.receipt },
+      });
+    } catch (apiError) {
+      console.error("Payment Gateway Error, manual rollback...", apiError);
+      const { walletPaymentId: _walletPart, ...unpaidMetadata } =
+        attempt.metadata;
+      const rolledBack = await prisma.$transaction(async (tx) => {
+        // Back to an unpaid balance, unless a newer attempt (or the bank's
+        // hold) got to the record first
+        const { count } = await tx.payment.updateMany({
+          where: {
+            id: balance.id,
+            escrowStatus: "AWAITING_PAYMENT",
+            updatedAt: attempt.updatedAt,
+          },
+          data: {
+            ...escrowAmounts(balanceTotal),
+            escrowStatus: "NONE",
+            metadata: unpaidMetadata,
+          },
+        });
+        if (count === 0) return false;
+
+        await returnWalletPart(
+          tx,
+          attempt,
+          `Возврат: оплата остатка по брони #${id.substring(0, 8)} не прошла`,
+        );
+        await createAuditLog(tx, id, baseUserId, "PAYMENT_INIT_FAILED", {
+          paymentId: balance.id,
+        });
+        return true;
+      });
+
+      if (rolledBack && checkout) {
+        provider
+          .cancel(checkout.paymentId)
+          .catch((err) =>
+            console.error(
+              `Cancelling checkout ${checkout.paymentId} failed:`,
+              err,
+            ),
+          );
+      }
+      return res.status(502).json({
+        message: "Сервис оплаты временно недоступен. Попробуйте позже.",
+      });
+    }
+
+    res.status(200).json({ checkoutUrl: checkout.paymentUrl, paidFromWallet });
+  } catch (error) {
+    if (FUNDING_ERROR_MESSAGES[error.message]) {
+      return res
+        .status(400)
+        .json({ message: FUNDING_ERROR_MESSAGES[error.message] });
+    }
+    if (
+      ["BALANCE_ALREADY_PAID", "PAYMENT_ALREADY_CLAIMED"].includes(
+        error.message,
+      )
+    ) {
+      return res.status(409).json({ message: "Остаток уже оплачен." });
+    }
+    console.error("Balance Payment Init Error:", error);
+    res.status(500).json({ message: "Ошибка инициализации платежа." });
+  }
+});
+
+// ==========================================
+// 3c. BOTH SIDES: Cancellation Quote (Preview Refund)
+// ==========================================
+router.get("/:id/cancellation-quote", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await loadCancellableBooking(id);
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const party = resolveBookingParty(booking, req.user.id);
+    if (!party) return res.status(403).json({ message: "Доступ запрещен." });
+
+    if (booking.status !== "CONFIRMED" || !booking.payments.length) {
+      return res
+        .status(400)
+        .json({ message: "Отменить можно только оплаченное бронирование." });
+    }
+
+    res
+      .status(200)
+      .json(quoteBookingCancellation(booking, booking.payments, party));
+  } catch (error) {
+    console.error("Cancellation Quote Error:", error);
+    res.status(500).json({ message: "Ошибка расчета возврата." });
+  }
+});
+
+// ==========================================
+// 3d. BOTH SIDES: Cancel a Paid Booking (Refund per Policy)
+// ==========================================
+router.post("/:id/cancel", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const userId = req.user.id;
+
+    const booking = await loadCancellableBooking(id);
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const party = resolveBookingParty(booking, userId);
+    if (!party) return res.status(403).json({ message: "Доступ запрещен." });
+
+    if (booking.status !== "CONFIRMED" || !booking.payments.length) {
+      return res
+        .status(400)
+        .json({ message: "Отменить можно только оплаченное бронирование." });
+    }
+
+    const eventStart = booking.startTime || booking.date;
+    if (eventStart <= new Date()) {
+      return res.status(400).json({
+        message: "Мероприятие уже началось. Используйте открытие спора.",
+      });
+    }
+
+    if (party === "PERFORMER" && !reason?.trim()) {
+      return res
+        .status(400)
+        .json({ message: "Необходимо указать причину отмены." });
+    }
+
+    const quote = quoteBookingCancellation(booking, booking.payments, party);
+    const byPerformer = party === "PERFORMER";
+
+    // Partial capture keeps the non-refundable part, the rest is unfrozen at T-Bank
+    const result = await settleBookingEscrow(booking.payments, {
+      captureAmount: quote.captureAmount,
+      actorId: userId,
+      action: "BOOKING_CANCELLED",
+      bookingStatus: byPerformer
+        ? "CANCELLED_BY_PERFORMER"
+        : "CANCELLED_BY_CUSTOMER",
+      metadata: {
+        cancelledBy: party,
+        reason: reason || null,
+        policy: quote.policy,
+        daysLeft: quote.daysLeft,
+        refundPercent: quote.refundPercent,
+      },
+      withinTransaction: async (tx) => {
+        await tx.bookingRequest.update({
+          where: { id },
+          data: { cancelledById: userId, cancellationReason: reason || null },
+        });
+
+        // Pulling out of a paid gig hurts the performer's reliability
+        if (byPerformer) {
+          await tx.performerProfile.update({
+            where: { id: booking.performerId },
+            data: { performerCancellations: { increment: 1 } },
+          });
+        }
+      },
+    });
+
+    const refundText =
+      result.refunded > 0
+        ? `Возврат заказчику: ${result.refunded} ₽.`
+        : "Возврат по условиям отмены не предусмотрен.";
+
+    notifyUser({
+      userId: byPerformer ? booking.customerId : booking.performer.userId,
+      title: "🚫 Бронирование отменено",
+      body: `${byPerformer ? "Исполнитель" : "Заказчик"} отменил оплаченное бронирование. ${refundText}`,
+      type: "BOOKING_UPDATE",
+      data: { url: "/bookings", bookingId: id },
+    }).catch(console.error);
+
+    res.status(200).json({
+      message: "Бронирование отменено.",
+      refundPercent: quote.refundPercent,
+      ...result,
+    });
+  } catch (error) {
+    if (error.message === "ESCROW_NOT_HELD") {
+      return res.status(409).json({ message: "Средства уже не заморожены." });
+    }
+    console.error("Cancel Booking Error:", error);
+    res.status(500).json({ message: "Ошибка отмены бронирования." });
+  }
+});
+
+// ==========================================
+// 3e. BOTH SIDES: Download the Service Agreement (PDF)
+// ==========================================
+router.get("/:id/contract", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: { performer: true, contract: true },
+    });
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const isStaff = ["administrator", "support"].includes(req.user.role);
+    if (!resolveBookingParty(booking, req.user.id) && !isStaff) {
+      return res.status(403).json({ message: "Доступ запрещен." });
+    }
+
+    let contract = booking.contract;
+
+    // Issuing after the webhook may have failed (MinIO/SMTP down): try again now
+    if (!contract) {
+      if (!CONTRACT_STATUSES.includes(booking.status)) {
+        return res
+          .status(404)
+          .json({ message: "Договор формируется после оплаты бронирования." });
+      }
+      contract = await issueBookingContract(id);
+    }
+
+    const pdfBuffer = await readContractFile(contract);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="contract-${contract.number}.pdf"`,
+      "X-Contract-Number": contract.number,
+      "X-Content-SHA256": contract.contentHash,
+    });
+    res.status(200).send(pdfBuffer);
+  } catch (error) {
+    console.error("Download Contract Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки договора." });
+  }
+});
+
+// ==========================================
+// 3f. BOTH SIDES: Verify a Contract Copy Against the Stored Hash
+// ==========================================
+router.post(
+  "/:id/contract/verify",
+  verifyAuth,
+  contractUploader.single("document"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!req.file) {
+        return res.status(400).json({ message: "Загрузите файл договора." });
+      }
+
+      const booking = await prisma.bookingRequest.findUnique({
+        where: { id },
+        include: { performer: true, contract: true },
+      });
+      if (!booking)
+        return res.status(404).json({ message: "Бронирование не найдено." });
+
+      const isStaff = ["administrator", "support"].includes(req.user.role);
+      if (!resolveBookingParty(booking, req.user.id) && !isStaff) {
+        return res.status(403).json({ message: "Доступ запрещен." });
+      }
+
+      if (!booking.contract) {
+        return res.status(404).json({ message: "Договор еще не сформирован." });
+      }
+
+      const hash = hashDocument(req.file.buffer);
+      const valid = hash === booking.contract.contentHash;
+
+      res.status(200).json({
+        valid,
+        number: booking.contract.number,
+        issuedAt: booking.contract.issuedAt,
+        message: valid
+          ? "Документ совпадает с оригиналом."
+          : "Документ отличается от выданного платформой.",
+      });
+    } catch (error) {
+      console.error("Verify Contract Error:", error);
+      res.status(500).json({ message: "Ошибка проверки договора." });
+    }
+  },
+);
+
+// ==========================================
+// 4. CUSTOMER: Open Dispute (Freezes Escrow Release)
+// ==========================================
+router.post(
+  "/:id/dispute",
+  verifyAuth,
+  evidenceUploader.array("evidence", 5),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const reason = req.body.reason?.trim();
+      const baseUserId = req.user.id;
+
+      if (!reason) {
+        return res.status(400).json({ message: "Укажите причину спора." });
+      }
+
+      const booking = await prisma.bookingRequest.findUnique({
+        where: { id },
+        include: {
+          performer: true,
+          dispute: true,
+          payments: { where: { escrowStatus: "HELD" } },
+        },
+      });
+
+      if (!booking)
+        return res.status(404).json({ message: "Бронирование не найдено." });
+
+      // BookingRequest.customerId points straight at the customer's base User
+      if (booking.customerId !== baseUserId) {
+        return res.status(403).json({ message: "Доступ запрещен." });
+      }
+
+      if (booking.status !== "CONFIRMED" || booking.dispute) {
+        return res.status(400).json({
+          message: "Спор можно открыть только по подтвержденному бронированию.",
+        });
+      }
+
+      const payment = booking.payments[0];
+      if (!payment) {
+        return res
+          .status(400)
+          .json({ message: "Средства по этому бронированию не заморожены." });
+      }
+
+      // Deposit and balance share the same release date
+      if (payment.releaseEligible && payment.releaseEligible <= new Date()) {
+        return res.status(400).json({
+          message: "Срок открытия спора истек: средства уже подлежат выплате.",
+        });
+      }
+
+      const evidenceUrls = await Promise.all(
+        (req.files || []).map((file) => uploadAttachment(file, "disputes", id)),
+      );
+
+      const dispute = await prisma.$transaction(async (tx) => {
+        // Conditional update: loses the race safely if the payout cron got there first
+        const frozen = await tx.payment.updateMany({
+          where: {
+            id: { in: booking.payments.map((p) => p.id) },
+            escrowStatus: "HELD",
+          },
+          data: { escrowStatus: "DISPUTED" },
+        });
+        if (frozen.count !== booking.payments.length) {
+          throw new Error("ESCROW_NOT_HELD");
+        }
+
+        await tx.bookingRequest.update({
+          where: { id },
+          data: { status: "DISPUTED" },
+        });
+
+        const newDispute = await tx.bookingDispute.create({
+          data: {
+            bookingId: id,
+            openedById: baseUserId,
+            reason,
+            evidenceUrls,
+          },
+        });
+
+        await createAuditLog(tx, id, baseUserId, "DISPUTE_OPENED", {
+          disputeId: newDispute.id,
+          reason,
+          evidenceCount: evidenceUrls.length,
+        });
+
+        return newDispute;
+      });
+
+      notifyUser({
+        userId: booking.performer.userId,
+        title: "⚠️ Открыт спор по бронированию",
+        body: "Заказчик открыл спор. Выплата заморожена до решения администрации.",
+        type: "BOOKING_UPDATE",
+        data: { url: "/bookings", bookingId: id },
+      }).catch(console.error);
+
+      res.status(201).json(dispute);
+    } catch (error) {
+      if (error.message === "ESCROW_NOT_HELD") {
+        return res
+          .status(409)
+          .json({ message: "Средства по бронированию уже не заморожены." });
+      }
+      console.error("Open Dispute Error:", error);
+      res.status(500).json({ message: "Ошибка открытия спора." });
+    }
+  },
+);
+
+// ==========================================
+// 5. ADMIN: Dispute Queue
+// ==========================================
+router.get(
+  "/disputes",
+  verifyAuth,
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const { status = "OPEN" } = req.query;
+
+      if (!["OPEN", "RESOLVED", "ALL"].includes(status)) {
+        return res.status(400).json({ message: "Неверный статус спора." });
+      }
+
+      const disputes = await prisma.bookingDispute.findMany({
+        where: status === "ALL" ? {} : { status },
+        include: {
+          booking: {
+            include: {
+              customer: {
+                select: { id: true, name: true, email: true, phone: true },
+              },
+              performer: {
+                include: {
+                  user: { select: { id: true, name: true, email: true } },
+                },
+              },
+              payments: { where: { escrowStatus: { not: "NONE" } } },
+            },
+          },
+        },
+        orderBy: { createdAt: "asc" }, // Oldest first: FIFO queue
+      });
+
+      res.status(200).json(disputes);
+    } catch (error) {
+      console.error("Fetch Disputes Error:", error);
+      res.status(500).json({ message: "Ошибка загрузки споров." });
+    }
+  },
+);
+
+// ==========================================
+// 6. ADMIN: Settle Dispute (Release / Refund / Split)
+// ==========================================
+router.post(
+  "/disputes/:disputeId/resolve",
+  verifyAuth,
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const { disputeId } = req.params;
+      const { decision, performerAmount, note } = req.body;
+      const adminId = req.user.id;
+
+      const dispute = await prisma.bookingDispute.findUnique({
+        where: { id: disputeId },
+        include: {
+          booking: {
+            include: {
+              performer: true,
+              payments: { where: { escrowStatus: "DISPUTED" } },
+            },
+          },
+        },
+      });
+
+      if (!dispute) return res.status(404).json({ message: "Спор не найден." });
+      if (dispute.status !== "OPEN") {
+        return res.status(400).json({ message: "Спор уже урегулирован." });
+      }
+
+      const frozenPayments = dispute.booking.payments;
+      if (!frozenPayments.length) {
+        return res
+          .status(400)
+          .json({ message: "Замороженный платеж по спору не найден." });
+      }
+      const frozenTotal = sumAmounts(frozenPayments);
+
+      let captureAmount;
+      let bookingStatus;
+
+      switch (decision) {
+        case "RELEASE_TO_PERFORMER":
+          captureAmount = frozenTotal;
+          bookingStatus = "FULFILLED";
+          break;
+        case "REFUND_TO_CUSTOMER":
+          captureAmount = 0;
+          bookingStatus = "REFUNDED";
+          break;
+        case "SPLIT":
+          captureAmount = Number(performerAmount);
+          if (!(captureAmount > 0 && captureAmount < frozenTotal)) {
+            return res.status(400).json({
+              message: `Сумма исполнителю должна быть больше 0 и меньше ${frozenTotal} ₽.`,
+            });
+          }
+          bookingStatus = "FULFILLED";
+          break;
+        default:
+          return res
+            .status(400)
+            .json({ message: "Неверное решение по спору." });
+      }
+
+      const result = await settleBookingEscrow(frozenPayments, {
+        captureAmount,
+        actorId: adminId,
+        action: "DISPUTE_RESOLVED",
+        bookingStatus,
+        metadata: { disputeId, decision, note: note || null },
+        withinTransaction: async (tx, settled) => {
+          await tx.bookingDispute.update({
+            where: { id: disputeId },
+            data: {
+              status: "RESOLVED",
+              resolution: decision,
+              performerAmount: settled.captured,
+              refundAmount: settled.refunded,
+              resolutionNote: note || null,
+              resolvedById: adminId,
+              resolvedAt: new Date(),
+            },
+          });
+        },
+      });
+
+      notifyUser({
+        userId: dispute.booking.customerId,
+        title: "⚖️ Спор рассмотрен",
+        body:
+          result.refunded > 0
+            ? `Администрация рассмотрела спор. Возврат на карту: ${result.refunded} ₽.`
+            : "Администрация рассмотрела спор и приняла решение в пользу исполнителя.",
+        type: "BOOKING_UPDATE",
+        data: { url: "/bookings", bookingId: dispute.bookingId },
+      }).catch(console.error);
+
+      notifyUser({
+        userId: dispute.booking.performer.userId,
+        title: "⚖️ Спор рассмотрен",
+        body:
+          result.performerShare > 0
+            ? `Администрация рассмотрела спор. На ваш баланс зачислено ${result.performerShare} ₽.`
+            : "Администрация рассмотрела спор и вернула средства заказчику.",
+        type: "BOOKING_UPDATE",
+        data: { url: "/bookings", bookingId: dispute.bookingId },
+      }).catch(console.error);
+
+      res.status(200).json({ message: "Спор урегулирован.", ...result });
+    } catch (error) {
+      console.error("Resolve Dispute Error:", error);
+      res.status(500).json({ message: "Ошибка урегулирования спора." });
+    }
+  },
+);
+
+// ==========================================
+// 7. ADMIN: Failed Escrow Releases
+// ==========================================
+router.get(
+  "/payouts/failed",
+  verifyAuth,
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const payments = await prisma.payment.findMany({
+        where: { escrowStatus: "RELEASE_FAILED" },
+        include: {
+          booking: {
+            include: {
+              performer: {
+                include: {
+                  user: { select: { id: true, name: true, email: true } },
+                },
+              },
+            },
+          },
+        },
+        orderBy: { updatedAt: "asc" },
+      });
+
+      res.status(200).json(payments);
+    } catch (error) {
+      console.error("Fetch Failed Payouts Error:", error);
+      res.status(500).json({ message: "Ошибка загрузки выплат." });
+    }
+  },
+);
+
+// ==========================================
+// 8. ADMIN: Resolve a Failed Release (Retry / Book Manual Capture)
+// ==========================================
+router.post(
+  "/payouts/:paymentId/:action",
+  verifyAuth,
+  requireRole(["administrator"]),
+  async (req, res) => {
+    try {
+      const { paymentId, action } = req.params;
+      const adminId = req.user.id;
+
+      if (!["retry", "mark-captured"].includes(action)) {
+        return res.status(404).json({ message: "Неизвестное действие." });
+      }
+
+      const payment = await prisma.payment.findUnique({
+        where: { id: paymentId },
+      });
+
+      if (!payment || payment.escrowStatus !== "RELEASE_FAILED") {
+        return res
+          .status(400)
+          .json({ message: "Платеж не ожидает ручной обработки." });
+      }
+
+      // Left over from a booking settlement (cancellation, dispute decision)
+      // that broke halfway: it still needs that settlement, not a payout
+      const pending = payment.metadata?.pendingSettlement;
+
+      if (action === "retry" && pending) {
+        const result = await settleEscrow(paymentId, {
+          captureAmount: pending.captureAmount,
+          bookingStatus: pending.bookingStatus,
+          actorId: adminId,
+          action: pending.action,
+          fromStatuses: ["RELEASE_FAILED"],
+          metadata: { retriedBy: adminId },
+        });
+
+        await prisma.payment.update({
+          where: { id: paymentId },
+          data: { releaseError: null },
+        });
+
+        return res.status(200).json({ message: "Расчет проведен.", ...result });
+      }
+
+      if (action === "retry") {
+        // Back into the payout job's queue with a fresh attempt budget
+        await prisma.$transaction(async (tx) => {
+          await tx.payment.update({
+            where: { id: paymentId },
+            data: {
+              escrowStatus: "HELD",
+              releaseAttempts: 0,
+              nextReleaseAttempt: null,
+            },
+          });
+          await createAuditLog(
+            tx,
+            payment.bookingId,
+            adminId,
+            "ESCROW_RELEASE_REQUEUED",
+            { paymentId },
+          );
+        });
+
+        return res
+          .status(200)
+          .json({ message: "Выплата поставлена в очередь." });
+      }
+
+      // The admin checked T-Bank: the capture went through, only our books are missing
+      const result = await settleEscrow(paymentId, {
+        captureAmount: pending ? pending.captureAmount : Infinity,
+        bookingStatus: pending ? pending.bookingStatus : "FULFILLED",
+        actorId: adminId,
+        action: "ESCROW_RELEASED_MANUALLY",
+        fromStatuses: ["RELEASE_FAILED"],
+        bankAlreadySettled: true,
+      });
+
+      await prisma.payment.update({
+        where: { id: paymentId },
+        data: { releaseError: null },
+      });
+
+      res.status(200).json({ message: "Выплата проведена.", ...result });
+    } catch (error) {
+      console.error("Resolve Failed Payout Error:", error);
+      res.status(500).json({ message: "Ошибка обработки выплаты." });
+    }
+  },
+);
+
+// ==========================================
+// 9. BOTH SIDES & STAFF: Booking Audit Timeline
+// ==========================================
+router.get("/:id/audit", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await prisma.bookingRequest.findUnique({
+      where: { id },
+      include: {
+        performer: true,
+        auditLogs: { orderBy: [{ createdAt: "asc" }, { sequence: "asc" }] },
+      },
+    });
+    if (!booking)
+      return res.status(404).json({ message: "Бронирование не найдено." });
+
+    const isStaff = ["administrator", "support"].includes(req.user.role);
+    if (!resolveBookingParty(booking, req.user.id) && !isStaff) {
+      return res.status(403).json({ message: "Доступ запрещен." });
+    }
+
+    const actorIds = [...new Set(booking.auditLogs.map((e) => e.actorId))];
+    const users = await prisma.user.findMany({
+      where: { id: { in: actorIds } },
+      select: { id: true, name: true, role: true },
+    });
+    const usersById = new Map(users.map((u) => [u.id, u]));
+
+    const describeActor = (actorId) => {
+      if (SYSTEM_ACTOR_NAMES[actorId]) {
+        return {
+          id: actorId,
+          name: SYSTEM_ACTOR_NAMES[actorId],
+          role: "SYSTEM",
+        };
+      }
+      const user = usersById.get(actorId);
+      const party = resolveBookingParty(booking, actorId);
+      return {
+        id: actorId,
+        name: user?.name || "Удаленный пользователь",
+        role: party || (user ? "STAFF" : "UNKNOWN"),
+      };
+    };
+
+    const timeline = booking.auditLogs.map((entry) => ({
+      id: entry.id,
+      sequence: entry.sequence,
+      action: entry.action,
+      label: AUDIT_ACTION_LABELS[entry.action] || entry.action,
+      actor: describeActor(entry.actorId),
+      metadata: entry.metadata,
+      createdAt: entry.createdAt,
+      hash: entry.hash,
+    }));
+
+    res.status(200).json(timeline);
+  } catch (error) {
+    console.error("Fetch Audit Timeline Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки истории бронирования." });
+  }
+});
+
+// ==========================================
+// 10. ADMIN: Verify the Audit Hash Chain
+// ==========================================
+router.get(
+  "/:id/audit/verify",
+  verifyAuth,
+  requireRole(["administrator", "support"]),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const booking = await prisma.bookingRequest.findUnique({
+        where: { id },
+        select: { id: true, auditHeadHash: true, auditLogs: true },
+      });
+      if (!booking)
+        return res.status(404).json({ message: "Бронирование не найдено." });
+
+      res.status(200).json({
+        bookingId: id,
+        ...verifyAuditChain(booking.auditLogs, booking.auditHeadHash),
+      });
+    } catch (error) {
+      console.error("Verify Audit Chain Error:", error);
+      res.status(500).json({ message: "Ошибка проверки журнала." });
+    }
+  },
+);
+
 export default router;
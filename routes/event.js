@@ -1,7 +1,64 @@
 import { Router } from "express";
 import prisma from "../libs/prisma.js";
 import { fetchCached, invalidateKeys } from "../libs/redis.js";
-import { initTinkoffEventTicketPayment } from "../utils/tinkoff.js";
+import {
+  getPaymentProvider,
+  initEventTicketPayment,
+} from "../services/payment-providers/index.js";
+import {
+  splitFunding,
+  chargeWallet,
+  returnWalletPart,
+  sendWalletReceipt,
+  FUNDING_ERROR_MESSAGES,
+} from "../services/wallet-payments.js";
+import { buildWalletReceipt } from "../services/payment-providers/receipt.js";
+import {
+  parseBasket,
+  reserveTickets,
+  releaseTickets,
+  describeOrderTiers,
+  createTicketTier,
+  updateTicketTier,
+  removeTicketTier,
+  TIER_ERROR_MESSAGES,
+} from "../services/ticket-inventory.js";
+import {
+  getSeatMap,
+  replaceSeatMap,
+  holdSeats,
+  releaseSeatHolds,
+  checkSeatHolds,
+  loadSeatsForOrder,
+  claimSeats,
+  completeSeatPurchase,
+  describeOrderSeats,
+  SEATING_ERROR_MESSAGES,
+} from "../services/seating.js";
+import {
+  reservationDeadline,
+  getTicketSales,
+  getTierSales,
+} from "../services/ticket-reservations.js";
+import {
+  issueOrderTickets,
+  BUYER_TICKETS,
+  TICKET_ERROR_MESSAGES,
+} from "../services/tickets.js";
+import {
+  admitToken,
+  publishCheckIns,
+  getCheckInCounts,
+  createScannerSession,
+  listScannerSessions,
+  revokeScannerSession,
+  authenticateScanner,
+  buildScannerManifest,
+  getScannerPublicKey,
+  uploadScans,
+  SCANNER_ERROR_MESSAGES,
+} from "../services/checkin.js";
+import { processTicketDelivery } from "../controllers/webhooks.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
 import { createUploader } from "../utils/multer.js";
 import { optimizeAndUpload } from "../utils/imageProcessor.js";
@@ -54,7 +111,16 @@ router.get("/hosted", verifyAuth, async (req, res) => {
       where: { hostId: profile.id }, // Use Profile ID
       orderBy: { date: "desc" },
     });
-    res.json(events);
+
+    // Sold vs. held by checkouts that may still fall through
+    const sales = await getTicketSales(events.map((e) => e.id));
+    res.json(
+      events.map((e) => ({
+        ...e,
+        soldTickets: sales.get(e.id)?.soldTickets || 0,
+        heldTickets: sales.get(e.id)?.heldTickets || 0,
+      })),
+    );
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch hosted events" });
   }
@@ -85,6 +151,15 @@ router.post(
 // ==========================================
 // 2. CHECK-IN (QR Code Scanner Endpoint)
 // ==========================================
+const CHECK_IN_REJECTIONS = {
+  WRONG_EVENT: "Этот билет от другого мероприятия!",
+  NOT_ACCEPTED: "Гость не подтвердил участие (Ожидание/Отказ).",
+  TRANSFERRED: "Билет передан другому гостю, этот QR-код недействителен.",
+  NOT_PAID: "Билет не оплачен или был отменен.",
+  ORDER_HAS_TICKETS:
+    "Этот код недействителен: у каждого билета заказа свой QR-код.",
+};
+
 router.post("/checkin", verifyAuth, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -111,94 +186,47 @@ router.post("/checkin", verifyAuth, async (req, res) => {
     }
 
     if (!isAuthorized) {
-      return res
-        .status(403)
-        .json({
-          message: "У вас нет прав для проверки билетов этого события.",
-        });
+      return res.status(403).json({
+        message: "У вас нет прав для проверки билетов этого события.",
+      });
     }
 
-    // 1. CHECK INVITATIONS (Free RSVPs)
-    const invitation = await prisma.invitation.findUnique({
-      where: { ticketToken: ticketToken },
-    });
-
-    if (invitation) {
-      if (invitation.eventId !== eventId)
-        return res
-          .status(400)
-          .json({ message: "Этот билет от другого мероприятия!" });
-      if (invitation.status !== "ACCEPTED")
-        return res
-          .status(400)
-          .json({ message: "Гость не подтвердил участие (Ожидание/Отказ)." });
-      if (invitation.isCheckedIn) {
-        const time = invitation.checkInTime
-          ? invitation.checkInTime.toLocaleTimeString("ru-RU")
-          : "ранее";
-        return res.status(400).json({ message: `Гость уже вошел в ${time}` });
-      }
-
-      await prisma.invitation.update({
-        where: { id: invitation.id },
-        data: { isCheckedIn: true, checkInTime: new Date() },
-      });
+    // Tickets, free RSVP invitations and older orders with one code for all
+    const entry = await admitToken(eventId, ticketToken);
 
-      if (typeof invalidateKeys === "function")
-        await invalidateKeys([`events:${eventId}:attendees`]);
+    if (entry.result === "ADMITTED") {
+      await publishCheckIns(eventId);
 
       return res.json({
         isValid: true,
-        guestName: invitation.guestName,
+        guestName: entry.guestName,
+        ...(entry.kind !== "INVITATION" && {
+          ticketCount: entry.ticketCount,
+          tiers: entry.tiers,
+          seats: entry.seats,
+        }),
         message: "Вход разрешен!",
       });
     }
 
-    // 2. CHECK ORDERS (Paid Tickets)
-    const order = await prisma.order.findUnique({
-      where: { ticketCode: ticketToken },
-      include: { user: { select: { name: true } } },
-    });
-
-    if (order) {
-      if (order.eventId !== eventId)
-        return res
-          .status(400)
-          .json({ message: "Этот билет от другого мероприятия!" });
-      if (order.status !== "ACTIVE" && order.status !== "PAYMENT_SUCCESS") {
-        return res
-          .status(400)
-          .json({ message: "Билет не оплачен или был отменен." });
-      }
-      if (order.isUsed) {
-        const time = order.enteredAt
-          ? order.enteredAt.toLocaleTimeString("ru-RU")
-          : "ранее";
-        return res
-          .status(400)
-          .json({ message: `Билет уже был использован в ${time}` });
-      }
-
-      await prisma.order.update({
-        where: { id: order.id },
-        data: { isUsed: true, enteredAt: new Date() },
-      });
-
-      if (typeof invalidateKeys === "function")
-        await invalidateKeys([`events:${eventId}:attendees`]);
-
-      return res.json({
-        isValid: true,
-        guestName: order.user?.name || "Гость",
-        message: "Вход разрешен!",
+    if (entry.result === "ALREADY_CHECKED_IN") {
+      const time = entry.enteredAt
+        ? entry.enteredAt.toLocaleTimeString("ru-RU")
+        : "ранее";
+      return res.status(400).json({
+        message:
+          entry.kind === "INVITATION"
+            ? `Гость уже вошел в ${time}`
+            : `Билет уже был использован в ${time}`,
       });
     }
 
-    return res
-      .status(404)
-      .json({
-        message: "Билет с таким QR-кодом не найден в базе этого события.",
-      });
+    const rejection = CHECK_IN_REJECTIONS[entry.result];
+    if (rejection) return res.status(400).json({ message: rejection });
+
+    return res.status(404).json({
+      message: "Билет с таким QR-кодом не найден в базе этого события.",
+    });
   } catch (error) {
     console.error("Check-in Scanner Error:", error);
     res
@@ -258,6 +286,10 @@ router.get("/:id", async (req, res) => {
               user: { select: { id: true, name: true, image: true } },
             },
           },
+          ticketTiers: {
+            where: { isActive: true },
+            orderBy: [{ sortOrder: "asc" }, { price: "asc" }],
+          },
         },
       });
 
@@ -290,18 +322,25 @@ router.get("/:id", async (req, res) => {
 // 4. TICKETING & RSVP
 // ==========================================
 
+// seatIds: [...] for events with a seat map, items: [{ tierId, quantity }] for
+// events with ticket tiers, ticketCount otherwise
+// paymentMethod: "card" (default), "wallet" or "mixed" (+ walletAmount)
+// attendees: [{ name, email? }] per ticket, in the same order (the buyer by default)
 router.post("/:id/purchase", verifyAuth, async (req, res) => {
   const eventId = req.params.id;
   const ticketCount = parseInt(req.body.ticketCount);
+  const { items, seatIds, attendees, paymentMethod, walletAmount } = req.body;
   const userId = req.user.id;
 
-  if (isNaN(ticketCount) || ticketCount <= 0) {
+  if (!items && !seatIds && (isNaN(ticketCount) || ticketCount <= 0)) {
     return res
       .status(400)
       .json({ message: "Укажите корректное количество билетов" });
   }
 
   try {
+    const basket = items ? parseBasket(items) : null;
+
     const user = await prisma.user.findUnique({ where: { id: userId } });
     if (!user) return res.status(404).json({ message: "User not found" });
 
@@ -310,64 +349,169 @@ router.post("/:id/purchase", verifyAuth, async (req, res) => {
       where: { userId },
     });
 
+    const provider = getPaymentProvider();
+    if (seatIds) await checkSeatHolds(eventId, userId, seatIds);
+
     const result = await prisma.$transaction(async (tx) => {
       const targetEvent = await tx.event.findUnique({ where: { id: eventId } });
 
       if (!targetEvent) throw new Error("EVENT_NOT_FOUND");
       if (targetEvent.status !== "active") throw new Error("EVENT_NOT_ACTIVE");
       if (targetEvent.paymentType === "FREE") throw new Error("EVENT_IS_FREE");
-      if (targetEvent.availableTickets < ticketCount)
-        throw new Error("NOT_ENOUGH_TICKETS");
 
       // 🚨 FIX: Prevent buying own tickets by checking PerformerProfile ID
       if (profile && targetEvent.hostId === profile.id)
         throw new Error("OWN_EVENT_PURCHASE");
 
-      const effectivePrice =
-        targetEvent.discountPrice && targetEvent.discountPrice > 0
-          ? targetEvent.discountPrice
-          : targetEvent.price;
-
-      const totalPrice = effectivePrice * ticketCount;
+      if (seatIds && !targetEvent.hasSeatMap) throw new Error("SEAT_NOT_FOUND");
+
+      let tickets;
+      let seating = null;
+      if (targetEvent.hasSeatMap) {
+        seating = await loadSeatsForOrder(tx, eventId, seatIds);
+        tickets = await reserveTickets(tx, targetEvent, seating.basket);
+      } else if (basket) {
+        tickets = await reserveTickets(tx, targetEvent, basket);
+      } else {
+        // Events with tiers are only sold by tier
+        const tierCount = await tx.ticketTier.count({ where: { eventId } });
+        if (tierCount > 0) throw new Error("INVALID_BASKET");
+
+        const effectivePrice =
+          targetEvent.discountPrice && targetEvent.discountPrice > 0
+            ? targetEvent.discountPrice
+            : targetEvent.price;
+
+        // Conditional, so two buyers can't both take the last tickets
+        const { count } = await tx.event.updateMany({
+          where: { id: eventId, availableTickets: { gte: ticketCount } },
+          data: { availableTickets: { decrement: ticketCount } },
+        });
+        if (count === 0) throw new Error("NOT_ENOUGH_TICKETS");
+        tickets = {
+          items: [],
+          ticketCount,
+          totalPrice: effectivePrice * ticketCount,
+        };
+      }
 
-      await tx.event.update({
-        where: { id: eventId },
-        data: { availableTickets: { decrement: ticketCount } },
-      });
+      const funding = splitFunding(
+        tickets.totalPrice,
+        { paymentMethod, walletAmount },
+        user.walletBalance,
+      );
+      const paidFromWallet = funding.card === 0;
 
       const newOrder = await tx.order.create({
-        data: { eventId, userId, ticketCount, totalPrice, status: "INITIATED" },
-      });
-
-      const newPayment = await tx.payment.create({
         data: {
+          eventId,
           userId,
-          amount: totalPrice,
-          provider: "tinkoff",
-          status: "PENDING",
-          metadata: { type: "EVENT_TICKET", orderId: newOrder.id, eventId },
+          ticketCount: tickets.ticketCount,
+          totalPrice: tickets.totalPrice,
+          status: paidFromWallet ? "ACTIVE" : "INITIATED",
+          // The card checkout holds the tickets until then
+          reservedUntil: paidFromWallet ? null : reservationDeadline(),
+          reservedSeats: seating?.reservedSeats,
+          items: { create: tickets.items },
+          tickets: {
+            create: issueOrderTickets({
+              items: tickets.items,
+              ticketCount: tickets.ticketCount,
+              seats: seating?.seats,
+              attendees,
+              buyerName: user.name,
+            }),
+          },
         },
+        include: { items: true, tickets: BUYER_TICKETS },
       });
+      if (seating) await claimSeats(tx, newOrder.id, seating.seats);
+      const metadata = { type: "EVENT_TICKET", orderId: newOrder.id, eventId };
+
+      // Mixed: the wallet part waits (PENDING) for the card part
+      const walletPayment =
+        funding.wallet > 0
+          ? await chargeWallet(tx, {
+              userId,
+              amount: funding.wallet,
+              description: `Билеты (${newOrder.ticketCount} шт.): ${targetEvent.title}`,
+              receipt: buildWalletReceipt(
+                "EVENT_TICKET",
+                { email: user.email, phone: user.phone },
+                `Билеты (${newOrder.ticketCount} шт.): ${targetEvent.title.substring(0, 64)}`,
+                funding.wallet,
+              ),
+              data: {
+                status: paidFromWallet ? "COMPLETED" : "PENDING",
+                metadata,
+              },
+            })
+          : null;
+
+      const newPayment = paidFromWallet
+        ? null
+        : await tx.payment.create({
+            data: {
+              userId,
+              amount: funding.card,
+              provider: provider.name,
+              status: "PENDING",
+              metadata: {
+                ...metadata,
+                ...(walletPayment && { walletPaymentId: walletPayment.id }),
+              },
+            },
+          });
 
-      return { newOrder, targetEvent, newPayment };
+      return {
+        newOrder,
+        targetEvent,
+        newPayment,
+        walletPayment,
+        funding,
+        seating,
+      };
     });
 
+    if (result.seating) {
+      await completeSeatPurchase(eventId, userId, result.seating.seats);
+    }
+
+    // Paid in full from the wallet: the tickets are ready right away
+    if (!result.newPayment) {
+      await invalidateKeys(["events:all", `events:${eventId}`, "orders:my"]);
+      sendWalletReceipt(result.walletPayment.id).catch(console.error);
+      processTicketDelivery({
+        ...result.newOrder,
+        event: result.targetEvent,
+        user,
+      }).catch(console.error);
+
+      return res.json({
+        paymentUrl: null,
+        paidFromWallet: true,
+        orderId: result.newOrder.id,
+      });
+    }
+
     try {
-      const paymentData = await initTinkoffEventTicketPayment(
+      const paymentData = await initEventTicketPayment(
+        provider,
         result.newOrder,
         result.targetEvent,
-        user.email,
+        { email: user.email, phone: user.phone },
+        result.funding.card,
       );
-      const tinkoffTxId = String(paymentData.paymentId);
+      const providerTxId = String(paymentData.paymentId);
 
       await prisma.$transaction([
         prisma.order.update({
           where: { id: result.newOrder.id },
-          data: { paymentId: tinkoffTxId },
+          data: { paymentId: providerTxId, status: "PAYMENT_PENDING" },
         }),
         prisma.payment.update({
           where: { id: result.newPayment.id },
-          data: { providerTxId: tinkoffTxId },
+          data: { providerTxId, receipt: paymentData.receipt },
         }),
       ]);
 
@@ -375,28 +519,33 @@ router.post("/:id/purchase", verifyAuth, async (req, res) => {
         await invalidateKeys(["events:all", `events:${eventId}`, "orders:my"]);
       }
 
-      return res.json({ paymentUrl: paymentData.paymentUrl });
+      // reservedUntil: the countdown to show; the order EXPIRES after it
+      return res.json({
+        paymentUrl: paymentData.paymentUrl,
+        orderId: result.newOrder.id,
+        reservedUntil: result.newOrder.reservedUntil,
+      });
     } catch (apiError) {
-      console.error("Tinkoff API Error, manual rollback...", apiError);
-      await prisma.$transaction([
-        prisma.event.update({
-          where: { id: eventId },
-          data: { availableTickets: { increment: ticketCount } },
-        }),
-        prisma.order.update({
+      console.error("Payment Gateway Error, manual rollback...", apiError);
+      await prisma.$transaction(async (tx) => {
+        await releaseTickets(tx, result.newOrder);
+        await tx.order.update({
           where: { id: result.newOrder.id },
           data: { status: "PAYMENT_FAILED" },
-        }),
-        prisma.payment.update({
+        });
+        await tx.payment.update({
           where: { id: result.newPayment.id },
           data: { status: "FAILED" },
-        }),
-      ]);
-      return res
-        .status(502)
-        .json({
-          message: "Сервис оплаты временно недоступен. Попробуйте позже.",
         });
+        await returnWalletPart(
+          tx,
+          result.newPayment,
+          `Возврат: оплата билетов на «${result.targetEvent.title}» не прошла`,
+        );
+      });
+      return res.status(502).json({
+        message: "Сервис оплаты временно недоступен. Попробуйте позже.",
+      });
     }
   } catch (error) {
     const errorMap = {
@@ -405,6 +554,10 @@ router.post("/:id/purchase", verifyAuth, async (req, res) => {
       EVENT_IS_FREE: "Это мероприятие бесплатное, используйте RSVP",
       NOT_ENOUGH_TICKETS: "Недостаточно свободных билетов",
       OWN_EVENT_PURCHASE: "Нельзя купить билет на собственное событие",
+      ...TIER_ERROR_MESSAGES,
+      ...SEATING_ERROR_MESSAGES,
+      ...TICKET_ERROR_MESSAGES,
+      ...FUNDING_ERROR_MESSAGES,
     };
     res
       .status(400)
@@ -489,7 +642,14 @@ router.get("/:id/attendees", verifyAuth, async (req, res) => {
           eventId: eventId,
           status: { in: ["ACTIVE", "PAYMENT_SUCCESS"] },
         },
-        include: { user: { select: { name: true, email: true, phone: true } } },
+        include: {
+          user: { select: { name: true, email: true, phone: true } },
+          items: true,
+          tickets: {
+            where: { status: "ACTIVE" },
+            orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+          },
+        },
         orderBy: { createdAt: "desc" },
       }),
     ]);
@@ -507,18 +667,43 @@ router.get("/:id/attendees", verifyAuth, async (req, res) => {
         checkInTime: inv.checkInTime,
         createdAt: inv.createdAt,
       })),
-      ...orders.map((ord) => ({
-        id: ord.id,
-        eventId: ord.eventId,
-        guestName: ord.user?.name || "Гость",
-        guestEmail: ord.user?.email || "Нет email",
-        guestPhone: ord.user?.phone || null,
-        status: "ACCEPTED",
-        ticketToken: ord.ticketCode,
-        isCheckedIn: ord.isUsed,
-        checkInTime: ord.enteredAt,
-        createdAt: ord.createdAt,
-      })),
+      // One row per ticket; orders from before tickets had codes, per order
+      ...orders.flatMap((ord) =>
+        ord.tickets.map((ticket) => ({
+          id: ticket.id,
+          orderId: ord.id,
+          eventId: ord.eventId,
+          guestName: ticket.attendeeName,
+          guestEmail: ticket.attendeeEmail || ord.user?.email || "Нет email",
+          guestPhone: ticket.attendeeEmail ? null : ord.user?.phone || null,
+          buyerName: ord.user?.name || null,
+          status: "ACCEPTED",
+          ticketToken: ticket.code,
+          ticketCount: 1,
+          tiers: ticket.tierName,
+          seats: ticket.seatLabel,
+          isCheckedIn: ticket.isUsed,
+          checkInTime: ticket.enteredAt,
+          createdAt: ticket.createdAt,
+        })),
+      ),
+      ...orders
+        .filter((ord) => ord.tickets.length === 0)
+        .map((ord) => ({
+          id: ord.id,
+          eventId: ord.eventId,
+          guestName: ord.user?.name || "Гость",
+          guestEmail: ord.user?.email || "Нет email",
+          guestPhone: ord.user?.phone || null,
+          status: "ACCEPTED",
+          ticketToken: ord.ticketCode,
+          ticketCount: ord.ticketCount,
+          tiers: describeOrderTiers(ord.items) || null,
+          seats: describeOrderSeats(ord.reservedSeats) || null,
+          isCheckedIn: ord.isUsed,
+          checkInTime: ord.enteredAt,
+          createdAt: ord.createdAt,
+        })),
     ];
 
     attendees.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -529,6 +714,12 @@ router.get("/:id/attendees", verifyAuth, async (req, res) => {
   }
 });
 
+// Hours before the start until which buyers can refund themselves; empty = no self-service refunds
+const parseRefundWindow = (value) => {
+  const hours = parseInt(value);
+  return isNaN(hours) || hours < 0 ? null : hours;
+};
+
 router.post("/", verifyAuth, async (req, res) => {
   try {
     const data = req.body;
@@ -546,21 +737,50 @@ router.post("/", verifyAuth, async (req, res) => {
       hostProfileId = profile.id;
     }
 
+    // With tiers, the ticket counts and the price come from them
+    const { tiers, ...eventData } = data;
+    const hasTiers = Array.isArray(tiers) && tiers.length > 0;
+
     const newEvent = await prisma.event.create({
       data: {
-        ...data,
+        ...eventData,
         price: parseFloat(data.price) || 0,
         discountPrice: parseFloat(data.discountPrice) || 0,
-        totalTickets: parseInt(data.totalTickets) || 0,
-        availableTickets: parseInt(data.totalTickets) || 0,
+        totalTickets: hasTiers ? 0 : parseInt(data.totalTickets) || 0,
+        availableTickets: hasTiers ? 0 : parseInt(data.totalTickets) || 0,
+        refundWindowHours: parseRefundWindow(data.refundWindowHours),
         date: new Date(data.date),
         hostId: hostProfileId, // Now correctly using PerformerProfile.id
       },
     });
 
+    if (hasTiers) {
+      try {
+        for (const [index, tier] of tiers.entries()) {
+          await createTicketTier(newEvent.id, { sortOrder: index, ...tier });
+        }
+      } catch (tierError) {
+        // All or nothing: the host fixes the tier and submits again
+        await prisma.event.delete({ where: { id: newEvent.id } });
+        throw tierError;
+      }
+    }
+
     await invalidateKeys(["events:all", "events:hosted"]);
-    res.status(201).json(newEvent);
+    res.status(201).json(
+      hasTiers
+        ? await prisma.event.findUnique({
+            where: { id: newEvent.id },
+            include: { ticketTiers: { orderBy: { sortOrder: "asc" } } },
+          })
+        : newEvent,
+    );
   } catch (error) {
+    if (TIER_ERROR_MESSAGES[error.message]) {
+      return res
+        .status(400)
+        .json({ message: TIER_ERROR_MESSAGES[error.message] });
+    }
     res.status(400).json({ message: "Invalid event data" });
   }
 });
@@ -594,8 +814,17 @@ router.put("/:id", verifyAuth, async (req, res) => {
     if (data.discountPrice !== undefined)
       updateData.discountPrice = parseFloat(data.discountPrice) || 0;
     if (data.date !== undefined) updateData.date = new Date(data.date);
+    if (data.refundWindowHours !== undefined)
+      updateData.refundWindowHours = parseRefundWindow(data.refundWindowHours);
 
     if (data.totalTickets !== undefined) {
+      const tierCount = await prisma.ticketTier.count({ where: { eventId } });
+      if (tierCount > 0) {
+        return res.status(400).json({
+          message: "Количество билетов этого события задается в типах билетов",
+        });
+      }
+
       const newTotal = parseInt(data.totalTickets) || 0;
       const difference = newTotal - existingEvent.totalTickets;
       updateData.totalTickets = newTotal;
@@ -690,4 +919,376 @@ router.delete("/:id", verifyAuth, async (req, res) => {
   }
 });
 
+// ==========================================
+// 6. TICKET TIERS (Host)
+// ==========================================
+
+// The event's host or an administrator
+const canManageEvent = async (user, event) => {
+  if (user.role === "administrator") return true;
+  const profile = await prisma.performerProfile.findUnique({
+    where: { userId: user.id },
+  });
+  return Boolean(profile && event.hostId === profile.id);
+};
+
+// Loads the event (and the tier) of a tier route and checks the rights
+const loadTierContext = async (req, res) => {
+  const event = await prisma.event.findUnique({ where: { id: req.params.id } });
+  if (!event) {
+    res.status(404).json({ message: "Событие не найдено" });
+    return null;
+  }
+  if (!(await canManageEvent(req.user, event))) {
+    res.status(403).json({ message: "Нет прав для редактирования" });
+    return null;
+  }
+  if (!req.params.tierId) return { event };
+
+  const tier = await prisma.ticketTier.findUnique({
+    where: { id: req.params.tierId },
+  });
+  if (!tier || tier.eventId !== event.id) {
+    res.status(404).json({ message: TIER_ERROR_MESSAGES.TIER_NOT_FOUND });
+    return null;
+  }
+  return { event, tier };
+};
+
+const sendTierError = (res, error, fallback) => {
+  if (TIER_ERROR_MESSAGES[error.message]) {
+    return res
+      .status(400)
+      .json({ message: TIER_ERROR_MESSAGES[error.message] });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// All tiers with sales figures (sold, and held by unfinished checkouts),
+// switched-off ones included
+router.get("/:id/tiers", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+
+    const [tiers, sales] = await Promise.all([
+      prisma.ticketTier.findMany({
+        where: { eventId: context.event.id },
+        orderBy: [{ sortOrder: "asc" }, { price: "asc" }],
+      }),
+      getTierSales(context.event.id),
+    ]);
+    res.json(
+      tiers.map((tier) => ({
+        ...tier,
+        soldTickets: sales.get(tier.id)?.soldTickets || 0,
+        heldTickets: sales.get(tier.id)?.heldTickets || 0,
+      })),
+    );
+  } catch (error) {
+    sendTierError(res, error, "Ошибка загрузки типов билетов");
+  }
+});
+
+// { name, price, totalTickets, description?, salesStart?, salesEnd?,
+//   minPerOrder?, maxPerOrder?, sortOrder? }
+router.post("/:id/tiers", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+
+    if (context.event.paymentType === "FREE") {
+      return res
+        .status(400)
+        .json({ message: "У бесплатного события нет типов билетов" });
+    }
+    if (context.event.hasSeatMap) {
+      return res
+        .status(400)
+        .json({ message: SEATING_ERROR_MESSAGES.SEATED_EVENT_TIERS });
+    }
+
+    // Tiers replace the event's own inventory: only before anything is sold
+    const tierCount = await prisma.ticketTier.count({
+      where: { eventId: context.event.id },
+    });
+    if (tierCount === 0) {
+      const soldOrders = await prisma.order.count({
+        where: { eventId: context.event.id },
+      });
+      if (soldOrders > 0) {
+        return res.status(400).json({
+          message:
+            "Типы билетов нельзя добавить к событию, на которое уже продавались билеты",
+        });
+      }
+      await prisma.event.update({
+        where: { id: context.event.id },
+        data: { totalTickets: 0, availableTickets: 0 },
+      });
+    }
+
+    const tier = await createTicketTier(context.event.id, req.body);
+    await invalidateKeys(["events:all", `events:${context.event.id}`]);
+    res.status(201).json(tier);
+  } catch (error) {
+    sendTierError(res, error, "Ошибка создания типа билетов");
+  }
+});
+
+router.put("/:id/tiers/:tierId", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+
+    // A zone has as many tickets as the seat map gives it
+    if (context.event.hasSeatMap && req.body.totalTickets !== undefined) {
+      return res
+        .status(400)
+        .json({ message: SEATING_ERROR_MESSAGES.SEATED_EVENT_TIERS });
+    }
+
+    const tier = await updateTicketTier(context.tier, req.body);
+    await invalidateKeys(["events:all", `events:${context.event.id}`]);
+    res.json(tier);
+  } catch (error) {
+    sendTierError(res, error, "Ошибка обновления типа билетов");
+  }
+});
+
+// Sold tiers are only switched off
+router.delete("/:id/tiers/:tierId", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+
+    if (context.event.hasSeatMap) {
+      return res
+        .status(400)
+        .json({ message: SEATING_ERROR_MESSAGES.SEATED_EVENT_TIERS });
+    }
+
+    const { deleted } = await removeTicketTier(context.tier);
+    await invalidateKeys(["events:all", `events:${context.event.id}`]);
+    res.json({
+      deleted,
+      message: deleted
+        ? "Тип билетов удален"
+        : "Билеты этого типа уже продавались: продажи остановлены",
+    });
+  } catch (error) {
+    sendTierError(res, error, "Ошибка удаления типа билетов");
+  }
+});
+
+// ==========================================
+// 7. RESERVED SEATING
+// ==========================================
+
+const SEATING_ERROR_STATUS = {
+  SEAT_NOT_FOUND: 404,
+  SEATS_TAKEN: 409,
+  SEATS_HELD: 409,
+  HOLDS_UNAVAILABLE: 503,
+};
+
+const sendSeatingError = (res, error, fallback) => {
+  const message =
+    SEATING_ERROR_MESSAGES[error.message] || TIER_ERROR_MESSAGES[error.message];
+  if (message) {
+    return res
+      .status(SEATING_ERROR_STATUS[error.message] || 400)
+      .json({ message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// Public: the seat map with every seat's status. Live updates come over
+// Socket.io: namespace "/seats", emit "watch_event" with the event id, listen
+// to "seats_changed".
+router.get("/:id/seats", async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, hasSeatMap: true },
+    });
+    if (!event?.hasSeatMap) {
+      return res
+        .status(404)
+        .json({ message: "У этого мероприятия нет схемы зала" });
+    }
+
+    res.json(await getSeatMap(event.id));
+  } catch (error) {
+    sendSeatingError(res, error, "Ошибка загрузки схемы зала");
+  }
+});
+
+// { zones: [{ key, name, price, description? }],
+//   sections: [{ name, rows: [{ row, zone, seats: 20 | ["1", { number, zone }] }] }] }
+router.put("/:id/seat-map", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+
+    if (context.event.paymentType === "FREE") {
+      return res
+        .status(400)
+        .json({ message: "Схема зала доступна только для платных событий" });
+    }
+
+    const summary = await replaceSeatMap(context.event.id, req.body);
+    await invalidateKeys([
+      "events:all",
+      `events:${context.event.id}`,
+      "events:hosted",
+    ]);
+    res.json({ message: "Схема зала сохранена", ...summary });
+  } catch (error) {
+    sendSeatingError(res, error, "Ошибка сохранения схемы зала");
+  }
+});
+
+// { seatIds }: holds the seats while the buyer checks out
+router.post("/:id/seats/hold", verifyAuth, async (req, res) => {
+  try {
+    const hold = await holdSeats(req.params.id, req.user.id, req.body.seatIds);
+    res.json(hold);
+  } catch (error) {
+    sendSeatingError(res, error, "Ошибка удержания мест");
+  }
+});
+
+// { seatIds? }: lets go of the buyer's held seats (all of them by default)
+router.delete("/:id/seats/hold", verifyAuth, async (req, res) => {
+  try {
+    const seatIds = Array.isArray(req.body?.seatIds)
+      ? req.body.seatIds.map(String)
+      : null;
+    const released = await releaseSeatHolds(
+      req.params.id,
+      req.user.id,
+      seatIds,
+    );
+    res.json({ released });
+  } catch (error) {
+    sendSeatingError(res, error, "Ошибка отмены удержания мест");
+  }
+});
+
+// ==========================================
+// 8. OFFLINE DOOR SCANNERS
+// ==========================================
+// The host creates a session per device and hands its access token to the
+// staff member. The scanner downloads the manifest, scans offline and uploads
+// its scans when it's back online (X-Scanner-Token header, no login needed).
+
+const SCANNER_ERROR_STATUS = {
+  SCANNER_SESSION_NOT_FOUND: 404,
+  SCANNER_SESSION_CLOSED: 403,
+  SCANNER_SIGNING_NOT_CONFIGURED: 503,
+};
+
+const sendScannerError = (res, error, fallback) => {
+  const message = SCANNER_ERROR_MESSAGES[error.message];
+  if (message) {
+    return res
+      .status(SCANNER_ERROR_STATUS[error.message] || 400)
+      .json({ message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+// Guests in / expected; the same figures arrive live as "checkin_count"
+router.get("/:id/checkin/stats", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+    res.json(await getCheckInCounts(context.event.id));
+  } catch (error) {
+    console.error("Check-in Stats Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки статистики входа" });
+  }
+});
+
+router.get("/:id/scanner-sessions", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+    res.json(await listScannerSessions(context.event.id));
+  } catch (error) {
+    sendScannerError(res, error, "Ошибка загрузки сканеров");
+  }
+});
+
+// { deviceName } -> { session, accessToken } (the token is shown only once)
+router.post("/:id/scanner-sessions", verifyAuth, async (req, res) => {
+  try {
+    const context = await loadTierContext(req, res);
+    if (!context) return;
+    const created = await createScannerSession(
+      context.event,
+      req.user.id,
+      req.body,
+    );
+    res.status(201).json(created);
+  } catch (error) {
+    sendScannerError(res, error, "Ошибка создания сканера");
+  }
+});
+
+router.delete(
+  "/:id/scanner-sessions/:sessionId",
+  verifyAuth,
+  async (req, res) => {
+    try {
+      const context = await loadTierContext(req, res);
+      if (!context) return;
+      res.json(
+        await revokeScannerSession(context.event.id, req.params.sessionId),
+      );
+    } catch (error) {
+      sendScannerError(res, error, "Ошибка отключения сканера");
+    }
+  },
+);
+
+// The key scanners check manifests with (also sent along with each manifest)
+router.get("/scanner/public-key", (req, res) => {
+  try {
+    res.json({ algorithm: "Ed25519", publicKey: getScannerPublicKey() });
+  } catch (error) {
+    sendScannerError(res, error, "Ошибка загрузки ключа сканера");
+  }
+});
+
+// The signed list of codes to scan against while offline
+router.get("/:id/scanner/manifest", async (req, res) => {
+  try {
+    const session = await authenticateScanner(
+      req.params.id,
+      req.get("X-Scanner-Token"),
+    );
+    res.json(await buildScannerManifest(session));
+  } catch (error) {
+    sendScannerError(res, error, "Ошибка загрузки списка билетов");
+  }
+});
+
+// { scans: [{ token, scannedAt }] } -> each scan's result and the conflicts
+router.post("/:id/scanner/scans", async (req, res) => {
+  try {
+    const session = await authenticateScanner(
+      req.params.id,
+      req.get("X-Scanner-Token"),
+    );
+    res.json(await uploadScans(session, req.body.scans));
+  } catch (error) {
+    sendScannerError(res, error, "Ошибка загрузки сканирований");
+  }
+});
+
 export default router;
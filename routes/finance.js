@@ -1,6 +1,16 @@
 import { Router } from "express";
 import prisma from "../libs/prisma.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+} from "../services/ledger.js";
+import {
+  normalizeBankDetails,
+  payoutDetailsSnapshot,
+  BANK_DETAILS_ERROR_MESSAGES,
+} from "../utils/bank-details.js";
 
 const router = Router();
 
@@ -159,22 +169,63 @@ router.get("/payouts", verifyAuth, async (req, res) => {
   }
 });
 
+// ==========================================
+// 4b. SAVED PAYOUT BANK DETAILS
+// ==========================================
+router.get("/payout-details", verifyAuth, async (req, res) => {
+  try {
+    const details = await prisma.payoutDetails.findUnique({
+      where: { userId: req.user.id },
+    });
+    res.status(200).json(details);
+  } catch (error) {
+    res.status(500).json({ message: "Ошибка загрузки реквизитов" });
+  }
+});
+
+// { recipientName, recipientInn, bankBik, accountNumber, bankName? }
+router.put("/payout-details", verifyAuth, async (req, res) => {
+  try {
+    const details = normalizeBankDetails(req.body);
+    const saved = await prisma.payoutDetails.upsert({
+      where: { userId: req.user.id },
+      update: details,
+      create: { ...details, userId: req.user.id },
+    });
+    res.status(200).json(saved);
+  } catch (error) {
+    if (BANK_DETAILS_ERROR_MESSAGES[error.message]) {
+      return res
+        .status(400)
+        .json({ message: BANK_DETAILS_ERROR_MESSAGES[error.message] });
+    }
+    console.error("Payout Details Error:", error);
+    res.status(500).json({ message: "Ошибка сохранения реквизитов" });
+  }
+});
+
 // ==========================================
 // 5. CREATE A PAYOUT REQUEST (WITHDRAWAL)
+// Sent to the saved details, or to `bankDetails` from the body (saved too)
 // ==========================================
 router.post("/payouts", verifyAuth, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { amount, paymentDetails } = req.body;
+    const { amount, bankDetails } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({ message: "Укажите корректную сумму" });
     }
-    if (!paymentDetails || !paymentDetails.trim()) {
-      return res
-        .status(400)
-        .json({ message: "Укажите реквизиты для перевода" });
-    }
+
+    const entered = bankDetails ? normalizeBankDetails(bankDetails) : null;
+    const details = entered
+      ? await prisma.payoutDetails.upsert({
+          where: { userId },
+          update: entered,
+          create: { ...entered, userId },
+        })
+      : await prisma.payoutDetails.findUnique({ where: { userId } });
+    if (!details) throw new Error("PAYOUT_DETAILS_REQUIRED");
 
     // 🚨 SECURITY: We must use a Transaction to prevent race conditions (double spending)
     await prisma.$transaction(async (tx) => {
@@ -187,22 +238,27 @@ router.post("/payouts", verifyAuth, async (req, res) => {
         throw new Error("Недостаточно средств на балансе");
       }
 
-      // 3. Deduct the amount immediately so it can't be withdrawn twice
-      await tx.user.update({
-        where: { id: userId },
-        data: { walletBalance: { decrement: amount } },
-      });
-
-      // 4. Create the Payout Request for Admin review
-      await tx.payoutRequest.create({
+      // 3. Create the Payout Request for Admin review
+      const payout = await tx.payoutRequest.create({
         data: {
           userId,
           amount,
-          paymentDetails,
+          ...payoutDetailsSnapshot(details),
           status: "PENDING",
         },
       });
 
+      // 4. Deduct the amount immediately so it can't be withdrawn twice
+      // (the ledger refuses to overdraw, even under concurrent requests)
+      await transferFunds(tx, {
+        from: walletAccount(userId),
+        to: PLATFORM_ACCOUNTS.payouts,
+        amount,
+        kind: "PAYOUT_REQUEST",
+        description: "Заявка на вывод средств",
+        reference: payout.id,
+      });
+
       // 5. Log it in the Wallet Transactions
       await tx.walletTransaction.create({
         data: {
@@ -216,10 +272,21 @@ router.post("/payouts", verifyAuth, async (req, res) => {
 
     res.status(201).json({ message: "Заявка на вывод успешно создана" });
   } catch (error) {
+    if (BANK_DETAILS_ERROR_MESSAGES[error.message]) {
+      return res
+        .status(400)
+        .json({ message: BANK_DETAILS_ERROR_MESSAGES[error.message] });
+    }
     console.error("Payout Request Error:", error);
     // Return friendly message if it's our custom thrown error
-    if (error.message === "Недостаточно средств на балансе") {
-      return res.status(400).json({ message: error.message });
+    if (
+      ["Недостаточно средств на балансе", "INSUFFICIENT_FUNDS"].includes(
+        error.message,
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Недостаточно средств на балансе" });
     }
     res.status(500).json({ message: "Ошибка создания заявки на вывод" });
   }
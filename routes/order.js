@@ -2,6 +2,19 @@ import { Router } from "express";
 import prisma from "../libs/prisma.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
 import { generateTicketPDF } from "../mailer/pdf-generator.js";
+import {
+  refundOrder,
+  isWithinRefundWindow,
+} from "../services/ticket-refund.js";
+import { describeOrderTiers } from "../services/ticket-inventory.js";
+import { describeOrderSeats } from "../services/seating.js";
+import {
+  renameTicket,
+  transferTicket,
+  describeTicket,
+  BUYER_TICKETS,
+  TICKET_ERROR_MESSAGES,
+} from "../services/tickets.js";
 
 const router = Router();
 
@@ -17,7 +30,11 @@ router.get("/", verifyAuth, async (req, res) => {
 
     const [orders, invitations] = await Promise.all([
       prisma.order.findMany({
-        include: { event: true, user: { select: { name: true, email: true } } },
+        include: {
+          event: true,
+          items: true,
+          user: { select: { name: true, email: true } },
+        },
         orderBy: { createdAt: "desc" },
       }),
       prisma.invitation.findMany({
@@ -40,6 +57,8 @@ router.get("/", verifyAuth, async (req, res) => {
         status: o.status,
         isUsed: o.isUsed,
         ticketCount: o.ticketCount,
+        tiers: describeOrderTiers(o.items) || null,
+        seats: describeOrderSeats(o.reservedSeats) || null,
         eventId: o.eventId,
         createdAt: o.createdAt,
       })),
@@ -87,11 +106,18 @@ router.get("/my", verifyAuth, async (req, res) => {
 
     const userEmail = user.email;
 
-    // Fetch both types of tickets
-    const [orders, invitations] = await Promise.all([
+    // Fetch both types of tickets, plus tickets other buyers transferred to the user
+    const [orders, invitations, receivedTickets] = await Promise.all([
       prisma.order.findMany({
         where: { userId: userId },
-        include: { event: true },
+        include: {
+          event: true,
+          items: true,
+          tickets: {
+            where: { status: "ACTIVE" },
+            orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+          },
+        },
         orderBy: { createdAt: "desc" },
       }),
       prisma.invitation.findMany({
@@ -99,6 +125,19 @@ router.get("/my", verifyAuth, async (req, res) => {
         include: { event: true },
         orderBy: { createdAt: "desc" },
       }),
+      prisma.ticket.findMany({
+        where: {
+          attendeeEmail: userEmail,
+          status: "ACTIVE",
+          transferredFromId: { not: null },
+          order: {
+            userId: { not: userId },
+            status: { in: ["ACTIVE", "PAYMENT_SUCCESS"] },
+          },
+        },
+        include: { order: { include: { event: true } } },
+        orderBy: { createdAt: "desc" },
+      }),
     ]);
 
     // Transform into Unified Format for Frontend
@@ -113,11 +152,34 @@ router.get("/my", verifyAuth, async (req, res) => {
         address: o.event.address,
         imageUrl: o.event.imageUrl,
         status: o.status, // e.g., "PAYMENT_SUCCESS"
+        reservedUntil: o.reservedUntil, // Countdown of an unfinished checkout
         isUsed: o.isUsed,
         ticketCount: o.ticketCount,
+        tiers: describeOrderTiers(o.items) || null,
+        seats: describeOrderSeats(o.reservedSeats) || null,
+        // Each with its own QR code; the ones given away show their new holder
+        tickets: o.tickets.map(describeTicket),
         eventId: o.eventId,
         createdAt: o.createdAt,
       })),
+      ...receivedTickets.map((t) => ({
+        id: t.id,
+        type: "TICKET",
+        title: t.order.event.title,
+        date: t.order.event.date,
+        time: t.order.event.time,
+        city: t.order.event.city,
+        address: t.order.event.address,
+        imageUrl: t.order.event.imageUrl,
+        status: "ACTIVE",
+        isUsed: t.isUsed,
+        ticketCount: 1,
+        tiers: t.tierName,
+        seats: t.seatLabel,
+        tickets: [describeTicket(t)],
+        eventId: t.order.eventId,
+        createdAt: t.createdAt,
+      })),
       ...invitations.map((i) => ({
         id: i.id,
         type: "INVITATION",
@@ -159,7 +221,13 @@ router.get("/:id/pdf", verifyAuth, async (req, res) => {
 
     const order = await prisma.order.findUnique({
       where: { id: orderId },
-      include: { event: true, user: true },
+      include: {
+        event: true,
+        user: true,
+        items: true,
+        tickets: BUYER_TICKETS,
+        _count: { select: { tickets: true } },
+      },
     });
 
     // 🚨 FIX: Strict check for "administrator"
@@ -175,6 +243,11 @@ router.get("/:id/pdf", verifyAuth, async (req, res) => {
     if (order.status !== "ACTIVE" && order.status !== "PAYMENT_SUCCESS") {
       return res.status(400).json({ message: "Ticket is not active" });
     }
+    if (order._count.tickets > 0 && order.tickets.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "All tickets of the order were transferred" });
+    }
 
     const pdfBuffer = await generateTicketPDF(order, order.event, order.user);
 
@@ -193,6 +266,174 @@ router.get("/:id/pdf", verifyAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/orders/:id/refund
+ * Full or partial refund ({ ticketCount, reason }; { items: [{ tierId,
+ * quantity }], reason } for an order with several ticket tiers, { seatIds,
+ * reason } for one with reserved seats). The buyer can refund within the
+ * host's refund window; the host and administrators can refund any time.
+ */
+router.post("/:id/refund", verifyAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { reason } = req.body;
+    const ticketCount =
+      req.body.ticketCount === undefined
+        ? undefined
+        : parseInt(req.body.ticketCount);
+    const items = Array.isArray(req.body.items)
+      ? req.body.items.map((item) => ({
+          tierId: item?.tierId,
+          quantity: Number(item?.quantity),
+        }))
+      : undefined;
+    const seatIds = Array.isArray(req.body.seatIds)
+      ? req.body.seatIds.map(String)
+      : undefined;
+
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: { event: { include: { host: { select: { userId: true } } } } },
+    });
+    if (!order) return res.status(404).json({ message: "Заказ не найден" });
+
+    let initiatedBy = null;
+    if (req.user.role === "administrator") initiatedBy = "ADMIN";
+    else if (order.event.host?.userId === userId) initiatedBy = "HOST";
+    else if (order.userId === userId) initiatedBy = "CUSTOMER";
+
+    if (!initiatedBy) {
+      return res.status(404).json({ message: "Заказ не найден" });
+    }
+
+    if (initiatedBy === "CUSTOMER" && !isWithinRefundWindow(order.event)) {
+      return res.status(403).json({
+        message:
+          order.event.refundWindowHours === null
+            ? "Организатор не принимает возвраты через платформу. Свяжитесь с организатором."
+            : `Вернуть билеты можно не позднее чем за ${order.event.refundWindowHours} ч. до начала мероприятия.`,
+      });
+    }
+
+    const refund = await refundOrder({
+      orderId: order.id,
+      ticketCount,
+      items,
+      seatIds,
+      reason,
+      initiatedById: userId,
+      initiatedBy,
+    });
+
+    res.status(200).json({ message: "Возврат оформлен", refund });
+  } catch (error) {
+    const errorMap = {
+      ORDER_NOT_FOUND: [404, "Заказ не найден"],
+      ORDER_NOT_REFUNDABLE: [400, "Этот заказ не подлежит возврату"],
+      TICKETS_ALREADY_USED: [400, "Билеты уже использованы для входа"],
+      INVALID_TICKET_COUNT: [400, "Укажите корректное количество билетов"],
+      TIERS_REQUIRED: [400, "Укажите, билеты каких типов вернуть"],
+      SEATS_REQUIRED: [400, "Укажите, какие места вернуть"],
+      ORDER_CHANGED: [409, "Заказ изменился, обновите страницу"],
+      PAYMENT_NOT_FOUND: [
+        409,
+        "Платеж по заказу не найден, обратитесь в поддержку",
+      ],
+      REFUND_PROVIDER_FAILED: [502, "Банк отклонил возврат. Попробуйте позже."],
+    };
+    const [status, message] = errorMap[error.message] || [
+      500,
+      "Ошибка оформления возврата",
+    ];
+    if (status === 500) console.error("Order Refund Error:", error);
+    res.status(status).json({ message });
+  }
+});
+
+const TICKET_ERROR_STATUS = { TICKET_NOT_FOUND: 404 };
+
+const sendTicketError = (res, error, fallback) => {
+  const message = TICKET_ERROR_MESSAGES[error.message];
+  if (message) {
+    return res
+      .status(TICKET_ERROR_STATUS[error.message] || 400)
+      .json({ message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ message: fallback });
+};
+
+/**
+ * PATCH /api/orders/:id/tickets/:ticketId
+ * Puts another guest's name on a ticket ({ attendeeName }); the QR code stays
+ */
+router.patch("/:id/tickets/:ticketId", verifyAuth, async (req, res) => {
+  try {
+    const ticket = await renameTicket({
+      orderId: req.params.id,
+      ticketId: req.params.ticketId,
+      userId: req.user.id,
+      name: req.body.attendeeName,
+    });
+    res.json(describeTicket(ticket));
+  } catch (error) {
+    sendTicketError(res, error, "Не удалось изменить имя гостя");
+  }
+});
+
+/**
+ * POST /api/orders/:id/tickets/:ticketId/transfer
+ * Gives a ticket to someone else ({ name, email }): its QR code stops working
+ * and the new holder gets a ticket with a new code by email
+ */
+router.post("/:id/tickets/:ticketId/transfer", verifyAuth, async (req, res) => {
+  try {
+    const ticket = await transferTicket({
+      orderId: req.params.id,
+      ticketId: req.params.ticketId,
+      userId: req.user.id,
+      name: req.body.name,
+      email: req.body.email,
+    });
+    res.status(201).json({
+      message: `Билет отправлен на ${ticket.attendeeEmail}`,
+      ticket: describeTicket(ticket),
+    });
+  } catch (error) {
+    sendTicketError(res, error, "Не удалось передать билет");
+  }
+});
+
+/**
+ * GET /api/orders/:id/refunds
+ * Refund history of an order (buyer, host, administrator)
+ */
+router.get("/:id/refunds", verifyAuth, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      include: {
+        event: { select: { host: { select: { userId: true } } } },
+        refunds: { orderBy: { createdAt: "desc" } },
+      },
+    });
+
+    if (
+      !order ||
+      (order.userId !== req.user.id &&
+        order.event.host?.userId !== req.user.id &&
+        req.user.role !== "administrator")
+    ) {
+      return res.status(404).json({ message: "Заказ не найден" });
+    }
+
+    res.json(order.refunds);
+  } catch (error) {
+    console.error("Order Refunds Fetch Error:", error);
+    res.status(500).json({ message: "Failed to fetch refunds" });
+  }
+});
+
 /**
  * GET /api/orders/invitation/:id/pdf
  * Handles PDF generation for FREE invitations
@@ -4,6 +4,16 @@ import { sendPartnerWelcomeEmail } from "../mailer/email-sender.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
 import { requireRole } from "../middleware/role-check.js";
 import { notifyUser } from "../services/notification.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  partnerAccount,
+} from "../services/ledger.js";
+import {
+  normalizeBankDetails,
+  payoutDetailsSnapshot,
+  BANK_DETAILS_ERROR_MESSAGES,
+} from "../utils/bank-details.js";
 
 const router = Router();
 
@@ -105,6 +115,7 @@ router.get(
       const partner = await prisma.partnerProfile.findUnique({
         where: { userId },
         include: {
+          user: { include: { payoutDetails: true } },
           referralEvents: {
             orderBy: { created_at: "desc" },
             take: 50,
@@ -167,6 +178,7 @@ router.get(
         clicks: partner.clicks,
         minPayout: partner.minPayout,
         paymentDetails: partner.paymentDetails,
+        payoutDetails: partner.user.payoutDetails,
         referralEvents: partner.referralEvents,
         monthlyRevenue: monthlyRevenue.map(({ name, total }) => ({
           name,
@@ -182,6 +194,7 @@ router.get(
 
 // =================================================================
 // 3. PATCH PAYMENT DETAILS
+// { recipientName, recipientInn, bankBik, accountNumber, bankName? }
 // =================================================================
 router.patch(
   "/:userId/payment-details",
@@ -190,20 +203,25 @@ router.patch(
   async (req, res) => {
     try {
       const { userId } = req.params;
-      const { paymentDetails } = req.body;
 
       if (req.user.id !== userId) {
         return res.status(403).json({ message: "Доступ запрещен" });
       }
 
-      // 🚨 FIX: Update partnerProfile instead of partner
-      await prisma.partnerProfile.update({
+      const details = normalizeBankDetails(req.body);
+      const payoutDetails = await prisma.payoutDetails.upsert({
         where: { userId },
-        data: { paymentDetails },
+        update: details,
+        create: { ...details, userId },
       });
 
-      res.json({ message: "Реквизиты обновлены успешно" });
+      res.json({ message: "Реквизиты обновлены успешно", payoutDetails });
     } catch (error) {
+      if (BANK_DETAILS_ERROR_MESSAGES[error.message]) {
+        return res
+          .status(400)
+          .json({ message: BANK_DETAILS_ERROR_MESSAGES[error.message] });
+      }
       console.error("Payment details update error:", error);
       res.status(500).json({ message: "Ошибка обновления реквизитов" });
     }
@@ -229,30 +247,34 @@ router.post(
         // 🚨 FIX: Find partnerProfile instead of partner
         const partner = await tx.partnerProfile.findUnique({
           where: { userId },
-          include: { user: true },
+          include: { user: { include: { payoutDetails: true } } },
         });
 
         if (!partner) throw new Error("Партнер не найден");
         if (partner.balance < partner.minPayout)
           throw new Error(`Минимальная сумма выплаты ${partner.minPayout}₽`);
-        if (!partner.paymentDetails)
+        if (!partner.user.payoutDetails)
           throw new Error("Укажите платежные реквизиты перед запросом выплаты");
 
         // Create Payout Request
         const payout = await tx.payoutRequest.create({
           data: {
-            partner_id: partner.id,
+            partnerId: partner.id,
+            userId: partner.userId,
             amount: partner.balance,
-            payment_details: partner.paymentDetails,
+            ...payoutDetailsSnapshot(partner.user.payoutDetails),
             status: "PENDING", // Matches schema: PayoutStatus enum
           },
         });
 
-        // Reset Partner Balance
-        // 🚨 FIX: Update partnerProfile instead of partner
-        await tx.partnerProfile.update({
-          where: { id: partner.id },
-          data: { balance: 0 },
+        // Reset Partner Balance (the ledger rewrites partnerProfile.balance)
+        await transferFunds(tx, {
+          from: partnerAccount(partner.id),
+          to: PLATFORM_ACCOUNTS.payouts,
+          amount: partner.balance,
+          kind: "PAYOUT_REQUEST",
+          description: "Выплата партнерской комиссии",
+          reference: payout.id,
         });
 
         return { payout, partner };
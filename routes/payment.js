@@ -5,6 +5,8 @@ import {
   getRequestPrice,
   initiateSubscriptionCheckout,
   initiateWalletTopUp,
+  setSubscriptionAutoRenew,
+  scheduleSubscriptionPlanChange,
 } from "../controllers/payment.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
 
@@ -12,6 +14,16 @@ const router = Router();
 
 router.get("/plans", getPlans);
 router.get("/me/subscription", verifyAuth, getCurrentSubscription);
+router.patch(
+  "/me/subscription/auto-renew",
+  verifyAuth,
+  setSubscriptionAutoRenew,
+);
+router.post(
+  "/me/subscription/change-plan",
+  verifyAuth,
+  scheduleSubscriptionPlanChange,
+);
 router.post("/:planId/purchase", verifyAuth, initiateSubscriptionCheckout);
 router.post("/wallet/topup", verifyAuth, initiateWalletTopUp);
 router.get("/request-price", getRequestPrice);
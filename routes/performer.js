@@ -5,6 +5,8 @@ import jwt from "jsonwebtoken";
 import { createUploader } from "../utils/multer.js";
 import { verifyAuth } from "../middleware/verify-auth.js";
 import { invalidatePattern } from "../libs/redis.js";
+import { getBusyIntervals, isValidTimeZone } from "../services/availability.js";
+import { CANCELLATION_POLICIES } from "../services/cancellation-policy.js";
 
 // --- MinIO Imports ---
 import {
@@ -183,6 +185,8 @@ router.get("/profile/:performerId", optionalAuth, async (req, res) => {
       bookingRequests: profile.bookingsReceived.map((b) => ({
         id: b.id,
         date: b.date,
+        startTime: b.startTime,
+        endTime: b.endTime,
         details: b.details,
         status: b.status,
         customerId: b.customerId,
@@ -193,7 +197,10 @@ router.get("/profile/:performerId", optionalAuth, async (req, res) => {
         customerEmail: b.customer?.email || null,
         customerImage: b.customer?.image || null,
       })),
-      bookedDates: profile.bookedDates || [],
+      timezone: profile.timezone,
+      bufferMinutes: profile.bufferMinutes,
+      cancellationPolicy: profile.cancellationPolicy,
+      performerCancellations: profile.performerCancellations,
     };
 
     res.json(mappedProfile);
@@ -308,31 +315,154 @@ router.delete("/:id", verifyAuth, async (req, res) => {
 // --- 🗓️ CALENDAR MANAGEMENT ---
 // ==========================================
 
+const MAX_CALENDAR_RANGE_DAYS = 93;
+
+// "18:30" → 1110 (minutes since local midnight)
+const parseClock = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const formatClock = (minutes) => {
+  const m = minutes % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+// Public: working hours + busy slots, so customers only pick free time
+router.get("/:id/calendar", optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isOwner = req.user?.id === id;
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 31 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ message: "Неверный период" });
+    }
+    if (to - from > MAX_CALENDAR_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: "Слишком большой период" });
+    }
+
+    const profile = await prisma.performerProfile.findUnique({
+      where: { userId: id },
+      include: {
+        workingHours: { orderBy: [{ weekday: "asc" }, { startMinute: "asc" }] },
+      },
+    });
+
+    if (!profile)
+      return res.status(404).json({ message: "Исполнитель не найден" });
+
+    const busy = await getBusyIntervals(profile, from, to);
+
+    res.status(200).json({
+      timezone: profile.timezone,
+      bufferMinutes: profile.bufferMinutes,
+      workingHours: profile.workingHours.map((w) => ({
+        weekday: w.weekday,
+        start: formatClock(w.startMinute),
+        end: formatClock(w.endMinute),
+        overnight: w.endMinute > 1440,
+      })),
+      // Customers only see that the time is taken, not why
+      busy: busy.map((slot) =>
+        isOwner ? slot : { type: slot.type, start: slot.start, end: slot.end },
+      ),
+    });
+  } catch (error) {
+    console.error("Get Calendar Error:", error);
+    res.status(500).json({ message: "Ошибка загрузки календаря" });
+  }
+});
+
+// Owner: weekly hours, buffer between gigs and timezone
 router.patch("/:id/calendar", verifyAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { bookedDates } = req.body;
+    const { workingHours, bufferMinutes, timezone } = req.body;
 
     // Security Check: Only the performer can edit their calendar
     if (req.user.id !== id) {
       return res.status(403).json({ message: "Доступ запрещен" });
     }
 
-    // Ensure bookedDates is an array of valid ISO dates
-    const parsedDates = Array.isArray(bookedDates)
-      ? bookedDates.map((date) => new Date(date).toISOString())
-      : [];
+    const profileUpdate = {};
 
-    const updatedProfile = await prisma.performerProfile.update({
-      where: { userId: id },
-      data: {
-        bookedDates: parsedDates,
-      },
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: "Неверный часовой пояс" });
+      }
+      profileUpdate.timezone = timezone;
+    }
+
+    if (bufferMinutes !== undefined) {
+      const buffer = Number(bufferMinutes);
+      if (!Number.isInteger(buffer) || buffer < 0 || buffer > 24 * 60) {
+        return res
+          .status(400)
+          .json({ message: "Буфер должен быть от 0 до 1440 минут" });
+      }
+      profileUpdate.bufferMinutes = buffer;
+    }
+
+    let parsedHours = null;
+    if (workingHours !== undefined) {
+      if (!Array.isArray(workingHours)) {
+        return res.status(400).json({ message: "Неверный формат расписания" });
+      }
+
+      parsedHours = [];
+      for (const window of workingHours) {
+        const weekday = Number(window.weekday);
+        const startMinute = parseClock(window.start);
+        let endMinute = parseClock(window.end);
+
+        if (
+          !Number.isInteger(weekday) ||
+          weekday < 0 ||
+          weekday > 6 ||
+          startMinute === null ||
+          endMinute === null ||
+          startMinute === endMinute
+        ) {
+          return res
+            .status(400)
+            .json({ message: "Неверный формат расписания" });
+        }
+
+        // "20:00"–"04:00" is an overnight window that ends the next morning
+        if (endMinute < startMinute) endMinute += 1440;
+
+        parsedHours.push({ weekday, startMinute, endMinute });
+      }
+    }
+
+    const profile = await prisma.$transaction(async (tx) => {
+      const updated = await tx.performerProfile.update({
+        where: { userId: id },
+        data: profileUpdate,
+      });
+
+      // The weekly schedule is always replaced as a whole
+      if (parsedHours) {
+        await tx.performerWorkingHours.deleteMany({
+          where: { performerId: updated.id },
+        });
+        await tx.performerWorkingHours.createMany({
+          data: parsedHours.map((w) => ({ ...w, performerId: updated.id })),
+        });
+      }
+
+      return updated;
     });
 
     res.status(200).json({
       message: "Календарь обновлен",
-      bookedDates: updatedProfile.bookedDates,
+      timezone: profile.timezone,
+      bufferMinutes: profile.bufferMinutes,
     });
   } catch (error) {
     console.error("Update Calendar Error:", error);
@@ -340,6 +470,95 @@ router.patch("/:id/calendar", verifyAuth, async (req, res) => {
   }
 });
 
+// Owner: block a period (vacation, private gig booked elsewhere, ...)
+router.post("/:id/calendar/blocks", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startsAt, endsAt, reason } = req.body;
+
+    if (req.user.id !== id) {
+      return res.status(403).json({ message: "Доступ запрещен" });
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return res.status(400).json({ message: "Неверный период" });
+    }
+
+    const profile = await prisma.performerProfile.findUnique({
+      where: { userId: id },
+    });
+    if (!profile)
+      return res.status(404).json({ message: "Исполнитель не найден" });
+
+    const block = await prisma.performerBlockedPeriod.create({
+      data: {
+        performerId: profile.id,
+        startsAt: start,
+        endsAt: end,
+        reason: reason || null,
+      },
+    });
+
+    res.status(201).json(block);
+  } catch (error) {
+    console.error("Block Period Error:", error);
+    res.status(500).json({ message: "Ошибка обновления календаря" });
+  }
+});
+
+router.delete("/:id/calendar/blocks/:blockId", verifyAuth, async (req, res) => {
+  try {
+    const { id, blockId } = req.params;
+
+    if (req.user.id !== id) {
+      return res.status(403).json({ message: "Доступ запрещен" });
+    }
+
+    const { count } = await prisma.performerBlockedPeriod.deleteMany({
+      where: { id: blockId, performer: { userId: id } },
+    });
+
+    if (!count) return res.status(404).json({ message: "Период не найден" });
+
+    res.status(200).json({ message: "Период удален" });
+  } catch (error) {
+    console.error("Unblock Period Error:", error);
+    res.status(500).json({ message: "Ошибка обновления календаря" });
+  }
+});
+
+// Owner: cancellation policy shown to customers before they pay
+router.patch("/:id/cancellation-policy", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cancellationPolicy } = req.body;
+
+    if (req.user.id !== id) {
+      return res.status(403).json({ message: "Доступ запрещен" });
+    }
+
+    if (!Object.keys(CANCELLATION_POLICIES).includes(cancellationPolicy)) {
+      return res.status(400).json({ message: "Неизвестная политика отмены" });
+    }
+
+    const profile = await prisma.performerProfile.update({
+      where: { userId: id },
+      data: { cancellationPolicy },
+    });
+
+    res.status(200).json({
+      message: "Политика отмены обновлена",
+      cancellationPolicy: profile.cancellationPolicy,
+      tiers: CANCELLATION_POLICIES[profile.cancellationPolicy],
+    });
+  } catch (error) {
+    console.error("Update Cancellation Policy Error:", error);
+    res.status(500).json({ message: "Ошибка обновления политики отмены" });
+  }
+});
+
 // ==========================================
 // --- CONTENT MANAGEMENT (GALLERY/DOCS) ---
 // ==========================================
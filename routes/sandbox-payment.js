@@ -0,0 +1,106 @@
+import { Router } from "express";
+import {
+  getSandboxPayment,
+  completeSandboxCheckout,
+  simulateSandboxEvent,
+  SANDBOX_CHECKOUT_OUTCOMES,
+} from "../services/payment-providers/sandbox.js";
+
+// Only mounted when the sandbox payment provider is enabled (see app.js)
+const router = Router();
+
+const BANK_EVENTS = ["DEADLINE_EXPIRED", "REVERSED", "REFUNDED", "CANCELED"];
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[ch],
+  );
+
+// ==========================================
+// 1. CHECKOUT PAGE (stands in for the bank's payment form)
+// ==========================================
+router.get("/:paymentId", async (req, res) => {
+  try {
+    const payment = await getSandboxPayment(req.params.paymentId);
+    if (!payment) return res.status(404).send("Платеж не найден");
+
+    const action = `/api/sandbox-payments/${encodeURIComponent(payment.paymentId)}/complete`;
+    const button = (outcome, label) =>
+      `<button name="outcome" value="${outcome}">${label}</button>`;
+
+    res.type("html").send(`<!doctype html>
+<html lang="ru">
+<head><meta charset="utf-8"><title>Тестовая оплата</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 40px auto;">
+  <h2>🧪 Тестовая оплата (sandbox)</h2>
+  <p>${escapeHtml(payment.description)}</p>
+  <p><b>${escapeHtml(payment.amount)} ₽</b>${payment.twoStep ? " — холдирование" : ""}</p>
+  <p>Статус: ${escapeHtml(payment.status)}</p>
+  ${
+    payment.status === "NEW"
+      ? `<form method="post" action="${action}">
+    ${button("success", "Оплатить")}
+    ${button("fail", "Отказ банка")}
+    ${payment.twoStep ? button("success-fail-capture", "Оплатить, но отклонить списание") : ""}
+    ${payment.saveCard ? button("success-fail-rebill", "Оплатить, но отклонять автосписания") : ""}
+  </form>`
+      : ""
+  }
+</body>
+</html>`);
+  } catch (error) {
+    console.error("Sandbox Checkout Error:", error);
+    res.status(500).send("Ошибка тестовой оплаты");
+  }
+});
+
+// ==========================================
+// 2. CUSTOMER FINISHES CHECKOUT → WEBHOOK + REDIRECT
+// ==========================================
+router.post("/:paymentId/complete", async (req, res) => {
+  try {
+    const { outcome } = req.body;
+    if (!SANDBOX_CHECKOUT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ message: "Неизвестный результат оплаты" });
+    }
+
+    const redirectUrl = await completeSandboxCheckout(
+      req.params.paymentId,
+      outcome,
+    );
+    res.redirect(303, redirectUrl);
+  } catch (error) {
+    console.error("Sandbox Complete Error:", error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// ==========================================
+// 3. BANK-SIDE EVENTS (expired authorization, chargeback, ...)
+// ==========================================
+router.post("/:paymentId/events", async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!BANK_EVENTS.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: `Допустимые события: ${BANK_EVENTS.join(", ")}` });
+    }
+
+    const payment = await simulateSandboxEvent(req.params.paymentId, status);
+    res.status(200).json(payment);
+  } catch (error) {
+    console.error("Sandbox Event Error:", error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
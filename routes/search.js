@@ -152,6 +152,9 @@ router.get("/performers", async (req, res) => {
               },
             },
             reviewsReceived: { select: { rating: true } },
+            agency: {
+              select: { companyName: true, user: { select: { name: true } } },
+            },
           },
           orderBy: {
             user: { createdAt: "desc" },
@@ -202,7 +205,9 @@ router.get("/performers", async (req, res) => {
           isVip:
             p.user.subscriptions?.some((sub) => sub.plan.tier === "PREMIUM") ||
             false,
-          parentAgencyName: p.parentAgencyName || null,
+          parentAgencyName: p.agency
+            ? p.agency.companyName || p.agency.user.name
+            : null,
         };
       });
 
@@ -1,15 +1,19 @@
 import express from "express";
 import {
-  handleTinkoffWebhook,
-  handleTinkoffEventTicketWebhook,
+  handlePaymentWebhook,
+  handleEventTicketWebhook,
   handleTinkoffB2BSubscriptionPurchase,
 } from "../controllers/webhooks.js";
+import { listPaymentProviders } from "../services/payment-providers/index.js";
 
 const router = express.Router();
 
-// POST /api/webhooks/tinkoff
-router.post("/tinkoff", handleTinkoffWebhook);
-router.post("/tinkoff-event-ticket", handleTinkoffEventTicketWebhook);
 router.post("/tinkoff-b2b-incoming", handleTinkoffB2BSubscriptionPurchase);
 
+// POST /api/webhooks/tinkoff, /api/webhooks/tinkoff-event-ticket, ...
+for (const provider of listPaymentProviders()) {
+  router.post(`/${provider}`, handlePaymentWebhook(provider));
+  router.post(`/${provider}-event-ticket`, handleEventTicketWebhook(provider));
+}
+
 export default router;
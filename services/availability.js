@@ -0,0 +1,211 @@
+import prisma from "../libs/prisma.js";
+
+// Only paid bookings occupy the performer's time
+export const BLOCKING_BOOKING_STATUSES = ["CONFIRMED"];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Bookings created before time slots existed only have a date: treat them as the whole day
+const bookingInterval = (booking) => ({
+  start: booking.startTime || booking.date,
+  end: booking.endTime || new Date(new Date(booking.date).getTime() + DAY),
+});
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+// Local weekday (0-6) and minutes since local midnight in the given IANA timezone
+const toLocalClock = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value]),
+  );
+
+  return {
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Does [start, end) fit inside one of the performer's weekly windows?
+ * A performer without any configured hours is treated as always available.
+ */
+const fitsWorkingHours = (workingHours, start, end, timeZone) => {
+  if (!workingHours.length) return true;
+
+  const { weekday, minute } = toLocalClock(start, timeZone);
+  const duration = Math.round((end - start) / MINUTE);
+  const previousDay = (weekday + 6) % 7;
+
+  return workingHours.some((window) => {
+    // Same-day window
+    if (
+      window.weekday === weekday &&
+      minute >= window.startMinute &&
+      minute + duration <= window.endMinute
+    ) {
+      return true;
+    }
+    // Tail of yesterday's overnight window (e.g. Fri 20:00 → Sat 04:00)
+    return (
+      window.weekday === previousDay &&
+      window.endMinute > 1440 &&
+      minute + 1440 >= window.startMinute &&
+      minute + 1440 + duration <= window.endMinute
+    );
+  });
+};
+
+/**
+ * Parses and validates a requested slot. Throws a user-facing message on bad input.
+ */
+export const parseSlot = (startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error("Необходимо указать время начала и окончания.");
+  }
+  if (end <= start) {
+    throw new Error("Время окончания должно быть позже времени начала.");
+  }
+  if (start <= new Date()) {
+    throw new Error("Нельзя забронировать время в прошлом.");
+  }
+
+  return { start, end };
+};
+
+/**
+ * Everything that occupies the performer between `from` and `to`:
+ * confirmed bookings (widened by the buffer) and manually blocked periods.
+ * An agency booking handed to a specialist occupies the specialist, not the agency.
+ */
+export const getBusyIntervals = async (
+  performer,
+  from,
+  to,
+  { excludeBookingId = null, client = prisma } = {},
+) => {
+  const buffer = (performer.bufferMinutes || 0) * MINUTE;
+  const windowStart = new Date(from.getTime() - buffer);
+  // Legacy all-day bookings can start up to a day before `from`
+  const lookBehind = new Date(windowStart.getTime() - DAY);
+  const lookAhead = new Date(to.getTime() + buffer);
+
+  const [bookings, blocks] = await Promise.all([
+    client.bookingRequest.findMany({
+      where: {
+        status: { in: BLOCKING_BOOKING_STATUSES },
+        id: excludeBookingId ? { not: excludeBookingId } : undefined,
+        AND: [
+          {
+            OR: [
+              { performerId: performer.id, specialistId: null },
+              { specialistId: performer.id },
+            ],
+          },
+          {
+            OR: [
+              // Overlapping the window, however long before it they started
+              { startTime: { lt: lookAhead }, endTime: { gt: windowStart } },
+              // No end time: they last a day from `date`
+              { endTime: null, date: { gte: lookBehind, lt: lookAhead } },
+            ],
+          },
+        ],
+      },
+      select: { id: true, date: true, startTime: true, endTime: true },
+    }),
+    client.performerBlockedPeriod.findMany({
+      where: {
+        performerId: performer.id,
+        startsAt: { lt: lookAhead },
+        endsAt: { gt: lookBehind },
+      },
+      orderBy: { startsAt: "asc" },
+    }),
+  ]);
+
+  const intervals = [
+    ...bookings.map((booking) => {
+      const { start, end } = bookingInterval(booking);
+      return {
+        type: "BOOKING",
+        bookingId: booking.id,
+        start: new Date(new Date(start).getTime() - buffer),
+        end: new Date(new Date(end).getTime() + buffer),
+      };
+    }),
+    ...blocks.map((block) => ({
+      type: "BLOCKED",
+      blockId: block.id,
+      reason: block.reason,
+      start: block.startsAt,
+      end: block.endsAt,
+    })),
+  ];
+
+  return intervals
+    .filter((i) => overlaps(i.start, i.end, from, to))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Checks whether the performer can take a gig in [start, end).
+ * Returns `{ available: true }` or `{ available: false, reason, conflicts }`.
+ */
+export const checkAvailability = async (
+  performerId,
+  start,
+  end,
+  { excludeBookingId = null, client = prisma } = {},
+) => {
+  const performer = await client.performerProfile.findUnique({
+    where: { id: performerId },
+    include: { workingHours: true },
+  });
+
+  if (!performer) return { available: false, reason: "PERFORMER_NOT_FOUND" };
+
+  if (
+    !fitsWorkingHours(performer.workingHours, start, end, performer.timezone)
+  ) {
+    return { available: false, reason: "OUTSIDE_WORKING_HOURS", conflicts: [] };
+  }
+
+  const conflicts = await getBusyIntervals(performer, start, end, {
+    excludeBookingId,
+    client,
+  });
+
+  if (conflicts.length) {
+    return { available: false, reason: "SLOT_CONFLICT", conflicts };
+  }
+
+  return { available: true };
+};
+
+export const AVAILABILITY_MESSAGES = {
+  PERFORMER_NOT_FOUND: "Исполнитель не найден.",
+  OUTSIDE_WORKING_HOURS: "Исполнитель не работает в это время.",
+  SLOT_CONFLICT: "Это время уже занято.",
+};
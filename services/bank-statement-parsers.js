@@ -0,0 +1,281 @@
+import { createHash } from "crypto";
+import { toKopecks } from "./ledger.js";
+
+// Bank statement files and transfer notifications, turned into statement
+// lines. Nothing here touches the database: matching the lines to invoices
+// is up to bank-statements.js.
+
+// Our INN, for statements that don't list our account numbers
+const COMPANY_INN = process.env.COMPANY_INN || "6319258622";
+
+// =====================================================================
+// STATEMENT FILES
+// Both formats end up as a list of incoming transfers:
+// { documentNumber, documentDate, amount, payerName, payerInn, payerAccount, purpose }
+// =====================================================================
+
+// 1C files are written in Windows-1251 (or DOS-866), bank CSVs in either
+// that or UTF-8
+const decodeStatement = (buffer) => {
+  try {
+    return new TextDecoder("utf-8", { fatal: true })
+      .decode(buffer)
+      .replace(/^\uFEFF/, "");
+  } catch {
+    const text = new TextDecoder("windows-1251").decode(buffer);
+    if (!text.startsWith("1CClientBankExchange")) return text;
+    if (text.includes("Кодировка=Windows")) return text;
+
+    const dosText = new TextDecoder("ibm866").decode(buffer);
+    return dosText.includes("Кодировка=DOS") ? dosText : text;
+  }
+};
+
+// "1 234,56" or "1234.56"
+const parseAmount = (value) => {
+  const amount = Number(
+    String(value || "")
+      .replace(/\s/g, "")
+      .replace(",", "."),
+  );
+  return Number.isFinite(amount) ? amount : null;
+};
+
+// "31.12.2025" or "2025-12-31", as a calendar date
+const parseDate = (value) => {
+  const text = String(value || "").trim();
+  const ru = text.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const [year, month, day] = ru
+    ? [ru[3], ru[2], ru[1]]
+    : iso
+      ? [iso[1], iso[2], iso[3]]
+      : [];
+  if (!year) return null;
+
+  const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const cleanInn = (value) =>
+  String(value || "").replace(/\D/g, "") || null;
+
+const emptyToNull = (value) => String(value || "").trim() || null;
+
+/**
+ * 1CClientBankExchange: "Key=Value" lines, one СекцияДокумент…КонецДокумента
+ * block per payment order. Outgoing payments are in the same file; a payment
+ * is ours when it was sent to one of the statement's accounts (or our INN).
+ */
+const parseClientBank1C = (text) => {
+  const header = {};
+  const ownAccounts = new Set();
+  const documents = [];
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const separator = line.indexOf("=");
+    const key = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? "" : line.slice(separator + 1).trim();
+
+    if (key === "СекцияДокумент") {
+      current = {};
+    } else if (key === "КонецДокумента") {
+      if (current) documents.push(current);
+      current = null;
+    } else if (current) {
+      current[key] = value;
+    } else {
+      if (key === "РасчСчет" && value) ownAccounts.add(value);
+      if (!(key in header)) header[key] = value;
+    }
+  }
+
+  const lines = documents
+    .filter((doc) => {
+      const recipientAccount = doc.ПолучательСчет || doc.ПолучательРасчСчет;
+      return (
+        ownAccounts.has(recipientAccount) || doc.ПолучательИНН === COMPANY_INN
+      );
+    })
+    .map((doc) => ({
+      documentNumber: emptyToNull(doc.Номер),
+      documentDate: parseDate(doc.ДатаПоступило || doc.Дата),
+      amount: parseAmount(doc.Сумма),
+      payerName: emptyToNull(doc.Плательщик1 || doc.Плательщик),
+      payerInn: cleanInn(doc.ПлательщикИНН),
+      payerAccount: emptyToNull(doc.ПлательщикСчет || doc.ПлательщикРасчСчет),
+      purpose: (doc.НазначениеПлатежа || "").trim(),
+    }));
+
+  return {
+    format: "CLIENT_BANK_1C",
+    accountNumber: [...ownAccounts][0] || null,
+    periodStart: parseDate(header.ДатаНачала),
+    periodEnd: parseDate(header.ДатаКонца),
+    lines,
+  };
+};
+
+// Column names differ from bank to bank; headers are compared lowercased,
+// with "ё" spelled as "е"
+const CSV_COLUMNS = {
+  documentNumber: ["номер", "номер документа", "№ документа", "№"],
+  documentDate: ["дата", "дата операции", "дата документа", "дата проводки"],
+  credit: [
+    "сумма",
+    "сумма поступления",
+    "поступление",
+    "приход",
+    "кредит",
+    "сумма по кредиту",
+  ],
+  debit: ["расход", "списание", "дебет", "сумма по дебету", "сумма списания"],
+  payerName: [
+    "плательщик",
+    "контрагент",
+    "наименование плательщика",
+    "наименование контрагента",
+  ],
+  payerInn: ["инн плательщика", "инн контрагента", "инн"],
+  payerAccount: ["счет плательщика", "счет контрагента"],
+  purpose: ["назначение платежа", "назначение"],
+};
+
+const normalizeHeader = (value) =>
+  value.trim().toLowerCase().replace(/ё/g, "е").replace(/\s+/g, " ");
+
+// RFC 4180 rows: quoted cells may hold delimiters, quotes and line breaks
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((value) => value.trim())) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some((value) => value.trim())) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * CSV export of a bank account: a header row, then one row per operation.
+ * Outgoing rows (a debit amount, or a negative one) are skipped.
+ */
+const parseCsvStatement = (text) => {
+  const firstLine = text.slice(0, text.indexOf("\n") + 1 || undefined);
+  const delimiter =
+    firstLine.split(";").length >= firstLine.split(",").length ? ";" : ",";
+
+  const [headerRow = [], ...rows] = parseCsvRows(text, delimiter);
+  const headers = headerRow.map(normalizeHeader);
+
+  const columnOf = Object.fromEntries(
+    Object.entries(CSV_COLUMNS).map(([field, names]) => [
+      field,
+      names.map((name) => headers.indexOf(name)).find((index) => index >= 0) ??
+        -1,
+    ]),
+  );
+  if (columnOf.credit === -1 || columnOf.purpose === -1) {
+    throw new Error("CSV_COLUMNS_MISSING");
+  }
+
+  const cellOf = (row, field) =>
+    columnOf[field] === -1 ? "" : (row[columnOf[field]] || "").trim();
+
+  const lines = rows
+    .map((row) => ({
+      documentNumber: emptyToNull(cellOf(row, "documentNumber")),
+      documentDate: parseDate(cellOf(row, "documentDate")),
+      amount: parseAmount(cellOf(row, "credit")),
+      debit: parseAmount(cellOf(row, "debit")),
+      payerName: emptyToNull(cellOf(row, "payerName")),
+      payerInn: cleanInn(cellOf(row, "payerInn")),
+      payerAccount: emptyToNull(cellOf(row, "payerAccount")),
+      purpose: cellOf(row, "purpose"),
+    }))
+    .filter((line) => line.amount > 0 && !line.debit)
+    .map(({ debit, ...line }) => line);
+
+  return {
+    format: "CSV",
+    accountNumber: null,
+    periodStart: null,
+    periodEnd: null,
+    lines,
+  };
+};
+
+export const parseBankStatement = (buffer) => {
+  const text = decodeStatement(buffer);
+  if (text.startsWith("1CClientBankExchange")) return parseClientBank1C(text);
+  if (text.includes(";") || text.includes(",")) return parseCsvStatement(text);
+  throw new Error("UNKNOWN_STATEMENT_FORMAT");
+};
+
+// The same transfer in two overlapping statements
+export const fingerprintOf = (line) =>
+  createHash("sha256")
+    .update(
+      [
+        line.documentDate?.toISOString().slice(0, 10),
+        line.documentNumber,
+        toKopecks(line.amount),
+        line.payerInn,
+        line.payerAccount,
+        line.purpose,
+      ].join("|"),
+    )
+    .digest("hex");
+
+// =====================================================================
+// TRANSFER NOTIFICATIONS
+// =====================================================================
+
+/**
+ * A transfer from the bank's webhook in the statement line shape, with the
+ * fingerprint that identifies it across redeliveries.
+ */
+export const parseIncomingTransfer = (payload) => {
+  const line = {
+    documentNumber: emptyToNull(payload.documentNumber),
+    documentDate: parseDate(payload.documentDate || payload.date),
+    amount: parseAmount(payload.amount),
+    payerName: emptyToNull(payload.payerName),
+    payerInn: cleanInn(payload.payerInn),
+    payerAccount: emptyToNull(payload.payerAccount),
+    purpose: String(payload.paymentPurpose || "").trim(),
+  };
+  return { ...line, fingerprint: fingerprintOf(line) };
+};
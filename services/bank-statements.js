@@ -0,0 +1,571 @@
+import prisma from "../libs/prisma.js";
+import { invalidateKeys } from "../libs/redis.js";
+import { findInvoiceNumber, settleInvoice } from "../controllers/webhooks.js";
+import { toKopecks } from "./ledger.js";
+import {
+  parseBankStatement,
+  parseIncomingTransfer,
+  fingerprintOf,
+  cleanInn,
+} from "./bank-statement-parsers.js";
+import { notifyUser } from "./notification.js";
+import { releaseTickets } from "./ticket-inventory.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A transfer sent on the due date can take a few banking days to show up
+const INVOICE_GRACE_DAYS = Number(process.env.INVOICE_GRACE_DAYS) || 3;
+
+const formatRubles = (amount) => `${amount.toLocaleString("ru-RU")} ₽`;
+const formatDate = (date) => new Date(date).toLocaleDateString("ru-RU");
+
+// =====================================================================
+// OPEN INVOICES
+// A subscription invoice is a b2b_invoice Payment (number in providerTxId),
+// a ticket invoice an Order paid with PaymentMethod.INVOICE
+// =====================================================================
+
+const PROFILE_INNS = {
+  customerProfile: { select: { inn: true, companyName: true } },
+  performerProfile: { select: { inn: true, companyName: true } },
+  partnerProfile: { select: { inn: true, companyName: true } },
+};
+
+const innsOf = (user, extra = null) =>
+  [
+    extra,
+    user.customerProfile?.inn,
+    user.performerProfile?.inn,
+    user.partnerProfile?.inn,
+  ]
+    .map(cleanInn)
+    .filter(Boolean);
+
+const companyOf = (user) =>
+  user.customerProfile?.companyName ||
+  user.performerProfile?.companyName ||
+  user.partnerProfile?.companyName ||
+  user.name;
+
+const userWithInn = (inn) => ({
+  OR: [
+    { customerProfile: { inn } },
+    { performerProfile: { inn } },
+    { partnerProfile: { inn } },
+  ],
+});
+
+const PAYMENT_INVOICE_STATUSES = {
+  PENDING: "OPEN",
+  COMPLETED: "PAID",
+  FAILED: "EXPIRED",
+  REFUNDED: "REFUNDED",
+};
+
+const fromSubscriptionPayment = (payment) => ({
+  invoiceNumber: payment.providerTxId,
+  type: "SUBSCRIPTION",
+  status: PAYMENT_INVOICE_STATUSES[payment.status],
+  amount: payment.amount,
+  dueDate: payment.metadata?.dueDate
+    ? new Date(payment.metadata.dueDate)
+    : null,
+  userId: payment.userId,
+  customer: companyOf(payment.user),
+  inns: innsOf(payment.user, payment.metadata?.inn),
+  issuedAt: payment.createdAt,
+});
+
+const ORDER_INVOICE_STATUSES = {
+  AWAITING_BANK_TRANSFER: "OPEN",
+  ACTIVE: "PAID",
+  EXPIRED: "EXPIRED",
+  REFUNDED: "REFUNDED",
+};
+
+const fromTicketOrder = (order) => ({
+  invoiceNumber: order.invoiceNumber,
+  type: "EVENT_TICKET",
+  status: ORDER_INVOICE_STATUSES[order.status] || "CANCELLED",
+  amount: order.totalPrice,
+  dueDate: order.dueDate,
+  userId: order.userId,
+  customer: companyOf(order.user),
+  inns: innsOf(order.user),
+  issuedAt: order.createdAt,
+});
+
+const findInvoice = async (invoiceNumber) => {
+  const payment = await prisma.payment.findFirst({
+    where: { providerTxId: invoiceNumber, provider: "b2b_invoice" },
+    include: { user: { include: PROFILE_INNS } },
+  });
+  if (payment) return fromSubscriptionPayment(payment);
+
+  const order = await prisma.order.findUnique({
+    where: { invoiceNumber },
+    include: { user: { include: PROFILE_INNS } },
+  });
+  return order ? fromTicketOrder(order) : null;
+};
+
+/**
+ * Invoices still waiting for a transfer, newest first. `inn` narrows them to
+ * one payer; `includeExpired` adds the ones an admin can still settle by hand.
+ */
+export const listOpenInvoices = async ({
+  inn = null,
+  includeExpired = false,
+} = {}) => {
+  const payerInn = cleanInn(inn);
+
+  const [payments, orders] = await Promise.all([
+    prisma.payment.findMany({
+      where: {
+        provider: "b2b_invoice",
+        status: { in: includeExpired ? ["PENDING", "FAILED"] : ["PENDING"] },
+        ...(payerInn && {
+          OR: [
+            { metadata: { path: ["inn"], equals: payerInn } },
+            { user: userWithInn(payerInn) },
+          ],
+        }),
+      },
+      include: { user: { include: PROFILE_INNS } },
+    }),
+    prisma.order.findMany({
+      where: {
+        paymentMethod: "INVOICE",
+        invoiceNumber: { not: null },
+        status: {
+          in: includeExpired
+            ? ["AWAITING_BANK_TRANSFER", "EXPIRED"]
+            : ["AWAITING_BANK_TRANSFER"],
+        },
+        ...(payerInn && { user: userWithInn(payerInn) }),
+      },
+      include: { user: { include: PROFILE_INNS } },
+    }),
+  ]);
+
+  return [
+    ...payments.map(fromSubscriptionPayment),
+    ...orders.map(fromTicketOrder),
+  ].sort((a, b) => b.issuedAt - a.issuedAt);
+};
+
+// =====================================================================
+// MATCHING
+// =====================================================================
+
+/**
+ * The invoice a transfer pays: the number in its purpose, checked against the
+ * amount and the payer's INN, or else the payer's only open invoice for
+ * exactly that amount. `problem` says why it can't be settled automatically.
+ */
+const findMatch = async (line) => {
+  const invoiceNumber = findInvoiceNumber(line.purpose);
+
+  if (invoiceNumber) {
+    const invoice = await findInvoice(invoiceNumber);
+    if (!invoice) {
+      return { invoiceNumber, problem: `Счет ${invoiceNumber} не найден` };
+    }
+    if (toKopecks(invoice.amount) !== toKopecks(line.amount)) {
+      return {
+        invoiceNumber,
+        problem: `Сумма не совпадает со счетом: ${formatRubles(line.amount)} вместо ${formatRubles(invoice.amount)}`,
+      };
+    }
+    if (line.payerInn && invoice.inns.length > 0) {
+      if (!invoice.inns.includes(line.payerInn)) {
+        return {
+          invoiceNumber,
+          problem: `ИНН плательщика ${line.payerInn} не совпадает с ИНН покупателя`,
+        };
+      }
+    }
+    return { invoiceNumber };
+  }
+
+  if (!line.payerInn) {
+    return { problem: "В назначении платежа нет номера счета" };
+  }
+
+  const candidates = (await listOpenInvoices({ inn: line.payerInn })).filter(
+    (invoice) => toKopecks(invoice.amount) === toKopecks(line.amount),
+  );
+  if (candidates.length === 1) {
+    return { invoiceNumber: candidates[0].invoiceNumber };
+  }
+  return {
+    problem:
+      candidates.length === 0
+        ? "Нет открытого счета с таким ИНН и суммой"
+        : `Несколько открытых счетов с таким ИНН и суммой: ${candidates.map((invoice) => invoice.invoiceNumber).join(", ")}`,
+  };
+};
+
+const SETTLE_PROBLEMS = {
+  PAYMENT_NOT_FOUND: "Счет не найден",
+  INVOICE_EXPIRED: "Счет просрочен: зачтите оплату вручную, если она еще нужна",
+  INVOICE_REFUNDED: "По счету уже оформлен возврат",
+  ORDER_NOT_PAYABLE: "Заказ отменен",
+  SOLD_OUT: "Счет просрочен, а билеты уже распроданы",
+};
+
+// Another statement line already paid this invoice. A bank notification and
+// a statement line for the same invoice are usually the same transfer, so
+// each is only compared with lines of its own kind.
+const isPaidByAnotherLine = async (line, invoiceNumber) =>
+  Boolean(
+    await prisma.bankStatementLine.findFirst({
+      where: {
+        invoiceNumber,
+        id: { not: line.id },
+        statementId: line.statementId ? { not: null } : null,
+        status: { in: ["MATCHED", "ASSIGNED"] },
+      },
+    }),
+  );
+
+const matchLine = async (line) => {
+  const { invoiceNumber = null, problem } = await findMatch(line);
+  const leaveUnmatched = (matchNote) =>
+    prisma.bankStatementLine.update({
+      where: { id: line.id },
+      data: { status: "UNMATCHED", invoiceNumber, matchNote },
+    });
+
+  if (problem) {
+    await leaveUnmatched(problem);
+    return false;
+  }
+
+  const result = await settleInvoice(invoiceNumber, line.amount);
+  let matchNote = null;
+
+  if (result === "ALREADY_COMPLETED") {
+    if (await isPaidByAnotherLine(line, invoiceNumber)) {
+      await leaveUnmatched("Счет уже оплачен другим платежом");
+      return false;
+    }
+    matchNote = "Оплата уже была зачтена по уведомлению банка";
+  } else if (result) {
+    await leaveUnmatched(SETTLE_PROBLEMS[result] || result);
+    return false;
+  }
+
+  await prisma.bankStatementLine.update({
+    where: { id: line.id },
+    data: {
+      status: "MATCHED",
+      invoiceNumber,
+      matchNote,
+      resolvedAt: new Date(),
+    },
+  });
+  return true;
+};
+
+/**
+ * Stores the incoming transfers of an uploaded statement and settles every
+ * invoice they pay. Transfers already imported with an earlier statement are
+ * skipped; the rest that can't be matched wait for an admin.
+ *
+ * @param {{buffer: Buffer, fileName: string, uploadedById: string}} upload
+ */
+export const importBankStatement = async ({
+  buffer,
+  fileName,
+  uploadedById,
+}) => {
+  const parsed = parseBankStatement(buffer);
+
+  const lines = parsed.lines
+    .filter((line) => line.amount > 0)
+    .map((line) => ({ ...line, fingerprint: fingerprintOf(line) }));
+  if (lines.length === 0) throw new Error("NO_INCOMING_TRANSFERS");
+
+  const known = await prisma.bankStatementLine.findMany({
+    where: { fingerprint: { in: lines.map((line) => line.fingerprint) } },
+    select: { fingerprint: true },
+  });
+  const seen = new Set(known.map(({ fingerprint }) => fingerprint));
+  const fresh = lines.filter((line) => {
+    if (seen.has(line.fingerprint)) return false;
+    seen.add(line.fingerprint);
+    return true;
+  });
+
+  const statement = await prisma.bankStatement.create({
+    data: {
+      fileName,
+      format: parsed.format,
+      accountNumber: parsed.accountNumber,
+      periodStart: parsed.periodStart,
+      periodEnd: parsed.periodEnd,
+      lineCount: fresh.length,
+      duplicates: lines.length - fresh.length,
+      uploadedById,
+    },
+  });
+
+  let matchedCount = 0;
+  for (const line of fresh) {
+    const stored = await prisma.bankStatementLine.create({
+      data: { ...line, statementId: statement.id },
+    });
+    try {
+      if (await matchLine(stored)) matchedCount++;
+    } catch (error) {
+      console.error(`❌ Matching statement line ${stored.id} failed:`, error);
+      await prisma.bankStatementLine.update({
+        where: { id: stored.id },
+        data: { matchNote: `Ошибка сопоставления: ${error.message}` },
+      });
+    }
+  }
+
+  return prisma.bankStatement.update({
+    where: { id: statement.id },
+    data: { matchedCount },
+  });
+};
+
+// =====================================================================
+// BANK NOTIFICATIONS
+// The incoming-transfer webhook isn't signed, so a notification is treated as
+// a statement line that arrived early: it goes through the same matching and
+// waits for an admin when the amount or the payer don't fit
+// =====================================================================
+
+/**
+ * Stores a transfer the bank notified us about and settles the invoice it
+ * pays. Returns "MATCHED", "UNMATCHED" (left for an admin), "INVALID_AMOUNT"
+ * or "ALREADY_RECORDED".
+ */
+export const recordIncomingTransfer = async (payload) => {
+  const line = parseIncomingTransfer(payload);
+  if (!(line.amount > 0)) return "INVALID_AMOUNT";
+
+  let stored;
+  try {
+    stored = await prisma.bankStatementLine.create({ data: line });
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+    return "ALREADY_RECORDED";
+  }
+
+  try {
+    return (await matchLine(stored)) ? "MATCHED" : "UNMATCHED";
+  } catch (error) {
+    console.error(`❌ Matching bank transfer ${stored.id} failed:`, error);
+    await prisma.bankStatementLine.update({
+      where: { id: stored.id },
+      data: { matchNote: `Ошибка сопоставления: ${error.message}` },
+    });
+    return "UNMATCHED";
+  }
+};
+
+// =====================================================================
+// MANUAL RESOLUTION
+// =====================================================================
+
+// Only one admin gets to resolve a line
+const claimLine = async (lineId, data) => {
+  const { count } = await prisma.bankStatementLine.updateMany({
+    where: { id: lineId, status: "UNMATCHED" },
+    data: { ...data, resolvedAt: new Date() },
+  });
+  if (count > 0) return;
+
+  const exists = await prisma.bankStatementLine.count({
+    where: { id: lineId },
+  });
+  throw new Error(exists ? "LINE_ALREADY_RESOLVED" : "LINE_NOT_FOUND");
+};
+
+/**
+ * Settles `invoiceNumber` with an unmatched transfer, whatever its amount and
+ * payer: the admin has checked them. Works for expired invoices too (the
+ * tickets are taken back if they are still on sale).
+ */
+export const assignStatementLine = async (lineId, invoiceNumber, adminId) => {
+  const normalized = findInvoiceNumber(invoiceNumber);
+  if (!normalized) throw new Error("INVOICE_NOT_FOUND");
+
+  await claimLine(lineId, {
+    status: "ASSIGNED",
+    invoiceNumber: normalized,
+    assignedById: adminId,
+  });
+  const line = await prisma.bankStatementLine.findUnique({
+    where: { id: lineId },
+  });
+
+  const release = (matchNote) =>
+    prisma.bankStatementLine.update({
+      where: { id: lineId },
+      data: {
+        status: "UNMATCHED",
+        assignedById: null,
+        resolvedAt: null,
+        matchNote,
+      },
+    });
+
+  let result;
+  try {
+    result = await settleInvoice(normalized, line.amount, { reopen: true });
+  } catch (error) {
+    await release(`Ошибка зачета: ${error.message}`);
+    throw error;
+  }
+
+  if (result) {
+    await release(line.matchNote);
+    throw new Error(
+      result === "ALREADY_COMPLETED"
+        ? "INVOICE_ALREADY_PAID"
+        : result === "PAYMENT_NOT_FOUND"
+          ? "INVOICE_NOT_FOUND"
+          : result,
+    );
+  }
+
+  return prisma.bankStatementLine.update({
+    where: { id: lineId },
+    data: { matchNote: "Зачтено вручную" },
+  });
+};
+
+// Not an invoice payment: keeps it out of the queue
+export const ignoreStatementLine = async (lineId, adminId, note = null) => {
+  await claimLine(lineId, {
+    status: "IGNORED",
+    assignedById: adminId,
+    ...(note && { matchNote: note }),
+  });
+  return prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+};
+
+// =====================================================================
+// EXPIRY
+// =====================================================================
+
+const expireSubscriptionInvoice = async (payment) => {
+  const { promoCodeId } = payment.metadata || {};
+
+  const expired = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: "PENDING" },
+      data: { status: "FAILED" },
+    });
+    if (count === 0) return false;
+
+    // Give the promo code back, as when the invoice couldn't be sent
+    if (promoCodeId) {
+      await tx.promoCode.update({
+        where: { id: promoCodeId },
+        data: {
+          currentUses: { decrement: 1 },
+          usedByUsers: { disconnect: { id: payment.userId } },
+        },
+      });
+    }
+    return true;
+  });
+
+  if (expired) {
+    notifyUser({
+      userId: payment.userId,
+      title: "Счет на оплату подписки просрочен",
+      body: `Оплата по счету ${payment.providerTxId} не поступила. Если вы уже оплатили его, напишите в поддержку, иначе сформируйте новый счет.`,
+      type: "SYSTEM",
+      data: { url: "/pricing" },
+    }).catch(console.error);
+  }
+  return expired;
+};
+
+const expireTicketInvoice = async (order) => {
+  const expired = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: "AWAITING_BANK_TRANSFER" },
+      data: { status: "EXPIRED" },
+    });
+    if (count === 0) return false;
+
+    await releaseTickets(tx, order);
+    return true;
+  });
+
+  if (expired) {
+    notifyUser({
+      userId: order.userId,
+      title: "Счет на оплату билетов просрочен",
+      body: `Оплата по счету ${order.invoiceNumber} не поступила до ${formatDate(order.dueDate)}, билеты на «${order.event.title}» сняты с брони.`,
+      type: "SYSTEM",
+      data: { url: `/events/${order.eventId}` },
+    }).catch(console.error);
+  }
+  return expired;
+};
+
+/**
+ * Closes invoices that are INVOICE_GRACE_DAYS past their due date: the
+ * subscription Payment fails (its promo code is given back), the ticket order
+ * expires and its seats go back on sale. A transfer that still arrives later
+ * shows up as unmatched and can be settled by hand.
+ */
+export const expireOverdueInvoices = async () => {
+  const cutoff = new Date(Date.now() - INVOICE_GRACE_DAYS * DAY);
+  const stats = { SUBSCRIPTIONS: 0, ORDERS: 0, ERROR: 0 };
+
+  // dueDate lives in the JSON metadata; open invoices are few
+  const payments = await prisma.payment.findMany({
+    where: { provider: "b2b_invoice", status: "PENDING" },
+  });
+  for (const payment of payments) {
+    const dueDate = payment.metadata?.dueDate;
+    if (!dueDate || new Date(dueDate) >= cutoff) continue;
+
+    try {
+      if (await expireSubscriptionInvoice(payment)) stats.SUBSCRIPTIONS++;
+    } catch (error) {
+      stats.ERROR++;
+      console.error(
+        `❌ Expiring invoice ${payment.providerTxId} failed:`,
+        error,
+      );
+    }
+  }
+
+  const orders = await prisma.order.findMany({
+    where: { status: "AWAITING_BANK_TRANSFER", dueDate: { lt: cutoff } },
+    include: { event: { select: { title: true } } },
+  });
+  for (const order of orders) {
+    try {
+      if (await expireTicketInvoice(order)) stats.ORDERS++;
+    } catch (error) {
+      stats.ERROR++;
+      console.error(
+        `❌ Expiring invoice ${order.invoiceNumber} failed:`,
+        error,
+      );
+    }
+  }
+
+  if (stats.ORDERS > 0) {
+    await invalidateKeys([
+      "events:all",
+      ...new Set(orders.map((order) => `events:${order.eventId}`)),
+      "orders:my",
+    ]);
+  }
+
+  return stats;
+};
@@ -0,0 +1,198 @@
+import crypto from "crypto";
+
+// Actor IDs for audit entries written by the platform itself, not by a user
+export const SYSTEM_ACTORS = {
+  WEBHOOK: "SYSTEM_WEBHOOK",
+  CRON: "SYSTEM_CRON",
+};
+
+export const SYSTEM_ACTOR_NAMES = {
+  [SYSTEM_ACTORS.WEBHOOK]: "Платежная система",
+  [SYSTEM_ACTORS.CRON]: "Платформа (автоматически)",
+};
+
+// Human-readable timeline labels. Unknown actions fall back to the raw code.
+export const AUDIT_ACTION_LABELS = {
+  REQUEST_CREATED: "Заявка создана",
+  SPECIALIST_ASSIGNED: "Агентство назначило специалиста",
+  SPECIALIST_UNASSIGNED: "Агентство сняло специалиста с заявки",
+  PERFORMER_REJECTED: "Исполнитель отклонил заявку",
+  PERFORMER_PROPOSED_FEE: "Исполнитель предложил стоимость",
+  CUSTOMER_PROPOSED_FEE: "Заказчик предложил стоимость",
+  OFFER_ACCEPTED: "Предложение принято",
+  OFFER_REJECTED: "Предложение отклонено",
+  CUSTOMER_DECLINED_FEE: "Заказчик отказался от заявки",
+  BOOKING_EXPIRED: "Срок заявки истек",
+  CUSTOMER_INITIATED_PAYMENT: "Заказчик перешел к оплате",
+  CUSTOMER_INITIATED_BALANCE_PAYMENT: "Заказчик перешел к оплате остатка",
+  PAYMENT_INIT_FAILED: "Платежная система недоступна, оплата не начата",
+  PAYMENT_AUTHORIZED_FUNDS_HELD: "Оплата заморожена, бронирование подтверждено",
+  BALANCE_AUTHORIZED_FUNDS_HELD: "Остаток оплачен и заморожен",
+  PAYMENT_HELD_FROM_WALLET: "Оплачено с кошелька и заморожено",
+  BALANCE_HELD_FROM_WALLET: "Остаток оплачен с кошелька и заморожен",
+  PAYMENT_HOLD_RELEASED_BOOKING_CLOSED:
+    "Оплата возвращена: бронирование уже закрыто",
+  PAYMENT_REVERSED_BY_BANK: "Банк отменил платеж",
+  BOOKING_CANCELLED: "Бронирование отменено",
+  BALANCE_OVERDUE_CANCELLED: "Отмена: остаток не оплачен в срок",
+  DISPUTE_OPENED: "Открыт спор",
+  DISPUTE_RESOLVED: "Спор разрешен",
+  ESCROW_RELEASED: "Средства выплачены исполнителю",
+  ESCROW_RELEASED_MANUALLY: "Выплата проведена администратором",
+  ESCROW_RELEASE_RETRY_SCHEDULED: "Повторная попытка выплаты запланирована",
+  ESCROW_RELEASE_FAILED: "Выплата не удалась",
+  ESCROW_RELEASE_REQUEUED: "Выплата повторно поставлена в очередь",
+};
+
+// Postgres jsonb reorders object keys, so the hash is taken over a key-sorted form
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash of an entry's content plus the previous entry's hash. Changing, removing
+ * or re-ordering any row breaks every hash after it.
+ */
+export const computeAuditHash = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      canonicalJson({
+        bookingId: entry.bookingId,
+        sequence: entry.sequence,
+        actorId: entry.actorId,
+        action: entry.action,
+        // Round-trip drops `undefined` and turns Dates into strings, like jsonb does
+        metadata: JSON.parse(JSON.stringify(entry.metadata ?? null)),
+        createdAt: new Date(entry.createdAt).toISOString(),
+        prevHash: entry.prevHash ?? null,
+      }),
+    )
+    .digest("hex");
+
+/**
+ * Securely log a booking action and return the created entry.
+ * Always pass the Prisma transaction client so the entry commits (or rolls back)
+ * together with the change it describes.
+ */
+export const createAuditLog = async (
+  tx,
+  bookingId,
+  actorId,
+  action,
+  metadata = {},
+) => {
+  // Serialize writers per booking so two entries never chain off the same parent
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${bookingId}))`;
+
+  const previous = await tx.bookingAuditLog.findFirst({
+    where: { bookingId, sequence: { not: null } },
+    orderBy: { sequence: "desc" },
+    select: { sequence: true, hash: true },
+  });
+
+  const entry = {
+    bookingId,
+    actorId,
+    action,
+    metadata,
+    sequence: (previous?.sequence ?? 0) + 1,
+    prevHash: previous?.hash ?? null,
+    createdAt: new Date(),
+  };
+
+  const created = await tx.bookingAuditLog.create({
+    data: { ...entry, hash: computeAuditHash(entry) },
+  });
+
+  // Pin the head on the booking, so dropping the newest entries is detectable too
+  await tx.bookingRequest.update({
+    where: { id: bookingId },
+    data: { auditHeadHash: created.hash },
+  });
+
+  return created;
+};
+
+/**
+ * Walks a booking's chain and reports every entry that doesn't add up.
+ * Entries written before chaining was introduced are counted as `unsealed`.
+ * `expectedHeadHash` is the hash pinned on the booking by the last write.
+ */
+export const verifyAuditChain = (entries, expectedHeadHash = null) => {
+  const chained = entries
+    .filter((e) => e.sequence !== null)
+    .sort((a, b) => a.sequence - b.sequence);
+
+  const breaks = [];
+  let previous = null;
+
+  for (const entry of chained) {
+    const expectedSequence = (previous?.sequence ?? 0) + 1;
+
+    if (entry.sequence !== expectedSequence) {
+      breaks.push({
+        entryId: entry.id,
+        sequence: entry.sequence,
+        reason: "SEQUENCE_GAP",
+        expected: expectedSequence,
+      });
+    }
+    if (entry.prevHash !== (previous?.hash ?? null)) {
+      breaks.push({
+        entryId: entry.id,
+        sequence: entry.sequence,
+        reason: "PREVIOUS_HASH_MISMATCH",
+      });
+    }
+    if (entry.hash !== computeAuditHash(entry)) {
+      breaks.push({
+        entryId: entry.id,
+        sequence: entry.sequence,
+        reason: "CONTENT_MODIFIED",
+      });
+    }
+
+    previous = entry;
+  }
+
+  // Nothing may be slipped in without a hash once the chain has started
+  const firstChainedAt = chained[0]?.createdAt;
+  for (const entry of entries) {
+    if (
+      entry.sequence === null &&
+      firstChainedAt &&
+      entry.createdAt > firstChainedAt
+    ) {
+      breaks.push({
+        entryId: entry.id,
+        sequence: null,
+        reason: "UNSEALED_ENTRY",
+      });
+    }
+  }
+
+  const headHash = previous?.hash ?? null;
+  if (headHash !== expectedHeadHash) {
+    breaks.push({
+      entryId: previous?.id ?? null,
+      sequence: previous?.sequence ?? null,
+      reason: "HEAD_MISMATCH",
+    });
+  }
+
+  return {
+    valid: breaks.length === 0,
+    checked: chained.length,
+    unsealed: entries.length - chained.length,
+    headHash,
+    breaks,
+  };
+};
@@ -0,0 +1,167 @@
+import crypto from "crypto";
+import prisma from "../libs/prisma.js";
+import { minioClient, MINIO_BUCKET_NAME } from "../utils/minioClient.js";
+import { generateBookingContractPDF } from "../mailer/pdf-generator.js";
+import { sendBookingContractEmail } from "../mailer/email-sender.js";
+import { CANCELLATION_POLICIES } from "./cancellation-policy.js";
+
+const POLICY_LABELS = {
+  FLEXIBLE: "гибкая",
+  MODERATE: "умеренная",
+  STRICT: "строгая",
+};
+
+export const hashDocument = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+// e.g. EVT-20261019-3F2A9C1B: issue date + booking prefix, unique per booking
+const buildContractNumber = (bookingId, issuedAt) =>
+  `EVT-${issuedAt.toISOString().slice(0, 10).replace(/-/g, "")}-${bookingId
+    .replace(/-/g, "")
+    .slice(0, 8)
+    .toUpperCase()}`;
+
+const legalDetails = (user, profile) => ({
+  name: user.name,
+  email: user.email,
+  companyName: profile?.companyName || null,
+  inn: profile?.inn || null,
+  accountType: profile?.accountType || null,
+});
+
+/**
+ * Issues (once) the service agreement for a CONFIRMED booking: renders the PDF,
+ * stores it in MinIO with its hash and emails it to both parties.
+ * Safe to call repeatedly, concurrently too - an existing contract is returned as is.
+ */
+export const issueBookingContract = async (bookingId) => {
+  const existing = await prisma.bookingContract.findUnique({
+    where: { bookingId },
+  });
+  if (existing) return existing;
+
+  const booking = await prisma.bookingRequest.findUnique({
+    where: { id: bookingId },
+    include: {
+      customer: { include: { customerProfile: true } },
+      performer: { include: { user: true } },
+      payments: true,
+    },
+  });
+
+  if (!booking) throw new Error("BOOKING_NOT_FOUND");
+
+  const issuedAt = new Date();
+  const policy =
+    booking.cancellationPolicy || booking.performer.cancellationPolicy;
+  // The paid FULL/DEPOSIT parts (card and wallet of a mixed payment) plus the
+  // scheduled balance make up the deal
+  const upfront = booking.payments.filter(
+    (p) =>
+      p.bookingPart !== "BALANCE" &&
+      !["NONE", "AWAITING_PAYMENT"].includes(p.escrowStatus),
+  );
+  const upfrontIds = upfront.map((p) => p.id);
+  const balances = booking.payments.filter((p) =>
+    upfrontIds.includes(p.depositPaymentId),
+  );
+  const platformFee = [...upfront, ...balances].reduce(
+    (sum, p) => sum + p.platformFee,
+    0,
+  );
+  const upfrontAmount = upfront.reduce((sum, p) => sum + p.amount, 0);
+
+  const snapshot = {
+    bookingId,
+    number: buildContractNumber(bookingId, issuedAt),
+    issuedAt: issuedAt.toISOString(),
+    customer: legalDetails(booking.customer, booking.customer.customerProfile),
+    performer: legalDetails(booking.performer.user, booking.performer),
+    event: {
+      start: booking.startTime || booking.date,
+      end: booking.endTime,
+      details: booking.details,
+    },
+    fee: booking.agreedFee,
+    platformFee,
+    deposit: upfront.some((p) => p.bookingPart === "DEPOSIT")
+      ? {
+          percent: booking.depositPercent,
+          amount: Math.round(upfrontAmount * 100) / 100,
+          balanceDueAt: booking.balanceDueAt,
+        }
+      : null,
+    cancellation: {
+      policy,
+      label: POLICY_LABELS[policy],
+      tiers: CANCELLATION_POLICIES[policy],
+    },
+  };
+
+  const pdfBuffer = await generateBookingContractPDF(snapshot);
+  const fileKey = `contracts/${bookingId}/${crypto.randomUUID()}.pdf`;
+
+  await minioClient.putObject(
+    MINIO_BUCKET_NAME,
+    fileKey,
+    pdfBuffer,
+    pdfBuffer.length,
+    { "Content-Type": "application/pdf" },
+  );
+
+  let contract;
+  try {
+    contract = await prisma.bookingContract.create({
+      data: {
+        bookingId,
+        number: snapshot.number,
+        contentHash: hashDocument(pdfBuffer),
+        fileKey,
+        snapshot,
+        issuedAt,
+      },
+    });
+  } catch (error) {
+    // Our upload goes either way. On a concurrent call (webhook and
+    // confirmation) that issued it first, theirs stands and was emailed.
+    await minioClient
+      .removeObject(MINIO_BUCKET_NAME, fileKey)
+      .catch((err) => console.error(`Removing ${fileKey} failed:`, err));
+    const issued =
+      error.code === "P2002" &&
+      (await prisma.bookingContract.findUnique({ where: { bookingId } }));
+    if (!issued) throw error;
+    return issued;
+  }
+
+  const eventDate = new Date(snapshot.event.start).toLocaleString("ru-RU", {
+    timeZone: "Europe/Moscow",
+  });
+
+  await Promise.all(
+    [booking.customer, booking.performer.user].map((user) =>
+      sendBookingContractEmail(
+        user.email,
+        user.name,
+        contract.number,
+        eventDate,
+        pdfBuffer,
+      ),
+    ),
+  );
+
+  return contract;
+};
+
+/**
+ * Reads the stored contract PDF back from MinIO.
+ */
+export const readContractFile = async (contract) => {
+  const stream = await minioClient.getObject(
+    MINIO_BUCKET_NAME,
+    contract.fileKey,
+  );
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
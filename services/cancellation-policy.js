@@ -0,0 +1,53 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Refund tiers per policy, checked top-down: the first tier whose `minDays`
+// is reached decides the refund percentage.
+export const CANCELLATION_POLICIES = {
+  FLEXIBLE: [
+    { minDays: 1, refundPercent: 100 },
+    { minDays: 0, refundPercent: 50 },
+  ],
+  MODERATE: [
+    { minDays: 7, refundPercent: 100 },
+    { minDays: 2, refundPercent: 50 },
+    { minDays: 0, refundPercent: 0 },
+  ],
+  STRICT: [
+    { minDays: 30, refundPercent: 100 },
+    { minDays: 14, refundPercent: 50 },
+    { minDays: 0, refundPercent: 0 },
+  ],
+};
+
+const roundRub = (value) => Math.round(value * 100) / 100;
+
+/**
+ * How much of `amount` goes back to the customer if the booking is cancelled now.
+ * A performer cancelling is never the customer's fault, so it is always a full refund.
+ */
+export const quoteCancellation = ({
+  policy,
+  eventStart,
+  amount,
+  cancelledBy,
+  now = new Date(),
+}) => {
+  const daysLeft = Math.max(0, (new Date(eventStart) - now) / DAY);
+
+  const refundPercent =
+    cancelledBy === "PERFORMER"
+      ? 100
+      : (CANCELLATION_POLICIES[policy] || CANCELLATION_POLICIES.MODERATE).find(
+          (tier) => daysLeft >= tier.minDays,
+        ).refundPercent;
+
+  const refundAmount = roundRub((amount * refundPercent) / 100);
+
+  return {
+    policy,
+    daysLeft: Math.floor(daysLeft),
+    refundPercent,
+    refundAmount,
+    captureAmount: roundRub(amount - refundAmount),
+  };
+};
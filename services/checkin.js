@@ -0,0 +1,618 @@
+import crypto from "crypto";
+import prisma from "../libs/prisma.js";
+import { invalidateKeys } from "../libs/redis.js";
+import { emitCheckInCount } from "../libs/socket.js";
+import { SOLD_ORDER_STATUSES } from "./ticket-reservations.js";
+import { describeOrderTiers } from "./ticket-inventory.js";
+import { describeOrderSeats } from "./seating.js";
+import { dateScan } from "./scan-window.js";
+
+// Guests come in by the code of a Ticket, an Invitation, or (orders from
+// before tickets had their own codes) Order.ticketCode. The live scanner and
+// the offline scanner sessions share the same entry rules.
+
+const MAX_SCAN_BATCH = 500;
+// Scanner sessions work until a day after the event starts
+const SESSION_HOURS_AFTER_EVENT = 24;
+const MAX_DEVICE_NAME_LENGTH = 60;
+
+export const SCANNER_ERROR_MESSAGES = {
+  DEVICE_NAME_REQUIRED: "Укажите название устройства",
+  SCANNER_SESSION_NOT_FOUND: "Сессия сканера не найдена",
+  SCANNER_SESSION_CLOSED: "Сессия сканера закрыта или истекла",
+  INVALID_SCAN_BATCH: "Некорректный список сканирований",
+  SCAN_BATCH_TOO_LARGE: `Не более ${MAX_SCAN_BATCH} сканирований за раз`,
+  SCANNER_SIGNING_NOT_CONFIGURED: "Офлайн-сканеры временно недоступны",
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// =====================================================================
+// ENTRY
+// =====================================================================
+
+const admitTicket = async (ticket, eventId, enteredAt) => {
+  const guest = {
+    kind: "TICKET",
+    guestName: ticket.attendeeName,
+    ticketCount: 1,
+    tiers: ticket.tierName,
+    seats: ticket.seatLabel,
+  };
+  if (ticket.order.eventId !== eventId) return { result: "WRONG_EVENT" };
+  if (ticket.status === "TRANSFERRED")
+    return { ...guest, result: "TRANSFERRED" };
+  if (
+    ticket.status !== "ACTIVE" ||
+    !SOLD_ORDER_STATUSES.includes(ticket.order.status)
+  ) {
+    return { ...guest, result: "NOT_PAID" };
+  }
+
+  const { count } = await prisma.ticket.updateMany({
+    where: { id: ticket.id, status: "ACTIVE", isUsed: false },
+    data: { isUsed: true, enteredAt },
+  });
+  if (count === 0) {
+    return {
+      ...guest,
+      result: "ALREADY_CHECKED_IN",
+      enteredAt: ticket.enteredAt,
+    };
+  }
+
+  // The order counts as used once nobody is left to come in
+  const remaining = await prisma.ticket.count({
+    where: { orderId: ticket.orderId, status: "ACTIVE", isUsed: false },
+  });
+  await prisma.order.update({
+    where: { id: ticket.orderId },
+    data: {
+      enteredAt: ticket.order.enteredAt ?? enteredAt,
+      ...(remaining === 0 && { isUsed: true }),
+    },
+  });
+  return { ...guest, result: "ADMITTED" };
+};
+
+const admitInvitation = async (invitation, eventId, enteredAt) => {
+  const guest = {
+    kind: "INVITATION",
+    guestName: invitation.guestName,
+    ticketCount: 1,
+    tiers: null,
+    seats: null,
+  };
+  if (invitation.eventId !== eventId) return { result: "WRONG_EVENT" };
+  if (invitation.status !== "ACCEPTED") {
+    return { ...guest, result: "NOT_ACCEPTED" };
+  }
+
+  const { count } = await prisma.invitation.updateMany({
+    where: { id: invitation.id, isCheckedIn: false },
+    data: { isCheckedIn: true, checkInTime: enteredAt },
+  });
+  return count === 0
+    ? {
+        ...guest,
+        result: "ALREADY_CHECKED_IN",
+        enteredAt: invitation.checkInTime,
+      }
+    : { ...guest, result: "ADMITTED" };
+};
+
+const admitOrder = async (order, eventId, enteredAt) => {
+  const guest = {
+    kind: "ORDER",
+    guestName: order.user?.name || "Гость",
+    ticketCount: order.ticketCount,
+    tiers: describeOrderTiers(order.items) || null,
+    seats: describeOrderSeats(order.reservedSeats) || null,
+  };
+  if (order._count.tickets > 0) return { result: "ORDER_HAS_TICKETS" };
+  if (order.eventId !== eventId) return { result: "WRONG_EVENT" };
+  if (!SOLD_ORDER_STATUSES.includes(order.status)) {
+    return { ...guest, result: "NOT_PAID" };
+  }
+
+  const { count } = await prisma.order.updateMany({
+    where: { id: order.id, isUsed: false },
+    data: { isUsed: true, enteredAt },
+  });
+  return count === 0
+    ? { ...guest, result: "ALREADY_CHECKED_IN", enteredAt: order.enteredAt }
+    : { ...guest, result: "ADMITTED" };
+};
+
+/**
+ * Lets a guest in by the code they show. The entry is a conditional update,
+ * so two doors can't both admit the same code. Caches and the host's counter
+ * are left to the caller (see publishCheckIns).
+ *
+ * @returns {Promise<{result: string, kind?: string, guestName?: string,
+ *   ticketCount?: number, tiers?: string|null, seats?: string|null,
+ *   enteredAt?: Date|null}>} `result` is ADMITTED, ALREADY_CHECKED_IN (with
+ *   `enteredAt`), TRANSFERRED, NOT_PAID, NOT_ACCEPTED, WRONG_EVENT,
+ *   ORDER_HAS_TICKETS or UNKNOWN
+ */
+export const admitToken = async (eventId, token, enteredAt = new Date()) => {
+  const ticket = await prisma.ticket.findUnique({
+    where: { code: token },
+    include: { order: true },
+  });
+  if (ticket) return admitTicket(ticket, eventId, enteredAt);
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { ticketToken: token },
+  });
+  if (invitation) return admitInvitation(invitation, eventId, enteredAt);
+
+  const order = await prisma.order.findUnique({
+    where: { ticketCode: token },
+    include: {
+      user: { select: { name: true } },
+      items: true,
+      _count: { select: { tickets: true } },
+    },
+  });
+  if (order) return admitOrder(order, eventId, enteredAt);
+
+  return { result: "UNKNOWN" };
+};
+
+/**
+ * Guests in and guests expected: paid tickets (orders without tickets count
+ * their ticketCount) and accepted invitations.
+ *
+ * @returns {Promise<{eventId: string, checkedIn: number, expected: number}>}
+ */
+export const getCheckInCounts = async (eventId) => {
+  const [tickets, legacyOrders, invitations] = await Promise.all([
+    prisma.ticket.groupBy({
+      by: ["isUsed"],
+      where: {
+        status: "ACTIVE",
+        order: { eventId, status: { in: SOLD_ORDER_STATUSES } },
+      },
+      _count: { _all: true },
+    }),
+    prisma.order.groupBy({
+      by: ["isUsed"],
+      where: {
+        eventId,
+        status: { in: SOLD_ORDER_STATUSES },
+        tickets: { none: {} },
+      },
+      _sum: { ticketCount: true },
+    }),
+    prisma.invitation.groupBy({
+      by: ["isCheckedIn"],
+      where: { eventId, status: "ACCEPTED" },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = { eventId, checkedIn: 0, expected: 0 };
+  const add = (isIn, amount) => {
+    counts.expected += amount;
+    if (isIn) counts.checkedIn += amount;
+  };
+  tickets.forEach((group) => add(group.isUsed, group._count._all));
+  legacyOrders.forEach((group) =>
+    add(group.isUsed, group._sum.ticketCount || 0),
+  );
+  invitations.forEach((group) => add(group.isCheckedIn, group._count._all));
+  return counts;
+};
+
+// After guests came in: fresh guest list and the host's live counter
+export const publishCheckIns = async (eventId) => {
+  await invalidateKeys([`events:${eventId}:attendees`]);
+
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    select: { host: { select: { userId: true } } },
+  });
+  if (event?.host) {
+    emitCheckInCount(event.host.userId, await getCheckInCounts(eventId));
+  }
+};
+
+// =====================================================================
+// OFFLINE SCANNER SESSIONS
+// =====================================================================
+
+const describeSession = (session) => ({
+  id: session.id,
+  eventId: session.eventId,
+  deviceName: session.deviceName,
+  expiresAt: session.expiresAt,
+  revokedAt: session.revokedAt,
+  lastSyncAt: session.lastSyncAt,
+  createdAt: session.createdAt,
+});
+
+/**
+ * A scanner session for one device. The access token is only returned here:
+ * the host passes it to the staff member, whose scanner sends it as the
+ * `X-Scanner-Token` header.
+ *
+ * @returns {Promise<{session: object, accessToken: string}>}
+ */
+export const createScannerSession = async (event, createdById, input) => {
+  const deviceName = String(input.deviceName ?? "")
+    .trim()
+    .slice(0, MAX_DEVICE_NAME_LENGTH);
+  if (!deviceName) throw new Error("DEVICE_NAME_REQUIRED");
+
+  const accessToken = crypto.randomBytes(32).toString("hex");
+  const startsAt = Math.max(new Date(event.date).getTime(), Date.now());
+
+  const session = await prisma.scannerSession.create({
+    data: {
+      eventId: event.id,
+      deviceName,
+      tokenHash: hashToken(accessToken),
+      createdById,
+      expiresAt: new Date(startsAt + SESSION_HOURS_AFTER_EVENT * 3600 * 1000),
+    },
+  });
+  return { session: describeSession(session), accessToken };
+};
+
+// The event's scanners with how their uploaded scans turned out
+export const listScannerSessions = async (eventId) => {
+  const [sessions, results] = await Promise.all([
+    prisma.scannerSession.findMany({
+      where: { eventId },
+      orderBy: { createdAt: "desc" },
+    }),
+    prisma.checkInScan.groupBy({
+      by: ["sessionId", "result"],
+      where: { eventId },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return sessions.map((session) => ({
+    ...describeSession(session),
+    scans: Object.fromEntries(
+      results
+        .filter((group) => group.sessionId === session.id)
+        .map((group) => [group.result, group._count._all]),
+    ),
+  }));
+};
+
+export const revokeScannerSession = async (eventId, sessionId) => {
+  const session = await prisma.scannerSession.findFirst({
+    where: { id: sessionId, eventId },
+  });
+  if (!session) throw new Error("SCANNER_SESSION_NOT_FOUND");
+  if (session.revokedAt) return describeSession(session);
+
+  return describeSession(
+    await prisma.scannerSession.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() },
+    }),
+  );
+};
+
+/**
+ * The open session of the event the access token belongs to. Throws
+ * SCANNER_SESSION_NOT_FOUND or SCANNER_SESSION_CLOSED.
+ */
+export const authenticateScanner = async (eventId, accessToken) => {
+  const session = accessToken
+    ? await prisma.scannerSession.findUnique({
+        where: { tokenHash: hashToken(String(accessToken)) },
+      })
+    : null;
+
+  if (!session || session.eventId !== eventId) {
+    throw new Error("SCANNER_SESSION_NOT_FOUND");
+  }
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw new Error("SCANNER_SESSION_CLOSED");
+  }
+  return session;
+};
+
+// Ed25519 private key (PEM, "\n" escapes allowed) the manifests are signed
+// with. Scanners only ever get the public half, so they can check a manifest
+// but not forge one.
+let signingKey;
+
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  const pem = process.env.SCANNER_MANIFEST_PRIVATE_KEY?.replace(/\\n/g, "\n");
+  if (!pem) throw new Error("SCANNER_SIGNING_NOT_CONFIGURED");
+  const privateKey = crypto.createPrivateKey(pem);
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error("SCANNER_SIGNING_NOT_CONFIGURED");
+  }
+
+  signingKey = {
+    privateKey,
+    publicKey: crypto
+      .createPublicKey(privateKey)
+      .export({ type: "spki", format: "pem" }),
+  };
+  return signingKey;
+};
+
+/**
+ * The PEM (SPKI) public key scanners verify manifests with. Throws
+ * SCANNER_SIGNING_NOT_CONFIGURED.
+ */
+export const getScannerPublicKey = () => getSigningKey().publicKey;
+
+/**
+ * Every code that lets a guest in right now, for scanning offline. The
+ * manifest is a JSON string signed with the server's Ed25519 key, so the
+ * scanner can tell it came from us and wasn't altered. Throws
+ * SCANNER_SIGNING_NOT_CONFIGURED.
+ *
+ * @returns {Promise<{manifest: string, signature: string, algorithm: string,
+ *   publicKey: string}>} `signature` is base64; `manifest` parses to
+ *   { eventId, sessionId, issuedAt, expiresAt, entries: [{ token, kind,
+ *   guestName, ticketCount, tiers, seats, checkedIn }] }
+ */
+export const buildScannerManifest = async (session) => {
+  const { privateKey, publicKey } = getSigningKey();
+
+  const eventId = session.eventId;
+  const [tickets, legacyOrders, invitations] = await Promise.all([
+    prisma.ticket.findMany({
+      where: {
+        status: "ACTIVE",
+        order: { eventId, status: { in: SOLD_ORDER_STATUSES } },
+      },
+    }),
+    prisma.order.findMany({
+      where: {
+        eventId,
+        status: { in: SOLD_ORDER_STATUSES },
+        tickets: { none: {} },
+      },
+      include: { user: { select: { name: true } }, items: true },
+    }),
+    prisma.invitation.findMany({ where: { eventId, status: "ACCEPTED" } }),
+  ]);
+
+  const entries = [
+    ...tickets.map((ticket) => ({
+      token: ticket.code,
+      kind: "TICKET",
+      guestName: ticket.attendeeName,
+      ticketCount: 1,
+      tiers: ticket.tierName,
+      seats: ticket.seatLabel,
+      checkedIn: ticket.isUsed,
+    })),
+    ...legacyOrders.map((order) => ({
+      token: order.ticketCode,
+      kind: "ORDER",
+      guestName: order.user?.name || "Гость",
+      ticketCount: order.ticketCount,
+      tiers: describeOrderTiers(order.items) || null,
+      seats: describeOrderSeats(order.reservedSeats) || null,
+      checkedIn: order.isUsed,
+    })),
+    ...invitations.map((invitation) => ({
+      token: invitation.ticketToken,
+      kind: "INVITATION",
+      guestName: invitation.guestName,
+      ticketCount: 1,
+      tiers: null,
+      seats: null,
+      checkedIn: invitation.isCheckedIn,
+    })),
+  ];
+
+  const manifest = JSON.stringify({
+    eventId,
+    sessionId: session.id,
+    issuedAt: new Date().toISOString(),
+    expiresAt: session.expiresAt.toISOString(),
+    entries,
+  });
+
+  await prisma.scannerSession.update({
+    where: { id: session.id },
+    data: { lastSyncAt: new Date() },
+  });
+
+  return {
+    manifest,
+    signature: crypto
+      .sign(null, Buffer.from(manifest), privateKey)
+      .toString("base64"),
+    algorithm: "Ed25519",
+    publicKey,
+  };
+};
+
+// What a scan became, from admitToken's result
+const SCAN_RESULTS = {
+  ADMITTED: "ADMITTED",
+  ALREADY_CHECKED_IN: "ALREADY_CHECKED_IN",
+  TRANSFERRED: "REVOKED",
+  NOT_PAID: "REVOKED",
+};
+
+// Who let the guest in first: another scanner, or the live check-in (null)
+const findFirstEntry = (eventId, token) =>
+  prisma.checkInScan.findFirst({
+    where: { eventId, token, result: "ADMITTED" },
+    include: { session: { select: { deviceName: true } } },
+    orderBy: { scannedAt: "asc" },
+  });
+
+const recordScan = async (session, scan, result) => {
+  try {
+    await prisma.checkInScan.create({
+      data: {
+        sessionId: session.id,
+        eventId: session.eventId,
+        token: scan.token,
+        scannedAt: scan.scannedAt,
+        result,
+      },
+    });
+  } catch (error) {
+    // The same batch is being uploaded twice at once: the first one counts
+    if (error.code !== "P2002") throw error;
+  }
+};
+
+/**
+ * An offline scan older than the entry on record: the guest really came in
+ * at this door, so the entry is moved back to the scan's time and the scans
+ * booked as the entry before become repeats. Conditional on the stored time,
+ * so of two doors correcting at once the earlier scan wins.
+ *
+ * @returns {Promise<boolean>} false when nothing was recorded later after all
+ */
+const claimEarlierEntry = (session, scan, enteredAt) =>
+  prisma.$transaction(async (tx) => {
+    const later = { gt: enteredAt };
+    const tickets = await tx.ticket.updateMany({
+      where: { code: scan.token, isUsed: true, enteredAt: later },
+      data: { enteredAt },
+    });
+    const orders = await tx.order.updateMany({
+      where: {
+        OR: [
+          { ticketCode: scan.token },
+          { tickets: { some: { code: scan.token } } },
+        ],
+        enteredAt: later,
+      },
+      data: { enteredAt },
+    });
+    const invitations = await tx.invitation.updateMany({
+      where: { ticketToken: scan.token, isCheckedIn: true, checkInTime: later },
+      data: { checkInTime: enteredAt },
+    });
+    if (tickets.count + orders.count + invitations.count === 0) return false;
+
+    const laterScans = {
+      eventId: session.eventId,
+      token: scan.token,
+      result: "ADMITTED",
+      scannedAt: { gt: scan.scannedAt },
+    };
+    await tx.checkInScan.updateMany({
+      where: { ...laterScans, sessionId: session.id },
+      data: { result: "DUPLICATE" },
+    });
+    await tx.checkInScan.updateMany({
+      where: { ...laterScans, sessionId: { not: session.id } },
+      data: { result: "ALREADY_CHECKED_IN" },
+    });
+    return true;
+  });
+
+const processScan = async (session, scan) => {
+  const stored = await prisma.checkInScan.findUnique({
+    where: {
+      sessionId_token_scannedAt: {
+        sessionId: session.id,
+        token: scan.token,
+        scannedAt: scan.scannedAt,
+      },
+    },
+  });
+  if (stored) return { result: stored.result, replayed: true };
+
+  const enteredAt = dateScan(session, scan.scannedAt);
+  if (!enteredAt) {
+    await recordScan(session, scan, "OUT_OF_WINDOW");
+    return { result: "OUT_OF_WINDOW", guestName: null };
+  }
+
+  const outcome = await admitToken(session.eventId, scan.token, enteredAt);
+  let result = SCAN_RESULTS[outcome.result] || "INVALID";
+  let conflict = null;
+
+  // Scanners upload whenever they're back online, so the earlier scan is the
+  // entry whichever door synced first
+  if (
+    result === "ALREADY_CHECKED_IN" &&
+    outcome.enteredAt > enteredAt &&
+    (await claimEarlierEntry(session, scan, enteredAt))
+  ) {
+    result = "ADMITTED";
+  } else if (result === "ALREADY_CHECKED_IN") {
+    const firstEntry = await findFirstEntry(session.eventId, scan.token);
+    if (firstEntry?.sessionId === session.id) {
+      result = "DUPLICATE";
+    } else {
+      conflict = {
+        enteredAt: outcome.enteredAt ?? firstEntry?.scannedAt ?? null,
+        deviceName: firstEntry?.session.deviceName ?? null,
+      };
+    }
+  }
+
+  await recordScan(session, scan, result);
+  return {
+    result,
+    guestName: outcome.guestName ?? null,
+    ...(conflict && { conflict }),
+  };
+};
+
+/**
+ * Books a scanner's offline scans ([{ token, scannedAt }]), oldest first.
+ * Each scan is checked against the live state: a guest another door (or the
+ * live check-in) let in earlier is reported as ALREADY_CHECKED_IN with who
+ * and when, a ticket refunded or transferred since the manifest as REVOKED.
+ * A scan older than the entry on record takes it over (see
+ * claimEarlierEntry). A scan dated outside the scanner session (see
+ * dateScan) lets nobody in and comes back as OUT_OF_WINDOW. Uploading the
+ * same batch again returns the stored results.
+ *
+ * @returns {Promise<{results: object[], summary: Object<string, number>}>}
+ */
+export const uploadScans = async (session, scans) => {
+  if (!Array.isArray(scans) || scans.length === 0) {
+    throw new Error("INVALID_SCAN_BATCH");
+  }
+  if (scans.length > MAX_SCAN_BATCH) throw new Error("SCAN_BATCH_TOO_LARGE");
+
+  const parsed = scans.map((scan) => ({
+    token: String(scan?.token ?? "").trim(),
+    scannedAt: new Date(scan?.scannedAt),
+  }));
+  if (parsed.some((scan) => !scan.token || isNaN(scan.scannedAt.getTime()))) {
+    throw new Error("INVALID_SCAN_BATCH");
+  }
+  parsed.sort((a, b) => a.scannedAt - b.scannedAt);
+
+  const results = [];
+  const summary = {};
+  for (const scan of parsed) {
+    const outcome = await processScan(session, scan);
+    results.push({
+      token: scan.token,
+      scannedAt: scan.scannedAt,
+      ...outcome,
+    });
+    summary[outcome.result] = (summary[outcome.result] || 0) + 1;
+  }
+
+  await prisma.scannerSession.update({
+    where: { id: session.id },
+    data: { lastSyncAt: new Date() },
+  });
+  if (results.some((scan) => scan.result === "ADMITTED" && !scan.replayed)) {
+    await publishCheckIns(session.eventId);
+  }
+
+  return { results, summary };
+};
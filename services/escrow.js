@@ -0,0 +1,409 @@
+import prisma from "../libs/prisma.js";
+import { getProviderForPayment } from "./payment-providers/index.js";
+import { createAuditLog } from "./booking-audit.js";
+import {
+  postLedgerEntry,
+  toKopecks,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+  externalAccount,
+} from "./ledger.js";
+import { isWalletFunded } from "./wallet-payments.js";
+import { notifyAdmins } from "./notification.js";
+import { partialReceipt } from "./payment-providers/receipt.js";
+
+// Payments in these states still have money frozen on the customer's card.
+// (RELEASING means a settlement is in progress and belongs to whoever claimed it.)
+const SETTLEABLE_STATUSES = ["HELD", "DISPUTED"];
+
+// Every state in which the money is still in escrow, whoever is handling it
+export const HELD_ESCROW_STATUSES = [
+  "HELD",
+  "DISPUTED",
+  "RELEASING",
+  "RELEASE_FAILED",
+];
+
+const roundRub = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Moves a payment from one of `fromStatuses` with `data`, unless someone else
+ * moved it first. Every change of a held payment's escrow state goes through
+ * here, so a settlement and a bank reversal can't both book it. `db` is
+ * prisma or a transaction.
+ *
+ * @returns {Promise<boolean>} Whether this caller got it
+ */
+export const claimEscrow = async (db, paymentId, fromStatuses, data) => {
+  const { count } = await db.payment.updateMany({
+    where: { id: paymentId, escrowStatus: { in: fromStatuses } },
+    data,
+  });
+  return count > 0;
+};
+
+// Held money becomes releasable to the performer 24h after the gig ends
+export const escrowReleaseDate = (booking) => {
+  const releaseDate = new Date(booking.endTime || booking.date);
+  releaseDate.setHours(releaseDate.getHours() + 24);
+  return releaseDate;
+};
+
+/**
+ * Settles a held escrow payment at the bank and in our own books.
+ *
+ * - captureAmount === payment.amount → full release to the performer
+ * - 0 < captureAmount < payment.amount → partial capture, the rest is unfrozen for the customer
+ * - captureAmount === 0 → the hold is cancelled, the customer gets everything back
+ *
+ * The performer's wallet is credited with the captured amount minus the
+ * proportional platform fee. On agency bookings the assigned specialist gets
+ * their agreed cut of it (`specialistShare`), the agency keeps `performerShare`.
+ * `withinTransaction(tx, result)` lets callers commit their own rows
+ * (e.g. a dispute decision) atomically with the settlement.
+ * `fromStatuses` narrows which escrow states may be settled by this caller;
+ * `bankAlreadySettled` books a capture an administrator has verified at T-Bank.
+ * Without `bookingStatus` the booking itself is left as it is.
+ * A wallet-funded payment never touches the bank: its uncaptured rest goes
+ * back to the customer's wallet instead of their card.
+ *
+ * The payment is claimed (RELEASING) before the bank call, so concurrent
+ * settlements of it get ESCROW_NOT_HELD. A bank refusal hands it back; a
+ * failure after the bank call leaves it RELEASING for payout-cron to park as
+ * RELEASE_FAILED.
+ */
+export const settleEscrow = async (
+  paymentId,
+  {
+    captureAmount,
+    actorId,
+    action,
+    bookingStatus,
+    metadata = {},
+    withinTransaction = null,
+    fromStatuses = SETTLEABLE_STATUSES,
+    bankAlreadySettled = false,
+  },
+) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: {
+      booking: { include: { performer: true, specialist: true } },
+    },
+  });
+
+  if (!payment || !payment.booking) throw new Error("ESCROW_NOT_FOUND");
+  if (!fromStatuses.includes(payment.escrowStatus)) {
+    throw new Error("ESCROW_NOT_HELD");
+  }
+
+  // 0. Claim: only one caller may settle a given payment, ever
+  if (
+    !(await claimEscrow(prisma, payment.id, fromStatuses, {
+      escrowStatus: "RELEASING",
+    }))
+  ) {
+    throw new Error("ESCROW_NOT_HELD");
+  }
+
+  const captured = roundRub(
+    Math.min(Math.max(Number(captureAmount) || 0, 0), payment.amount),
+  );
+
+  const fromWallet = isWalletFunded(payment);
+  const provider = fromWallet ? null : getProviderForPayment(payment);
+
+  // 1. Bank side first: if the bank refuses, nothing changes on our side
+  try {
+    if (fromWallet || bankAlreadySettled) {
+      // Nothing to call: wallet money is ours, or it already moved at the bank
+    } else if (captured > 0) {
+      await provider.confirm(
+        payment.providerTxId,
+        captured,
+        payment.receipt && partialReceipt(payment.receipt, captured),
+      );
+    } else {
+      await provider.cancel(payment.providerTxId);
+    }
+  } catch (err) {
+    // Safe to retry: the money hasn't moved, so hand the claim back
+    await claimEscrow(prisma, payment.id, ["RELEASING"], {
+      escrowStatus: payment.escrowStatus,
+    });
+    err.stage = "BANK";
+    throw err;
+  }
+
+  const feeRate = payment.amount > 0 ? payment.platformFee / payment.amount : 0;
+  const netShare = roundRub(captured * (1 - feeRate));
+  const { specialist, specialistSharePercent } = payment.booking;
+  const specialistShare = specialist
+    ? roundRub((netShare * (specialistSharePercent || 0)) / 100)
+    : 0;
+  const performerShare = roundRub(netShare - specialistShare);
+  const refunded = roundRub(payment.amount - captured);
+  const result = { captured, refunded, performerShare, specialistShare };
+  const shortBookingId = payment.booking.id.split("-")[0];
+
+  // 2. Internal state, credit & audit trail in one transaction
+  await prisma.$transaction(async (tx) => {
+    // Still ours, unless the bank reversed the payment meanwhile
+    const settled = await claimEscrow(tx, payment.id, ["RELEASING"], {
+      escrowStatus: captured > 0 ? "RELEASED" : "REFUNDED",
+      status: captured > 0 ? "COMPLETED" : "REFUNDED",
+      metadata: {
+        ...(payment.metadata || {}),
+        settlement: { ...result, settledAt: new Date().toISOString() },
+      },
+    });
+    if (!settled) throw new Error("ESCROW_NOT_HELD");
+
+    if (bookingStatus) {
+      await tx.bookingRequest.update({
+        where: { id: payment.booking.id },
+        data: { status: bookingStatus },
+      });
+    }
+
+    // The hold leaves escrow: shares to the wallets, the fee to the platform,
+    // the uncaptured rest back to where the customer paid from
+    const held = toKopecks(payment.amount);
+    const capturedKopecks = toKopecks(captured);
+    const performerKopecks = toKopecks(performerShare);
+    const specialistKopecks = toKopecks(specialistShare);
+    await postLedgerEntry(tx, {
+      kind: "ESCROW_SETTLEMENT",
+      description: `Расчет по брони #${shortBookingId}`,
+      reference: payment.id,
+      postings: [
+        { account: PLATFORM_ACCOUNTS.escrow, amount: -held },
+        {
+          // 🚨 Credit the performer's base User, not the PerformerProfile ID
+          account: walletAccount(payment.booking.performer.userId),
+          amount: performerKopecks,
+        },
+        ...(specialist
+          ? [
+              {
+                account: walletAccount(specialist.userId),
+                amount: specialistKopecks,
+              },
+            ]
+          : []),
+        {
+          account: PLATFORM_ACCOUNTS.revenue,
+          amount: capturedKopecks - performerKopecks - specialistKopecks,
+        },
+        {
+          account: fromWallet
+            ? walletAccount(payment.userId)
+            : externalAccount(provider.name),
+          amount: held - capturedKopecks,
+        },
+      ],
+    });
+
+    if (fromWallet && refunded > 0) {
+      await tx.walletTransaction.create({
+        data: {
+          userId: payment.userId,
+          amount: refunded,
+          type: "REFUND",
+          description: `Возврат по брони #${shortBookingId}`,
+        },
+      });
+    }
+
+    if (performerShare > 0) {
+      await tx.walletTransaction.create({
+        data: {
+          userId: payment.booking.performer.userId,
+          amount: performerShare,
+          type: "PAYOUT",
+          description: `Оплата за выступление (Бронь #${shortBookingId})`,
+        },
+      });
+    }
+
+    if (specialistShare > 0) {
+      await tx.walletTransaction.create({
+        data: {
+          userId: specialist.userId,
+          amount: specialistShare,
+          type: "PAYOUT",
+          description: `Доля специалиста за выступление (Бронь #${shortBookingId})`,
+        },
+      });
+    }
+
+    await createAuditLog(tx, payment.booking.id, actorId, action, {
+      paymentId: payment.id,
+      ...result,
+      ...metadata,
+    });
+
+    if (withinTransaction) await withinTransaction(tx, result);
+  });
+
+  return result;
+};
+
+export const releaseEscrow = (paymentId, options) =>
+  settleEscrow(paymentId, {
+    bookingStatus: "FULFILLED",
+    ...options,
+    captureAmount: Infinity,
+  });
+
+export const refundEscrow = (paymentId, options) =>
+  settleEscrow(paymentId, { ...options, captureAmount: 0 });
+
+/**
+ * Parks the parts of a booking settlement that didn't go through for an
+ * administrator (`GET /payouts/failed`), with the settlement they still need
+ * in `metadata.pendingSettlement`. `failed` is the part whose settlement
+ * broke: with `claimed` it is still RELEASING under this caller's claim.
+ */
+const parkUnsettledParts = async (
+  [failed, ...rest],
+  reason,
+  { fromStatuses, bookingStatus, action, actorId, claimed },
+) => {
+  for (const { payment, capture } of [failed, ...rest]) {
+    await prisma.$transaction(async (tx) => {
+      const parked = await claimEscrow(
+        tx,
+        payment.id,
+        payment === failed.payment && claimed
+          ? [...fromStatuses, "RELEASING"]
+          : fromStatuses,
+        {
+          escrowStatus: "RELEASE_FAILED",
+          nextReleaseAttempt: null,
+          releaseError: reason,
+          metadata: {
+            ...(payment.metadata || {}),
+            pendingSettlement: {
+              captureAmount: capture,
+              bookingStatus,
+              action,
+            },
+          },
+        },
+      );
+      if (!parked) return;
+
+      await createAuditLog(
+        tx,
+        payment.bookingId,
+        actorId,
+        "ESCROW_RELEASE_FAILED",
+        { paymentId: payment.id, reason },
+      );
+    });
+  }
+
+  notifyAdmins({
+    title: "🚨 Расчет по брони прерван",
+    body: `Часть платежей по брони #${failed.payment.bookingId.split("-")[0]} требует ручной обработки: ${reason}`,
+    data: { url: "/admin/payouts", bookingId: failed.payment.bookingId },
+  }).catch(console.error);
+};
+
+/**
+ * Settles every frozen payment of a booking (e.g. deposit + balance) as one deal.
+ * The capture is filled deposit-first, so a partial refund returns the balance
+ * before touching the deposit; within a part, the card is captured before the
+ * wallet, so refunds go back to the wallet first. `withinTransaction` runs
+ * once, with the totals, and `bookingStatus` is only set with the last part.
+ * If a part fails once money has moved, it and the parts after it are parked
+ * as RELEASE_FAILED and the error is rethrown.
+ */
+export const settleBookingEscrow = async (
+  payments,
+  {
+    captureAmount,
+    bookingStatus,
+    withinTransaction = null,
+    fromStatuses = SETTLEABLE_STATUSES,
+    ...options
+  },
+) => {
+  const ordered = [...payments].sort(
+    (a, b) =>
+      (a.bookingPart === "BALANCE") - (b.bookingPart === "BALANCE") ||
+      isWalletFunded(a) - isWalletFunded(b) ||
+      a.createdAt - b.createdAt,
+  );
+
+  let remainingCapture = Math.max(Number(captureAmount) || 0, 0);
+  const parts = ordered.map((payment) => {
+    const capture = Math.min(remainingCapture, payment.amount);
+    remainingCapture -= capture;
+    return { payment, capture };
+  });
+
+  const totals = {
+    captured: 0,
+    refunded: 0,
+    performerShare: 0,
+    specialistShare: 0,
+  };
+
+  for (const [index, { payment, capture }] of parts.entries()) {
+    const isLast = index === parts.length - 1;
+
+    let result;
+    try {
+      result = await settleEscrow(payment.id, {
+        ...options,
+        fromStatuses,
+        captureAmount: capture,
+        bookingStatus: isLast ? bookingStatus : undefined,
+        withinTransaction: isLast
+          ? async (tx, settled) => {
+              if (!withinTransaction) return;
+              await withinTransaction(tx, {
+                captured: roundRub(totals.captured + settled.captured),
+                refunded: roundRub(totals.refunded + settled.refunded),
+                performerShare: roundRub(
+                  totals.performerShare + settled.performerShare,
+                ),
+                specialistShare: roundRub(
+                  totals.specialistShare + settled.specialistShare,
+                ),
+              });
+            }
+          : null,
+      });
+    } catch (err) {
+      // Nothing has moved yet: the whole deal can simply be tried again
+      const untouched =
+        index === 0 &&
+        (err.stage === "BANK" || err.message === "ESCROW_NOT_HELD");
+      if (!untouched) {
+        await parkUnsettledParts(parts.slice(index), err.message, {
+          fromStatuses,
+          bookingStatus,
+          action: options.action,
+          actorId: options.actorId,
+          // Failed after its bank call: nobody else has it
+          claimed: err.stage !== "BANK" && err.message !== "ESCROW_NOT_HELD",
+        });
+      }
+      throw err;
+    }
+
+    totals.captured = roundRub(totals.captured + result.captured);
+    totals.refunded = roundRub(totals.refunded + result.refunded);
+    totals.performerShare = roundRub(
+      totals.performerShare + result.performerShare,
+    );
+    totals.specialistShare = roundRub(
+      totals.specialistShare + result.specialistShare,
+    );
+  }
+
+  return totals;
+};
@@ -0,0 +1,294 @@
+import prisma from "../libs/prisma.js";
+
+// All ledger amounts are integer kopecks
+export const toKopecks = (rubles) => Math.round(Number(rubles) * 100);
+
+// Their owners can't spend more than they have
+const OWNED_ACCOUNT_TYPES = ["USER_WALLET", "PARTNER_BALANCE"];
+
+export const PLATFORM_ACCOUNTS = {
+  revenue: { code: "platform:revenue", type: "PLATFORM_REVENUE" },
+  ticketSales: { code: "platform:ticket-sales", type: "TICKET_SALES" },
+  escrow: { code: "platform:escrow", type: "ESCROW" },
+  payouts: { code: "platform:payouts", type: "PAYOUTS" },
+  openingBalances: {
+    code: "platform:opening-balances",
+    type: "OPENING_BALANCE",
+  },
+};
+
+export const walletAccount = (userId) => ({
+  code: `wallet:${userId}`,
+  type: "USER_WALLET",
+  userId,
+});
+
+export const partnerAccount = (partnerId) => ({
+  code: `partner:${partnerId}`,
+  type: "PARTNER_BALANCE",
+  partnerId,
+});
+
+// An acquiring provider ("tinkoff", "sandbox") or "bank" for plain transfers
+export const externalAccount = (name) => ({
+  code: `external:${name}`,
+  type: "EXTERNAL",
+});
+
+// Current value of the column an owned account is mirrored into
+const readMirror = async (tx, account) => {
+  if (account.type === "USER_WALLET") {
+    const user = await tx.user.findUnique({
+      where: { id: account.userId },
+      select: { walletBalance: true },
+    });
+    return user?.walletBalance || 0;
+  }
+  const partner = await tx.partnerProfile.findUnique({
+    where: { id: account.partnerId },
+    select: { balance: true },
+  });
+  return partner?.balance || 0;
+};
+
+const writeMirror = (tx, account, balance) =>
+  account.type === "USER_WALLET"
+    ? tx.user.update({
+        where: { id: account.userId },
+        data: { walletBalance: balance / 100 },
+      })
+    : tx.partnerProfile.update({
+        where: { id: account.partnerId },
+        data: { balance: balance / 100 },
+      });
+
+const adjustBalance = async (tx, account, amount) => {
+  const guarded = amount < 0 && OWNED_ACCOUNT_TYPES.includes(account.type);
+
+  const { count } = await tx.ledgerAccount.updateMany({
+    where: {
+      id: account.id,
+      ...(guarded && { balance: { gte: -amount } }),
+    },
+    data: { balance: { increment: amount } },
+  });
+  if (count === 0) throw new Error("INSUFFICIENT_FUNDS");
+
+  if (OWNED_ACCOUNT_TYPES.includes(account.type)) {
+    const { balance } = await tx.ledgerAccount.findUnique({
+      where: { id: account.id },
+      select: { balance: true },
+    });
+    await writeMirror(tx, account, balance);
+  }
+};
+
+const writeEntry = async (tx, { kind, description, reference }, postings) => {
+  const entry = await tx.ledgerEntry.create({
+    data: {
+      kind,
+      description,
+      reference,
+      postings: {
+        create: postings.map(({ account, amount }) => ({
+          accountId: account.id,
+          amount,
+        })),
+      },
+    },
+  });
+
+  for (const { account, amount } of postings) {
+    await adjustBalance(tx, account, amount);
+  }
+  return entry;
+};
+
+/**
+ * The account behind `spec`, created on first use. A wallet or partner
+ * balance that predates the ledger is carried over with an OPENING_BALANCE
+ * entry, so the books start from what the user already had.
+ */
+const ensureAccount = async (tx, spec) => {
+  const account = await tx.ledgerAccount.upsert({
+    where: { code: spec.code },
+    update: {},
+    create: {
+      code: spec.code,
+      type: spec.type,
+      userId: spec.userId || null,
+      partnerId: spec.partnerId || null,
+      opened: !OWNED_ACCOUNT_TYPES.includes(spec.type),
+    },
+  });
+  if (account.opened) return account;
+
+  // Only one transaction gets to carry the balance over
+  const { count } = await tx.ledgerAccount.updateMany({
+    where: { id: account.id, opened: false },
+    data: { opened: true },
+  });
+  if (count === 0) return account;
+
+  const opening = toKopecks(await readMirror(tx, account));
+  if (opening !== 0) {
+    const openingAccount = await ensureAccount(
+      tx,
+      PLATFORM_ACCOUNTS.openingBalances,
+    );
+    await writeEntry(
+      tx,
+      {
+        kind: "OPENING_BALANCE",
+        description: "Остаток на момент перехода на двойную запись",
+        reference: account.code,
+      },
+      [
+        { account, amount: opening },
+        { account: openingAccount, amount: -opening },
+      ],
+    );
+  }
+  return account;
+};
+
+/**
+ * Books one money movement. `postings` are in kopecks and must add up to zero:
+ * positive amounts go into an account, negative ones come out of it. Wallet
+ * and partner balances can't go below zero (INSUFFICIENT_FUNDS), and their
+ * User.walletBalance / PartnerProfile.balance columns are rewritten from the
+ * ledger: nothing else may change them.
+ *
+ * Runs inside the caller's transaction, so the books move together with the
+ * business records.
+ *
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx
+ * @param {{kind: string, description: string, reference?: string|null,
+ *   postings: {account: {code: string, type: string}, amount: number}[]}} entry
+ */
+export const postLedgerEntry = async (
+  tx,
+  { kind, description, reference = null, postings },
+) => {
+  const nonZero = postings.filter(({ amount }) => amount !== 0);
+  if (nonZero.some(({ amount }) => !Number.isInteger(amount))) {
+    throw new Error(`Ledger entry ${kind}: amounts must be whole kopecks`);
+  }
+  const total = nonZero.reduce((sum, { amount }) => sum + amount, 0);
+  if (total !== 0) {
+    throw new Error(`Ledger entry ${kind} is off balance by ${total} kopecks`);
+  }
+  if (nonZero.length === 0) return null;
+
+  const resolved = [];
+  for (const posting of nonZero) {
+    resolved.push({
+      account: await ensureAccount(tx, posting.account),
+      amount: posting.amount,
+    });
+  }
+
+  return writeEntry(tx, { kind, description, reference }, resolved);
+};
+
+// The common case: `amount` rubles from one account to another
+export const transferFunds = (
+  tx,
+  { from, to, amount, kind, description, reference },
+) => {
+  const kopecks = toKopecks(amount);
+  return postLedgerEntry(tx, {
+    kind,
+    description,
+    reference,
+    postings: [
+      { account: from, amount: -kopecks },
+      { account: to, amount: kopecks },
+    ],
+  });
+};
+
+/**
+ * Checks the books: every entry adds up to zero, every account balance equals
+ * the sum of its postings, and wallet / partner balances match the ledger.
+ * Wallets nobody has touched since the ledger went live are only counted.
+ * Only reads, so `db` can be a transaction client or a replica.
+ */
+export const verifyLedger = async (db = prisma) => {
+  const problems = [];
+
+  const unbalancedEntries = await db.ledgerPosting.groupBy({
+    by: ["entryId"],
+    _sum: { amount: true },
+    having: { amount: { _sum: { not: 0 } } },
+  });
+  for (const { entryId, _sum } of unbalancedEntries) {
+    problems.push({ type: "UNBALANCED_ENTRY", entryId, amount: _sum.amount });
+  }
+
+  const sums = await db.ledgerPosting.groupBy({
+    by: ["accountId"],
+    _sum: { amount: true },
+  });
+  const postedByAccount = new Map(
+    sums.map(({ accountId, _sum }) => [accountId, _sum.amount || 0]),
+  );
+
+  const accounts = await db.ledgerAccount.findMany({
+    include: {
+      user: { select: { walletBalance: true } },
+      partner: { select: { balance: true } },
+    },
+  });
+
+  const totalsByType = {};
+  for (const account of accounts) {
+    const posted = postedByAccount.get(account.id) || 0;
+    totalsByType[account.type] = (totalsByType[account.type] || 0) + posted;
+
+    if (posted !== account.balance) {
+      problems.push({
+        type: "BALANCE_DRIFT",
+        account: account.code,
+        balance: account.balance,
+        posted,
+      });
+    }
+
+    const mirror =
+      account.type === "USER_WALLET"
+        ? account.user?.walletBalance
+        : account.type === "PARTNER_BALANCE"
+          ? account.partner?.balance
+          : undefined;
+    if (mirror !== undefined && toKopecks(mirror || 0) !== posted) {
+      problems.push({
+        type: "MIRROR_MISMATCH",
+        account: account.code,
+        mirror: toKopecks(mirror || 0),
+        posted,
+      });
+    }
+  }
+
+  const [notOpenedWallets, notOpenedPartners, entries] = await Promise.all([
+    db.user.count({
+      where: { walletBalance: { not: 0 }, ledgerAccount: null },
+    }),
+    db.partnerProfile.count({
+      where: { balance: { not: 0 }, ledgerAccount: null },
+    }),
+    db.ledgerEntry.count(),
+  ]);
+
+  return {
+    balanced: problems.length === 0,
+    checkedAt: new Date(),
+    entries,
+    accounts: accounts.length,
+    // Kopecks; they add up to zero when the books balance
+    totalsByType,
+    notOpened: { wallets: notOpenedWallets, partners: notOpenedPartners },
+    problems,
+  };
+};
@@ -162,3 +162,19 @@ export const notifyUser = async ({
     return false;
   }
 };
+
+/**
+ * Sends the same ADMIN_ALERT to every administrator (e.g. a payout that needs manual handling)
+ */
+export const notifyAdmins = async ({ title, body, data = {} }) => {
+  const admins = await prisma.user.findMany({
+    where: { role: "administrator" },
+    select: { id: true },
+  });
+
+  await Promise.all(
+    admins.map((admin) =>
+      notifyUser({ userId: admin.id, title, body, type: "ADMIN_ALERT", data }),
+    ),
+  );
+};
@@ -0,0 +1,337 @@
+import "dotenv/config";
+import tinkoffProvider from "./tinkoff.js";
+import sandboxProvider from "./sandbox.js";
+import { buildReceipt } from "./receipt.js";
+
+const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:8800";
+const APP_URL = process.env.WEB_APP_URL || "http://localhost:3000";
+
+/**
+ * Amounts are in rubles everywhere in this interface; providers convert.
+ * Statuses use the T-Bank vocabulary: NEW, AUTHORIZED, CONFIRMED, REJECTED,
+ * DEADLINE_EXPIRED, CANCELED, REVERSED, REFUNDED, PARTIAL_REFUNDED.
+ *
+ * @typedef {Object} Checkout
+ * @property {string} orderId - Our Payment/Order ID, echoed back in webhooks
+ * @property {number} amount
+ * @property {string} description
+ * @property {boolean} [twoStep] - Authorize only; capture later with `confirm`
+ * @property {string} notificationUrl
+ * @property {string} successUrl
+ * @property {string} failUrl
+ * @property {Date} [expiresAt] - The payment page stops taking payments after this
+ * @property {string|null} email
+ * @property {boolean} [saveCard] - Register the card for later `charge` calls
+ * @property {string} [customerKey] - Our ID of the card owner (with saveCard)
+ * @property {Receipt} receipt - 54-FZ receipt, see ./receipt.js
+ *
+ * @typedef {Object} Receipt
+ * @property {string} product - SUBSCRIPTION, EVENT_TICKET, ...
+ * @property {string} taxation - Taxation system (usn_income, osn, ...)
+ * @property {string|null} email - Email and/or phone the receipt is sent to
+ * @property {string|null} phone
+ * @property {{name: string, price: number, quantity: number, amount: number, vat: string, paymentObject: string, paymentMethod: string}[]} items
+ * @property {number} [advancePayment] - Paid from an earlier advance (the wallet), not by card
+ *
+ * @typedef {Object} Customer
+ * @property {string|null} [email]
+ * @property {string|null} [phone]
+ *
+ * @typedef {Object} WebhookEvent
+ * @property {string} orderId
+ * @property {string} paymentId - The provider's transaction ID (Payment.providerTxId)
+ * @property {string} status
+ * @property {number} amount
+ * @property {string|null} [rebillId] - Card saved at a `saveCard` checkout
+ * @property {string|null} [cardPan] - Masked number of that card
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name - Stored in Payment.provider
+ * @property {string} escrowCode - Payment.provider of two-step booking payments
+ * @property {(checkout: Checkout) => Promise<{paymentUrl: string, paymentId: string}>} init
+ * @property {(paymentId: string, amount: number, receipt?: Receipt) => Promise<void>} confirm - Capture an authorized hold; `receipt` for a partial capture
+ * @property {(paymentId: string) => Promise<void>} cancel - Unfreeze an authorized hold
+ * @property {(paymentId: string, amount?: number, receipt?: Receipt) => Promise<void>} refund - Return captured money (all of it by default); `receipt` for a partial refund
+ * @property {(paymentId: string, receipt: Receipt) => Promise<void>} sendClosingReceipt - Fiscalize `receipt` against a payment the provider already took
+ * @property {(checkout: Checkout, rebillId: string) => Promise<{paymentId: string, status: string, amount: number}>} charge - Recurring payment from a saved card; status NEW when the outcome is not known yet
+ * @property {(paymentId: string) => Promise<{status: string, amount: number}>} getState
+ * @property {(body: object) => (WebhookEvent|null)} verifyWebhook - null when the signature doesn't match
+ */
+
+// The sandbox never moves real money, so it has to be switched on explicitly.
+// Anyone can drive its payments through /api/sandbox-payments, so it is never
+// registered in production, nor without a secret to sign its webhooks with.
+const isSandboxRequested =
+  process.env.PAYMENT_PROVIDER === "sandbox" ||
+  process.env.PAYMENT_SANDBOX_ENABLED === "true";
+
+export const isSandboxEnabled =
+  isSandboxRequested &&
+  process.env.NODE_ENV !== "production" &&
+  Boolean(process.env.PAYMENT_SANDBOX_SECRET);
+
+if (isSandboxRequested && !isSandboxEnabled) {
+  const reason =
+    process.env.NODE_ENV === "production"
+      ? "NODE_ENV is production"
+      : "PAYMENT_SANDBOX_SECRET is not set";
+  // Falling back to a real provider would take real money instead
+  if (process.env.PAYMENT_PROVIDER === "sandbox") {
+    throw new Error(`Sandbox payment provider refused: ${reason}`);
+  }
+  console.warn(`⚠️ Sandbox payment provider not registered: ${reason}`);
+}
+
+const PROVIDERS = {
+  tinkoff: tinkoffProvider,
+  ...(isSandboxEnabled && { sandbox: sandboxProvider }),
+};
+
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || "tinkoff";
+
+export const listPaymentProviders = () => Object.keys(PROVIDERS);
+
+/**
+ * @param {string} [name] - Defaults to PAYMENT_PROVIDER (tinkoff)
+ * @returns {PaymentProvider}
+ */
+export const getPaymentProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  return provider;
+};
+
+/**
+ * The provider a stored payment went through ("tinkoff", "TINKOFF_ESCROW", ...).
+ * @returns {PaymentProvider}
+ */
+export const getProviderForPayment = (payment) =>
+  getPaymentProvider(payment.provider.toLowerCase().replace(/_escrow$/, ""));
+
+const notificationUrl = (provider, channel = "") =>
+  `${API_BASE_URL}/api/webhooks/${provider.name}${channel}`;
+
+// =====================================================================
+// CHECKOUT FLOWS (one per product, independent of the provider)
+// Each resolves with the provider's answer plus the receipt that was sent,
+// which the caller stores in Payment.receipt.
+// =====================================================================
+
+const initWithReceipt = async (provider, checkout) => ({
+  ...(await provider.init(checkout)),
+  receipt: checkout.receipt,
+});
+
+/** @param {Customer} customer */
+// `amount` is less than the order total when part of it was paid from the wallet
+export const initEventTicketPayment = (
+  provider,
+  order,
+  event,
+  customer,
+  amount = order.totalPrice,
+) => {
+  // 🚨 FIX: Safe unit price calculation (prevents fractional kopeck errors)
+  const unitPrice =
+    Math.round((order.totalPrice / order.ticketCount) * 100) / 100;
+
+  // One line per ticket tier (order.items), or one for events without tiers
+  const ticketLines = order.items?.length
+    ? order.items.map((item) => ({
+        name: `Билет «${item.tierName.substring(0, 40)}»: ${event.title.substring(0, 64)}`,
+        price: item.unitPrice,
+        quantity: item.quantity,
+        amount: Math.round(item.unitPrice * item.quantity * 100) / 100,
+      }))
+    : [
+        {
+          name: `Билет: ${event.title.substring(0, 64)}`,
+          price: unitPrice,
+          quantity: order.ticketCount,
+          amount: order.totalPrice,
+        },
+      ];
+
+  // The card part of a mixed payment isn't a whole number of tickets: one line
+  const items =
+    amount === order.totalPrice
+      ? ticketLines
+      : [
+          {
+            name: `Билеты (${order.ticketCount} шт.): ${event.title.substring(0, 64)}`,
+            price: amount,
+            quantity: 1,
+            amount,
+          },
+        ];
+
+  return initWithReceipt(provider, {
+    orderId: order.id,
+    amount,
+    description: `Билеты на: ${event.title}`,
+    notificationUrl: notificationUrl(provider, "-event-ticket"),
+    successUrl: `${APP_URL}/tickets?payment=success`,
+    failUrl: `${APP_URL}/events/${event.id}?payment=failed`,
+    // Nobody can pay once the tickets went back on sale
+    expiresAt: order.reservedUntil ?? undefined,
+    email: customer.email,
+    receipt: buildReceipt("EVENT_TICKET", customer, items),
+  });
+};
+
+export const initRequestPayment = (
+  provider,
+  paymentId,
+  amount,
+  category,
+  customer,
+) =>
+  initWithReceipt(provider, {
+    orderId: paymentId,
+    amount,
+    description: `Оплата публикации заявки: ${category}`,
+    notificationUrl: notificationUrl(provider),
+    successUrl: `${APP_URL}/customer-profile?payment=success`,
+    failUrl: `${APP_URL}/create-request?payment=failed`,
+    email: customer.email,
+    receipt: buildReceipt("PAID_REQUEST", customer, [
+      {
+        name: `Публикация заявки: ${category.substring(0, 45)}`,
+        price: amount,
+        quantity: 1,
+        amount,
+      },
+    ]),
+  });
+
+export const initTopUpPayment = (
+  provider,
+  paymentId,
+  amount,
+  customer,
+  userType,
+) =>
+  initWithReceipt(provider, {
+    orderId: paymentId,
+    amount,
+    description: "Пополнение кошелька",
+    notificationUrl: notificationUrl(provider),
+    successUrl: `${APP_URL}/${userType}-profile?topup=success`,
+    failUrl: `${APP_URL}/${userType}-profile?topup=failed`,
+    email: customer.email,
+    receipt: buildReceipt("WALLET_TOPUP", customer, [
+      {
+        name: "Пополнение баланса",
+        price: amount,
+        quantity: 1,
+        amount,
+      },
+    ]),
+  });
+
+const subscriptionCheckout = (
+  provider,
+  paymentId,
+  amount,
+  planName,
+  interval,
+  customer,
+) => {
+  const intervalNames = { month: "1 мес.", half_year: "6 мес.", year: "1 год" };
+  const periodLabel = intervalNames[interval] || "период";
+
+  return {
+    orderId: paymentId,
+    amount,
+    description: `Подписка «${planName}» (${periodLabel})`,
+    notificationUrl: notificationUrl(provider),
+    successUrl: `${APP_URL}/pricing?subscription=success`,
+    failUrl: `${APP_URL}/pricing?subscription=failed`,
+    email: customer.email,
+    receipt: buildReceipt("SUBSCRIPTION", customer, [
+      {
+        name: `Тариф: ${planName.substring(0, 50)}`,
+        price: amount,
+        quantity: 1,
+        amount,
+      },
+    ]),
+  };
+};
+
+/**
+ * @param {string|null} [saveCardFor] - User ID: keep the card for auto-renewal
+ */
+export const initSubscriptionPayment = (
+  provider,
+  paymentId,
+  amount,
+  planName,
+  interval,
+  customer,
+  saveCardFor = null,
+) =>
+  initWithReceipt(provider, {
+    ...subscriptionCheckout(
+      provider,
+      paymentId,
+      amount,
+      planName,
+      interval,
+      customer,
+    ),
+    ...(saveCardFor && { saveCard: true, customerKey: saveCardFor }),
+  });
+
+// Auto-renewal: charged from the card saved at the first checkout
+export const chargeSubscriptionRenewal = async (
+  provider,
+  paymentId,
+  amount,
+  planName,
+  interval,
+  customer,
+  rebillId,
+) => {
+  const checkout = subscriptionCheckout(
+    provider,
+    paymentId,
+    amount,
+    planName,
+    interval,
+    customer,
+  );
+  return {
+    ...(await provider.charge(checkout, rebillId)),
+    receipt: checkout.receipt,
+  };
+};
+
+/**
+ * Two-step booking payment: the money is only held until the gig took place.
+ */
+export const initEscrowPayment = (
+  provider,
+  paymentId,
+  amount,
+  bookingId,
+  customer,
+) =>
+  initWithReceipt(provider, {
+    orderId: paymentId,
+    amount,
+    twoStep: true,
+    description: `Безопасная сделка. Холдирование средств по брони #${bookingId.substring(0, 8)}`,
+    notificationUrl: notificationUrl(provider),
+    successUrl: `${APP_URL}/my-bookings?payment=success`,
+    failUrl: `${APP_URL}/my-bookings?payment=failed`,
+    email: customer.email,
+    receipt: buildReceipt("BOOKING_ESCROW", customer, [
+      {
+        name: "Оплата выступления (Резерв)",
+        price: amount,
+        quantity: 1,
+        amount,
+      },
+    ]),
+  });
@@ -0,0 +1,159 @@
+import "dotenv/config";
+
+// Values in T-Bank's vocabulary; other providers map from these
+const TAXATION_SYSTEMS = [
+  "osn",
+  "usn_income",
+  "usn_income_outcome",
+  "esn",
+  "patent",
+];
+const VAT_RATES = [
+  "none",
+  "vat0",
+  "vat5",
+  "vat7",
+  "vat10",
+  "vat20",
+  "vat105",
+  "vat107",
+  "vat110",
+  "vat120",
+];
+
+// What the platform sells, as the tax office sees it
+const PRODUCTS = {
+  SUBSCRIPTION: { paymentObject: "service", paymentMethod: "full_prepayment" },
+  EVENT_TICKET: { paymentObject: "service", paymentMethod: "full_prepayment" },
+  PAID_REQUEST: { paymentObject: "service", paymentMethod: "full_prepayment" },
+  WALLET_TOPUP: { paymentObject: "payment", paymentMethod: "advance" },
+  BOOKING_ESCROW: { paymentObject: "service", paymentMethod: "prepayment" },
+};
+
+// A typo in the tax settings must stop the server, not reach the tax office
+const readSetting = (name, allowed, fallback) => {
+  const value = process.env[name] || fallback;
+  if (!allowed.includes(value)) {
+    throw new Error(`${name}: unsupported value "${value}"`);
+  }
+  return value;
+};
+
+const TAXATION = readSetting(
+  "RECEIPT_TAXATION",
+  TAXATION_SYSTEMS,
+  "usn_income",
+);
+const DEFAULT_VAT = readSetting("RECEIPT_VAT", VAT_RATES, "none");
+
+/**
+ * 54-FZ settings per product. The VAT rate can be set for every product with
+ * RECEIPT_VAT, or per product with RECEIPT_VAT_<PRODUCT> (e.g.
+ * RECEIPT_VAT_EVENT_TICKET=vat20); the taxation system with RECEIPT_TAXATION.
+ */
+export const RECEIPT_SETTINGS = Object.fromEntries(
+  Object.entries(PRODUCTS).map(([product, settings]) => [
+    product,
+    {
+      ...settings,
+      vat: readSetting(`RECEIPT_VAT_${product}`, VAT_RATES, DEFAULT_VAT),
+    },
+  ]),
+);
+
+// +7XXXXXXXXXX, the format fiscal data operators accept
+const normalizePhone = (phone) => {
+  const digits = String(phone).replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("8"))
+    return `+7${digits.slice(1)}`;
+  if (digits.length === 10) return `+7${digits}`;
+  return digits.length >= 10 ? `+${digits}` : null;
+};
+
+const toKopecks = (rubles) => Math.round(rubles * 100);
+
+/**
+ * Fiscal receipt for a checkout. Stored with the Payment as it was sent, so
+ * what the customer got from the tax office can always be checked.
+ *
+ * @param {keyof PRODUCTS} product
+ * @param {{email?: string|null, phone?: string|null}} customer - Where the receipt is sent
+ * @param {{name: string, price: number, quantity: number, amount: number}[]} items - Rubles
+ * @returns {import("./index.js").Receipt}
+ */
+export const buildReceipt = (product, customer, items) => {
+  const settings = RECEIPT_SETTINGS[product];
+  if (!settings) throw new Error(`Unknown receipt product: ${product}`);
+
+  const email = customer.email || null;
+  const phone = customer.phone ? normalizePhone(customer.phone) : null;
+  if (!email && !phone) {
+    throw new Error("Для чека нужен email или телефон покупателя");
+  }
+
+  return {
+    product,
+    taxation: TAXATION,
+    email,
+    phone,
+    items: items.map((item) => ({
+      name: item.name.substring(0, 128),
+      price: item.price,
+      quantity: item.quantity,
+      amount: item.amount,
+      vat: settings.vat,
+      paymentObject: settings.paymentObject,
+      paymentMethod: settings.paymentMethod,
+    })),
+  };
+};
+
+/**
+ * Receipt for the wallet part of a sale. Top-ups were receipted as advances
+ * (WALLET_TOPUP), so spending them needs a receipt that offsets the advance.
+ *
+ * @returns {import("./index.js").Receipt}
+ */
+export const buildWalletReceipt = (product, customer, name, amount) => ({
+  ...buildReceipt(product, customer, [
+    { name, price: amount, quantity: 1, amount },
+  ]),
+  advancePayment: amount,
+});
+
+/**
+ * The part of a stored receipt that a partial capture or refund of `amount`
+ * stands for. Lines shrink in proportion (the last one takes the rounding);
+ * a line whose new amount doesn't split over its quantity becomes one unit.
+ *
+ * @returns {import("./index.js").Receipt}
+ */
+export const partialReceipt = (receipt, amount) => {
+  const total = receipt.items.reduce(
+    (sum, item) => sum + toKopecks(item.amount),
+    0,
+  );
+  const target = toKopecks(amount);
+  if (target >= total) return receipt;
+
+  let left = target;
+  const items = receipt.items
+    .map((item, index) => {
+      const share =
+        index === receipt.items.length - 1
+          ? left
+          : Math.floor((toKopecks(item.amount) * target) / total);
+      left -= share;
+
+      const quantity = share % item.quantity === 0 ? item.quantity : 1;
+      return {
+        ...item,
+        price: share / quantity / 100,
+        quantity,
+        amount: share / 100,
+      };
+    })
+    .filter((item) => item.amount > 0);
+
+  return { ...receipt, items };
+};
@@ -0,0 +1,266 @@
+import crypto from "crypto";
+import { redis } from "../../libs/redis.js";
+
+const API_BASE_URL = process.env.API_BASE_URL || "http://localhost:8800";
+// Required: index.js only registers the sandbox when it is set
+const SANDBOX_SECRET = process.env.PAYMENT_SANDBOX_SECRET;
+const STATE_TTL = 30 * 24 * 60 * 60; // Long enough for escrow holds to be captured
+
+// Fallback store for local runs without Redis (lost on restart)
+const memoryStore = new Map();
+
+const stateKey = (paymentId) => `sandbox:payment:${paymentId}`;
+const cardKey = (rebillId) => `sandbox:card:${rebillId}`;
+
+const load = async (key) => {
+  if (redis.status === "ready") {
+    const raw = await redis.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+  return memoryStore.get(key) || null;
+};
+
+const store = async (key, value) => {
+  if (redis.status === "ready") {
+    await redis.set(key, JSON.stringify(value), "EX", STATE_TTL);
+  } else {
+    memoryStore.set(key, value);
+  }
+  return value;
+};
+
+const loadState = (paymentId) => load(stateKey(paymentId));
+const saveState = (state) => store(stateKey(state.paymentId), state);
+
+const signEvent = ({ orderId, paymentId, status, amount, rebillId, cardPan }) =>
+  crypto
+    .createHmac("sha256", SANDBOX_SECRET)
+    .update(
+      `${orderId}:${paymentId}:${status}:${amount}:${rebillId ?? ""}:${cardPan ?? ""}`,
+    )
+    .digest("hex");
+
+// Deliver the notification the way a bank would: separately from the API call
+const sendWebhook = (state, amount = state.amount) => {
+  const event = {
+    orderId: state.orderId,
+    paymentId: state.paymentId,
+    status: state.status,
+    amount,
+    rebillId: state.rebillId ?? null,
+    cardPan: state.cardPan ?? null,
+  };
+
+  setTimeout(() => {
+    fetch(state.notificationUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...event, token: signEvent(event) }),
+    }).catch((err) =>
+      console.error(`Sandbox webhook for ${state.paymentId} failed:`, err),
+    );
+  }, 0);
+};
+
+const requireState = async (paymentId) => {
+  const state = await loadState(paymentId);
+  if (!state) throw new Error(`Sandbox payment ${paymentId} not found`);
+  return state;
+};
+
+const transition = async (state, status, amount, receipt = null) => {
+  state.status = status;
+  state.history.push({
+    status,
+    amount,
+    ...(receipt && { receipt }),
+    at: new Date().toISOString(),
+  });
+  await saveState(state);
+  sendWebhook(state, amount);
+  return state;
+};
+
+const newPaymentState = (checkout) => ({
+  paymentId: `sbx_${crypto.randomUUID()}`,
+  orderId: checkout.orderId,
+  amount: checkout.amount,
+  description: checkout.description,
+  receipt: checkout.receipt,
+  twoStep: Boolean(checkout.twoStep),
+  saveCard: Boolean(checkout.saveCard),
+  notificationUrl: checkout.notificationUrl,
+  successUrl: checkout.successUrl,
+  failUrl: checkout.failUrl,
+  expiresAt: checkout.expiresAt?.toISOString() ?? null,
+  status: "NEW",
+  failCapture: false,
+  history: [],
+});
+
+/**
+ * Simulated acquiring for local development: the checkout page lives at
+ * /api/sandbox-payments/:paymentId (routes/sandbox-payment.js) and every state
+ * change is posted back to our own webhook, signed with PAYMENT_SANDBOX_SECRET.
+ * @type {import("./index.js").PaymentProvider}
+ */
+const sandboxProvider = {
+  name: "sandbox",
+  escrowCode: "SANDBOX_ESCROW",
+
+  async init(checkout) {
+    const state = await saveState(newPaymentState(checkout));
+
+    return {
+      paymentUrl: `${API_BASE_URL}/api/sandbox-payments/${state.paymentId}`,
+      paymentId: state.paymentId,
+    };
+  },
+
+  async confirm(paymentId, amount, receipt) {
+    const state = await requireState(paymentId);
+    if (state.failCapture) throw new Error("Sandbox: capture declined");
+    if (state.status !== "AUTHORIZED") {
+      throw new Error(`Sandbox: cannot confirm a ${state.status} payment`);
+    }
+    await transition(state, "CONFIRMED", amount, receipt);
+  },
+
+  async cancel(paymentId) {
+    const state = await requireState(paymentId);
+    if (!["NEW", "AUTHORIZED"].includes(state.status)) {
+      throw new Error(`Sandbox: cannot cancel a ${state.status} payment`);
+    }
+    await transition(
+      state,
+      state.status === "NEW" ? "CANCELED" : "REVERSED",
+      state.amount,
+    );
+  },
+
+  async refund(paymentId, amount, receipt) {
+    const state = await requireState(paymentId);
+    if (!["CONFIRMED", "PARTIAL_REFUNDED"].includes(state.status)) {
+      throw new Error(`Sandbox: cannot refund a ${state.status} payment`);
+    }
+    const full = amount === undefined || amount >= state.amount;
+    await transition(
+      state,
+      full ? "REFUNDED" : "PARTIAL_REFUNDED",
+      full ? state.amount : amount,
+      receipt,
+    );
+  },
+
+  async sendClosingReceipt(paymentId, receipt) {
+    const state = await requireState(paymentId);
+    state.closingReceipts = [...(state.closingReceipts || []), receipt];
+    await saveState(state);
+  },
+
+  async charge(checkout, rebillId) {
+    const state = await saveState(newPaymentState(checkout));
+    const card = await load(cardKey(rebillId));
+
+    await transition(
+      state,
+      card && !card.declineCharges ? "CONFIRMED" : "REJECTED",
+      state.amount,
+    );
+    return {
+      paymentId: state.paymentId,
+      status: state.status,
+      amount: state.amount,
+    };
+  },
+
+  async getState(paymentId) {
+    const state = await requireState(paymentId);
+    return { status: state.status, amount: state.amount };
+  },
+
+  verifyWebhook(body) {
+    if (!SANDBOX_SECRET || !body?.token) return null;
+
+    const event = {
+      orderId: body.orderId,
+      paymentId: body.paymentId,
+      status: body.status,
+      amount: body.amount,
+      rebillId: body.rebillId ?? null,
+      cardPan: body.cardPan ?? null,
+    };
+    const expected = Buffer.from(signEvent(event));
+    const received = Buffer.from(String(body.token));
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      return null;
+    }
+
+    return event;
+  },
+};
+
+// --- Checkout page actions (used by routes/sandbox-payment.js) ---
+
+export const getSandboxPayment = loadState;
+
+export const SANDBOX_CHECKOUT_OUTCOMES = [
+  "success",
+  "fail",
+  "success-fail-capture",
+  "success-fail-rebill",
+];
+
+/**
+ * The "customer" finishes checkout: `success`, `fail`, `success-fail-capture`
+ * (authorizes, but every later capture is declined - exercises payout retries)
+ * or `success-fail-rebill` (saves a card that declines every recurring charge -
+ * exercises subscription dunning).
+ * Returns the URL the customer is redirected to.
+ */
+export const completeSandboxCheckout = async (paymentId, outcome) => {
+  const state = await requireState(paymentId);
+  if (state.status !== "NEW") {
+    throw new Error(`Sandbox: payment is already ${state.status}`);
+  }
+
+  // Like the bank's RedirectDueDate: a late payer gets the failure page
+  if (state.expiresAt && new Date(state.expiresAt) < new Date()) {
+    await transition(state, "DEADLINE_EXPIRED", state.amount);
+    return state.failUrl;
+  }
+
+  if (outcome === "fail") {
+    await transition(state, "REJECTED", state.amount);
+    return state.failUrl;
+  }
+
+  state.failCapture = outcome === "success-fail-capture";
+  if (state.saveCard) {
+    state.rebillId = `sbx_rebill_${crypto.randomUUID()}`;
+    state.cardPan = "430000******0777";
+    await store(cardKey(state.rebillId), {
+      rebillId: state.rebillId,
+      declineCharges: outcome === "success-fail-rebill",
+    });
+  }
+  await transition(
+    state,
+    state.twoStep ? "AUTHORIZED" : "CONFIRMED",
+    state.amount,
+  );
+  return state.successUrl;
+};
+
+/**
+ * Bank-side events nobody asked for (chargebacks, expired authorizations, ...).
+ */
+export const simulateSandboxEvent = async (paymentId, status) => {
+  const state = await requireState(paymentId);
+  return transition(state, status, state.amount);
+};
+
+export default sandboxProvider;
@@ -0,0 +1,143 @@
+import { callTinkoff, generateTinkoffToken } from "../../utils/tinkoff.js";
+
+const toKopecks = (rubles) => Math.round(rubles * 100);
+
+// Mandatory Receipt object for FZ-54 compliance
+const toTinkoffReceipt = (receipt) => ({
+  ...(receipt.email && { Email: receipt.email }),
+  ...(receipt.phone && { Phone: receipt.phone }),
+  Taxation: receipt.taxation,
+  Items: receipt.items.map((item) => ({
+    Name: item.name,
+    Price: toKopecks(item.price),
+    Quantity: item.quantity,
+    Amount: toKopecks(item.amount),
+    PaymentMethod: item.paymentMethod,
+    PaymentObject: item.paymentObject,
+    Tax: item.vat,
+  })),
+  // Paid from an advance (the wallet) rather than by card
+  ...(receipt.advancePayment && {
+    Payments: {
+      Electronic: 0,
+      AdvancePayment: toKopecks(receipt.advancePayment),
+    },
+  }),
+});
+
+/**
+ * T-Bank (Tinkoff) acquiring. Statuses are passed through as-is: they are the
+ * vocabulary every provider maps onto (see ./index.js).
+ * @type {import("./index.js").PaymentProvider}
+ */
+const tinkoffProvider = {
+  name: "tinkoff",
+  escrowCode: "TINKOFF_ESCROW",
+
+  async init(checkout) {
+    const amount = toKopecks(checkout.amount);
+
+    const result = await callTinkoff("/Init", {
+      Amount: amount,
+      OrderId: checkout.orderId,
+      ...(checkout.twoStep && { PayType: "O" }), // "O" = Two-Step Payment (Auth & Capture)
+      // Registers the card for later /Charge calls; the RebillId comes in the webhook
+      ...(checkout.saveCard && {
+        Recurrent: "Y",
+        CustomerKey: checkout.customerKey,
+      }),
+      Description: checkout.description,
+      NotificationURL: checkout.notificationUrl,
+      SuccessURL: checkout.successUrl,
+      FailURL: checkout.failUrl,
+      // The payment page's lifetime, with the offset T-Bank requires
+      ...(checkout.expiresAt && {
+        RedirectDueDate: checkout.expiresAt
+          .toISOString()
+          .replace(/\.\d{3}Z$/, "+00:00"),
+      }),
+      ...(checkout.email && { DATA: { Email: checkout.email } }),
+      Receipt: toTinkoffReceipt(checkout.receipt),
+    });
+
+    return {
+      paymentUrl: result.PaymentURL,
+      paymentId: String(result.PaymentId),
+    };
+  },
+
+  // Capture (part of) an authorized two-step payment
+  async confirm(paymentId, amount, receipt) {
+    await callTinkoff("/Confirm", {
+      PaymentId: String(paymentId),
+      Amount: toKopecks(amount),
+      ...(receipt && { Receipt: toTinkoffReceipt(receipt) }),
+    });
+  },
+
+  // Unfreeze an authorized hold
+  async cancel(paymentId) {
+    await callTinkoff("/Cancel", { PaymentId: String(paymentId) });
+  },
+
+  // Same endpoint as cancel: on a captured payment /Cancel is a refund
+  async refund(paymentId, amount, receipt) {
+    await callTinkoff("/Cancel", {
+      PaymentId: String(paymentId),
+      ...(amount !== undefined && { Amount: toKopecks(amount) }),
+      ...(receipt && { Receipt: toTinkoffReceipt(receipt) }),
+    });
+  },
+
+  // A receipt of its own for a payment T-Bank already took (the wallet top-up
+  // whose advance a sale used up)
+  async sendClosingReceipt(paymentId, receipt) {
+    await callTinkoff("/SendClosingReceipt", {
+      PaymentId: String(paymentId),
+      Receipt: toTinkoffReceipt(receipt),
+    });
+  },
+
+  // Recurring payment from a card saved at an earlier checkout
+  async charge(checkout, rebillId) {
+    const { paymentId } = await this.init(checkout);
+
+    try {
+      const result = await callTinkoff("/Charge", {
+        PaymentId: paymentId,
+        RebillId: String(rebillId),
+      });
+      return { paymentId, status: result.Status, amount: checkout.amount };
+    } catch (error) {
+      // A decline is an answer; a lost connection is not (GetState will tell)
+      return {
+        paymentId,
+        status: error.errorCode ? "REJECTED" : "NEW",
+        amount: checkout.amount,
+        error: error.message,
+      };
+    }
+  },
+
+  async getState(paymentId) {
+    const result = await callTinkoff("/GetState", {
+      PaymentId: String(paymentId),
+    });
+    return { status: result.Status, amount: result.Amount / 100 };
+  },
+
+  verifyWebhook(body) {
+    if (!body?.Token || generateTinkoffToken(body) !== body.Token) return null;
+
+    return {
+      orderId: body.OrderId,
+      paymentId: String(body.PaymentId),
+      status: body.Status,
+      amount: body.Amount / 100,
+      rebillId: body.RebillId ? String(body.RebillId) : null,
+      cardPan: body.Pan || null,
+    };
+  },
+};
+
+export default tinkoffProvider;
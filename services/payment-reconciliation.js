@@ -0,0 +1,402 @@
+import prisma from "../libs/prisma.js";
+import {
+  listPaymentProviders,
+  getPaymentProvider,
+  getProviderForPayment,
+} from "./payment-providers/index.js";
+import { applyProviderPaymentState } from "../controllers/webhooks.js";
+import { returnWalletPart } from "./wallet-payments.js";
+import { toKopecks } from "./ledger.js";
+import { releaseTickets } from "./ticket-inventory.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Give the webhook a head start before asking the bank ourselves
+const PENDING_GRACE_MINUTES =
+  Number(process.env.RECONCILE_PENDING_AFTER_MINUTES) || 30;
+// Checkout links die long before this: cancel whatever is still unpaid
+const ABANDON_AFTER_HOURS = Number(process.env.RECONCILE_ABANDON_HOURS) || 24;
+// Past this a payment is left to the admins: it has been in a week of
+// daily reports by then
+const MAX_AGE_DAYS = 7;
+const BATCH_SIZE = 100;
+
+// Statuses after which nothing happens at the bank without our doing
+const TERMINAL_STATUSES = [
+  "AUTHORIZED",
+  "CONFIRMED",
+  "REJECTED",
+  "AUTH_FAIL",
+  "CANCELED",
+  "DEADLINE_EXPIRED",
+  "REVERSED",
+  "REFUNDED",
+  "PARTIAL_REFUNDED",
+];
+
+const FAILED_STATUSES = [
+  "REJECTED",
+  "AUTH_FAIL",
+  "CANCELED",
+  "DEADLINE_EXPIRED",
+  "REVERSED",
+];
+const REFUNDED_STATUSES = ["REVERSED", "CANCELED", "REFUNDED"];
+
+// Payment.provider values of everything that goes through a gateway
+const gatewayProviderCodes = () =>
+  listPaymentProviders().flatMap((name) => [
+    name,
+    getPaymentProvider(name).escrowCode,
+  ]);
+
+// Payments that are waiting for the customer (BALANCE records sit in PENDING
+// with escrowStatus NONE until the balance checkout is started)
+const awaitingCustomerFilter = {
+  status: "PENDING",
+  OR: [
+    { escrowStatus: "AWAITING_PAYMENT" },
+    { escrowStatus: "NONE", bookingPart: null },
+  ],
+};
+
+// Init never reached the bank (the process died between our insert and the
+// provider call): nothing to ask about, just release what was reserved,
+// including the wallet half of a mixed checkout
+const abandonUninitializedPayment = (payment) =>
+  prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, status: "PENDING", providerTxId: null },
+      data: {
+        status: "FAILED",
+        ...(payment.escrowStatus === "AWAITING_PAYMENT" && {
+          escrowStatus: "NONE",
+        }),
+      },
+    });
+    if (count === 0) return;
+
+    await returnWalletPart(
+      tx,
+      payment,
+      "Возврат: оплата картой не состоялась, списание с кошелька отменено",
+    );
+    if (payment.metadata?.type !== "EVENT_TICKET") return;
+
+    const order = await tx.order.findUnique({
+      where: { id: payment.metadata.orderId },
+    });
+    if (!order) return;
+
+    const released = await tx.order.updateMany({
+      where: { id: order.id, status: "INITIATED", paymentId: null },
+      data: { status: "CANCELLED" },
+    });
+    if (released.count > 0) await releaseTickets(tx, order);
+  });
+
+const reconcilePayment = async (payment, now) => {
+  const abandoned = now - payment.updatedAt > ABANDON_AFTER_HOURS * 60 * MINUTE;
+
+  if (!payment.providerTxId) {
+    if (!abandoned) return "WAITING";
+    await abandonUninitializedPayment(payment);
+    return "ABANDONED";
+  }
+
+  const provider = getProviderForPayment(payment);
+  let state = await provider.getState(payment.providerTxId);
+
+  if (!TERMINAL_STATUSES.includes(state.status)) {
+    if (!abandoned) return "WAITING";
+
+    // Close the checkout so the customer can't pay for a released order later
+    await provider.cancel(payment.providerTxId);
+    state = { ...state, status: "CANCELED" };
+  }
+
+  const ignored = await applyProviderPaymentState(payment, state);
+  return ignored ? "UNCHANGED" : "APPLIED";
+};
+
+/**
+ * Asks the provider about payments that are still PENDING a while after
+ * checkout (the webhook got lost) and applies what it says through the same
+ * code as the webhooks. Checkouts nobody finished are cancelled at the bank
+ * after ABANDON_AFTER_HOURS, which also returns reserved tickets.
+ */
+export const reconcilePendingPayments = async () => {
+  const now = new Date();
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      ...awaitingCustomerFilter,
+      provider: { in: gatewayProviderCodes() },
+      updatedAt: {
+        lt: new Date(now - PENDING_GRACE_MINUTES * MINUTE),
+        gt: new Date(now - MAX_AGE_DAYS * DAY),
+      },
+    },
+    orderBy: { updatedAt: "asc" },
+    take: BATCH_SIZE,
+  });
+
+  const stats = {
+    APPLIED: 0,
+    UNCHANGED: 0,
+    WAITING: 0,
+    ABANDONED: 0,
+    ERROR: 0,
+  };
+
+  for (const payment of payments) {
+    try {
+      stats[await reconcilePayment(payment, now)]++;
+    } catch (error) {
+      stats.ERROR++;
+      console.error(
+        `❌ Reconciliation of payment ${payment.id} failed:`,
+        error,
+      );
+    }
+  }
+
+  return stats;
+};
+
+// =====================================================================
+// DAILY MISMATCH REPORT
+// =====================================================================
+
+// What the bank should say about a payment, given our own records.
+// null: no firm expectation (a human is already on it)
+const expectedProviderStatuses = (payment) => {
+  switch (payment.escrowStatus) {
+    case "HELD":
+    case "RELEASING":
+    case "DISPUTED":
+      return ["AUTHORIZED"];
+    case "RELEASED":
+      return ["CONFIRMED", "PARTIAL_REFUNDED"];
+    case "REFUNDED":
+      return REFUNDED_STATUSES;
+    case "RELEASE_FAILED":
+      return null;
+  }
+
+  switch (payment.status) {
+    case "PENDING":
+      return null; // Still at checkout: any non-terminal status
+    case "COMPLETED":
+      return ["CONFIRMED", "PARTIAL_REFUNDED"];
+    case "FAILED":
+      return FAILED_STATUSES;
+    case "REFUNDED":
+      return REFUNDED_STATUSES;
+  }
+  return null;
+};
+
+const compareWithProvider = (payment, state) => {
+  const mismatches = [];
+  const expected = expectedProviderStatuses(payment);
+  const isEscrow = payment.escrowStatus !== "NONE";
+
+  const statusMismatch = expected
+    ? !expected.includes(state.status)
+    : payment.status === "PENDING" && TERMINAL_STATUSES.includes(state.status);
+
+  if (statusMismatch) {
+    mismatches.push({
+      type: "STATUS_MISMATCH",
+      details: expected
+        ? `Ожидался статус: ${expected.join(" / ")}`
+        : "Платеж завершен в банке, но у нас все еще PENDING",
+    });
+  }
+
+  const local = toKopecks(payment.amount);
+  const remote = toKopecks(state.amount);
+  // A capture may be smaller than the hold (cancellation fees, split disputes)
+  const amountMismatch =
+    state.status === "AUTHORIZED" || (state.status === "CONFIRMED" && !isEscrow)
+      ? local !== remote
+      : state.status === "CONFIRMED" && remote > local;
+
+  if (amountMismatch) {
+    mismatches.push({
+      type: "AMOUNT_MISMATCH",
+      details: `Сумма в банке отличается на ${(remote - local) / 100} ₽`,
+    });
+  }
+
+  return mismatches;
+};
+
+const mismatchRow = (payment, type, details, state = null) => ({
+  type,
+  paymentId: payment?.id ?? null,
+  provider: payment?.provider ?? null,
+  providerTxId: payment?.providerTxId ?? null,
+  purpose: payment?.metadata?.type ?? null,
+  localStatus: payment
+    ? `${payment.status}${payment.escrowStatus !== "NONE" ? `/${payment.escrowStatus}` : ""}`
+    : null,
+  providerStatus: state?.status ?? null,
+  localAmount: payment?.amount ?? null,
+  providerAmount: state?.amount ?? null,
+  details,
+});
+
+// Server-local calendar day
+const dayBounds = (day) => {
+  const start = new Date(day);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+const toReportDate = (start) =>
+  new Date(`${start.toLocaleDateString("sv-SE")}T00:00:00Z`);
+
+/**
+ * Compares every gateway payment touched on `day` (plus anything still
+ * pending from before) with the provider, and stores the mismatches as that
+ * day's report. Signed webhooks for transactions we have no record of are
+ * listed as well. Re-running a day replaces its report.
+ */
+export const buildReconciliationReport = async (day) => {
+  const { start, end } = dayBounds(day);
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      provider: { in: gatewayProviderCodes() },
+      providerTxId: { not: null },
+      OR: [
+        { updatedAt: { gte: start, lt: end } },
+        {
+          ...awaitingCustomerFilter,
+          updatedAt: { lt: start, gte: new Date(start - MAX_AGE_DAYS * DAY) },
+        },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const rows = [];
+
+  for (const payment of payments) {
+    let state;
+    try {
+      state = await getProviderForPayment(payment).getState(
+        payment.providerTxId,
+      );
+    } catch (error) {
+      rows.push(
+        mismatchRow(
+          payment,
+          "MISSING_AT_PROVIDER",
+          `Банк не вернул статус: ${error.message}`,
+        ),
+      );
+      continue;
+    }
+
+    for (const { type, details } of compareWithProvider(payment, state)) {
+      rows.push(mismatchRow(payment, type, details, state));
+    }
+  }
+
+  // Ticket payments whose order is gone
+  const ticketPayments = payments.filter(
+    (payment) => payment.metadata?.type === "EVENT_TICKET",
+  );
+  const existingOrders = await prisma.order.findMany({
+    where: {
+      id: { in: ticketPayments.map((payment) => payment.metadata.orderId) },
+    },
+    select: { id: true },
+  });
+  const existingOrderIds = new Set(existingOrders.map((order) => order.id));
+  for (const payment of ticketPayments) {
+    if (!existingOrderIds.has(payment.metadata.orderId)) {
+      rows.push(
+        mismatchRow(
+          payment,
+          "MISSING_LOCAL_ORDER",
+          `Заказ ${payment.metadata.orderId} не найден`,
+        ),
+      );
+    }
+  }
+
+  // The bank told us about a payment we don't know
+  const orphanEvents = await prisma.webhookEvent.findMany({
+    where: {
+      receivedAt: { gte: start, lt: end },
+      signatureValid: true,
+      result: { in: ["PAYMENT_NOT_FOUND", "ORDER_NOT_FOUND"] },
+    },
+  });
+  for (const event of orphanEvents) {
+    rows.push({
+      ...mismatchRow(
+        null,
+        "MISSING_LOCAL_RECORD",
+        `Вебхук ${event.id}: ${event.result}`,
+      ),
+      provider: event.provider,
+      providerTxId: event.externalId,
+      providerStatus: event.eventStatus,
+    });
+  }
+
+  const reportDate = toReportDate(start);
+  const data = {
+    checked: payments.length,
+    mismatchCount: rows.length,
+    mismatches: rows,
+    generatedAt: new Date(),
+  };
+
+  return prisma.reconciliationReport.upsert({
+    where: { reportDate },
+    update: data,
+    create: { reportDate, ...data },
+  });
+};
+
+const CSV_COLUMNS = [
+  "type",
+  "paymentId",
+  "provider",
+  "providerTxId",
+  "purpose",
+  "localStatus",
+  "providerStatus",
+  "localAmount",
+  "providerAmount",
+  "details",
+];
+
+// Text that a spreadsheet would run as a formula gets a leading quote
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "number"
+      ? String(value)
+      : String(value).replace(/^[=+\-@\t\r]/, "'$&");
+  return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// With a BOM, so that Excel opens the Cyrillic details correctly
+export const reconciliationReportToCsv = (report) =>
+  "\uFEFF" +
+  [
+    CSV_COLUMNS.join(","),
+    ...report.mismatches.map((row) =>
+      CSV_COLUMNS.map((column) => csvCell(row[column])).join(","),
+    ),
+  ].join("\n");
@@ -0,0 +1,307 @@
+import prisma from "../libs/prisma.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  externalAccount,
+  toKopecks,
+} from "./ledger.js";
+import { notifyUser } from "./notification.js";
+import { generatePayoutRegistryPDF } from "../mailer/pdf-generator.js";
+
+// The account payouts are sent from (defaults: the details on our invoices)
+export const PAYER = {
+  name: process.env.COMPANY_NAME || "ООО АМУЛЕТ КОМПАНИ",
+  inn: process.env.COMPANY_INN || "6319258622",
+  kpp: process.env.COMPANY_KPP || "631901001",
+  account: process.env.COMPANY_ACCOUNT || "40802810054400037540",
+  bik: process.env.COMPANY_BIK || "043601607",
+  bankName: process.env.COMPANY_BANK_NAME || "ПОВОЛЖСКИЙ БАНК Т-Банк г. Самара",
+  correspondentAccount:
+    process.env.COMPANY_CORRESPONDENT_ACCOUNT || "30101810200000000607",
+};
+
+export const REGISTRY_FORMATS = ["1c", "csv", "pdf"];
+
+const formatDate = (date) => new Date(date).toLocaleDateString("ru-RU");
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const payoutPurpose = (payout) =>
+  `${payout.partnerId ? "Выплата партнерского вознаграждения" : "Возврат остатка средств с баланса"} по заявке № ${payout.id.slice(-8).toUpperCase()}. НДС не облагается`;
+
+// Payment order numbers: the registry number, then the line (up to 999 per registry)
+const documentNumber = (registry, index) =>
+  String((registry.number % 1000) * 1000 + index + 1);
+
+const loadRegistry = async (registryId) => {
+  const registry = await prisma.payoutRegistry.findUnique({
+    where: { id: registryId },
+    include: { payouts: { orderBy: { createdAt: "asc" } } },
+  });
+  if (!registry) throw new Error("REGISTRY_NOT_FOUND");
+  return registry;
+};
+
+// =====================================================================
+// FILES
+// =====================================================================
+
+// 1C reads exchange files in Windows-1251; Node can only decode it
+const encodeWindows1251 = (text) =>
+  Buffer.from(
+    Array.from(text, (char) => {
+      const code = char.charCodeAt(0);
+      if (code < 0x80) return code;
+      if (code >= 0x410 && code <= 0x44f) return code - 0x350; // А-я
+      if (char === "Ё") return 0xa8;
+      if (char === "ё") return 0xb8;
+      if (char === "№") return 0xb9;
+      return 0x3f; // "?"
+    }),
+  );
+
+// Client-to-bank exchange file (1CClientBankExchange 1.03) with one payment
+// order per payout, ready for import into the bank's client
+const buildClientBank1C = (registry, createdAt = new Date()) => {
+  const lines = [
+    "1CClientBankExchange",
+    "ВерсияФормата=1.03",
+    "Кодировка=Windows",
+    "Отправитель=Eventomir",
+    "Получатель=",
+    `ДатаСоздания=${formatDate(createdAt)}`,
+    `ВремяСоздания=${createdAt.toLocaleTimeString("ru-RU", { timeZone: "Europe/Moscow" })}`,
+    `ДатаНачала=${formatDate(registry.createdAt)}`,
+    `ДатаКонца=${formatDate(registry.createdAt)}`,
+    `РасчСчет=${PAYER.account}`,
+    "Документ=Платежное поручение",
+  ];
+
+  registry.payouts.forEach((payout, index) => {
+    lines.push(
+      "СекцияДокумент=Платежное поручение",
+      `Номер=${documentNumber(registry, index)}`,
+      `Дата=${formatDate(registry.createdAt)}`,
+      `Сумма=${formatAmount(payout.amount)}`,
+      `ПлательщикСчет=${PAYER.account}`,
+      `Плательщик=ИНН ${PAYER.inn} ${PAYER.name}`,
+      `ПлательщикИНН=${PAYER.inn}`,
+      `ПлательщикКПП=${PAYER.kpp}`,
+      `Плательщик1=${PAYER.name}`,
+      `ПлательщикРасчСчет=${PAYER.account}`,
+      `ПлательщикБанк1=${PAYER.bankName}`,
+      `ПлательщикБИК=${PAYER.bik}`,
+      `ПлательщикКорсчет=${PAYER.correspondentAccount}`,
+      `ПолучательСчет=${payout.accountNumber}`,
+      `Получатель=ИНН ${payout.recipientInn} ${payout.recipientName}`,
+      `ПолучательИНН=${payout.recipientInn}`,
+      `Получатель1=${payout.recipientName}`,
+      `ПолучательРасчСчет=${payout.accountNumber}`,
+      `ПолучательБанк1=${payout.bankName || ""}`,
+      `ПолучательБИК=${payout.bankBik}`,
+      "ВидОплаты=01",
+      "Очередность=5",
+      `НазначениеПлатежа=${payoutPurpose(payout)}`,
+      "КонецДокумента",
+    );
+  });
+  lines.push("КонецФайла");
+
+  return encodeWindows1251(lines.join("\r\n") + "\r\n");
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Semicolon-separated, UTF-8 with a BOM so Excel opens the Cyrillic right
+const buildCsv = (registry) => {
+  const rows = [
+    [
+      "№",
+      "Получатель",
+      "ИНН",
+      "БИК",
+      "Банк",
+      "Счет",
+      "Сумма",
+      "Назначение платежа",
+    ],
+    ...registry.payouts.map((payout, index) => [
+      documentNumber(registry, index),
+      payout.recipientName,
+      payout.recipientInn,
+      payout.bankBik,
+      payout.bankName || "",
+      payout.accountNumber,
+      formatAmount(payout.amount).replace(".", ","),
+      payoutPurpose(payout),
+    ]),
+  ];
+  const text = rows.map((row) => row.map(csvCell).join(";")).join("\r\n");
+  return Buffer.from(`\uFEFF${text}\r\n`, "utf-8");
+};
+
+/**
+ * The registry as a file for the bank: "1c" (payment orders to import into
+ * the bank's client), "csv" (for banks that take salary-style registries) or
+ * "pdf" (the covering document to sign). Built from the stored payouts, so
+ * a re-download gives the same payment orders.
+ *
+ * @returns {Promise<{buffer: Buffer, fileName: string, contentType: string}>}
+ */
+export const exportPayoutRegistry = async (registryId, format) => {
+  if (!REGISTRY_FORMATS.includes(format)) throw new Error("INVALID_FORMAT");
+  const registry = await loadRegistry(registryId);
+  const baseName = `payout-registry-${registry.number}`;
+
+  if (format === "1c") {
+    return {
+      buffer: buildClientBank1C(registry),
+      fileName: `${baseName}.txt`,
+      contentType: "text/plain; charset=windows-1251",
+    };
+  }
+  if (format === "csv") {
+    return {
+      buffer: buildCsv(registry),
+      fileName: `${baseName}.csv`,
+      contentType: "text/csv; charset=utf-8",
+    };
+  }
+  return {
+    buffer: await generatePayoutRegistryPDF({ registry, payer: PAYER }),
+    fileName: `${baseName}.pdf`,
+    contentType: "application/pdf",
+  };
+};
+
+// =====================================================================
+// LIFECYCLE
+// =====================================================================
+
+/**
+ * Puts approved payouts into a new registry. Each payout can only be in one
+ * open registry: they are claimed with a conditional update, and the whole
+ * registry is dropped if any of them was taken meanwhile.
+ */
+export const createPayoutRegistry = async (payoutIds, adminId) => {
+  const ids = [...new Set(payoutIds || [])];
+  if (ids.length === 0) throw new Error("NO_PAYOUTS_SELECTED");
+  if (ids.length > 999) throw new Error("TOO_MANY_PAYOUTS");
+
+  return prisma.$transaction(async (tx) => {
+    const payouts = await tx.payoutRequest.findMany({
+      where: { id: { in: ids }, status: "APPROVED", registryId: null },
+    });
+    if (payouts.length !== ids.length) throw new Error("PAYOUTS_NOT_AVAILABLE");
+    if (payouts.some((payout) => !payout.accountNumber)) {
+      throw new Error("PAYOUT_DETAILS_MISSING");
+    }
+
+    const registry = await tx.payoutRegistry.create({
+      data: {
+        createdById: adminId,
+        payoutCount: payouts.length,
+        totalAmount:
+          payouts.reduce((sum, payout) => sum + toKopecks(payout.amount), 0) /
+          100,
+      },
+    });
+
+    const { count } = await tx.payoutRequest.updateMany({
+      where: { id: { in: ids }, status: "APPROVED", registryId: null },
+      data: { registryId: registry.id },
+    });
+    if (count !== ids.length) throw new Error("PAYOUTS_NOT_AVAILABLE");
+
+    return registry;
+  });
+};
+
+// The bank refused the files: the payouts can go into another registry
+export const cancelPayoutRegistry = async (registryId) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.payoutRegistry.updateMany({
+      where: { id: registryId, status: "EXPORTED" },
+      data: { status: "CANCELLED" },
+    });
+    if (count === 0) {
+      const exists = await tx.payoutRegistry.count({
+        where: { id: registryId },
+      });
+      throw new Error(
+        exists ? "REGISTRY_ALREADY_CLOSED" : "REGISTRY_NOT_FOUND",
+      );
+    }
+
+    await tx.payoutRequest.updateMany({
+      where: { registryId, status: "APPROVED" },
+      data: { registryId: null },
+    });
+    return tx.payoutRegistry.findUnique({ where: { id: registryId } });
+  });
+};
+
+/**
+ * The bank sent the transfers: every payout of the registry becomes PAID,
+ * the money leaves the books and the recipients are notified.
+ */
+export const markPayoutRegistryPaid = async (registryId, adminId) => {
+  const paidAt = new Date();
+
+  const registry = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payoutRegistry.updateMany({
+      where: { id: registryId, status: "EXPORTED" },
+      data: { status: "PAID", paidAt, paidById: adminId },
+    });
+    if (count === 0) {
+      const exists = await tx.payoutRegistry.count({
+        where: { id: registryId },
+      });
+      throw new Error(
+        exists ? "REGISTRY_ALREADY_CLOSED" : "REGISTRY_NOT_FOUND",
+      );
+    }
+
+    const payouts = await tx.payoutRequest.findMany({
+      where: { registryId, status: "APPROVED" },
+    });
+    await tx.payoutRequest.updateMany({
+      where: { registryId, status: "APPROVED" },
+      data: { status: "PAID", paidAt },
+    });
+
+    for (const payout of payouts) {
+      await transferFunds(tx, {
+        from: PLATFORM_ACCOUNTS.payouts,
+        to: externalAccount("bank"),
+        amount: payout.amount,
+        kind: "PAYOUT_PAID",
+        description: "Выплата переведена на реквизиты получателя",
+        reference: payout.id,
+      });
+    }
+
+    const paid = await tx.payoutRegistry.findUnique({
+      where: { id: registryId },
+    });
+    return { ...paid, payouts };
+  });
+
+  for (const payout of registry.payouts) {
+    notifyUser({
+      userId: payout.userId,
+      title: "💸 Выплата отправлена",
+      body: `${payout.amount} ₽ переведены на счет ${payout.accountNumber.slice(-4).padStart(8, "•")} (${payout.bankName || `БИК ${payout.bankBik}`}). Деньги поступят в течение 1-3 банковских дней.`,
+      type: "PAYOUT_REQUEST",
+      data: {
+        payoutId: payout.id,
+        amount: payout.amount,
+        url: payout.partnerId ? "/payouts" : "/wallet",
+      },
+    }).catch(console.error);
+  }
+
+  return registry;
+};
@@ -0,0 +1,23 @@
+// Offline scanners date their scans with the device clock. A scan can't be
+// older than its scanner session (the scanner had no manifest yet) or newer
+// than the session's expiry or the upload itself.
+const CLOCK_DRIFT_MS = 5 * 60 * 1000;
+
+/**
+ * When the guest came in, by an uploaded scan's time: a few minutes of clock
+ * drift past either end of the session are forgiven and clamped away, a scan
+ * further out gives null and isn't an entry. Otherwise a misdated scan could
+ * take over an earlier entry (see claimEarlierEntry in checkin.js).
+ *
+ * @returns {Date|null}
+ */
+export const dateScan = (session, scannedAt, now = new Date()) => {
+  const opensAt = session.createdAt.getTime();
+  const closesAt = Math.min(session.expiresAt.getTime(), now.getTime());
+  const time = scannedAt.getTime();
+
+  if (time < opensAt - CLOCK_DRIFT_MS || time > closesAt + CLOCK_DRIFT_MS) {
+    return null;
+  }
+  return new Date(Math.min(Math.max(time, opensAt), closesAt));
+};
@@ -0,0 +1,518 @@
+import prisma from "../libs/prisma.js";
+import { redis } from "../libs/redis.js";
+import { emitSeatChanges } from "../libs/socket.js";
+import { toKopecks } from "./ledger.js";
+
+// Reserved seating: a seat map is a set of Seat rows, and its price zones are
+// the event's ticket tiers, so orders, receipts and refunds work per zone
+// exactly as they do per tier.
+
+export const SEAT_HOLD_SECONDS =
+  (parseInt(process.env.SEAT_HOLD_MINUTES) || 10) * 60;
+export const MAX_HELD_SEATS = 10;
+const MAX_SEATS = 5000;
+
+export const SEATING_ERROR_MESSAGES = {
+  INVALID_SEAT_MAP: "Схема зала заполнена с ошибкой",
+  INVALID_SEAT_ZONE:
+    "У ценовой зоны должны быть название и неотрицательная цена",
+  SEAT_ZONE_NOT_FOUND: "У ряда указана несуществующая ценовая зона",
+  EMPTY_SEAT_ZONE: "В ценовой зоне нет ни одного места",
+  SEAT_MAP_TOO_LARGE: `В схеме зала может быть не больше ${MAX_SEATS} мест`,
+  SEAT_MAP_LOCKED: "Схему зала нельзя менять после начала продаж",
+  SEATED_EVENT_TIERS: "Ценовые зоны события с рассадкой задаются схемой зала",
+  SEATS_REQUIRED: "Выберите места в зале",
+  SEAT_NOT_FOUND: "Такого места нет в зале этого мероприятия",
+  SEATS_TAKEN: "Выбранные места уже заняты",
+  SEATS_HELD: "Выбранные места сейчас выбирает другой покупатель",
+  TOO_MANY_SEATS: `Можно выбрать не больше ${MAX_HELD_SEATS} мест`,
+  HOLDS_UNAVAILABLE:
+    "Удержание мест временно недоступно, выбранные места можно сразу оплатить",
+};
+
+// "Партер, ряд 5, место 12; Партер, ряд 5, место 13"
+export const describeOrderSeats = (seats) =>
+  (seats || [])
+    .map((seat) => `${seat.section}, ряд ${seat.row}, место ${seat.number}`)
+    .join("; ");
+
+// What an order keeps about its seats (Order.reservedSeats)
+const seatSnapshot = (seat) => ({
+  id: seat.id,
+  tierId: seat.tierId,
+  section: seat.section,
+  row: seat.row,
+  number: seat.number,
+});
+
+// =====================================================================
+// SEAT MAP (event hosts)
+// =====================================================================
+
+const label = (value) => String(value ?? "").trim();
+
+/**
+ * Validates a seat map from the host:
+ *
+ *   zones:    [{ key, name, price, description? }]
+ *   sections: [{ name, rows: [{ row, zone, seats }] }]
+ *
+ * `seats` is a count (numbered from 1) or a list of numbers; a seat given as
+ * { number, zone } overrides the row's zone. Throws one of
+ * SEATING_ERROR_MESSAGES' codes.
+ */
+const normalizeSeatMap = ({ zones, sections } = {}) => {
+  if (!Array.isArray(zones) || zones.length === 0) {
+    throw new Error("INVALID_SEAT_MAP");
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    throw new Error("INVALID_SEAT_MAP");
+  }
+
+  const zonesByKey = new Map();
+  for (const zone of zones) {
+    const key = label(zone?.key ?? zone?.name);
+    const name = label(zone?.name);
+    const price = Number(zone?.price);
+    if (!key || !name || !Number.isFinite(price) || price < 0) {
+      throw new Error("INVALID_SEAT_ZONE");
+    }
+    if (zonesByKey.has(key)) throw new Error("INVALID_SEAT_MAP");
+    zonesByKey.set(key, {
+      key,
+      name,
+      description: label(zone.description) || null,
+      price: toKopecks(price) / 100,
+    });
+  }
+
+  const seats = [];
+  const seen = new Set();
+  for (const section of sections) {
+    const sectionName = label(section?.name);
+    if (!sectionName || !Array.isArray(section.rows)) {
+      throw new Error("INVALID_SEAT_MAP");
+    }
+
+    for (const row of section.rows) {
+      const rowLabel = label(row?.row);
+      if (!rowLabel) throw new Error("INVALID_SEAT_MAP");
+
+      let rowSeats = row.seats;
+      if (Number.isInteger(rowSeats)) {
+        if (rowSeats <= 0) throw new Error("INVALID_SEAT_MAP");
+        if (seats.length + rowSeats > MAX_SEATS) {
+          throw new Error("SEAT_MAP_TOO_LARGE");
+        }
+        rowSeats = Array.from({ length: rowSeats }, (_, i) => String(i + 1));
+      }
+      if (!Array.isArray(rowSeats) || rowSeats.length === 0) {
+        throw new Error("INVALID_SEAT_MAP");
+      }
+
+      for (const entry of rowSeats) {
+        const isObject = typeof entry === "object" && entry !== null;
+        const number = label(isObject ? entry.number : entry);
+        const zoneKey = label(isObject && entry.zone ? entry.zone : row.zone);
+        if (!number) throw new Error("INVALID_SEAT_MAP");
+        if (!zonesByKey.has(zoneKey)) throw new Error("SEAT_ZONE_NOT_FOUND");
+
+        const id = `${sectionName}\n${rowLabel}\n${number}`;
+        if (seen.has(id)) throw new Error("INVALID_SEAT_MAP");
+        seen.add(id);
+
+        seats.push({
+          zoneKey,
+          section: sectionName,
+          row: rowLabel,
+          number,
+          sortOrder: seats.length,
+        });
+      }
+      if (seats.length > MAX_SEATS) throw new Error("SEAT_MAP_TOO_LARGE");
+    }
+  }
+
+  const used = new Set(seats.map((seat) => seat.zoneKey));
+  if ([...zonesByKey.keys()].some((key) => !used.has(key))) {
+    throw new Error("EMPTY_SEAT_ZONE");
+  }
+
+  return { zones: [...zonesByKey.values()], seats };
+};
+
+/**
+ * Replaces the event's seat map and its price zones. Only before anything is
+ * sold: the zones replace whatever tiers or ticket count the event had.
+ */
+export const replaceSeatMap = (eventId, input) => {
+  const { zones, seats } = normalizeSeatMap(input);
+
+  return prisma.$transaction(async (tx) => {
+    const orders = await tx.order.count({ where: { eventId } });
+    if (orders > 0) throw new Error("SEAT_MAP_LOCKED");
+
+    await tx.seat.deleteMany({ where: { eventId } });
+    await tx.ticketTier.deleteMany({ where: { eventId } });
+
+    const tierIds = new Map();
+    for (const [index, zone] of zones.entries()) {
+      const seatCount = seats.filter((s) => s.zoneKey === zone.key).length;
+      const tier = await tx.ticketTier.create({
+        data: {
+          eventId,
+          name: zone.name,
+          description: zone.description,
+          price: zone.price,
+          totalTickets: seatCount,
+          availableTickets: seatCount,
+          sortOrder: index,
+        },
+      });
+      tierIds.set(zone.key, tier.id);
+    }
+
+    await tx.seat.createMany({
+      data: seats.map(({ zoneKey, ...seat }) => ({
+        ...seat,
+        eventId,
+        tierId: tierIds.get(zoneKey),
+      })),
+    });
+
+    await tx.event.update({
+      where: { id: eventId },
+      data: {
+        hasSeatMap: true,
+        totalTickets: seats.length,
+        availableTickets: seats.length,
+        price: Math.min(...zones.map((zone) => zone.price)),
+        discountPrice: 0,
+      },
+    });
+
+    return { zoneCount: zones.length, seatCount: seats.length };
+  });
+};
+
+// =====================================================================
+// HOLDS (Redis)
+// =====================================================================
+
+// One hash tag per event keeps an event's hold keys in one cluster slot, so
+// the scripts below may touch them together. A hold's value is
+// "<userId>|<expiresAt ms>".
+const holdKey = (eventId, seatId) => `seat_hold:{${eventId}}:${seatId}`;
+const userHoldsKey = (eventId, userId) =>
+  `seat_hold:{${eventId}}:user:${userId}`;
+
+// KEYS: the user's set of holds, then the seats. Returns 0 when all seats are
+// now held by the user, -1 when that would exceed ARGV[4] seats, or the
+// position of the first seat someone else holds.
+const HOLD_SCRIPT = `
+local owner = ARGV[1] .. "|"
+local function isOwn(value)
+  return value and string.sub(value, 1, #owner) == owner
+end
+
+for i = 2, #KEYS do
+  local value = redis.call("get", KEYS[i])
+  if value and not isOwn(value) then return i - 1 end
+end
+
+for _, key in ipairs(redis.call("smembers", KEYS[1])) do
+  if not isOwn(redis.call("get", key)) then redis.call("srem", KEYS[1], key) end
+end
+local count = redis.call("scard", KEYS[1])
+for i = 2, #KEYS do
+  if redis.call("sismember", KEYS[1], KEYS[i]) == 0 then count = count + 1 end
+end
+if count > tonumber(ARGV[4]) then return -1 end
+
+for i = 2, #KEYS do
+  redis.call("set", KEYS[i], ARGV[2], "EX", ARGV[3])
+  redis.call("sadd", KEYS[1], KEYS[i])
+end
+redis.call("expire", KEYS[1], ARGV[3])
+return 0`;
+
+// KEYS: the user's set of holds, then the seats. Drops the user's own holds
+// and returns the positions of the seats that were released.
+const RELEASE_SCRIPT = `
+local owner = ARGV[1] .. "|"
+local released = {}
+for i = 2, #KEYS do
+  local value = redis.call("get", KEYS[i])
+  if value and string.sub(value, 1, #owner) == owner then
+    redis.call("del", KEYS[i])
+    table.insert(released, i - 1)
+  end
+  redis.call("srem", KEYS[1], KEYS[i])
+end
+return released`;
+
+const parseHold = (value) => {
+  if (!value) return null;
+  const [userId, expiresAt] = value.split("|");
+  return { userId, heldUntil: new Date(Number(expiresAt)) };
+};
+
+// Current holds of the given seats (seatId -> { userId, heldUntil }); none
+// when Redis is offline
+const readHolds = async (eventId, seatIds) => {
+  const holds = new Map();
+  if (seatIds.length === 0 || redis.status !== "ready") return holds;
+
+  try {
+    const keys = seatIds.map((id) => holdKey(eventId, id));
+    const values = await redis.mget(keys);
+    values.forEach((value, index) => {
+      const hold = parseHold(value);
+      if (hold) holds.set(seatIds[index], hold);
+    });
+  } catch (error) {
+    console.warn(`⚠️ Redis Read Error on seat holds:`, error.message);
+  }
+  return holds;
+};
+
+const findEventSeats = async (client, eventId, seatIds) => {
+  const ids = [...new Set(Array.isArray(seatIds) ? seatIds : [])];
+  if (ids.length === 0) throw new Error("SEATS_REQUIRED");
+  if (ids.length > MAX_HELD_SEATS) throw new Error("TOO_MANY_SEATS");
+
+  const seats = await client.seat.findMany({
+    where: { id: { in: ids.map(String) }, eventId },
+    orderBy: { sortOrder: "asc" },
+  });
+  if (seats.length !== ids.length) throw new Error("SEAT_NOT_FOUND");
+  return seats;
+};
+
+/**
+ * Holds seats for a buyer while they check out. Holding seats the buyer
+ * already holds extends them. Holds are a courtesy to other buyers: what
+ * makes a sale atomic is the seat claim in the order's transaction.
+ *
+ * @returns {Promise<{seatIds: string[], heldUntil: Date}>}
+ */
+export const holdSeats = async (eventId, userId, seatIds) => {
+  const seats = await findEventSeats(prisma, eventId, seatIds);
+  if (seats.some((seat) => seat.orderId)) throw new Error("SEATS_TAKEN");
+  if (redis.status !== "ready") throw new Error("HOLDS_UNAVAILABLE");
+
+  const heldUntil = new Date(Date.now() + SEAT_HOLD_SECONDS * 1000);
+  const result = await redis.eval(
+    HOLD_SCRIPT,
+    seats.length + 1,
+    userHoldsKey(eventId, userId),
+    ...seats.map((seat) => holdKey(eventId, seat.id)),
+    userId,
+    `${userId}|${heldUntil.getTime()}`,
+    SEAT_HOLD_SECONDS,
+    MAX_HELD_SEATS,
+  );
+  if (result === -1) throw new Error("TOO_MANY_SEATS");
+  if (result > 0) throw new Error("SEATS_HELD");
+
+  emitSeatChanges(
+    eventId,
+    seats.map((seat) => ({ id: seat.id, status: "held", heldUntil })),
+  );
+  return { seatIds: seats.map((seat) => seat.id), heldUntil };
+};
+
+// Drops the user's holds on `seatIds` (all of them when omitted) and returns
+// the ids that were released
+const dropHolds = async (eventId, userId, seatIds) => {
+  if (redis.status !== "ready") return [];
+
+  const setKey = userHoldsKey(eventId, userId);
+  const keys = seatIds
+    ? seatIds.map((id) => holdKey(eventId, id))
+    : await redis.smembers(setKey);
+  if (keys.length === 0) return [];
+
+  const released = await redis.eval(
+    RELEASE_SCRIPT,
+    keys.length + 1,
+    setKey,
+    ...keys,
+    userId,
+  );
+  return released.map((position) => keys[position - 1].split(":").pop());
+};
+
+// The buyer changed their mind: the seats are free for others again
+export const releaseSeatHolds = async (eventId, userId, seatIds = null) => {
+  const released = await dropHolds(eventId, userId, seatIds);
+  emitSeatChanges(
+    eventId,
+    released.map((id) => ({ id, status: "available" })),
+  );
+  return released;
+};
+
+// =====================================================================
+// SALES
+// =====================================================================
+
+/**
+ * The seats a buyer is about to pay for, checked before the order's
+ * transaction: none may be held by somebody else. A buyer whose hold ran out
+ * can still buy a seat nobody else took meanwhile.
+ */
+export const checkSeatHolds = async (eventId, userId, seatIds) => {
+  const holds = await readHolds(eventId, seatIds || []);
+  for (const hold of holds.values()) {
+    if (hold.userId !== userId) throw new Error("SEATS_HELD");
+  }
+};
+
+/**
+ * Loads the seats of an order inside its transaction, with the basket of
+ * price zones to reserve for them.
+ */
+export const loadSeatsForOrder = async (tx, eventId, seatIds) => {
+  const seats = await findEventSeats(tx, eventId, seatIds);
+  if (seats.some((seat) => seat.orderId)) throw new Error("SEATS_TAKEN");
+
+  const quantities = new Map();
+  for (const seat of seats) {
+    quantities.set(seat.tierId, (quantities.get(seat.tierId) || 0) + 1);
+  }
+  return {
+    seats,
+    basket: [...quantities].map(([tierId, quantity]) => ({
+      tierId,
+      quantity,
+    })),
+    reservedSeats: seats.map(seatSnapshot),
+  };
+};
+
+// Gives the seats to the order; throws SEATS_TAKEN if another order got any
+// of them first, which rolls the whole purchase back
+export const claimSeats = async (tx, orderId, seats) => {
+  const { count } = await tx.seat.updateMany({
+    where: { id: { in: seats.map((seat) => seat.id) }, orderId: null },
+    data: { orderId },
+  });
+  if (count !== seats.length) throw new Error("SEATS_TAKEN");
+};
+
+// After the purchase committed: the buyer's holds are no longer needed
+export const completeSeatPurchase = async (eventId, userId, seats) => {
+  await dropHolds(
+    eventId,
+    userId,
+    seats.map((seat) => seat.id),
+  ).catch((err) => console.error("Failed to drop seat holds:", err));
+  emitSeatChanges(
+    eventId,
+    seats.map((seat) => ({ id: seat.id, status: "taken" })),
+  );
+};
+
+/**
+ * Frees an order's seats (only `seatIds` for a partial refund). Watchers may
+ * hear about it a moment before the transaction commits; a seat that turns
+ * out to be still taken fails at purchase like any other race.
+ */
+export const releaseOrderSeats = async (tx, order, seatIds = null) => {
+  const seats = await tx.seat.findMany({
+    where: {
+      orderId: order.id,
+      ...(seatIds && { id: { in: seatIds } }),
+    },
+    select: { id: true },
+  });
+  if (seats.length === 0) return;
+
+  await tx.seat.updateMany({
+    where: { id: { in: seats.map((seat) => seat.id) }, orderId: order.id },
+    data: { orderId: null },
+  });
+  emitSeatChanges(
+    order.eventId,
+    seats.map((seat) => ({ id: seat.id, status: "available" })),
+  );
+};
+
+// An expired order was paid after all: takes its seats again, or throws
+// SOLD_OUT when any of them was sold meanwhile
+export const reclaimOrderSeats = async (tx, order) => {
+  const seatIds = (order.reservedSeats || []).map((seat) => seat.id);
+  if (seatIds.length === 0) return;
+
+  const { count } = await tx.seat.updateMany({
+    where: { id: { in: seatIds }, orderId: null },
+    data: { orderId: order.id },
+  });
+  if (count !== seatIds.length) throw new Error("SOLD_OUT");
+
+  emitSeatChanges(
+    order.eventId,
+    seatIds.map((id) => ({ id, status: "taken" })),
+  );
+};
+
+// =====================================================================
+// SEAT MAP (public)
+// =====================================================================
+
+/**
+ * The seat map as buyers see it: price zones, and sections of rows of seats
+ * with their status ("available", "held" until `heldUntil`, or "taken").
+ * Changes afterwards arrive as "seats_changed" on the "/seats" Socket.io
+ * namespace, room of the event (emit "watch_event" with its id).
+ */
+export const getSeatMap = async (eventId) => {
+  const [zones, seats] = await Promise.all([
+    prisma.ticketTier.findMany({
+      where: { eventId },
+      orderBy: { sortOrder: "asc" },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        price: true,
+        availableTickets: true,
+      },
+    }),
+    prisma.seat.findMany({
+      where: { eventId },
+      orderBy: { sortOrder: "asc" },
+    }),
+  ]);
+
+  const holds = await readHolds(
+    eventId,
+    seats.filter((seat) => !seat.orderId).map((seat) => seat.id),
+  );
+
+  const sections = [];
+  for (const seat of seats) {
+    let section = sections.find((s) => s.name === seat.section);
+    if (!section) {
+      section = { name: seat.section, rows: [] };
+      sections.push(section);
+    }
+    let row = section.rows.find((r) => r.row === seat.row);
+    if (!row) {
+      row = { row: seat.row, seats: [] };
+      section.rows.push(row);
+    }
+
+    const hold = holds.get(seat.id);
+    row.seats.push({
+      id: seat.id,
+      number: seat.number,
+      tierId: seat.tierId,
+      status: seat.orderId ? "taken" : hold ? "held" : "available",
+      ...(hold && { heldUntil: hold.heldUntil }),
+    });
+  }
+
+  return { eventId, holdMinutes: SEAT_HOLD_SECONDS / 60, zones, sections };
+};
@@ -0,0 +1,200 @@
+import prisma from "../libs/prisma.js";
+import {
+  getPaymentProvider,
+  chargeSubscriptionRenewal,
+} from "./payment-providers/index.js";
+import { applyProviderPaymentState } from "../controllers/webhooks.js";
+import { notifyUser } from "./notification.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Charge this long before the paid period runs out
+const RENEW_BEFORE_HOURS =
+  Number(process.env.SUBSCRIPTION_RENEW_BEFORE_HOURS) || 24;
+// Pause before each retry of a declined renewal; once they are used up,
+// auto-renewal is switched off and the sweeper downgrades the user
+const DUNNING_RETRY_DAYS = [1, 2, 4];
+// Longest a lapsed auto-renewing subscription keeps its paid plan: every
+// dunning pause plus a day for the last charge to come back
+export const RENEWAL_GRACE_DAYS =
+  DUNNING_RETRY_DAYS.reduce((sum, days) => sum + days, 0) + 1;
+const BATCH_SIZE = 100;
+
+const FAILED_STATUSES = [
+  "REJECTED",
+  "AUTH_FAIL",
+  "CANCELED",
+  "DEADLINE_EXPIRED",
+];
+
+export const SUBSCRIPTION_INTERVALS = ["month", "half_year", "year"];
+
+// Written whenever a new paid period starts
+export const RENEWAL_RESET = {
+  renewalAttempts: 0,
+  nextRenewalAttempt: null,
+  lastRenewalError: null,
+  nextPlanId: null,
+  nextInterval: null,
+};
+
+export const getPlanPrice = (plan, interval) => {
+  let price = plan.priceMonthly;
+  if (interval === "half_year" && plan.priceHalfYearly)
+    price = plan.priceHalfYearly;
+  if (interval === "year" && plan.priceYearly) price = plan.priceYearly;
+  return price;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString("ru-RU");
+
+/**
+ * Books a renewal charge that didn't go through and schedules the next try.
+ * Called once per failed renewal Payment (the webhook claims it first).
+ */
+export const recordRenewalFailure = async (subscriptionId, reason) => {
+  const sub = await prisma.userSubscription.findUnique({
+    where: { id: subscriptionId },
+    include: { plan: true },
+  });
+  // Switched off (or paid some other way) in the meantime
+  if (!sub || !sub.autoRenew) return;
+
+  const attempt = sub.renewalAttempts + 1;
+  const retryInDays = DUNNING_RETRY_DAYS[attempt - 1];
+  const isFinal = retryInDays === undefined;
+  const nextAttempt = isFinal ? null : new Date(Date.now() + retryInDays * DAY);
+
+  await prisma.userSubscription.update({
+    where: { id: sub.id },
+    data: {
+      renewalAttempts: attempt,
+      nextRenewalAttempt: nextAttempt,
+      lastRenewalError: reason,
+      ...(isFinal && { autoRenew: false }),
+    },
+  });
+
+  notifyUser({
+    userId: sub.userId,
+    title: isFinal
+      ? "Автопродление подписки отключено"
+      : "Не удалось продлить подписку",
+    body: isFinal
+      ? `Мы несколько раз не смогли списать оплату за тариф «${sub.plan.name}». Продлите подписку вручную, иначе после ${formatDate(sub.endDate)} будет подключен бесплатный тариф.`
+      : `Не удалось списать оплату за тариф «${sub.plan.name}». Повторим попытку ${formatDate(nextAttempt)}. Проверьте карту или отключите автопродление.`,
+    type: "SYSTEM",
+    data: { url: "/pricing" },
+  }).catch(console.error);
+};
+
+const renewSubscription = async (sub) => {
+  // A charge whose outcome we don't know yet: reconciliation will settle it
+  const pending = await prisma.payment.findFirst({
+    where: {
+      status: "PENDING",
+      metadata: { path: ["subscriptionId"], equals: sub.id },
+    },
+  });
+  if (pending) return "PENDING";
+
+  const plan = sub.nextPlan || sub.plan;
+  const interval = sub.nextInterval || sub.interval || "month";
+  const amount = getPlanPrice(plan, interval);
+
+  if (!plan.isActive || amount <= 0) {
+    await recordRenewalFailure(sub.id, "Тариф больше недоступен");
+    return "DECLINED";
+  }
+
+  let provider;
+  try {
+    provider = getPaymentProvider(sub.billingProvider);
+  } catch (error) {
+    await recordRenewalFailure(sub.id, error.message);
+    return "DECLINED";
+  }
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: sub.userId,
+      amount,
+      provider: provider.name,
+      status: "PENDING",
+      metadata: {
+        type: "SUBSCRIPTION",
+        planId: plan.id,
+        interval,
+        renewal: true,
+        subscriptionId: sub.id,
+      },
+    },
+  });
+
+  let result;
+  try {
+    result = await chargeSubscriptionRenewal(
+      provider,
+      payment.id,
+      amount,
+      plan.name,
+      interval,
+      { email: sub.user.email, phone: sub.user.phone },
+      sub.rebillId,
+    );
+  } catch (error) {
+    // Never reached the bank
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: "FAILED" },
+    });
+    await recordRenewalFailure(sub.id, error.message);
+    return "DECLINED";
+  }
+
+  const charged = await prisma.payment.update({
+    where: { id: payment.id },
+    data: { providerTxId: String(result.paymentId), receipt: result.receipt },
+  });
+  await applyProviderPaymentState(charged, result);
+
+  if (result.status === "CONFIRMED") return "RENEWED";
+  return FAILED_STATUSES.includes(result.status) ? "DECLINED" : "PENDING";
+};
+
+/**
+ * Charges the saved card of every auto-renewing subscription that runs out
+ * within RENEW_BEFORE_HOURS (or whose dunning retry is due). The result goes
+ * through the same code as the bank's webhook, which also books declines.
+ */
+export const renewDueSubscriptions = async () => {
+  const now = new Date();
+
+  const subscriptions = await prisma.userSubscription.findMany({
+    where: {
+      status: "ACTIVE",
+      autoRenew: true,
+      rebillId: { not: null },
+      endDate: { lt: new Date(now.getTime() + RENEW_BEFORE_HOURS * HOUR) },
+      OR: [{ nextRenewalAttempt: null }, { nextRenewalAttempt: { lte: now } }],
+      plan: { tier: { not: "FREE" } },
+    },
+    include: { plan: true, nextPlan: true, user: true },
+    orderBy: { endDate: "asc" },
+    take: BATCH_SIZE,
+  });
+
+  const stats = { RENEWED: 0, DECLINED: 0, PENDING: 0, ERROR: 0 };
+
+  for (const sub of subscriptions) {
+    try {
+      stats[await renewSubscription(sub)]++;
+    } catch (error) {
+      stats.ERROR++;
+      console.error(`❌ Renewal of subscription ${sub.id} failed:`, error);
+    }
+  }
+
+  return stats;
+};
@@ -0,0 +1,7 @@
+// Whose ticket it is. A transferred ticket stays on the buyer's order (seat,
+// tier and price belong to the order), but it is its recipient's now: the
+// buyer can't rename it or pass it on again. BUYER_TICKETS in tickets.js
+// lists the same tickets.
+
+export const isHeldByBuyer = (ticket) =>
+  ticket.status === "ACTIVE" && !ticket.transferredFromId;
@@ -0,0 +1,350 @@
+import prisma from "../libs/prisma.js";
+import { toKopecks } from "./ledger.js";
+import { releaseOrderSeats, reclaimOrderSeats } from "./seating.js";
+
+// Event.availableTickets is what listings show and what events without tiers
+// sell from; with tiers it moves together with the tier counters.
+
+export const TIER_ERROR_MESSAGES = {
+  INVALID_BASKET: "Укажите типы билетов и их количество",
+  TIER_NOT_FOUND: "Такого типа билетов нет у этого мероприятия",
+  TIER_SALES_NOT_STARTED: "Продажа билетов этого типа еще не началась",
+  TIER_SALES_ENDED: "Продажа билетов этого типа завершена",
+  TIER_BELOW_MIN: "Билеты этого типа продаются от указанного количества",
+  TIER_ABOVE_MAX: "Превышено количество билетов этого типа в одном заказе",
+  NOT_ENOUGH_TICKETS: "Недостаточно свободных билетов",
+  TIER_NAME_REQUIRED: "Укажите название типа билетов",
+  INVALID_TIER_PRICE: "Цена билета должна быть неотрицательным числом",
+  INVALID_TIER_QUOTA:
+    "Количество билетов должно быть целым неотрицательным числом",
+  INVALID_TIER_LIMITS: "Некорректные ограничения количества билетов в заказе",
+  INVALID_SALES_WINDOW: "Окончание продаж должно быть позже начала",
+  TIER_QUOTA_BELOW_SOLD: "Нельзя уменьшить количество билетов ниже проданного",
+};
+
+const roundRubles = (amount) => toKopecks(amount) / 100;
+
+/**
+ * [{ tierId, quantity }] from the request, with repeated tiers merged.
+ * Throws INVALID_BASKET.
+ */
+export const parseBasket = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("INVALID_BASKET");
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = Number(item?.quantity);
+    if (!item?.tierId || !Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error("INVALID_BASKET");
+    }
+    quantities.set(item.tierId, (quantities.get(item.tierId) || 0) + quantity);
+  }
+  return [...quantities].map(([tierId, quantity]) => ({ tierId, quantity }));
+};
+
+const checkTierOnSale = (tier, quantity, now) => {
+  if (!tier || !tier.isActive) throw new Error("TIER_NOT_FOUND");
+  if (tier.salesStart && now < tier.salesStart) {
+    throw new Error("TIER_SALES_NOT_STARTED");
+  }
+  if (tier.salesEnd && now > tier.salesEnd) throw new Error("TIER_SALES_ENDED");
+  if (quantity < tier.minPerOrder) throw new Error("TIER_BELOW_MIN");
+  if (tier.maxPerOrder && quantity > tier.maxPerOrder) {
+    throw new Error("TIER_ABOVE_MAX");
+  }
+};
+
+/**
+ * Takes the basket's tickets off sale inside the order's transaction. Each
+ * counter is decremented under a condition, so two buyers can't get the last
+ * seat. Throws one of TIER_ERROR_MESSAGES' codes.
+ *
+ * @returns {Promise<{items: {tierId: string, tierName: string, unitPrice: number,
+ *   quantity: number}[], ticketCount: number, totalPrice: number}>} `items`
+ *   is ready for `order.create({ data: { items: { create } } })`
+ */
+export const reserveTickets = async (tx, event, basket, now = new Date()) => {
+  const tiers = await tx.ticketTier.findMany({
+    where: { eventId: event.id, id: { in: basket.map((i) => i.tierId) } },
+  });
+  const tiersById = new Map(tiers.map((tier) => [tier.id, tier]));
+
+  const items = [];
+  for (const { tierId, quantity } of basket) {
+    const tier = tiersById.get(tierId);
+    checkTierOnSale(tier, quantity, now);
+
+    const { count } = await tx.ticketTier.updateMany({
+      where: { id: tierId, availableTickets: { gte: quantity } },
+      data: { availableTickets: { decrement: quantity } },
+    });
+    if (count === 0) throw new Error("NOT_ENOUGH_TICKETS");
+
+    items.push({
+      tierId,
+      tierName: tier.name,
+      unitPrice: tier.price,
+      quantity,
+    });
+  }
+
+  const ticketCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  const { count } = await tx.event.updateMany({
+    where: { id: event.id, availableTickets: { gte: ticketCount } },
+    data: { availableTickets: { decrement: ticketCount } },
+  });
+  if (count === 0) throw new Error("NOT_ENOUGH_TICKETS");
+
+  return {
+    items,
+    ticketCount,
+    totalPrice: roundRubles(
+      items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0),
+    ),
+  };
+};
+
+/**
+ * Puts an order's tickets back on sale: all of them, or `refunded`
+ * ({ count, items: [{ tierId, quantity }], seatIds? }) for a partial refund.
+ * Reserved seats are freed along with them.
+ */
+export const releaseTickets = async (tx, order, refunded = null) => {
+  const items =
+    refunded?.items ??
+    (await tx.orderItem.findMany({ where: { orderId: order.id } }));
+  const count = refunded?.count ?? order.ticketCount;
+
+  for (const { tierId, quantity } of items) {
+    await tx.ticketTier.update({
+      where: { id: tierId },
+      data: { availableTickets: { increment: quantity } },
+    });
+  }
+  await tx.event.update({
+    where: { id: order.eventId },
+    data: { availableTickets: { increment: count } },
+  });
+  await releaseOrderSeats(tx, order, refunded?.seatIds);
+};
+
+// An expired invoice was paid after all: takes its seats again, or throws
+// SOLD_OUT when someone else bought them meanwhile
+export const reclaimTickets = async (tx, order) => {
+  const items = await tx.orderItem.findMany({ where: { orderId: order.id } });
+
+  for (const { tierId, quantity } of items) {
+    const { count } = await tx.ticketTier.updateMany({
+      where: { id: tierId, availableTickets: { gte: quantity } },
+      data: { availableTickets: { decrement: quantity } },
+    });
+    if (count === 0) throw new Error("SOLD_OUT");
+  }
+
+  const { count } = await tx.event.updateMany({
+    where: { id: order.eventId, availableTickets: { gte: order.ticketCount } },
+    data: { availableTickets: { decrement: order.ticketCount } },
+  });
+  if (count === 0) throw new Error("SOLD_OUT");
+  await reclaimOrderSeats(tx, order);
+};
+
+// "VIP × 2, Стандарт × 1" for tickets, check-in and order lists
+export const describeOrderTiers = (items = []) =>
+  items.map((item) => `${item.tierName} × ${item.quantity}`).join(", ");
+
+// =====================================================================
+// TIER MANAGEMENT (event hosts)
+// =====================================================================
+
+const parseOptionalDate = (value) => {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error("INVALID_SALES_WINDOW");
+  return date;
+};
+
+/**
+ * Validates tier fields from the host; only the given ones on update.
+ * Throws one of TIER_ERROR_MESSAGES' codes.
+ */
+const normalizeTierInput = (input, existing = null) => {
+  const data = {};
+
+  if (input.name !== undefined || !existing) {
+    data.name = String(input.name ?? "").trim();
+    if (!data.name) throw new Error("TIER_NAME_REQUIRED");
+  }
+  if (input.description !== undefined) {
+    data.description = String(input.description ?? "").trim() || null;
+  }
+  if (input.price !== undefined || !existing) {
+    data.price = Number(input.price);
+    if (!Number.isFinite(data.price) || data.price < 0) {
+      throw new Error("INVALID_TIER_PRICE");
+    }
+    data.price = roundRubles(data.price);
+  }
+  if (input.totalTickets !== undefined || !existing) {
+    data.totalTickets = Number(input.totalTickets);
+    if (!Number.isInteger(data.totalTickets) || data.totalTickets < 0) {
+      throw new Error("INVALID_TIER_QUOTA");
+    }
+  }
+  if (input.salesStart !== undefined) {
+    data.salesStart = parseOptionalDate(input.salesStart);
+  }
+  if (input.salesEnd !== undefined) {
+    data.salesEnd = parseOptionalDate(input.salesEnd);
+  }
+  if (input.minPerOrder !== undefined) {
+    data.minPerOrder = Number(input.minPerOrder);
+  }
+  if (input.maxPerOrder !== undefined) {
+    data.maxPerOrder =
+      input.maxPerOrder === null || input.maxPerOrder === ""
+        ? null
+        : Number(input.maxPerOrder);
+  }
+  if (input.sortOrder !== undefined) {
+    data.sortOrder = parseInt(input.sortOrder) || 0;
+  }
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  const merged = { minPerOrder: 1, maxPerOrder: null, ...existing, ...data };
+  if (
+    !Number.isInteger(merged.minPerOrder) ||
+    merged.minPerOrder < 1 ||
+    (merged.maxPerOrder !== null &&
+      (!Number.isInteger(merged.maxPerOrder) ||
+        merged.maxPerOrder < merged.minPerOrder))
+  ) {
+    throw new Error("INVALID_TIER_LIMITS");
+  }
+  if (
+    merged.salesStart &&
+    merged.salesEnd &&
+    merged.salesEnd <= merged.salesStart
+  ) {
+    throw new Error("INVALID_SALES_WINDOW");
+  }
+
+  return data;
+};
+
+// Listings show the cheapest ticket of the event
+const syncEventPrice = async (tx, eventId) => {
+  const cheapest = await tx.ticketTier.aggregate({
+    where: { eventId, isActive: true },
+    _min: { price: true },
+  });
+  if (cheapest._min.price !== null) {
+    await tx.event.update({
+      where: { id: eventId },
+      data: { price: cheapest._min.price, discountPrice: 0 },
+    });
+  }
+};
+
+export const createTicketTier = (eventId, input) => {
+  const data = normalizeTierInput(input);
+
+  return prisma.$transaction(async (tx) => {
+    const tier = await tx.ticketTier.create({
+      data: { ...data, eventId, availableTickets: data.totalTickets },
+    });
+    await tx.event.update({
+      where: { id: eventId },
+      data: {
+        totalTickets: { increment: tier.totalTickets },
+        availableTickets: { increment: tier.totalTickets },
+      },
+    });
+    await syncEventPrice(tx, eventId);
+    return tier;
+  });
+};
+
+/**
+ * Updates a tier. A new quota moves the unsold tickets by the difference, and
+ * can't go below what is already sold.
+ */
+export const updateTicketTier = (tier, input) => {
+  const data = normalizeTierInput(input, tier);
+
+  return prisma.$transaction(async (tx) => {
+    const { totalTickets, ...fields } = data;
+    const difference =
+      totalTickets === undefined ? 0 : totalTickets - tier.totalTickets;
+
+    if (difference !== 0) {
+      const { count } = await tx.ticketTier.updateMany({
+        where: {
+          id: tier.id,
+          totalTickets: tier.totalTickets,
+          ...(difference < 0 && { availableTickets: { gte: -difference } }),
+        },
+        data: {
+          totalTickets,
+          availableTickets: { increment: difference },
+        },
+      });
+      if (count === 0) throw new Error("TIER_QUOTA_BELOW_SOLD");
+
+      await tx.event.update({
+        where: { id: tier.eventId },
+        data: {
+          totalTickets: { increment: difference },
+          availableTickets: { increment: difference },
+        },
+      });
+    }
+
+    const updated = await tx.ticketTier.update({
+      where: { id: tier.id },
+      data: fields,
+    });
+    await syncEventPrice(tx, tier.eventId);
+    return updated;
+  });
+};
+
+/**
+ * Deletes a tier nobody has bought; a sold one is switched off instead, so
+ * its orders keep their tier. Either way its unsold tickets leave the event.
+ *
+ * @returns {Promise<{deleted: boolean}>}
+ */
+export const removeTicketTier = (tier) =>
+  prisma.$transaction(async (tx) => {
+    const sold = await tx.orderItem.count({ where: { tierId: tier.id } });
+    const current = await tx.ticketTier.findUnique({ where: { id: tier.id } });
+
+    if (sold === 0) {
+      await tx.ticketTier.delete({ where: { id: tier.id } });
+    } else {
+      await tx.ticketTier.update({
+        where: { id: tier.id },
+        data: {
+          isActive: false,
+          totalTickets: { decrement: current.availableTickets },
+          availableTickets: 0,
+        },
+      });
+    }
+
+    await tx.event.update({
+      where: { id: tier.eventId },
+      data: {
+        totalTickets: {
+          decrement:
+            sold === 0 ? current.totalTickets : current.availableTickets,
+        },
+        availableTickets: { decrement: current.availableTickets },
+      },
+    });
+    await syncEventPrice(tx, tier.eventId);
+    return { deleted: sold === 0 };
+  });
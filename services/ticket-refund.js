@@ -0,0 +1,481 @@
+import crypto from "crypto";
+import prisma from "../libs/prisma.js";
+import { invalidateKeys } from "../libs/redis.js";
+import {
+  transferFunds,
+  PLATFORM_ACCOUNTS,
+  walletAccount,
+  externalAccount,
+} from "./ledger.js";
+import { getProviderForPayment } from "./payment-providers/index.js";
+import { partialReceipt } from "./payment-providers/receipt.js";
+import { WALLET_PROVIDER } from "./wallet-payments.js";
+import { releaseTickets } from "./ticket-inventory.js";
+import {
+  generateTicketPDF,
+  generateTicketRefundReceiptPDF,
+} from "../mailer/pdf-generator.js";
+import {
+  sendTicketEmail,
+  sendTicketRefundEmail,
+} from "../mailer/email-sender.js";
+
+// Paid orders whose tickets are still valid
+export const REFUNDABLE_ORDER_STATUSES = ["ACTIVE", "PAYMENT_SUCCESS"];
+
+/**
+ * Whether the customer may still refund on their own: the host opted in with
+ * `refundWindowHours` and the event is further away than that.
+ */
+export const isWithinRefundWindow = (event, now = new Date()) => {
+  if (event.refundWindowHours === null || event.refundWindowHours === undefined)
+    return false;
+
+  const deadline = new Date(event.date);
+  deadline.setHours(deadline.getHours() - event.refundWindowHours);
+  return now <= deadline;
+};
+
+// Gateway transaction the order was paid with (null: paid from the wallet)
+const findOrderPayment = async (order) => {
+  if (!order.paymentId) return null;
+
+  const payment = await prisma.payment.findFirst({
+    where: { providerTxId: order.paymentId, status: "COMPLETED" },
+  });
+  if (!payment) throw new Error("PAYMENT_NOT_FOUND");
+  return payment;
+};
+
+/**
+ * How much of the order's money still sits in the customer's wallet payment:
+ * refunds give that back first, the card gets the rest. An order without any
+ * card payment (paid from the wallet before split payments, or by invoice) is
+ * refunded to the wallet in full.
+ */
+const walletRefundable = async (order, payment) => {
+  const walletPayment = await prisma.payment.findFirst({
+    where: {
+      provider: WALLET_PROVIDER,
+      status: "COMPLETED",
+      metadata: { path: ["orderId"], equals: order.id },
+    },
+  });
+  if (!payment) return { walletPayment, remaining: Infinity };
+  if (!walletPayment) return { walletPayment, remaining: 0 };
+
+  const refunded = await prisma.orderRefund.aggregate({
+    where: { orderId: order.id, status: "COMPLETED" },
+    _sum: { walletAmount: true },
+  });
+  return {
+    walletPayment,
+    remaining: walletPayment.amount - (refunded._sum.walletAmount || 0),
+  };
+};
+
+const REFUND_METHODS = { card: "CARD", wallet: "WALLET", both: "MIXED" };
+
+/**
+ * Which tier items of an order a refund takes: `items` ([{ tierId, quantity }])
+ * when given, everything for a full refund, or the only tier of a
+ * single-tier order. Orders of events without tiers have none.
+ */
+const pickRefundedItems = (order, count, items) => {
+  if (order.items.length === 0) {
+    if (items) throw new Error("INVALID_TICKET_COUNT");
+    return [];
+  }
+
+  const toLine = (item, quantity) => ({
+    itemId: item.id,
+    tierId: item.tierId,
+    tierName: item.tierName,
+    unitPrice: item.unitPrice,
+    quantity,
+  });
+
+  if (items) {
+    return items.map(({ tierId, quantity }) => {
+      const item = order.items.find((i) => i.tierId === tierId);
+      if (
+        !item ||
+        !Number.isInteger(quantity) ||
+        quantity <= 0 ||
+        quantity > item.quantity
+      ) {
+        throw new Error("INVALID_TICKET_COUNT");
+      }
+      return toLine(item, quantity);
+    });
+  }
+
+  if (count === order.ticketCount) {
+    return order.items
+      .filter((item) => item.quantity > 0)
+      .map((item) => toLine(item, item.quantity));
+  }
+  const remaining = order.items.filter((item) => item.quantity > 0);
+  if (remaining.length !== 1) throw new Error("TIERS_REQUIRED");
+  return [toLine(remaining[0], count)];
+};
+
+/**
+ * Orders with reserved seats are refunded by seat: the `seatIds` given, or all
+ * of them. Null for orders without seats.
+ */
+const pickRefundedSeats = (order, { seatIds, ticketCount, items }) => {
+  const reserved = order.reservedSeats || [];
+  if (reserved.length === 0) {
+    if (seatIds) throw new Error("INVALID_TICKET_COUNT");
+    return null;
+  }
+
+  if (!seatIds) {
+    if (items || (ticketCount ?? order.ticketCount) !== order.ticketCount) {
+      throw new Error("SEATS_REQUIRED");
+    }
+    return reserved;
+  }
+
+  const ids = new Set(seatIds);
+  const seats = reserved.filter((seat) => ids.has(seat.id));
+  if (seats.length === 0 || seats.length !== ids.size) {
+    throw new Error("INVALID_TICKET_COUNT");
+  }
+  return seats;
+};
+
+// [{ tierId, quantity }] of the seats' price zones
+const seatItems = (seats) => {
+  const quantities = new Map();
+  for (const seat of seats) {
+    quantities.set(seat.tierId, (quantities.get(seat.tierId) || 0) + 1);
+  }
+  return [...quantities].map(([tierId, quantity]) => ({ tierId, quantity }));
+};
+
+/**
+ * The Ticket rows a refund cancels (null for orders from before tickets had
+ * their own codes): the seats' tickets, unused tickets of each refunded tier,
+ * or any unused ones. The buyer's own tickets go before ones transferred to
+ * someone else. Throws TICKETS_ALREADY_USED when a guest already came in on
+ * one of them.
+ */
+const pickRefundedTickets = (order, { count, lines, seats }) => {
+  const active = order.tickets.filter((ticket) => ticket.status === "ACTIVE");
+  if (active.length === 0) return null;
+
+  const unused = active
+    .filter((ticket) => !ticket.isUsed)
+    .sort(
+      (a, b) =>
+        Number(Boolean(a.transferredFromId)) -
+        Number(Boolean(b.transferredFromId)),
+    );
+  const take = (candidates, quantity) => {
+    if (candidates.length < quantity) throw new Error("TICKETS_ALREADY_USED");
+    return candidates.slice(0, quantity);
+  };
+
+  if (seats) {
+    const seatIds = new Set(seats.map((seat) => seat.id));
+    const tickets = active.filter((ticket) => seatIds.has(ticket.seatId));
+    if (tickets.some((ticket) => ticket.isUsed)) {
+      throw new Error("TICKETS_ALREADY_USED");
+    }
+    return tickets;
+  }
+  if (lines.length > 0) {
+    return lines.flatMap((line) =>
+      take(
+        unused.filter((ticket) => ticket.tierId === line.tierId),
+        line.quantity,
+      ),
+    );
+  }
+  return take(unused, count);
+};
+
+/**
+ * Refunds `ticketCount` tickets of a paid order (all of them by default), the
+ * `items` ([{ tierId, quantity }]) of an order with ticket tiers, or the
+ * `seatIds` of an order with reserved seats. A partial refund of an order
+ * with several tiers has to name them, and one with seats the seats.
+ *
+ * The tickets are withdrawn first, under a conditional update, so two refunds
+ * can't take the same tickets. The refunded tickets' codes (or the old
+ * ticketCode of an order without tickets) stop working right away; what is
+ * left of a partial refund gets a fresh ticketCode. Money goes back the way
+ * it came: the wallet part of a mixed payment first, the rest through the
+ * provider the order was paid with; if it refuses, the order is restored and
+ * the refund is recorded as FAILED. Seats only return to sale once the
+ * money is on its way back.
+ *
+ * @returns {Promise<object>} The COMPLETED OrderRefund
+ */
+export const refundOrder = async ({
+  orderId,
+  ticketCount,
+  items,
+  seatIds,
+  reason,
+  initiatedById,
+  initiatedBy,
+}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { event: true, user: true, items: true, tickets: true },
+  });
+
+  if (!order) throw new Error("ORDER_NOT_FOUND");
+  if (!REFUNDABLE_ORDER_STATUSES.includes(order.status))
+    throw new Error("ORDER_NOT_REFUNDABLE");
+  if (order.isUsed) throw new Error("TICKETS_ALREADY_USED");
+
+  const seats = pickRefundedSeats(order, { seatIds, ticketCount, items });
+  const refundedItems = seats ? seatItems(seats) : items;
+  const lines = pickRefundedItems(
+    order,
+    ticketCount ?? order.ticketCount,
+    refundedItems,
+  );
+  const count = refundedItems
+    ? lines.reduce((sum, line) => sum + line.quantity, 0)
+    : (ticketCount ?? order.ticketCount);
+  if (!Number.isInteger(count) || count <= 0 || count > order.ticketCount)
+    throw new Error("INVALID_TICKET_COUNT");
+  const tickets = pickRefundedTickets(order, { count, lines, seats });
+  const ticketIds = tickets?.map((ticket) => ticket.id);
+
+  const isFull = count === order.ticketCount;
+  const amount = isFull
+    ? order.totalPrice
+    : lines.length > 0
+      ? Math.round(
+          lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0) *
+            100,
+        ) / 100
+      : Math.round((order.totalPrice / order.ticketCount) * count * 100) / 100;
+
+  const payment = await findOrderPayment(order);
+  const { walletPayment, remaining } = await walletRefundable(order, payment);
+  const walletPart = Math.min(amount, Math.max(remaining, 0));
+  const cardPart = Math.round((amount - walletPart) * 100) / 100;
+  const method =
+    REFUND_METHODS[
+      walletPart === 0 ? "card" : cardPart === 0 ? "wallet" : "both"
+    ];
+
+  // 1. Withdraw the tickets
+  const refund = await prisma.$transaction(async (tx) => {
+    const { count: updated } = await tx.order.updateMany({
+      where: {
+        id: order.id,
+        status: order.status,
+        ticketCount: order.ticketCount,
+        isUsed: false,
+      },
+      data: isFull
+        ? { status: "REFUNDED", ticketCode: crypto.randomUUID() }
+        : {
+            ticketCount: { decrement: count },
+            totalPrice: { decrement: amount },
+            ticketCode: crypto.randomUUID(),
+            ...(seats && {
+              reservedSeats: order.reservedSeats.filter(
+                (seat) => !seats.includes(seat),
+              ),
+            }),
+          },
+    });
+    if (updated === 0) throw new Error("ORDER_CHANGED");
+
+    // Their QR codes stop working; a scan in between wins
+    if (tickets) {
+      const { count: cancelled } = await tx.ticket.updateMany({
+        where: { id: { in: ticketIds }, status: "ACTIVE", isUsed: false },
+        data: { status: "REFUNDED" },
+      });
+      if (cancelled !== tickets.length) throw new Error("ORDER_CHANGED");
+    }
+
+    // What is left of each tier (a full refund keeps the order as it was sold)
+    if (!isFull) {
+      for (const line of lines) {
+        await tx.orderItem.update({
+          where: { id: line.itemId },
+          data: { quantity: { decrement: line.quantity } },
+        });
+      }
+    }
+
+    return tx.orderRefund.create({
+      data: {
+        orderId: order.id,
+        ticketCount: count,
+        amount,
+        items: lines.length > 0 ? lines : undefined,
+        seats: seats ?? undefined,
+        walletAmount: walletPart,
+        method,
+        reason: reason || null,
+        initiatedById,
+        initiatedBy,
+      },
+    });
+  });
+
+  // 2. Send the money back
+  try {
+    if (cardPart > 0) {
+      await getProviderForPayment(payment).refund(
+        payment.providerTxId,
+        isFull ? undefined : cardPart,
+        !isFull && payment.receipt
+          ? partialReceipt(payment.receipt, cardPart)
+          : undefined,
+      );
+    }
+  } catch (providerError) {
+    console.error(
+      `❌ Refund ${refund.id} rejected by provider:`,
+      providerError,
+    );
+
+    await prisma.$transaction([
+      prisma.order.update({
+        where: { id: order.id },
+        data: {
+          status: order.status,
+          ticketCount: order.ticketCount,
+          totalPrice: order.totalPrice,
+          ticketCode: order.ticketCode,
+          reservedSeats: order.reservedSeats ?? undefined,
+        },
+      }),
+      ...(isFull ? [] : lines).map((line) =>
+        prisma.orderItem.update({
+          where: { id: line.itemId },
+          data: { quantity: { increment: line.quantity } },
+        }),
+      ),
+      ...(tickets
+        ? [
+            prisma.ticket.updateMany({
+              where: { id: { in: ticketIds } },
+              data: { status: "ACTIVE" },
+            }),
+          ]
+        : []),
+      prisma.orderRefund.update({
+        where: { id: refund.id },
+        data: { status: "FAILED", error: providerError.message },
+      }),
+    ]);
+    throw new Error("REFUND_PROVIDER_FAILED");
+  }
+
+  // 3. Book it and put the seats back on sale
+  const [completedRefund, updatedOrder] = await prisma.$transaction(
+    async (tx) => {
+      const completed = await tx.orderRefund.update({
+        where: { id: refund.id },
+        data: { status: "COMPLETED", completedAt: new Date() },
+      });
+
+      await releaseTickets(tx, order, {
+        count,
+        items: lines,
+        seatIds: seats?.map((seat) => seat.id),
+      });
+
+      if (isFull) {
+        const refundedIds = [payment?.id, walletPayment?.id].filter(Boolean);
+        await tx.payment.updateMany({
+          where: { id: { in: refundedIds } },
+          data: { status: "REFUNDED" },
+        });
+      }
+
+      const description = `Возврат билетов (${count} шт.): ${order.event.title}`;
+
+      if (cardPart > 0) {
+        await transferFunds(tx, {
+          from: PLATFORM_ACCOUNTS.ticketSales,
+          to: externalAccount(getProviderForPayment(payment).name),
+          amount: cardPart,
+          kind: "TICKET_REFUND",
+          description,
+          reference: refund.id,
+        });
+      }
+
+      if (walletPart > 0) {
+        await transferFunds(tx, {
+          from: PLATFORM_ACCOUNTS.ticketSales,
+          to: walletAccount(order.userId),
+          amount: walletPart,
+          kind: "TICKET_REFUND",
+          description,
+          reference: refund.id,
+        });
+        await tx.walletTransaction.create({
+          data: {
+            userId: order.userId,
+            amount: walletPart,
+            type: "REFUND",
+            description,
+          },
+        });
+      }
+
+      const current = await tx.order.findUnique({
+        where: { id: order.id },
+        include: { items: true },
+      });
+      return [completed, current];
+    },
+  );
+
+  await invalidateKeys(["events:all", `events:${order.eventId}`, "orders:my"]);
+
+  deliverRefundReceipt(completedRefund, updatedOrder, order.event, order.user, {
+    reissue: !tickets,
+  });
+
+  return completedRefund;
+};
+
+// Receipt for the refund, plus a re-issued ticket for what's left of an order
+// whose ticketCode changed (tickets with their own codes keep them)
+async function deliverRefundReceipt(refund, order, event, user, { reissue }) {
+  try {
+    const receipt = await generateTicketRefundReceiptPDF(
+      refund,
+      order,
+      event,
+      user,
+    );
+    const remainingTickets =
+      order.status === "REFUNDED" ? 0 : order.ticketCount;
+    await sendTicketRefundEmail(
+      user.email,
+      user.name,
+      event.title,
+      {
+        ticketCount: refund.ticketCount,
+        amount: refund.amount,
+        remainingTickets,
+      },
+      receipt,
+    );
+
+    if (reissue && remainingTickets > 0) {
+      const ticket = await generateTicketPDF(order, event, user);
+      await sendTicketEmail(user.email, user.name, event.title, ticket);
+    }
+  } catch (error) {
+    console.error("Refund Receipt Delivery Error:", error);
+  }
+}
@@ -0,0 +1,215 @@
+import prisma from "../libs/prisma.js";
+import { invalidateKeys } from "../libs/redis.js";
+import { getProviderForPayment } from "./payment-providers/index.js";
+import { applyProviderPaymentState } from "../controllers/webhooks.js";
+import { returnWalletPart, WALLET_PROVIDER } from "./wallet-payments.js";
+import { releaseTickets } from "./ticket-inventory.js";
+
+const MINUTE = 60 * 1000;
+
+// How long a card checkout keeps its tickets; the bank's payment page closes
+// at the same moment
+export const TICKET_HOLD_MINUTES =
+  Number(process.env.TICKET_HOLD_MINUTES) || 15;
+// A payment started just before the deadline may still be in 3-D Secure
+const SWEEP_GRACE_MINUTES = 2;
+const BATCH_SIZE = 100;
+
+// Orders whose tickets are held for a card checkout, and orders that bought them
+export const CHECKOUT_ORDER_STATUSES = ["INITIATED", "PAYMENT_PENDING"];
+export const SOLD_ORDER_STATUSES = ["ACTIVE", "PAYMENT_SUCCESS"];
+// Unpaid invoices hold their tickets too, until they expire
+const HELD_ORDER_STATUSES = [
+  ...CHECKOUT_ORDER_STATUSES,
+  "AWAITING_BANK_TRANSFER",
+];
+
+// The bank has (or is about to capture) the money
+const PAID_STATUSES = ["AUTHORIZED", "CONFIRMED"];
+// Nothing left to cancel at the bank
+const CLOSED_STATUSES = [
+  "REJECTED",
+  "AUTH_FAIL",
+  "CANCELED",
+  "DEADLINE_EXPIRED",
+  "REVERSED",
+  "REFUNDED",
+  "PARTIAL_REFUNDED",
+];
+
+export const reservationDeadline = (now = new Date()) =>
+  new Date(now.getTime() + TICKET_HOLD_MINUTES * MINUTE);
+
+// The card half of the order's checkout (none if the process died before it)
+const findCardPayment = (order) =>
+  prisma.payment.findFirst({
+    where: {
+      provider: { not: WALLET_PROVIDER },
+      metadata: { path: ["orderId"], equals: order.id },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+const expireOrder = (order, cardPayment) =>
+  prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: { status: "EXPIRED" },
+    });
+    if (count === 0) return false;
+
+    await releaseTickets(tx, order);
+    if (cardPayment) {
+      await tx.payment.updateMany({
+        where: { id: cardPayment.id, status: "PENDING" },
+        data: { status: "FAILED" },
+      });
+      await returnWalletPart(
+        tx,
+        cardPayment,
+        `Возврат: бронь билетов на «${order.event.title}» истекла`,
+      );
+    }
+    return true;
+  });
+
+const sweepOrder = async (order) => {
+  const cardPayment = await findCardPayment(order);
+
+  if (cardPayment?.providerTxId) {
+    const provider = getProviderForPayment(cardPayment);
+    const state = await provider.getState(cardPayment.providerTxId);
+
+    // Paid in time, but the webhook got lost: book it instead
+    if (PAID_STATUSES.includes(state.status)) {
+      await applyProviderPaymentState(cardPayment, state);
+      return "PAID";
+    }
+
+    if (!(await expireOrder(order, cardPayment))) return "UNCHANGED";
+
+    // The page should have closed by itself; make sure nobody pays after all
+    // (a payment that slips through anyway is handled by the webhook)
+    if (!CLOSED_STATUSES.includes(state.status)) {
+      await provider
+        .cancel(cardPayment.providerTxId)
+        .catch((error) =>
+          console.error(
+            `Cancelling expired checkout ${cardPayment.providerTxId} failed:`,
+            error,
+          ),
+        );
+    }
+    return "EXPIRED";
+  }
+
+  return (await expireOrder(order, cardPayment)) ? "EXPIRED" : "UNCHANGED";
+};
+
+/**
+ * Card checkouts nobody finished in TICKET_HOLD_MINUTES: the order becomes
+ * EXPIRED, its tickets (and seats) go back on sale and the wallet part of a
+ * mixed payment returns to the wallet. The bank is asked first, so a payment
+ * whose webhook was lost is booked rather than expired.
+ */
+export const expireTicketReservations = async () => {
+  const orders = await prisma.order.findMany({
+    where: {
+      status: { in: CHECKOUT_ORDER_STATUSES },
+      reservedUntil: {
+        lt: new Date(Date.now() - SWEEP_GRACE_MINUTES * MINUTE),
+      },
+    },
+    include: { event: true, items: true },
+    orderBy: { reservedUntil: "asc" },
+    take: BATCH_SIZE,
+  });
+
+  const stats = { EXPIRED: 0, PAID: 0, UNCHANGED: 0, ERROR: 0 };
+  const eventIds = new Set();
+
+  for (const order of orders) {
+    try {
+      const result = await sweepOrder(order);
+      stats[result]++;
+      if (result === "EXPIRED") eventIds.add(order.eventId);
+    } catch (error) {
+      stats.ERROR++;
+      console.error(`❌ Expiring ticket order ${order.id} failed:`, error);
+    }
+  }
+
+  if (eventIds.size > 0) {
+    await invalidateKeys([
+      "events:all",
+      "orders:my",
+      ...[...eventIds].map((id) => `events:${id}`),
+    ]);
+  }
+  return stats;
+};
+
+// =====================================================================
+// REPORTING
+// =====================================================================
+
+/**
+ * Tickets sold and tickets held by unfinished checkouts and unpaid invoices,
+ * per event. Checkouts from before reservations had a deadline count as held
+ * until the payment reconciliation closes them.
+ *
+ * @returns {Promise<Map<string, {soldTickets: number, heldTickets: number}>>}
+ */
+export const getTicketSales = async (eventIds) => {
+  const groups = await prisma.order.groupBy({
+    by: ["eventId", "status"],
+    where: {
+      ...(eventIds && { eventId: { in: eventIds } }),
+      status: { in: [...SOLD_ORDER_STATUSES, ...HELD_ORDER_STATUSES] },
+    },
+    _sum: { ticketCount: true },
+  });
+
+  const sales = new Map();
+  for (const group of groups) {
+    const entry = sales.get(group.eventId) || {
+      soldTickets: 0,
+      heldTickets: 0,
+    };
+    const tickets = group._sum.ticketCount || 0;
+    if (SOLD_ORDER_STATUSES.includes(group.status))
+      entry.soldTickets += tickets;
+    else entry.heldTickets += tickets;
+    sales.set(group.eventId, entry);
+  }
+  return sales;
+};
+
+// The same per ticket tier of an event (tierId -> figures)
+export const getTierSales = async (eventId) => {
+  const items = await prisma.orderItem.findMany({
+    where: {
+      tier: { eventId },
+      order: {
+        status: { in: [...SOLD_ORDER_STATUSES, ...HELD_ORDER_STATUSES] },
+      },
+    },
+    select: {
+      tierId: true,
+      quantity: true,
+      order: { select: { status: true } },
+    },
+  });
+
+  const sales = new Map();
+  for (const item of items) {
+    const entry = sales.get(item.tierId) || { soldTickets: 0, heldTickets: 0 };
+    if (SOLD_ORDER_STATUSES.includes(item.order.status)) {
+      entry.soldTickets += item.quantity;
+    } else {
+      entry.heldTickets += item.quantity;
+    }
+    sales.set(item.tierId, entry);
+  }
+  return sales;
+};
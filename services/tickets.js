@@ -0,0 +1,241 @@
+import prisma from "../libs/prisma.js";
+import { invalidateKeys } from "../libs/redis.js";
+import { notifyUser } from "./notification.js";
+import { describeOrderSeats } from "./seating.js";
+import { isHeldByBuyer } from "./ticket-holders.js";
+import { SOLD_ORDER_STATUSES } from "./ticket-reservations.js";
+import { generateTicketPDF } from "../mailer/pdf-generator.js";
+import { sendTicketEmail } from "../mailer/email-sender.js";
+
+// Every admission of an order is a Ticket with its own code. Orders placed
+// before that have none and are still checked in by Order.ticketCode.
+
+export const TICKET_ERROR_MESSAGES = {
+  TICKET_NOT_FOUND: "Билет не найден",
+  TICKET_NOT_ACTIVE: "Билет уже передан другому гостю или возвращен",
+  TICKET_ALREADY_USED: "По этому билету уже прошли на мероприятие",
+  ORDER_NOT_PAID: "Заказ не оплачен",
+  EVENT_ALREADY_PASSED: "Мероприятие уже прошло",
+  ATTENDEE_NAME_REQUIRED: "Укажите имя гостя",
+  INVALID_ATTENDEE_EMAIL: "Укажите корректный email гостя",
+  INVALID_ATTENDEES: "Список гостей не совпадает с количеством билетов",
+  TRANSFER_TO_SELF: "Билет уже у этого гостя",
+};
+
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The tickets the buyer holds: the ones transferred away went to their new
+// holders in a separate email
+export const BUYER_TICKETS = {
+  where: { status: "ACTIVE", transferredFromId: null },
+  orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+};
+
+/**
+ * A guest as the buyer typed them. Throws ATTENDEE_NAME_REQUIRED or
+ * INVALID_ATTENDEE_EMAIL.
+ */
+const normalizeAttendee = ({ name, email }, { emailRequired = false } = {}) => {
+  const attendeeName = String(name ?? "")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  if (!attendeeName) throw new Error("ATTENDEE_NAME_REQUIRED");
+
+  const attendeeEmail = String(email ?? "")
+    .trim()
+    .toLowerCase();
+  if ((attendeeEmail || emailRequired) && !EMAIL_PATTERN.test(attendeeEmail)) {
+    throw new Error("INVALID_ATTENDEE_EMAIL");
+  }
+  return { attendeeName, attendeeEmail: attendeeEmail || null };
+};
+
+/**
+ * The tickets of a new order, ready for `order.create({ data: { tickets:
+ * { create } } })`: one per seat, per ticket of each tier, or `ticketCount`
+ * plain ones. `attendees` ([{ name, email? }], optional) name the guests in
+ * the same order; the rest are issued to the buyer. Throws INVALID_ATTENDEES
+ * or one of the attendee codes.
+ */
+export const issueOrderTickets = ({
+  items,
+  ticketCount,
+  seats,
+  attendees,
+  buyerName,
+}) => {
+  const tierNames = new Map(items.map((item) => [item.tierId, item.tierName]));
+  const admissions = seats
+    ? seats.map((seat) => ({
+        tierId: seat.tierId,
+        tierName: tierNames.get(seat.tierId) ?? null,
+        seatId: seat.id,
+        seatLabel: describeOrderSeats([seat]),
+      }))
+    : items.length > 0
+      ? items.flatMap((item) =>
+          Array.from({ length: item.quantity }, () => ({
+            tierId: item.tierId,
+            tierName: item.tierName,
+          })),
+        )
+      : Array.from({ length: ticketCount }, () => ({}));
+
+  if (
+    attendees !== undefined &&
+    (!Array.isArray(attendees) || attendees.length > admissions.length)
+  ) {
+    throw new Error("INVALID_ATTENDEES");
+  }
+
+  return admissions.map((admission, index) => {
+    const attendee = attendees?.[index];
+    return {
+      ...admission,
+      ...(attendee?.name
+        ? normalizeAttendee(attendee)
+        : { attendeeName: buyerName || "Гость", attendeeEmail: null }),
+    };
+  });
+};
+
+// For the buyer's order lists and the host's guest list
+export const describeTicket = (ticket) => ({
+  id: ticket.id,
+  code: ticket.code,
+  attendeeName: ticket.attendeeName,
+  attendeeEmail: ticket.attendeeEmail,
+  tierName: ticket.tierName,
+  seat: ticket.seatLabel,
+  status: ticket.status,
+  isUsed: ticket.isUsed,
+  enteredAt: ticket.enteredAt,
+});
+
+/**
+ * A ticket of the user's paid order that can still be changed: not used,
+ * not given away (or received from them) or refunded, and the event hasn't
+ * passed. Throws one of TICKET_ERROR_MESSAGES' codes.
+ */
+const findChangeableTicket = async (orderId, ticketId, userId) => {
+  const ticket = await prisma.ticket.findUnique({
+    where: { id: ticketId },
+    include: { order: { include: { event: true, items: true } } },
+  });
+
+  if (!ticket || ticket.orderId !== orderId || ticket.order.userId !== userId) {
+    throw new Error("TICKET_NOT_FOUND");
+  }
+  if (!SOLD_ORDER_STATUSES.includes(ticket.order.status)) {
+    throw new Error("ORDER_NOT_PAID");
+  }
+  if (!isHeldByBuyer(ticket)) throw new Error("TICKET_NOT_ACTIVE");
+  if (ticket.isUsed) throw new Error("TICKET_ALREADY_USED");
+  if (new Date(ticket.order.event.date) < new Date()) {
+    throw new Error("EVENT_ALREADY_PASSED");
+  }
+  return ticket;
+};
+
+// Conditional, so a scan or a refund in between wins over the change
+const claimTicket = async (tx, ticket, data) => {
+  const { count } = await tx.ticket.updateMany({
+    where: { id: ticket.id, status: "ACTIVE", isUsed: false },
+    data,
+  });
+  if (count === 0) throw new Error("TICKET_NOT_ACTIVE");
+};
+
+/**
+ * Puts another guest's name on a ticket; the code stays the same.
+ */
+export const renameTicket = async ({ orderId, ticketId, userId, name }) => {
+  const ticket = await findChangeableTicket(orderId, ticketId, userId);
+  const { attendeeName } = normalizeAttendee({ name });
+
+  await prisma.$transaction((tx) => claimTicket(tx, ticket, { attendeeName }));
+  await invalidateKeys([
+    "orders:my",
+    `events:${ticket.order.eventId}:attendees`,
+  ]);
+
+  return prisma.ticket.findUnique({ where: { id: ticket.id } });
+};
+
+/**
+ * Gives a ticket to someone else: it becomes TRANSFERRED, so its QR code
+ * stops working, and the new holder gets a ticket with a fresh code by email.
+ * Seat, tier and price stay with the order.
+ *
+ * @returns {Promise<object>} The new Ticket
+ */
+export const transferTicket = async ({
+  orderId,
+  ticketId,
+  userId,
+  name,
+  email,
+}) => {
+  const ticket = await findChangeableTicket(orderId, ticketId, userId);
+  const recipient = normalizeAttendee({ name, email }, { emailRequired: true });
+  if (recipient.attendeeEmail === ticket.attendeeEmail) {
+    throw new Error("TRANSFER_TO_SELF");
+  }
+
+  const newTicket = await prisma.$transaction(async (tx) => {
+    await claimTicket(tx, ticket, { status: "TRANSFERRED" });
+    return tx.ticket.create({
+      data: {
+        orderId: ticket.orderId,
+        tierId: ticket.tierId,
+        tierName: ticket.tierName,
+        seatId: ticket.seatId,
+        seatLabel: ticket.seatLabel,
+        ...recipient,
+        transferredFromId: ticket.id,
+      },
+    });
+  });
+
+  await invalidateKeys([
+    "orders:my",
+    `events:${ticket.order.eventId}:attendees`,
+  ]);
+  deliverTransferredTicket(ticket.order, newTicket);
+
+  return newTicket;
+};
+
+async function deliverTransferredTicket(order, ticket) {
+  try {
+    const pdfBuffer = await generateTicketPDF(
+      { ...order, tickets: [ticket] },
+      order.event,
+      { name: ticket.attendeeName },
+    );
+    await sendTicketEmail(
+      ticket.attendeeEmail,
+      ticket.attendeeName,
+      order.event.title,
+      pdfBuffer,
+    );
+
+    // The recipient may have an account: let them know in the app as well
+    const recipientUser = await prisma.user.findUnique({
+      where: { email: ticket.attendeeEmail },
+      select: { id: true },
+    });
+    if (recipientUser) {
+      await notifyUser({
+        userId: recipientUser.id,
+        title: "🎟 Вам передали билет",
+        body: `Билет на «${order.event.title}» отправлен на ${ticket.attendeeEmail}.`,
+        type: "SYSTEM",
+        data: { eventId: order.eventId },
+      });
+    }
+  } catch (error) {
+    console.error("Transferred Ticket Delivery Error:", error);
+  }
+}
@@ -0,0 +1,236 @@
+import prisma from "../libs/prisma.js";
+import { transferFunds, PLATFORM_ACCOUNTS, walletAccount } from "./ledger.js";
+import { getProviderForPayment } from "./payment-providers/index.js";
+
+// Payment.provider of everything paid from the internal wallet
+export const WALLET_PROVIDER = "wallet";
+
+export const isWalletFunded = (payment) => payment.provider === WALLET_PROVIDER;
+
+export const FUNDING_ERROR_MESSAGES = {
+  INVALID_PAYMENT_METHOD: "Неизвестный способ оплаты.",
+  INVALID_WALLET_AMOUNT: "Сумма из кошелька должна быть целым числом рублей.",
+  INSUFFICIENT_FUNDS: "Недостаточно средств на внутреннем кошельке.",
+};
+
+/**
+ * How much of `total` comes from the wallet and how much from the card.
+ *
+ * - paymentMethod "card" (default): everything by card
+ * - "wallet": everything from the wallet
+ * - "mixed": `walletAmount` rubles from the wallet (the whole balance when
+ *   omitted), the rest by card
+ *
+ * The balance is only checked here for a friendly error; the ledger is what
+ * actually refuses to overdraw.
+ *
+ * @returns {{wallet: number, card: number}} Whole rubles, except a wallet part
+ *   that covers the whole total
+ */
+export const splitFunding = (
+  total,
+  { paymentMethod = "card", walletAmount } = {},
+  walletBalance,
+) => {
+  if (paymentMethod === "card") return { wallet: 0, card: total };
+
+  if (paymentMethod === "wallet") {
+    if (walletBalance < total) throw new Error("INSUFFICIENT_FUNDS");
+    return { wallet: total, card: 0 };
+  }
+
+  if (paymentMethod !== "mixed") throw new Error("INVALID_PAYMENT_METHOD");
+
+  const requested =
+    walletAmount === undefined || walletAmount === null
+      ? Math.floor(walletBalance)
+      : Number(walletAmount);
+  if (!Number.isInteger(requested) || requested < 0) {
+    throw new Error("INVALID_WALLET_AMOUNT");
+  }
+  if (requested > walletBalance) throw new Error("INSUFFICIENT_FUNDS");
+
+  const wallet = Math.min(requested, total);
+  return { wallet, card: total - wallet };
+};
+
+// Where the wallet money of each kind of checkout is booked, by
+// Payment.metadata.type (for a mixed checkout, already while the card part
+// is still at the bank)
+const CHECKOUTS = {
+  EVENT_TICKET: { account: PLATFORM_ACCOUNTS.ticketSales, kind: "TICKET_SALE" },
+  BOOKING_ESCROW: { account: PLATFORM_ACCOUNTS.escrow, kind: "ESCROW_HOLD" },
+};
+
+const checkoutOf = (payment) => {
+  const checkout = CHECKOUTS[payment.metadata?.type];
+  if (!checkout) {
+    throw new Error(`Wallet can't pay for ${payment.metadata?.type}`);
+  }
+  return checkout;
+};
+
+/**
+ * Takes the wallet part of a checkout: a wallet Payment with `data` (status,
+ * escrow fields, metadata with the purpose), the money moved to where the
+ * purpose keeps it, and a line in the wallet history. `paymentId` turns an
+ * existing record (a booking balance created upfront) into the wallet payment
+ * instead of creating one, as long as nothing holds money on it yet. `receipt`
+ * (buildWalletReceipt) is stored for sendWalletReceipt. Runs in
+ * the checkout's transaction; throws INSUFFICIENT_FUNDS if the balance ran
+ * out meanwhile, PAYMENT_ALREADY_CLAIMED if another checkout paid the record.
+ */
+export const chargeWallet = async (
+  tx,
+  { userId, amount, description, data, paymentId = null, receipt = null },
+) => {
+  const fields = {
+    ...data,
+    amount,
+    provider: WALLET_PROVIDER,
+    ...(receipt && { receipt }),
+  };
+  let payment;
+  if (paymentId) {
+    const { count } = await tx.payment.updateMany({
+      where: {
+        id: paymentId,
+        escrowStatus: { in: ["NONE", "AWAITING_PAYMENT"] },
+      },
+      data: fields,
+    });
+    if (count === 0) throw new Error("PAYMENT_ALREADY_CLAIMED");
+    payment = await tx.payment.findUnique({ where: { id: paymentId } });
+  } else {
+    payment = await tx.payment.create({ data: { ...fields, userId } });
+  }
+
+  const { account, kind } = checkoutOf(payment);
+  await transferFunds(tx, {
+    from: walletAccount(userId),
+    to: account,
+    amount,
+    kind,
+    description,
+    reference: payment.id,
+  });
+  await tx.walletTransaction.create({
+    data: { userId, amount: -amount, type: "PAYMENT", description },
+  });
+
+  return payment;
+};
+
+// The wallet half of a mixed checkout, by its card half
+const findWalletPart = (tx, cardPayment) =>
+  cardPayment.metadata?.walletPaymentId
+    ? tx.payment.findUnique({
+        where: { id: cardPayment.metadata.walletPaymentId },
+      })
+    : null;
+
+/**
+ * The card half of a mixed checkout went through: the wallet half counts as
+ * paid (COMPLETED), or, for a booking, as held in escrow with the card hold.
+ */
+export const confirmWalletPart = async (tx, cardPayment, escrow = null) => {
+  const walletPayment = await findWalletPart(tx, cardPayment);
+  if (!walletPayment) return;
+
+  await tx.payment.updateMany({
+    where: escrow
+      ? { id: walletPayment.id, escrowStatus: "AWAITING_PAYMENT" }
+      : { id: walletPayment.id, status: "PENDING" },
+    data: escrow
+      ? { escrowStatus: "HELD", releaseEligible: escrow.releaseEligible }
+      : { status: "COMPLETED" },
+  });
+};
+
+/**
+ * The card half of a mixed checkout failed, was abandoned or was dropped by
+ * the bank: the wallet half goes back to the wallet. Claimed with a
+ * conditional update, so redeliveries and the reconciliation job return it
+ * once. Returns whether anything was returned.
+ */
+export const returnWalletPart = async (tx, cardPayment, description) => {
+  const walletPayment = await findWalletPart(tx, cardPayment);
+  if (!walletPayment) return false;
+
+  const wasHeld = walletPayment.escrowStatus === "HELD";
+  const { count } = await tx.payment.updateMany({
+    where: {
+      id: walletPayment.id,
+      status: "PENDING",
+      escrowStatus: walletPayment.escrowStatus,
+    },
+    data: wasHeld
+      ? { status: "REFUNDED", escrowStatus: "REFUNDED" }
+      : {
+          status: "FAILED",
+          ...(walletPayment.escrowStatus === "AWAITING_PAYMENT" && {
+            escrowStatus: "NONE",
+          }),
+        },
+  });
+  if (count === 0) return false;
+
+  await transferFunds(tx, {
+    from: checkoutOf(walletPayment).account,
+    to: walletAccount(walletPayment.userId),
+    amount: walletPayment.amount,
+    kind: "WALLET_RETURN",
+    description,
+    reference: walletPayment.id,
+  });
+  await tx.walletTransaction.create({
+    data: {
+      userId: walletPayment.userId,
+      amount: walletPayment.amount,
+      type: "REFUND",
+      description,
+    },
+  });
+  return true;
+};
+
+/**
+ * Fiscalizes the wallet part of a sale once it counts as paid: its receipt
+ * goes out as a closing receipt of the customer's latest card top-up, the
+ * advance it was spent from. Best-effort, after the checkout has committed.
+ */
+export const sendWalletReceipt = async (walletPaymentId) => {
+  if (!walletPaymentId) return;
+  const walletPayment = await prisma.payment.findUnique({
+    where: { id: walletPaymentId },
+  });
+  if (!walletPayment?.receipt || walletPayment.metadata?.receiptSentAt) return;
+
+  const topUp = await prisma.payment.findFirst({
+    where: {
+      userId: walletPayment.userId,
+      status: "COMPLETED",
+      providerTxId: { not: null },
+      metadata: { path: ["type"], equals: "WALLET_TOPUP" },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!topUp) {
+    console.warn(`⚠️ No top-up to send the receipt of ${walletPaymentId} by`);
+    return;
+  }
+
+  await getProviderForPayment(topUp).sendClosingReceipt(
+    topUp.providerTxId,
+    walletPayment.receipt,
+  );
+  await prisma.payment.update({
+    where: { id: walletPayment.id },
+    data: {
+      metadata: {
+        ...walletPayment.metadata,
+        receiptSentAt: new Date().toISOString(),
+      },
+    },
+  });
+};
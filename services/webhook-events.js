@@ -0,0 +1,119 @@
+import prisma from "../libs/prisma.js";
+
+// An admin can push these through processing again (see routes/admin.js)
+export const REPLAYABLE_WEBHOOK_STATUSES = ["FAILED", "IGNORED"];
+
+// Processing takes seconds: an event still PROCESSING after this was left
+// behind by a process that died, and the next redelivery or replay takes it
+const STUCK_PROCESSING_MINUTES = 10;
+
+const stuckBefore = (now) =>
+  new Date(now.getTime() - STUCK_PROCESSING_MINUTES * 60 * 1000);
+
+export const isStuckProcessing = (event, now = new Date()) =>
+  event.status === "PROCESSING" && event.claimedAt < stuckBefore(now);
+
+export const isReplayable = (event, now = new Date()) =>
+  REPLAYABLE_WEBHOOK_STATUSES.includes(event.status) ||
+  isStuckProcessing(event, now);
+
+/**
+ * Stores an incoming webhook before anything else happens to it.
+ * Events with a valid signature are deduplicated on provider + channel +
+ * PaymentId + Status, so a redelivery of something already handled (or being
+ * handled right now) returns null and must not be processed again. A
+ * redelivery of an event that FAILED earlier, or got stuck in PROCESSING,
+ * counts as a retry.
+ */
+export const recordWebhookEvent = async ({
+  provider,
+  channel,
+  payload,
+  externalId = null,
+  eventStatus = null,
+  signatureValid,
+}) => {
+  const dedupeKey =
+    signatureValid !== false && externalId && eventStatus
+      ? `${provider}:${channel}:${externalId}:${eventStatus}`
+      : null;
+
+  try {
+    return await prisma.webhookEvent.create({
+      data: {
+        provider,
+        channel,
+        externalId,
+        eventStatus,
+        dedupeKey,
+        payload,
+        signatureValid,
+        status: signatureValid === false ? "INVALID_SIGNATURE" : "PROCESSING",
+      },
+    });
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  const existing = await prisma.webhookEvent.update({
+    where: { dedupeKey },
+    data: { duplicates: { increment: 1 } },
+  });
+  if (existing.status !== "FAILED" && !isStuckProcessing(existing)) {
+    return null;
+  }
+
+  return claimWebhookEvent(existing.id, ["FAILED"]);
+};
+
+/**
+ * Moves a stored event back to PROCESSING (from `fromStatuses`, or from a
+ * stuck PROCESSING). Conditional, so a replay and a redelivery of the same
+ * event can't both run it. Null when someone else won.
+ */
+export const claimWebhookEvent = async (
+  eventId,
+  fromStatuses = REPLAYABLE_WEBHOOK_STATUSES,
+) => {
+  const now = new Date();
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: {
+      id: eventId,
+      OR: [
+        { status: { in: fromStatuses } },
+        { status: "PROCESSING", claimedAt: { lt: stuckBefore(now) } },
+      ],
+    },
+    data: {
+      status: "PROCESSING",
+      claimedAt: now,
+      attempts: { increment: 1 },
+      result: null,
+      error: null,
+    },
+  });
+  if (count === 0) return null;
+
+  return prisma.webhookEvent.findUnique({ where: { id: eventId } });
+};
+
+// `result` is the reason code of a webhook that had nothing to do
+export const completeWebhookEvent = (eventId, result) =>
+  prisma.webhookEvent.update({
+    where: { id: eventId },
+    data: {
+      status: result ? "IGNORED" : "PROCESSED",
+      result: result || null,
+      processedAt: new Date(),
+    },
+  });
+
+export const failWebhookEvent = (eventId, error) =>
+  prisma.webhookEvent.update({
+    where: { id: eventId },
+    data: {
+      status: "FAILED",
+      error: error?.stack || error?.message || String(error),
+      processedAt: new Date(),
+    },
+  });
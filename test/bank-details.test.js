@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidInn,
+  isValidAccountForBik,
+  normalizeBankDetails,
+} from "../utils/bank-details.js";
+
+test("isValidInn checks both INN lengths", () => {
+  assert.equal(isValidInn("7707083893"), true);
+  assert.equal(isValidInn("7707083894"), false);
+  assert.equal(isValidInn("500100732259"), true);
+  assert.equal(isValidInn("500100732258"), false);
+  assert.equal(isValidInn("77070838931"), false);
+  assert.equal(isValidInn("770708389a"), false);
+  assert.equal(isValidInn(null), false);
+});
+
+test("isValidInn ignores spaces", () => {
+  assert.equal(isValidInn("7707 083 893"), true);
+});
+
+test("isValidAccountForBik checks the control key of a bank account", () => {
+  assert.equal(isValidAccountForBik("40802810054400037540", "043601607"), true);
+  assert.equal(
+    isValidAccountForBik("40802810054400037541", "043601607"),
+    false,
+  );
+});
+
+test("isValidAccountForBik keys cash settlement centre accounts by the 5th-6th BIK digits", () => {
+  const account = "40102812345370000007";
+  assert.equal(isValidAccountForBik(account, "044525000"), true);
+  assert.equal(isValidAccountForBik(account, "044525001"), true);
+  assert.equal(isValidAccountForBik(account, "044525002"), true);
+  assert.equal(isValidAccountForBik(account, "044525225"), false);
+});
+
+test("normalizeBankDetails rejects an account that doesn't match the BIK", () => {
+  const details = {
+    recipientName: "  ИП  Иванов ",
+    recipientInn: "500100732259",
+    bankBik: "043601607",
+    accountNumber: "40802810054400037540",
+  };
+  assert.equal(normalizeBankDetails(details).recipientName, "ИП Иванов");
+  assert.throws(
+    () =>
+      normalizeBankDetails({
+        ...details,
+        accountNumber: "40802810054400037541",
+      }),
+    { message: "ACCOUNT_CHECKSUM_MISMATCH" },
+  );
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseBankStatement,
+  parseIncomingTransfer,
+} from "../services/bank-statement-parsers.js";
+
+const OUR_ACCOUNT = "40802810054400037540";
+
+// 1C exports come in Windows-1251; enough of it for Russian text
+const toWindows1251 = (text) =>
+  Buffer.from(
+    [...text].map((char) => {
+      const code = char.charCodeAt(0);
+      if (code >= 0x410 && code <= 0x44f) return code - 0x410 + 0xc0;
+      if (char === "Ё") return 0xa8;
+      if (char === "ё") return 0xb8;
+      if (char === "№") return 0xb9;
+      return code;
+    }),
+  );
+
+const clientBank1C = [
+  "1CClientBankExchange",
+  "Кодировка=Windows",
+  "ДатаНачала=01.03.2026",
+  "ДатаКонца=31.03.2026",
+  `РасчСчет=${OUR_ACCOUNT}`,
+  "СекцияДокумент=Платежное поручение",
+  "Номер=15",
+  "Дата=02.03.2026",
+  "ДатаПоступило=03.03.2026",
+  "Сумма=12500.50",
+  "Плательщик1=ООО Ромашка",
+  "ПлательщикИНН=7707083893",
+  "ПлательщикСчет=40702810900000000001",
+  `ПолучательСчет=${OUR_ACCOUNT}`,
+  "НазначениеПлатежа=Оплата по счету INV-42",
+  "КонецДокумента",
+  "СекцияДокумент=Платежное поручение",
+  "Номер=16",
+  "Дата=04.03.2026",
+  "Сумма=300",
+  "ПлательщикИНН=6319258622",
+  `ПлательщикСчет=${OUR_ACCOUNT}`,
+  "ПолучательСчет=40702810900000000001",
+  "НазначениеПлатежа=Исходящий платеж",
+  "КонецДокумента",
+  "КонецФайла",
+].join("\r\n");
+
+test("parseBankStatement reads a Windows-1251 1C file and keeps only incoming payments", () => {
+  const statement = parseBankStatement(toWindows1251(clientBank1C));
+
+  assert.equal(statement.format, "CLIENT_BANK_1C");
+  assert.equal(statement.accountNumber, OUR_ACCOUNT);
+  assert.deepEqual(statement.periodStart, new Date("2026-03-01T00:00:00Z"));
+  assert.deepEqual(statement.periodEnd, new Date("2026-03-31T00:00:00Z"));
+  assert.deepEqual(statement.lines, [
+    {
+      documentNumber: "15",
+      documentDate: new Date("2026-03-03T00:00:00Z"),
+      amount: 12500.5,
+      payerName: "ООО Ромашка",
+      payerInn: "7707083893",
+      payerAccount: "40702810900000000001",
+      purpose: "Оплата по счету INV-42",
+    },
+  ]);
+});
+
+test("parseBankStatement reads a UTF-8 1C file", () => {
+  const statement = parseBankStatement(Buffer.from(clientBank1C, "utf-8"));
+  assert.equal(statement.lines.length, 1);
+  assert.equal(statement.lines[0].payerName, "ООО Ромашка");
+});
+
+test("parseBankStatement reads a bank CSV with quoted cells and skips debits", () => {
+  const csv = [
+    "\uFEFFДата операции;Номер документа;Поступление;Списание;Контрагент;ИНН контрагента;Назначение платежа",
+    '05.03.2026;101;"1 234,56";;"ООО ""Вектор""";7707083893;"Оплата по счету INV-7; без НДС"',
+    "06.03.2026;102;;500,00;ООО Поставщик;6319258622;Оплата аренды",
+    "2026-03-07;103;99;;ИП Иванов;5001 0073 2259;Счет INV-8",
+  ].join("\n");
+
+  const statement = parseBankStatement(Buffer.from(csv, "utf-8"));
+
+  assert.equal(statement.format, "CSV");
+  assert.deepEqual(statement.lines, [
+    {
+      documentNumber: "101",
+      documentDate: new Date("2026-03-05T00:00:00Z"),
+      amount: 1234.56,
+      payerName: 'ООО "Вектор"',
+      payerInn: "7707083893",
+      payerAccount: null,
+      purpose: "Оплата по счету INV-7; без НДС",
+    },
+    {
+      documentNumber: "103",
+      documentDate: new Date("2026-03-07T00:00:00Z"),
+      amount: 99,
+      payerName: "ИП Иванов",
+      payerInn: "500100732259",
+      payerAccount: null,
+      purpose: "Счет INV-8",
+    },
+  ]);
+});
+
+test("parseBankStatement rejects a CSV without an amount or purpose column", () => {
+  assert.throws(
+    () => parseBankStatement(Buffer.from("Дата;Контрагент\n05.03.2026;ООО")),
+    { message: "CSV_COLUMNS_MISSING" },
+  );
+});
+
+test("parseBankStatement rejects an unknown format", () => {
+  assert.throws(() => parseBankStatement(Buffer.from("hello")), {
+    message: "UNKNOWN_STATEMENT_FORMAT",
+  });
+});
+
+test("parseIncomingTransfer fingerprints the transfer, not the notification", () => {
+  const payload = {
+    documentNumber: "15",
+    documentDate: "2026-03-03",
+    amount: "12500,50",
+    payerName: "ООО Ромашка",
+    payerInn: "7707083893",
+    payerAccount: "40702810900000000001",
+    paymentPurpose: " Оплата по счету INV-42 ",
+  };
+  const transfer = parseIncomingTransfer(payload);
+
+  assert.equal(transfer.amount, 12500.5);
+  assert.equal(transfer.purpose, "Оплата по счету INV-42");
+  assert.match(transfer.fingerprint, /^[0-9a-f]{64}$/);
+  assert.equal(
+    parseIncomingTransfer({ ...payload, operationId: "retry-2" }).fingerprint,
+    transfer.fingerprint,
+  );
+  assert.notEqual(
+    parseIncomingTransfer({ ...payload, amount: "12500.51" }).fingerprint,
+    transfer.fingerprint,
+  );
+});
+
+test("parseIncomingTransfer leaves an unreadable amount as null", () => {
+  assert.equal(parseIncomingTransfer({ amount: "abc" }).amount, null);
+});
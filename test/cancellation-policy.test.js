@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { quoteCancellation } from "../services/cancellation-policy.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2026-06-01T12:00:00Z");
+
+const quote = (policy, daysLeft, overrides = {}) =>
+  quoteCancellation({
+    policy,
+    eventStart: new Date(now.getTime() + daysLeft * DAY),
+    amount: 10000,
+    cancelledBy: "CUSTOMER",
+    now,
+    ...overrides,
+  });
+
+test("each policy refunds by the first tier the days left reach", () => {
+  const cases = [
+    ["FLEXIBLE", 1, 100],
+    ["FLEXIBLE", 0.5, 50],
+    ["MODERATE", 7, 100],
+    ["MODERATE", 6.9, 50],
+    ["MODERATE", 2, 50],
+    ["MODERATE", 1.9, 0],
+    ["STRICT", 30, 100],
+    ["STRICT", 29, 50],
+    ["STRICT", 14, 50],
+    ["STRICT", 13, 0],
+  ];
+  for (const [policy, daysLeft, refundPercent] of cases) {
+    assert.equal(
+      quote(policy, daysLeft).refundPercent,
+      refundPercent,
+      `${policy}, ${daysLeft} days left`,
+    );
+  }
+});
+
+test("an event that already started counts as zero days left", () => {
+  const result = quote("FLEXIBLE", -3);
+  assert.equal(result.daysLeft, 0);
+  assert.equal(result.refundPercent, 50);
+});
+
+test("an unknown policy falls back to MODERATE", () => {
+  assert.equal(quote("UNKNOWN", 3).refundPercent, 50);
+  assert.equal(quote(null, 10).refundPercent, 100);
+});
+
+test("a performer cancelling always refunds in full", () => {
+  const result = quote("STRICT", 0, { cancelledBy: "PERFORMER" });
+  assert.equal(result.refundAmount, 10000);
+  assert.equal(result.captureAmount, 0);
+});
+
+test("refund and capture add up to the amount, rounded to kopecks", () => {
+  const result = quote("MODERATE", 3, { amount: 1234.57 });
+  assert.equal(result.refundAmount, 617.29);
+  assert.equal(result.captureAmount, 617.28);
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verifyLedger, toKopecks } from "../services/ledger.js";
+
+// Just the queries verifyLedger makes, answered from fixed rows
+const fakeDb = ({
+  postings,
+  accounts,
+  notOpenedWallets = 0,
+  notOpenedPartners = 0,
+}) => {
+  const sumBy = (key) => {
+    const sums = new Map();
+    for (const posting of postings) {
+      sums.set(posting[key], (sums.get(posting[key]) || 0) + posting.amount);
+    }
+    return [...sums].map(([id, amount]) => ({
+      [key]: id,
+      _sum: { amount },
+    }));
+  };
+
+  return {
+    ledgerPosting: {
+      groupBy: async ({ by: [key], having }) =>
+        sumBy(key).filter(({ _sum }) => !having || _sum.amount !== 0),
+    },
+    ledgerAccount: { findMany: async () => accounts },
+    user: { count: async () => notOpenedWallets },
+    partnerProfile: { count: async () => notOpenedPartners },
+    ledgerEntry: {
+      count: async () => new Set(postings.map((p) => p.entryId)).size,
+    },
+  };
+};
+
+const account = (id, type, balance, extra = {}) => ({
+  id,
+  code: id,
+  type,
+  balance,
+  user: null,
+  partner: null,
+  ...extra,
+});
+
+const balancedBooks = () => ({
+  postings: [
+    { entryId: "e1", accountId: "bank", amount: -150000 },
+    { entryId: "e1", accountId: "wallet", amount: 150000 },
+    { entryId: "e2", accountId: "wallet", amount: -50000 },
+    { entryId: "e2", accountId: "sales", amount: 50000 },
+  ],
+  accounts: [
+    account("bank", "EXTERNAL", -150000),
+    account("wallet", "USER_WALLET", 100000, {
+      user: { walletBalance: 1000 },
+    }),
+    account("sales", "TICKET_SALES", 50000),
+  ],
+});
+
+test("toKopecks rounds rubles to whole kopecks", () => {
+  assert.equal(toKopecks(1234.56), 123456);
+  assert.equal(toKopecks("0.1"), 10);
+  assert.equal(toKopecks(0.1 + 0.2), 30);
+});
+
+test("verifyLedger passes books that balance", async () => {
+  const report = await verifyLedger(
+    fakeDb({ ...balancedBooks(), notOpenedWallets: 2 }),
+  );
+
+  assert.equal(report.balanced, true);
+  assert.deepEqual(report.problems, []);
+  assert.equal(report.entries, 2);
+  assert.equal(report.accounts, 3);
+  assert.deepEqual(report.totalsByType, {
+    EXTERNAL: -150000,
+    USER_WALLET: 100000,
+    TICKET_SALES: 50000,
+  });
+  assert.deepEqual(report.notOpened, { wallets: 2, partners: 0 });
+});
+
+test("verifyLedger reports entries that don't add up to zero", async () => {
+  const books = balancedBooks();
+  books.postings.push({ entryId: "e3", accountId: "sales", amount: 100 });
+  books.accounts[2].balance = 50100;
+
+  const report = await verifyLedger(fakeDb(books));
+
+  assert.equal(report.balanced, false);
+  assert.deepEqual(report.problems, [
+    { type: "UNBALANCED_ENTRY", entryId: "e3", amount: 100 },
+  ]);
+});
+
+test("verifyLedger reports balances that drifted from their postings", async () => {
+  const books = balancedBooks();
+  books.accounts[2].balance = 49000;
+
+  const report = await verifyLedger(fakeDb(books));
+
+  assert.deepEqual(report.problems, [
+    { type: "BALANCE_DRIFT", account: "sales", balance: 49000, posted: 50000 },
+  ]);
+});
+
+test("verifyLedger reports wallets and partner balances out of step with the ledger", async () => {
+  const books = balancedBooks();
+  books.accounts[1].user.walletBalance = 999.99;
+  books.accounts.push(
+    account("partner", "PARTNER_BALANCE", 0, { partner: { balance: 10 } }),
+  );
+
+  const report = await verifyLedger(fakeDb(books));
+
+  assert.deepEqual(report.problems, [
+    {
+      type: "MIRROR_MISMATCH",
+      account: "wallet",
+      mirror: 99999,
+      posted: 100000,
+    },
+    { type: "MIRROR_MISMATCH", account: "partner", mirror: 1000, posted: 0 },
+  ]);
+});
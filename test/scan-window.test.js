@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dateScan } from "../services/scan-window.js";
+
+const session = {
+  createdAt: new Date("2026-05-01T15:00:00Z"),
+  expiresAt: new Date("2026-05-02T19:00:00Z"),
+};
+const uploadedAt = new Date("2026-05-01T21:00:00Z");
+const at = (iso) => dateScan(session, new Date(iso), uploadedAt);
+
+test("a scan inside the session keeps its time", () => {
+  assert.deepEqual(
+    at("2026-05-01T18:30:00Z"),
+    new Date("2026-05-01T18:30:00Z"),
+  );
+});
+
+test("a few minutes of clock drift are clamped to the session", () => {
+  assert.deepEqual(at("2026-05-01T14:57:00Z"), session.createdAt);
+  assert.deepEqual(at("2026-05-01T21:03:00Z"), uploadedAt);
+});
+
+test("a scan from before the session opened is not an entry", () => {
+  assert.equal(at("2026-05-01T12:00:00Z"), null);
+  assert.equal(at("2020-01-01T00:00:00Z"), null);
+});
+
+test("a scan from after the upload or the session's expiry is not an entry", () => {
+  assert.equal(at("2026-05-01T23:00:00Z"), null);
+  assert.equal(
+    dateScan(
+      session,
+      new Date("2026-05-02T20:00:00Z"),
+      new Date("2026-05-03T00:00:00Z"),
+    ),
+    null,
+  );
+});
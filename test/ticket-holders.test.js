@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isHeldByBuyer } from "../services/ticket-holders.js";
+
+test("the buyer holds the active tickets of their order", () => {
+  assert.equal(
+    isHeldByBuyer({ status: "ACTIVE", transferredFromId: null }),
+    true,
+  );
+});
+
+test("the buyer no longer holds a ticket once it was transferred", () => {
+  // The original ticket, replaced by the recipient's one
+  assert.equal(
+    isHeldByBuyer({ status: "TRANSFERRED", transferredFromId: null }),
+    false,
+  );
+  // The recipient's ticket, still on the buyer's order
+  assert.equal(
+    isHeldByBuyer({ status: "ACTIVE", transferredFromId: "ticket-1" }),
+    false,
+  );
+});
+
+test("a refunded ticket isn't held by anyone", () => {
+  assert.equal(
+    isHeldByBuyer({ status: "REFUNDED", transferredFromId: null }),
+    false,
+  );
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBasket } from "../services/ticket-inventory.js";
+
+test("parseBasket merges repeated tiers", () => {
+  assert.deepEqual(
+    parseBasket([
+      { tierId: "vip", quantity: 1 },
+      { tierId: "standard", quantity: "2" },
+      { tierId: "vip", quantity: 3 },
+    ]),
+    [
+      { tierId: "vip", quantity: 4 },
+      { tierId: "standard", quantity: 2 },
+    ],
+  );
+});
+
+test("parseBasket rejects empty baskets and bad items", () => {
+  const invalid = [
+    undefined,
+    [],
+    "vip",
+    [null],
+    [{ quantity: 1 }],
+    [{ tierId: "vip", quantity: 0 }],
+    [{ tierId: "vip", quantity: -1 }],
+    [{ tierId: "vip", quantity: 1.5 }],
+    [{ tierId: "vip", quantity: "two" }],
+  ];
+  for (const items of invalid) {
+    assert.throws(() => parseBasket(items), { message: "INVALID_BASKET" });
+  }
+});
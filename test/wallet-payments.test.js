@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitFunding } from "../services/wallet-payments.js";
+
+test("splitFunding charges the card by default", () => {
+  assert.deepEqual(splitFunding(1500, {}, 10000), { wallet: 0, card: 1500 });
+  assert.deepEqual(splitFunding(1500, undefined, 0), { wallet: 0, card: 1500 });
+});
+
+test("splitFunding takes a wallet payment from the wallet only", () => {
+  assert.deepEqual(splitFunding(1499.5, { paymentMethod: "wallet" }, 1500), {
+    wallet: 1499.5,
+    card: 0,
+  });
+  assert.throws(() => splitFunding(1500, { paymentMethod: "wallet" }, 1499), {
+    message: "INSUFFICIENT_FUNDS",
+  });
+});
+
+test("splitFunding takes whole rubles of the balance for a mixed payment", () => {
+  assert.deepEqual(splitFunding(1500, { paymentMethod: "mixed" }, 400.75), {
+    wallet: 400,
+    card: 1100,
+  });
+  assert.deepEqual(
+    splitFunding(1500, { paymentMethod: "mixed", walletAmount: "300" }, 400),
+    { wallet: 300, card: 1200 },
+  );
+  assert.deepEqual(
+    splitFunding(1500, { paymentMethod: "mixed", walletAmount: 0 }, 400),
+    { wallet: 0, card: 1500 },
+  );
+});
+
+test("splitFunding never takes more from the wallet than the total", () => {
+  assert.deepEqual(splitFunding(1500, { paymentMethod: "mixed" }, 5000), {
+    wallet: 1500,
+    card: 0,
+  });
+});
+
+test("splitFunding rejects bad mixed amounts and methods", () => {
+  const mixed = (walletAmount, balance = 1000) =>
+    splitFunding(1500, { paymentMethod: "mixed", walletAmount }, balance);
+
+  assert.throws(() => mixed(100.5), { message: "INVALID_WALLET_AMOUNT" });
+  assert.throws(() => mixed(-1), { message: "INVALID_WALLET_AMOUNT" });
+  assert.throws(() => mixed("abc"), { message: "INVALID_WALLET_AMOUNT" });
+  assert.throws(() => mixed(1001), { message: "INSUFFICIENT_FUNDS" });
+  assert.throws(() => splitFunding(1500, { paymentMethod: "crypto" }, 1000), {
+    message: "INVALID_PAYMENT_METHOD",
+  });
+});
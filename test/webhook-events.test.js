@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isReplayable, isStuckProcessing } from "../services/webhook-events.js";
+
+const now = new Date("2026-05-01T12:00:00Z");
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+test("an event processing for a few minutes is still in flight", () => {
+  const event = { status: "PROCESSING", claimedAt: minutesAgo(2) };
+  assert.equal(isStuckProcessing(event, now), false);
+  assert.equal(isReplayable(event, now), false);
+});
+
+test("an event left in processing by a dead process can be taken over", () => {
+  const event = { status: "PROCESSING", claimedAt: minutesAgo(30) };
+  assert.equal(isStuckProcessing(event, now), true);
+  assert.equal(isReplayable(event, now), true);
+});
+
+test("failed and ignored events are replayable, processed ones are not", () => {
+  const old = minutesAgo(30);
+  assert.equal(isReplayable({ status: "FAILED", claimedAt: old }, now), true);
+  assert.equal(isReplayable({ status: "IGNORED", claimedAt: old }, now), true);
+  assert.equal(
+    isReplayable({ status: "PROCESSED", claimedAt: old }, now),
+    false,
+  );
+});
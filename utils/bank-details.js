@@ -0,0 +1,99 @@
+// Russian bank details of payout recipients: format and checksum validation
+
+export const BANK_DETAILS_ERROR_MESSAGES = {
+  RECIPIENT_NAME_REQUIRED: "Укажите ФИО или название получателя.",
+  INVALID_INN: "ИНН получателя указан с ошибкой.",
+  INVALID_BIK: "БИК должен состоять из 9 цифр и начинаться с 04.",
+  INVALID_ACCOUNT_NUMBER: "Номер счета должен состоять из 20 цифр.",
+  ACCOUNT_CHECKSUM_MISMATCH: "Номер счета не соответствует БИК банка.",
+  PAYOUT_DETAILS_REQUIRED: "Укажите реквизиты для перевода.",
+};
+
+const digitsOf = (value) => String(value ?? "").replace(/\s/g, "");
+
+const weightedSum = (digits, weights) =>
+  weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0);
+
+// 10 digits for organisations, 12 for individuals and sole proprietors
+export const isValidInn = (value) => {
+  const inn = digitsOf(value);
+  const check = (length, weights) =>
+    (weightedSum(inn, weights) % 11) % 10 === Number(inn[length]);
+
+  if (/^\d{10}$/.test(inn)) return check(9, [2, 4, 10, 3, 5, 9, 4, 6, 8]);
+  if (/^\d{12}$/.test(inn)) {
+    return (
+      check(10, [7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) &&
+      check(11, [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8])
+    );
+  }
+  return false;
+};
+
+export const isValidBik = (value) => /^04\d{7}$/.test(digitsOf(value));
+
+/**
+ * Control key of an account (Bank of Russia regulation 385-P): the account
+ * prefixed with three digits of the BIK, weighted 7-1-3, must sum to a
+ * multiple of 10. Accounts of cash settlement centres (BIK ending in 000-002)
+ * are prefixed with "0" and the 5th-6th BIK digits instead.
+ */
+export const isValidAccountForBik = (account, bik) => {
+  const prefix = ["000", "001", "002"].includes(bik.slice(6, 9))
+    ? `0${bik.slice(4, 6)}`
+    : bik.slice(6, 9);
+  const digits = prefix + account;
+  const weights = Array.from(
+    { length: digits.length },
+    (_, i) => [7, 1, 3][i % 3],
+  );
+  return weightedSum(digits, weights) % 10 === 0;
+};
+
+/**
+ * Validates and normalizes details entered by a user. Throws one of
+ * BANK_DETAILS_ERROR_MESSAGES' codes.
+ *
+ * @returns {{recipientName: string, recipientInn: string, bankBik: string,
+ *   bankName: string|null, accountNumber: string}}
+ */
+export const normalizeBankDetails = ({
+  recipientName,
+  recipientInn,
+  bankBik,
+  bankName,
+  accountNumber,
+} = {}) => {
+  const name = String(recipientName ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!name) throw new Error("RECIPIENT_NAME_REQUIRED");
+
+  const inn = digitsOf(recipientInn);
+  const bik = digitsOf(bankBik);
+  const account = digitsOf(accountNumber);
+
+  if (!isValidInn(inn)) throw new Error("INVALID_INN");
+  if (!isValidBik(bik)) throw new Error("INVALID_BIK");
+  if (!/^\d{20}$/.test(account)) throw new Error("INVALID_ACCOUNT_NUMBER");
+  if (!isValidAccountForBik(account, bik)) {
+    throw new Error("ACCOUNT_CHECKSUM_MISMATCH");
+  }
+
+  return {
+    recipientName: name.substring(0, 160),
+    recipientInn: inn,
+    bankBik: bik,
+    bankName: String(bankName ?? "").trim() || null,
+    accountNumber: account,
+  };
+};
+
+// Saved details as they are copied onto a PayoutRequest
+export const payoutDetailsSnapshot = (details) => ({
+  recipientName: details.recipientName,
+  recipientInn: details.recipientInn,
+  bankBik: details.bankBik,
+  bankName: details.bankName,
+  accountNumber: details.accountNumber,
+});
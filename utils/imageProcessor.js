@@ -65,3 +65,40 @@ export const optimizeAndUpload = async (
     throw new Error("Failed to process and upload image to MinIO");
   }
 };
+
+/**
+ * Uploads a user attachment to MinIO: images go through Sharp,
+ * PDFs are stored as-is.
+ * @param {Object} file - The file object from Multer
+ * @param {string} baseFolder - The base folder in the bucket (e.g., 'disputes')
+ * @param {string} dynamicId - Usually the user ID or entity ID
+ * @returns {Promise<string>} - The absolute public URL of the uploaded file
+ */
+export const uploadAttachment = async (
+  file,
+  baseFolder,
+  dynamicId = "shared",
+) => {
+  if (!file || !file.buffer) return null;
+
+  if (file.mimetype !== "application/pdf") {
+    return await optimizeAndUpload(file, baseFolder, dynamicId, 1600);
+  }
+
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const fileKey =
+    `${baseFolder}/${dynamicId}/${file.fieldname || "file"}-${uniqueSuffix}.pdf`.replace(
+      /\/+/g,
+      "/",
+    );
+
+  await minioClient.putObject(
+    MINIO_BUCKET_NAME,
+    fileKey,
+    file.buffer,
+    file.buffer.length,
+    { "Content-Type": "application/pdf" },
+  );
+
+  return `${MINIO_PUBLIC_URL}/${fileKey}`;
+};
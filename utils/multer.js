@@ -1,32 +1,46 @@
 import multer from "multer";
 
+const MEDIA_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "application/pdf",
+];
+
+// Bank statements: 1C exchange files (.txt) and CSV exports. Browsers send
+// CSV as anything from text/csv to an Excel type
+export const STATEMENT_MIME_TYPES = [
+  "text/plain",
+  "text/csv",
+  "application/csv",
+  "application/vnd.ms-excel",
+  "application/octet-stream",
+];
+
 /**
  * Creates a secure Multer middleware using Memory Storage.
  * This keeps the file in RAM so it can be directly processed by Sharp
  * and streamed to MinIO/S3.
  * @param {number} maxSizeMB - Maximum file size allowed in Megabytes (default: 5)
+ * @param {string[]} allowedMimeTypes - Accepted types (default: images and PDF)
  * @returns {multer.Multer} - The configured multer instance
  */
-export const createUploader = (maxSizeMB = 5) => {
+export const createUploader = (
+  maxSizeMB = 5,
+  allowedMimeTypes = MEDIA_MIME_TYPES,
+) => {
   // 1. Use Memory Storage
   const storage = multer.memoryStorage();
 
   // 2. Strict File Filter
   const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-      "image/jpeg",
-      "image/png",
-      "image/webp",
-      "image/gif",
-      "application/pdf",
-    ];
-
     if (allowedMimeTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(
         new Error(
-          "Invalid file type. Only JPEG, PNG, WEBP, GIF, and PDF are allowed.",
+          `Invalid file type. Allowed: ${allowedMimeTypes.join(", ")}.`,
         ),
         false,
       );